@@ -212,7 +212,24 @@ module.exports = ({ prefix, url}) => {
                 /** redis returned string 'null' when the key is not found */
                 return result;
             },
-    
+
+            /** increment a counter, the first hit starts its expiry (in ms) */
+            incr: async ({ key, ttl }) => {
+                keyCheck(key);
+                let [[, count], [, pttl]] = await redisClient.multi().incr(key).pttl(key).exec();
+                if (pttl < 0 && ttl) {
+                    await redisClient.pexpire(key, ttl);
+                    pttl = ttl;
+                }
+                return { count, ttl: pttl };
+            },
+
+            decr: async ({ key }) => {
+                keyCheck(key);
+                let result = await redisClient.decr(key);
+                return result;
+            },
+
         },
         set: {
             add: async ({ key, arr }) => {
@@ -9,7 +9,28 @@ module.exports = {
         defaultLimit: 10,
         maxLimit: 100,
     },
+    auth: {
+        accessTokenExpiresIn: '15m', // long and short tokens
+        refreshTokenTtlDays: 30,
+        passwordResetTtlMinutes: 60,
+        emailVerificationTtlMinutes: 48 * 60,
+        invitationTtlMinutes: 7 * 24 * 60,
+        apiKeyTtlDays: 365, // default expiry of API keys
+    },
     security: {
         bcryptRounds: 12, // stronger hashing in production
+        lockout: {
+            maxAttempts: 5, // failed logins per account before a lockout
+            ipMaxAttempts: 20, // failed logins per IP before a lockout
+            lockMinutes: 1, // first lockout, doubled on every following one
+            maxLockMinutes: 24 * 60,
+            windowMinutes: 60, // failures are forgotten after a quiet period
+        },
+        mfa: {
+            requiredRoles: ['superadmin'], // enrolled at their next login
+            issuer: 'School Management', // shown by authenticator apps
+            challengeTtlMinutes: 5, // time to enter the code after the password
+            recoveryCodes: 10,
+        },
     },
 }
\ No newline at end of file
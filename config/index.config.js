@@ -19,15 +19,45 @@ const OYSTER_PREFIX                    = process.env.OYSTER_PREFIX || 'none';
 const CACHE_REDIS                      = process.env.CACHE_REDIS || REDIS_URI;
 const CACHE_PREFIX                     = process.env.CACHE_PREFIX || `${SERVICE_NAME}:ch`;
 
+/** proxies in front of the app whose X-Forwarded-For is trusted, none by default */
+const TRUST_PROXY                      = process.env.TRUST_PROXY || 'false';
+
 const MONGO_URI                        = process.env.MONGO_URI || `mongodb://localhost:27017/${SERVICE_NAME}`;
 const config                           = require(`./envs/${ENV}.js`);
 const LONG_TOKEN_SECRET                = process.env.LONG_TOKEN_SECRET || null;
 const SHORT_TOKEN_SECRET               = process.env.SHORT_TOKEN_SECRET || null;
 const NACL_SECRET                      = process.env.NACL_SECRET || null;
+/** secrets and keys being rotated out, still accepted until their tokens expire */
+const LONG_TOKEN_PREVIOUS_SECRETS      = process.env.LONG_TOKEN_PREVIOUS_SECRETS || null;
+const SHORT_TOKEN_PREVIOUS_SECRETS     = process.env.SHORT_TOKEN_PREVIOUS_SECRETS || null;
+const NACL_PREVIOUS_SECRETS            = process.env.NACL_PREVIOUS_SECRETS || null;
+/** HS256 signs with the secrets, RS256 and EdDSA with the private keys */
+const TOKEN_ALGORITHM                  = process.env.TOKEN_ALGORITHM || 'HS256';
+const LONG_TOKEN_PRIVATE_KEY           = process.env.LONG_TOKEN_PRIVATE_KEY || null;
+const SHORT_TOKEN_PRIVATE_KEY          = process.env.SHORT_TOKEN_PRIVATE_KEY || null;
+const LONG_TOKEN_PREVIOUS_PUBLIC_KEYS  = process.env.LONG_TOKEN_PREVIOUS_PUBLIC_KEYS || null;
+const SHORT_TOKEN_PREVIOUS_PUBLIC_KEYS = process.env.SHORT_TOKEN_PREVIOUS_PUBLIC_KEYS || null;
+
+const APP_URL                          = process.env.APP_URL || `http://localhost:${USER_PORT}`;
+/** no default in production, where the console transport would log reset and invitation tokens */
+const MAIL_TRANSPORT                   = process.env.MAIL_TRANSPORT || (ENV === 'production' ? null : 'console');
+const MAIL_FROM                        = process.env.MAIL_FROM || `no-reply@${SERVICE_NAME}.local`;
+const MAIL_DIR                         = process.env.MAIL_DIR || null;
+const SMTP_HOST                        = process.env.SMTP_HOST || null;
+const SMTP_PORT                        = process.env.SMTP_PORT || 587;
+const SMTP_SECURE                      = process.env.SMTP_SECURE || 'false';
+const SMTP_USER                        = process.env.SMTP_USER || null;
+const SMTP_PASS                        = process.env.SMTP_PASS || null;
 
-if(!LONG_TOKEN_SECRET || !SHORT_TOKEN_SECRET || !NACL_SECRET) {
+const signingKeys = TOKEN_ALGORITHM === 'HS256'
+    ? [LONG_TOKEN_SECRET, SHORT_TOKEN_SECRET]
+    : [LONG_TOKEN_PRIVATE_KEY, SHORT_TOKEN_PRIVATE_KEY];
+if(signingKeys.some(key => !key) || !NACL_SECRET) {
     throw Error('missing .env variables check index.config');
 }
+if(ENV === 'production' && (MAIL_TRANSPORT !== 'smtp' || !SMTP_HOST)) {
+    throw Error('production needs MAIL_TRANSPORT=smtp and SMTP_HOST, check index.config');
+}
 
 config.dotEnv = {
     SERVICE_NAME,
@@ -43,8 +73,27 @@ config.dotEnv = {
     USER_PORT,
     ADMIN_PORT,
     ADMIN_URL,
+    TRUST_PROXY,
     LONG_TOKEN_SECRET,
     SHORT_TOKEN_SECRET,
+    LONG_TOKEN_PREVIOUS_SECRETS,
+    SHORT_TOKEN_PREVIOUS_SECRETS,
+    TOKEN_ALGORITHM,
+    LONG_TOKEN_PRIVATE_KEY,
+    SHORT_TOKEN_PRIVATE_KEY,
+    LONG_TOKEN_PREVIOUS_PUBLIC_KEYS,
+    SHORT_TOKEN_PREVIOUS_PUBLIC_KEYS,
+    NACL_SECRET,
+    NACL_PREVIOUS_SECRETS,
+    APP_URL,
+    MAIL_TRANSPORT,
+    MAIL_FROM,
+    MAIL_DIR,
+    SMTP_HOST,
+    SMTP_PORT,
+    SMTP_SECURE,
+    SMTP_USER,
+    SMTP_PASS,
 };
 
 
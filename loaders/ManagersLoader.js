@@ -11,6 +11,7 @@ const utils                 = require('../libs/utils');
 
 const systemArch            = require('../static_arch/main.system');
 const TokenManager          = require('../managers/token/Token.manager');
+const MailManager           = require('../managers/mail/Mail.manager');
 const SharkFin              = require('../managers/shark_fin/SharkFin.manager');
 const TimeMachine           = require('../managers/time_machine/TimeMachine.manager');
 
@@ -19,6 +20,15 @@ const UserManager           = require('../managers/entities/user/User.manager');
 const SchoolManager         = require('../managers/entities/school/School.manager');
 const ClassroomManager      = require('../managers/entities/classroom/Classroom.manager');
 const StudentManager        = require('../managers/entities/student/Student.manager');
+const AcademicYearManager   = require('../managers/entities/academic_year/AcademicYear.manager');
+const AttendanceManager     = require('../managers/entities/attendance/Attendance.manager');
+const TeacherManager        = require('../managers/entities/teacher/Teacher.manager');
+const GradebookManager      = require('../managers/entities/gradebook/Gradebook.manager');
+const WaitlistManager       = require('../managers/entities/waitlist/Waitlist.manager');
+const AuditManager          = require('../managers/entities/audit/Audit.manager');
+const AccessManager         = require('../managers/entities/access/Access.manager');
+const ApiKeyManager         = require('../managers/entities/api_key/ApiKey.manager');
+const SearchManager         = require('../managers/entities/search/Search.manager');
 
 /** 
  * load sharable modules
@@ -73,16 +83,26 @@ module.exports = class ManagersLoader {
         this.managers.shark               = new SharkFin({ ...this.injectable, layers, actions });
         this.managers.timeMachine         = new TimeMachine(this.injectable);
         this.managers.token               = new TokenManager(this.injectable);
+        this.managers.mail                = new MailManager(this.injectable);
         /*************************************************************************************************/
         /*****************************************ENTITY MANAGERS*****************************************/
+        this.managers.audit               = new AuditManager(this.injectable);
         this.managers.user                = new UserManager(this.injectable);
         this.managers.school              = new SchoolManager(this.injectable);
+        this.managers.waitlist            = new WaitlistManager(this.injectable);
         this.managers.classroom           = new ClassroomManager(this.injectable);
         this.managers.student             = new StudentManager(this.injectable);
+        this.managers.academicYear        = new AcademicYearManager(this.injectable);
+        this.managers.attendance          = new AttendanceManager(this.injectable);
+        this.managers.teacher             = new TeacherManager(this.injectable);
+        this.managers.gradebook           = new GradebookManager(this.injectable);
+        this.managers.access              = new AccessManager(this.injectable);
+        this.managers.search              = new SearchManager(this.injectable);
+        this.managers.apiKey              = new ApiKeyManager(this.injectable);
         /*************************************************************************************************/
         this.managers.mwsExec             = new VirtualStack({ ...{ preStack: [/* '__token', */'__device',] }, ...this.injectable });
         this.managers.userApi             = new ApiHandler({...this.injectable,...{prop:'httpExposed'}});
-        this.managers.userServer          = new UserServer({ config: this.config, managers: this.managers });
+        this.managers.userServer          = new UserServer({ config: this.config, cache: this.cache, managers: this.managers });
 
        
         return this.managers;
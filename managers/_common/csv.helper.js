@@ -0,0 +1,92 @@
+/**
+ * CSV helpers
+ * Parses RFC 4180 CSV (quoted fields, escaped quotes, CRLF) into header-keyed rows
+ * and formats rows for export
+ */
+
+/**
+ * Split CSV text into rows of raw field values
+ * @param {string} text - CSV text
+ * @returns {string[][]} Rows, blank lines skipped
+ */
+const parseRows = (text) => {
+    const rows = [];
+    let row = [];
+    let field = '';
+    let quoted = false;
+
+    // Strip the UTF-8 BOM spreadsheets like to add
+    const input = text.charCodeAt(0) === 0xFEFF ? text.slice(1) : text;
+
+    for (let i = 0; i < input.length; i++) {
+        const char = input[i];
+        if (quoted) {
+            if (char === '"' && input[i + 1] === '"') {
+                field += '"';
+                i++;
+            } else if (char === '"') {
+                quoted = false;
+            } else {
+                field += char;
+            }
+        } else if (char === '"' && field === '') {
+            quoted = true;
+        } else if (char === ',') {
+            row.push(field);
+            field = '';
+        } else if (char === '\n' || char === '\r') {
+            if (char === '\r' && input[i + 1] === '\n') i++;
+            row.push(field);
+            rows.push(row);
+            row = [];
+            field = '';
+        } else {
+            field += char;
+        }
+    }
+    if (field !== '' || row.length > 0) {
+        row.push(field);
+        rows.push(row);
+    }
+
+    return rows.filter(r => r.some(value => value.trim() !== ''));
+};
+
+/**
+ * Parse CSV text with a header line into objects
+ * @param {string} text - CSV text
+ * @returns {Object} { headers, records } where each record is { row, data }
+ */
+const parse = (text) => {
+    const [headerRow = [], ...rows] = parseRows(text);
+    const headers = headerRow.map(h => h.trim());
+
+    const records = rows.map((values, index) => {
+        const data = {};
+        headers.forEach((header, i) => {
+            const value = (values[i] || '').trim();
+            if (value !== '') data[header] = value;
+        });
+        // Row 1 is the header
+        return { row: index + 2, data };
+    });
+
+    return { headers, records };
+};
+
+/**
+ * Format values as a CSV line, quoting where needed
+ * @param {Array} values - Field values (dates are written as ISO strings)
+ * @returns {string} CSV line ending with CRLF
+ */
+const formatRow = (values) => values.map(value => {
+    if (value === null || value === undefined) return '';
+    const text = value instanceof Date ? value.toISOString() : String(value);
+    return /[",\r\n]/.test(text) ? `"${text.replace(/"/g, '""')}"` : text;
+}).join(',') + '\r\n';
+
+module.exports = {
+    parseRows,
+    parse,
+    formatRow,
+};
@@ -0,0 +1,62 @@
+/**
+ * Typed Manager Errors
+ *
+ * Managers return plain result objects instead of throwing. These builders
+ * attach the HTTP status (`code`) and a machine-readable `errorCode` so the
+ * ApiHandler and ResponseDispatcher can map failures consistently and
+ * clients can branch on `errorCode` instead of matching messages.
+ */
+const ERROR_CODES = {
+    400: 'BAD_REQUEST',
+    401: 'UNAUTHORIZED',
+    403: 'FORBIDDEN',
+    404: 'NOT_FOUND',
+    405: 'METHOD_NOT_ALLOWED',
+    409: 'CONFLICT',
+    422: 'VALIDATION_FAILED',
+    429: 'RATE_LIMITED',
+    500: 'INTERNAL_ERROR',
+};
+
+/**
+ * Build an error result for a given status code
+ * @param {number} code - HTTP status code
+ * @returns {Function} (message, details) => error result
+ */
+const typedError = (code) => (message, details = {}) => ({
+    ...details,
+    error: message,
+    code,
+    errorCode: ERROR_CODES[code],
+});
+
+module.exports = {
+    ERROR_CODES,
+
+    /**
+     * Resolve the machine-readable code for an HTTP status
+     * @param {number} code - HTTP status code
+     * @returns {string} errorCode
+     */
+    getErrorCode: (code) => {
+        return ERROR_CODES[code] || (code >= 500 ? ERROR_CODES[500] : ERROR_CODES[400]);
+    },
+
+    badRequest: typedError(400),
+    unauthorized: typedError(401),
+    forbidden: typedError(403),
+    notFound: typedError(404),
+    conflict: typedError(409),
+    tooManyRequests: typedError(429),
+    internalError: typedError(500),
+
+    /**
+     * Validation failures keep the validator's `errors` array
+     * @param {Array} errors - Errors returned by a validator
+     */
+    validationFailed: (errors) => ({
+        errors,
+        code: 422,
+        errorCode: ERROR_CODES[422],
+    }),
+}
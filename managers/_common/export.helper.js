@@ -0,0 +1,92 @@
+const csv = require('./csv.helper');
+
+/**
+ * Export helpers
+ * Streams a Mongo cursor to the response as CSV or NDJSON, one document
+ * at a time, so exports never hold the whole result set in memory
+ */
+
+const CONTENT_TYPES = {
+    csv: 'text/csv; charset=utf-8',
+    ndjson: 'application/x-ndjson; charset=utf-8',
+};
+
+/**
+ * Merge filters sent in the query string with the ones in the body.
+ * Body values win.
+ * @param {Object} query - Query string from the __query middleware
+ * @param {Object} params - Filters from the body
+ * @returns {Object} Merged filters
+ */
+const withQuery = (query, params) => {
+    const merged = { ...(query || {}) };
+    Object.keys(params).forEach(key => {
+        if (params[key] !== undefined) merged[key] = params[key];
+    });
+    return merged;
+};
+
+/**
+ * Write a chunk, waiting for the socket to drain when its buffer is full
+ * @param {Object} res - Express response
+ * @param {string} chunk - Data to write
+ */
+const write = (res, chunk) => {
+    if (res.write(chunk)) return Promise.resolve();
+    return new Promise(resolve => {
+        const done = () => {
+            res.off('drain', done);
+            res.off('close', done);
+            resolve();
+        };
+        res.on('drain', done);
+        res.on('close', done);
+    });
+};
+
+/**
+ * Stream a cursor to the response
+ * @param {Object} params
+ * @param {Object} params.res - Express response
+ * @param {Object} params.cursor - Mongoose query cursor
+ * @param {string} params.format - csv or ndjson
+ * @param {Object[]} params.columns - Columns ({ header, value(doc) })
+ * @param {string} params.filename - Download name without extension
+ * @returns {Object} { selfHandleResponse: true } for the ApiHandler
+ */
+const streamExport = async ({ res, cursor, format, columns, filename }) => {
+    res.status(200);
+    res.setHeader('Content-Type', CONTENT_TYPES[format]);
+    res.setHeader('Content-Disposition', `attachment; filename="${filename}.${format}"`);
+
+    try {
+        if (format === 'csv') {
+            await write(res, csv.formatRow(columns.map(c => c.header)));
+        }
+        for await (const doc of cursor) {
+            // Stop reading once the client is gone
+            if (res.destroyed) break;
+            if (format === 'csv') {
+                await write(res, csv.formatRow(columns.map(c => c.value(doc))));
+            } else {
+                const row = {};
+                columns.forEach(c => { row[c.header] = c.value(doc); });
+                await write(res, `${JSON.stringify(row)}\n`);
+            }
+        }
+        res.end();
+    } catch (err) {
+        console.log(`export ${filename} failed`, err);
+        // Headers are gone already, cut the download short rather than end it cleanly
+        res.destroy(err);
+    } finally {
+        await cursor.close();
+    }
+
+    return { selfHandleResponse: true };
+};
+
+module.exports = {
+    withQuery,
+    streamExport,
+};
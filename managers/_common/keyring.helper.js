@@ -0,0 +1,191 @@
+const crypto = require('crypto');
+const jwt    = require('jsonwebtoken');
+
+/**
+ * Signing Keys
+ *
+ * A keyring signs tokens with its current key and verifies them with every
+ * key it still accepts, picked by the `kid` header. To rotate, make the new
+ * key current and keep the old one accepted until its tokens have expired.
+ *
+ * Keys are HS256 secrets or RS256 / EdDSA (Ed25519) key pairs. Public keys
+ * are published as a JWKS so other services can verify tokens. Key IDs are
+ * JWK thumbprints (RFC 7638) and need no configuration.
+ */
+
+const ALGORITHMS = ['HS256', 'RS256', 'EdDSA'];
+
+/** members of each key type hashed into its thumbprint, in order */
+const THUMBPRINT_MEMBERS = { oct: ['k', 'kty'], RSA: ['e', 'kty', 'n'], OKP: ['crv', 'kty', 'x'] };
+
+const base64url = (value) => Buffer.from(value).toString('base64url');
+
+/**
+ * Items of a comma separated environment variable
+ * @param {string} [value] - Variable value
+ * @returns {string[]} Items
+ */
+const listOf = (value) => String(value || '').split(',').map(i => i.trim()).filter(Boolean);
+
+/**
+ * PEM blocks of an environment variable, which may write newlines as `\n`
+ * @param {string} [value] - Variable value
+ * @returns {string[]} PEM keys
+ */
+const pemsOf = (value) => String(value || '').replace(/\\n/g, '\n')
+    .match(/-----BEGIN [A-Z ]+-----[^-]+-----END [A-Z ]+-----/g) || [];
+
+/**
+ * Key ID of a key, its JWK thumbprint (RFC 7638)
+ * @param {Object} jwk - Key as a JWK
+ * @returns {string} Key ID
+ */
+const thumbprint = (jwk) => {
+    const members = THUMBPRINT_MEMBERS[jwk.kty];
+    const canonical = JSON.stringify(Object.fromEntries(members.map(member => [member, jwk[member]])));
+    return base64url(crypto.createHash('sha256').update(canonical).digest());
+};
+
+/**
+ * Key of an HS256 secret
+ * @param {string} secret - Secret
+ */
+const secretKey = (secret) => ({
+    kid: thumbprint({ kty: 'oct', k: base64url(secret) }),
+    alg: 'HS256',
+    signingKey: secret,
+    verifyingKey: secret,
+});
+
+/**
+ * Key of a PEM, private keys can sign, public keys only verify
+ * @param {string} pem - PEM private or public key
+ */
+const pemKey = (pem) => {
+    const publicKey = crypto.createPublicKey(pem);
+    const jwk = publicKey.export({ format: 'jwk' });
+    let alg = null;
+    if (jwk.kty === 'RSA') alg = 'RS256';
+    if (jwk.kty === 'OKP' && jwk.crv === 'Ed25519') alg = 'EdDSA';
+    if (!alg) throw Error(`unsupported signing key type ${jwk.kty}`);
+
+    return {
+        kid: thumbprint(jwk),
+        alg,
+        jwk,
+        signingKey: pem.includes('PRIVATE KEY') ? pem : null,
+        verifyingKey: publicKey.export({ type: 'spki', format: 'pem' }),
+    };
+};
+
+class Keyring {
+    /**
+     * @param {Object} params
+     * @param {string} [params.algorithm=HS256] - Algorithm of the current key: HS256, RS256 or EdDSA
+     * @param {string} [params.secret] - HS256 secret, current with HS256 and still accepted otherwise
+     * @param {string[]} [params.previousSecrets] - HS256 secrets still accepted
+     * @param {string} [params.privateKey] - PEM private key, current with RS256 and EdDSA
+     * @param {string[]} [params.previousPublicKeys] - PEM public keys still accepted
+     */
+    constructor({ algorithm = 'HS256', secret, previousSecrets = [], privateKey, previousPublicKeys = [] }) {
+        if (!ALGORITHMS.includes(algorithm)) throw Error(`unsupported token algorithm ${algorithm}`);
+
+        const secrets = [secret, ...previousSecrets].filter(Boolean).map(secretKey);
+        const pems = [privateKey, ...previousPublicKeys].filter(Boolean).map(pemKey);
+        this.current = algorithm === 'HS256' ? secrets[0] : pems[0];
+        if (!this.current || !this.current.signingKey || this.current.alg !== algorithm) {
+            throw Error(`missing ${algorithm} signing key`);
+        }
+        this.keys = [...secrets, ...pems];
+    }
+
+    /**
+     * Keyring of a token type from the environment: `<PREFIX>_SECRET`,
+     * `<PREFIX>_PREVIOUS_SECRETS`, `<PREFIX>_PRIVATE_KEY` and
+     * `<PREFIX>_PREVIOUS_PUBLIC_KEYS`, signing with `TOKEN_ALGORITHM`
+     * @param {Object} dotEnv - config.dotEnv
+     * @param {string} prefix - e.g. LONG_TOKEN
+     * @returns {Keyring}
+     */
+    static fromEnv(dotEnv, prefix) {
+        return new Keyring({
+            algorithm: dotEnv.TOKEN_ALGORITHM || 'HS256',
+            secret: dotEnv[`${prefix}_SECRET`],
+            previousSecrets: listOf(dotEnv[`${prefix}_PREVIOUS_SECRETS`]),
+            privateKey: pemsOf(dotEnv[`${prefix}_PRIVATE_KEY`])[0],
+            previousPublicKeys: pemsOf(dotEnv[`${prefix}_PREVIOUS_PUBLIC_KEYS`]),
+        });
+    }
+
+    /**
+     * Sign a payload with the current key
+     * @param {Object} payload - Claims
+     * @param {Object} [options] - jsonwebtoken sign options, e.g. expiresIn
+     * @returns {string} Token
+     */
+    sign(payload, options = {}) {
+        const { kid, alg, signingKey } = this.current;
+        if (alg !== 'EdDSA') {
+            return jwt.sign(payload, signingKey, { ...options, algorithm: alg, keyid: kid });
+        }
+
+        /** jsonwebtoken 8 has no EdDSA: it still sets the claims (iat, exp), node signs */
+        const claims = jwt.decode(jwt.sign(payload, null, { ...options, algorithm: 'none' }));
+        const input = `${base64url(JSON.stringify({ alg, typ: 'JWT', kid }))}.${base64url(JSON.stringify(claims))}`;
+        return `${input}.${base64url(crypto.sign(null, Buffer.from(input), signingKey))}`;
+    }
+
+    /**
+     * Verify a token with the key named by its header. Tokens signed before
+     * key IDs were used carry none and are checked against the secrets.
+     * @param {string} token - Token
+     * @returns {Object} Decoded payload
+     * @throws {jwt.JsonWebTokenError} When the token is invalid or expired
+     */
+    verify(token) {
+        const decoded = jwt.decode(token, { complete: true });
+        if (!decoded || !decoded.header) throw new jwt.JsonWebTokenError('jwt malformed');
+
+        const { kid, alg } = decoded.header;
+        const candidates = kid ? this.keys.filter(key => key.kid === kid) : this.keys.filter(key => key.alg === 'HS256');
+        if (!candidates.length) throw new jwt.JsonWebTokenError('unknown signing key');
+
+        let error = null;
+        for (const key of candidates) {
+            try {
+                if (alg !== key.alg) throw new jwt.JsonWebTokenError('invalid algorithm');
+                if (alg === 'EdDSA') return this._verifyEdDSA(token, key);
+                return jwt.verify(token, key.verifyingKey, { algorithms: [key.alg] });
+            } catch (err) { error = err; }
+        }
+        throw error;
+    }
+
+    _verifyEdDSA(token, key) {
+        const [header, body, signature] = token.split('.');
+        if (!crypto.verify(null, Buffer.from(`${header}.${body}`), key.verifyingKey, Buffer.from(signature || '', 'base64url'))) {
+            throw new jwt.JsonWebTokenError('invalid signature');
+        }
+        const claims = JSON.parse(Buffer.from(body, 'base64url').toString());
+        if (typeof claims.exp === 'number' && Math.floor(Date.now() / 1000) >= claims.exp) {
+            throw new jwt.TokenExpiredError('jwt expired', new Date(claims.exp * 1000));
+        }
+        return claims;
+    }
+
+    /**
+     * Public keys of the keyring, as JWKS entries. Secrets are never listed.
+     * @returns {Object[]} JWKs
+     */
+    jwks() {
+        return this.keys
+            .filter(key => key.jwk)
+            .map(({ jwk, kid, alg }) => ({ ...jwk, kid, alg, use: 'sig' }));
+    }
+}
+
+module.exports = {
+    Keyring,
+    listOf,
+    thumbprint,
+};
@@ -0,0 +1,147 @@
+const crypto = require('crypto');
+const { customAlphabet } = require('nanoid');
+
+/**
+ * Two-Factor Authentication Helpers
+ *
+ * Time-based one-time passwords (RFC 6238, the codes of authenticator
+ * apps) and single-use recovery codes. Secrets are base32, as expected
+ * in `otpauth://` provisioning URIs.
+ */
+
+const BASE32 = 'ABCDEFGHIJKLMNOPQRSTUVWXYZ234567';
+const DIGITS = 6;
+const PERIOD_SECONDS = 30;
+
+/**
+ * Encode bytes as base32, without padding
+ * @param {Buffer} buffer - Bytes
+ * @returns {string} Base32 text
+ */
+const base32Encode = (buffer) => {
+    let bits = '';
+    buffer.forEach(byte => { bits += byte.toString(2).padStart(8, '0'); });
+    let text = '';
+    for (let i = 0; i < bits.length; i += 5) {
+        text += BASE32[parseInt(bits.slice(i, i + 5).padEnd(5, '0'), 2)];
+    }
+    return text;
+};
+
+/**
+ * Decode base32 text, ignoring case, spaces and padding
+ * @param {string} text - Base32 text
+ * @returns {Buffer} Bytes
+ */
+const base32Decode = (text) => {
+    const bits = String(text).toUpperCase().replace(/[\s=]/g, '').split('')
+        .map(char => {
+            const value = BASE32.indexOf(char);
+            if (value < 0) throw Error(`invalid base32 character ${char}`);
+            return value.toString(2).padStart(5, '0');
+        })
+        .join('');
+    const bytes = [];
+    for (let i = 0; i + 8 <= bits.length; i += 8) {
+        bytes.push(parseInt(bits.slice(i, i + 8), 2));
+    }
+    return Buffer.from(bytes);
+};
+
+/**
+ * One-time password of a counter (RFC 4226)
+ * @param {Buffer} key - Shared secret
+ * @param {number} counter - Counter, the time step for TOTP
+ * @returns {string} Code
+ */
+const hotp = (key, counter) => {
+    const message = Buffer.alloc(8);
+    message.writeBigUInt64BE(BigInt(counter));
+    const digest = crypto.createHmac('sha1', key).update(message).digest();
+    const offset = digest[digest.length - 1] & 0xf;
+    const value = (digest.readUInt32BE(offset) & 0x7fffffff) % (10 ** DIGITS);
+    return String(value).padStart(DIGITS, '0');
+};
+
+/**
+ * Generate a TOTP secret
+ * @returns {string} Base32 secret
+ */
+const generateSecret = () => base32Encode(crypto.randomBytes(20));
+
+/**
+ * Provisioning URI of a secret, shown as a QR code by the client
+ * @param {Object} params
+ * @param {string} params.secret - Base32 secret
+ * @param {string} params.account - Account name, e.g. the email
+ * @param {string} params.issuer - Name of the service
+ * @returns {string} otpauth:// URI
+ */
+const otpauthUrl = ({ secret, account, issuer }) => {
+    const label = encodeURIComponent(`${issuer}:${account}`);
+    const query = new URLSearchParams({ secret, issuer, algorithm: 'SHA1', digits: String(DIGITS), period: String(PERIOD_SECONDS) });
+    return `otpauth://totp/${label}?${query}`;
+};
+
+/**
+ * Code of a secret at a time
+ * @param {Object} params
+ * @param {string} params.secret - Base32 secret
+ * @param {number} [params.at] - Time in milliseconds, defaults to now
+ * @returns {string} Code
+ */
+const totp = ({ secret, at = Date.now() }) => hotp(base32Decode(secret), Math.floor(at / 1000 / PERIOD_SECONDS));
+
+/**
+ * Check a code, accepting the steps next to the current one for clock drift
+ * @param {Object} params
+ * @param {string} params.secret - Base32 secret
+ * @param {string} params.code - Code typed by the user
+ * @param {number} [params.window=1] - Steps accepted on each side
+ * @param {number} [params.at] - Time in milliseconds, defaults to now
+ * @returns {number|null} Time step the code belongs to, null if it does not match
+ */
+const verifyTotp = ({ secret, code, window = 1, at = Date.now() }) => {
+    const typed = String(code || '').replace(/\s/g, '');
+    if (!/^\d+$/.test(typed) || typed.length !== DIGITS) return null;
+
+    const key = base32Decode(secret);
+    const current = Math.floor(at / 1000 / PERIOD_SECONDS);
+    for (let step = current - window; step <= current + window; step++) {
+        if (crypto.timingSafeEqual(Buffer.from(hotp(key, step)), Buffer.from(typed))) return step;
+    }
+    return null;
+};
+
+/** recovery codes avoid characters that are easy to misread */
+const recoveryCode = customAlphabet('23456789abcdefghjkmnpqrstuvwxyz', 10);
+
+/**
+ * Generate recovery codes
+ * @param {number} count - Number of codes
+ * @returns {string[]} Codes, formatted xxxxx-xxxxx
+ */
+const generateRecoveryCodes = (count) => Array.from({ length: count }, () => {
+    const code = recoveryCode();
+    return `${code.slice(0, 5)}-${code.slice(5)}`;
+});
+
+/**
+ * Hash of a recovery code, as stored
+ * @param {string} code - Recovery code, dash and case optional
+ * @returns {string} Hash
+ */
+const hashRecoveryCode = (code) => crypto.createHash('sha256')
+    .update(String(code).toLowerCase().replace(/[\s-]/g, ''))
+    .digest('hex');
+
+module.exports = {
+    base32Encode,
+    base32Decode,
+    generateSecret,
+    otpauthUrl,
+    totp,
+    verifyTotp,
+    generateRecoveryCodes,
+    hashRecoveryCode,
+};
@@ -0,0 +1,168 @@
+const mongoose = require('mongoose');
+const { badRequest } = require('./errors.helper');
+
+/**
+ * Pagination helpers
+ * Lists are read in page mode (`page`, skip/limit) or in cursor mode
+ * (`after`/`before` an opaque cursor from a previous response). Cursor mode
+ * seeks from the cursor's row through an index instead of skipping rows, so
+ * it stays fast deep into large lists and does not repeat or miss rows when
+ * others are added meanwhile. Rows are sorted by `sortBy`, then by `_id`
+ * so equal values keep a stable order.
+ */
+
+/** used when config.pagination is not set */
+const DEFAULT_LIMIT = 10;
+const MAX_LIMIT = 100;
+
+/**
+ * Page size of a request, within config.pagination
+ * @param {Object} config - App config
+ * @param {number|string} [limit] - Requested page size
+ * @returns {number} Page size
+ */
+const limitOf = (config, limit) => {
+    const { defaultLimit = DEFAULT_LIMIT, maxLimit = MAX_LIMIT } = (config && config.pagination) || {};
+    return Math.min(maxLimit, Math.max(1, parseInt(limit) || defaultLimit));
+};
+
+/**
+ * Opaque cursor of a row: its sort value and ID, with the sort it belongs to
+ */
+const encodeCursor = (row, { sortBy, sortOrder }) => {
+    const value = row[sortBy] === undefined ? null : row[sortBy];
+    return Buffer.from(JSON.stringify({
+        sortBy,
+        sortOrder,
+        value: value instanceof Date ? value.toISOString() : value,
+        date: value instanceof Date,
+        id: row._id.toString(),
+    })).toString('base64url');
+};
+
+/**
+ * Read a cursor back, null if it is malformed or from another sort
+ */
+const decodeCursor = (cursor, { sortBy, sortOrder }) => {
+    try {
+        const decoded = JSON.parse(Buffer.from(String(cursor), 'base64url').toString());
+        if (decoded.sortBy !== sortBy || decoded.sortOrder !== sortOrder) return null;
+        if (!mongoose.isValidObjectId(decoded.id)) return null;
+        return {
+            value: decoded.date ? new Date(decoded.value) : decoded.value,
+            id: new mongoose.Types.ObjectId(decoded.id),
+        };
+    } catch (err) {
+        return null;
+    }
+};
+
+/**
+ * Condition matching the rows that come after a cursor in a direction.
+ * Missing values sort first, as in Mongo, and are compared by ID only.
+ * @param {string} field - Sort field
+ * @param {Object} cursor - Decoded cursor
+ * @param {number} direction - 1 ascending, -1 descending
+ * @returns {Object} Mongo condition
+ */
+const afterCursor = (field, { value, id }, direction) => {
+    const op = direction === 1 ? '$gt' : '$lt';
+    if (value === null) {
+        return direction === 1
+            ? { $or: [{ [field]: null, _id: { $gt: id } }, { [field]: { $ne: null } }] }
+            : { [field]: null, _id: { $lt: id } };
+    }
+    const later = [{ [field]: { [op]: value } }, { [field]: value, _id: { [op]: id } }];
+    if (direction === -1) later.push({ [field]: null });
+    return { $or: later };
+};
+
+/**
+ * Read one page of a list
+ * @param {Object} params
+ * @param {Object} params.model - Mongo model
+ * @param {Object} params.query - Filters
+ * @param {Object} params.params - Request parameters: page, limit, after, before, sortBy, sortOrder
+ * @param {string[]} params.sortFields - Fields the list may be sorted by, each backed by an index
+ * @param {Object} params.config - App config, for config.pagination
+ * @param {Function} [params.find] - Adds populates etc. to the find query
+ * @returns {Promise<Object>} { items, pagination } or an error object
+ */
+const paginate = async ({ model, query, params, sortFields, config, find = (q) => q }) => {
+    const { page, limit, after, before, sortBy = 'createdAt', sortOrder = 'desc' } = params;
+
+    if (!sortFields.includes(sortBy)) {
+        return badRequest(`sortBy must be one of: ${sortFields.join(', ')}`);
+    }
+    if (!['asc', 'desc'].includes(sortOrder)) {
+        return badRequest('sortOrder must be asc or desc');
+    }
+    if (after && before) {
+        return badRequest('Send either after or before, not both');
+    }
+
+    const sort = { sortBy, sortOrder };
+    const direction = sortOrder === 'asc' ? 1 : -1;
+    const limitNum = limitOf(config, limit);
+    const cursorOf = (row) => encodeCursor(row, sort);
+
+    if (!after && !before) {
+        const pageNum = Math.max(1, parseInt(page) || 1);
+        const [items, total] = await Promise.all([
+            find(model.find(query))
+                .sort({ [sortBy]: direction, _id: direction })
+                .skip((pageNum - 1) * limitNum)
+                .limit(limitNum)
+                .lean(),
+            model.countDocuments(query),
+        ]);
+        const pages = Math.ceil(total / limitNum);
+
+        return {
+            items,
+            pagination: {
+                page: pageNum,
+                limit: limitNum,
+                total,
+                pages,
+                sortBy,
+                sortOrder,
+                /** lets a client continue in cursor mode from any page */
+                nextCursor: pageNum < pages && items.length ? cursorOf(items[items.length - 1]) : null,
+                prevCursor: pageNum > 1 && items.length ? cursorOf(items[0]) : null,
+            },
+        };
+    }
+
+    const cursor = decodeCursor(after || before, sort);
+    if (!cursor) {
+        return badRequest('Invalid cursor');
+    }
+
+    /** rows before a cursor are read backwards from it, then put back in order */
+    const seek = after ? direction : -direction;
+    const rows = await find(model.find({ $and: [query, afterCursor(sortBy, cursor, seek)] }))
+        .sort({ [sortBy]: seek, _id: seek })
+        .limit(limitNum + 1)
+        .lean();
+    const hasMore = rows.length > limitNum;
+    const items = after ? rows.slice(0, limitNum) : rows.slice(0, limitNum).reverse();
+    const first = items.length ? cursorOf(items[0]) : null;
+    const last = items.length ? cursorOf(items[items.length - 1]) : null;
+
+    return {
+        items,
+        pagination: {
+            limit: limitNum,
+            sortBy,
+            sortOrder,
+            nextCursor: after ? (hasMore ? last : null) : last,
+            prevCursor: after ? first : (hasMore ? first : null),
+        },
+    };
+};
+
+module.exports = {
+    limitOf,
+    paginate,
+};
@@ -0,0 +1,115 @@
+const mongoose = require('mongoose');
+const { unauthorized, forbidden } = require('./errors.helper');
+const { membershipsOf, schoolRoleOf } = require('./schoolAccess.helper');
+
+/**
+ * Authorization Policies
+ *
+ * Every manager declares a policy for each of its `httpExposed` methods in
+ * `policies`, keyed by function name. The ApiHandler checks the policy
+ * before the method runs, so managers only deal with what the caller may
+ * see inside a school (e.g. a teacher's own classrooms).
+ *
+ * A policy is one of:
+ * - 'public'        no token needed
+ * - 'authenticated' any valid token
+ * - { roles, school, message }
+ *     roles   - roles allowed besides superadmin, who is always allowed
+ *               (['superadmin'] alone means superadmin only)
+ *     school  - where the school of the request comes from, checked against
+ *               the caller's memberships:
+ *               'schoolId'                       a request param, defaulting to the active school
+ *               { model: 'classroom', id: 'classroomId' }  the school of the document a param points to
+ *               async ({ data, token, mongomodels }) => schoolId  anything else
+ *               [source, ...]                    the first source whose param was sent,
+ *                                                the last one when none was
+ *               When the document does not exist the check is left to the
+ *               manager, which answers not found.
+ *     message - denial for callers holding an allowed role in another school,
+ *               or for anyone when there is no school (e.g. superadmin only)
+ */
+
+const DEFAULT_MESSAGE = 'Access denied. You can only access your assigned school.';
+
+/**
+ * Read a request param, also looking in the query string of GET exports
+ * @param {Object} data - Params passed to the function
+ * @param {string} key - Param name
+ * @returns {*} Param value
+ */
+const paramOf = (data, key) => {
+    if (data[key] !== undefined) return data[key];
+    return data.__query ? data.__query[key] : undefined;
+};
+
+/**
+ * School of the document a param points to
+ * @param {Object} mongomodels - Mongo models
+ * @param {string} model - Model name
+ * @param {string} id - Document ID
+ * @returns {Promise<string|null>} School ID, null if unknown
+ */
+const schoolOfDocument = async (mongomodels, model, id) => {
+    if (!id || !mongoose.isValidObjectId(id)) return null;
+    const doc = await mongomodels[model].findById(id).select('schoolId').lean();
+    return doc && doc.schoolId ? doc.schoolId.toString() : null;
+};
+
+/**
+ * Resolve the school a request targets
+ * @param {Object} policy - Policy of the method
+ * @param {Object} token - Decoded token
+ * @param {Object} data - Params passed to the function
+ * @param {Object} mongomodels - Mongo models
+ * @returns {Promise<Object>} { schoolId } or { skip: true } when the target is unknown
+ */
+const resolveSchool = async (policy, token, data, mongomodels) => {
+    const { school } = policy;
+    if (Array.isArray(school)) {
+        const sent = school.find(source => typeof source !== 'function'
+            && paramOf(data, typeof source === 'string' ? source : source.id) !== undefined);
+        return resolveSchool({ ...policy, school: sent || school[school.length - 1] }, token, data, mongomodels);
+    }
+    if (typeof school === 'string') {
+        return { schoolId: paramOf(data, school) || token.schoolId };
+    }
+
+    const schoolId = typeof school === 'function'
+        ? await school({ data, token, mongomodels })
+        : await schoolOfDocument(mongomodels, school.model, paramOf(data, school.id));
+    return schoolId ? { schoolId: schoolId.toString() } : { skip: true };
+};
+
+/**
+ * Check a call against its policy
+ * @param {Object} params
+ * @param {string|Object} params.policy - Policy of the method
+ * @param {Object} [params.token] - Decoded token of the caller
+ * @param {Object} params.data - Params passed to the function
+ * @param {Object} params.mongomodels - Mongo models
+ * @returns {Promise<Object|null>} Error object if not authorized, null if authorized
+ */
+const authorize = async ({ policy, token, data, mongomodels }) => {
+    if (policy === 'public') return null;
+    if (!token) return unauthorized('Authentication required');
+    if (policy === 'authenticated') return null;
+    if (token.role === 'superadmin') return null;
+
+    const { roles = [], school, message } = policy;
+
+    if (!school) {
+        return roles.includes(token.role) ? null : forbidden(message || 'Access denied.');
+    }
+
+    const target = await resolveSchool(policy, token, data, mongomodels);
+    if (target.skip) return null;
+
+    if (roles.includes(schoolRoleOf(token, target.schoolId))) return null;
+
+    const allowedElsewhere = membershipsOf(token).some(m => roles.includes(m.role));
+    return forbidden(allowedElsewhere ? (message || DEFAULT_MESSAGE) : 'Access denied.');
+};
+
+module.exports = {
+    authorize,
+};
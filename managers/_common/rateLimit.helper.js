@@ -0,0 +1,115 @@
+const { rateLimit, ipKeyGenerator } = require('express-rate-limit');
+
+/**
+ * Rate limit helpers
+ * Builds the limiters applied by the UserServer from `config.rateLimiting`.
+ * Hits are counted in redis through the cache so limits hold across
+ * processes; without a redis cache each process counts on its own.
+ * Clients are told apart by `req.ip`, which only follows X-Forwarded-For
+ * from the proxies trusted through `trustProxyOf`.
+ */
+
+/**
+ * express-rate-limit store backed by the cache's redis counters
+ */
+class CacheStore {
+    /**
+     * @param {Object} params
+     * @param {Object} params.cache - Cache from cache.dbh.js
+     * @param {string} params.prefix - Key prefix, one per limiter
+     */
+    constructor({ cache, prefix }) {
+        this.cache = cache;
+        this.prefix = `rl:${prefix}:`;
+        this.localKeys = false;
+    }
+
+    init(options) {
+        this.windowMs = options.windowMs;
+    }
+
+    async increment(key) {
+        const { count, ttl } = await this.cache.key.incr({ key: this.prefix + key, ttl: this.windowMs });
+        return {
+            totalHits: count,
+            resetTime: new Date(Date.now() + (ttl > 0 ? ttl : this.windowMs)),
+        };
+    }
+
+    async decrement(key) {
+        await this.cache.key.decr({ key: this.prefix + key });
+    }
+
+    async resetKey(key) {
+        await this.cache.key.delete({ key: this.prefix + key });
+    }
+}
+
+/**
+ * Express `trust proxy` setting of the TRUST_PROXY variable: `true`, a
+ * number of proxy hops, or addresses and subnets (e.g. `loopback, 10.0.0.0/8`).
+ * Unset or `false` trusts no proxy, so forwarded headers are ignored.
+ * @param {string} [value] - Variable value
+ * @returns {boolean|number|string} Setting
+ */
+const trustProxyOf = (value) => {
+    const setting = String(value || '').trim();
+    if (!setting || setting === 'false') return false;
+    if (setting === 'true') return true;
+    if (/^\d+$/.test(setting)) return parseInt(setting);
+    return setting;
+};
+
+/**
+ * Create the rate limiters
+ * @param {Object} params
+ * @param {Object} params.config - Config with `rateLimiting` ({ windowMs, max, loginMax })
+ * @param {Object} [params.cache] - Cache from cache.dbh.js
+ * @param {Object} params.managers - Managers (token, responseDispatcher)
+ * @returns {Object} { ip, user, login } express middlewares
+ */
+const createRateLimiters = ({ config, cache, managers }) => {
+    const { windowMs, max, loginMax } = config.rateLimiting;
+    const redis = cache && cache.key && cache.key.incr;
+
+    /** the caller's user id, only from a token that verifies */
+    const userOf = (req) => {
+        const decoded = req.headers.token ? managers.token.verifyAnyToken({ token: req.headers.token }) : null;
+        return decoded && decoded.userId ? decoded.userId : null;
+    };
+
+    const limiter = (prefix, options) => rateLimit({
+        windowMs,
+        standardHeaders: 'draft-6',
+        legacyHeaders: false,
+        store: redis ? new CacheStore({ cache, prefix }) : undefined,
+        handler: (req, res, next, opts) => managers.responseDispatcher.dispatch(res, {
+            ok: false,
+            code: opts.statusCode,
+            message: 'Too many requests, please try again later.',
+        }),
+        ...options,
+    });
+
+    return {
+        ip: limiter('ip', {
+            limit: max,
+            keyGenerator: (req) => ipKeyGenerator(req.ip),
+        }),
+        user: limiter('user', {
+            limit: max,
+            skip: (req) => !userOf(req),
+            keyGenerator: (req) => userOf(req),
+        }),
+        login: limiter('login', {
+            limit: loginMax,
+            keyGenerator: (req) => ipKeyGenerator(req.ip),
+        }),
+    };
+};
+
+module.exports = {
+    CacheStore,
+    createRateLimiters,
+    trustProxyOf,
+};
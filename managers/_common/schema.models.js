@@ -107,7 +107,7 @@ module.exports = {
     role: {
         path: 'role',
         type: 'String',
-        oneOf: ['superadmin', 'school_admin'],
+        oneOf: ['superadmin', 'school_admin', 'teacher'],
         custom: 'role',
     },
     schoolId: {
@@ -239,4 +239,264 @@ module.exports = {
         type: 'Boolean',
         custom: 'boolean',
     },
+    academicYearId: {
+        path: 'academicYearId',
+        type: 'String',
+        length: { min: 24, max: 24 },
+        custom: 'objectId',
+    },
+    fromAcademicYearId: {
+        path: 'fromAcademicYearId',
+        type: 'String',
+        length: { min: 24, max: 24 },
+        custom: 'objectId',
+    },
+    toAcademicYearId: {
+        path: 'toAcademicYearId',
+        type: 'String',
+        length: { min: 24, max: 24 },
+        custom: 'objectId',
+    },
+    startDate: {
+        path: 'startDate',
+        type: 'String',
+        custom: 'date',
+    },
+    endDate: {
+        path: 'endDate',
+        type: 'String',
+        custom: 'date',
+    },
+    terms: {
+        path: 'terms',
+        type: 'Array',
+        items: [
+            { model: 'name', required: true, path: 'name' },
+            { model: 'startDate', required: true, path: 'startDate' },
+            { model: 'endDate', required: true, path: 'endDate' },
+        ]
+    },
+    isCurrent: {
+        path: 'isCurrent',
+        type: 'Boolean',
+        custom: 'boolean',
+    },
+    date: {
+        path: 'date',
+        type: 'String',
+        custom: 'date',
+    },
+    from: {
+        path: 'from',
+        type: 'String',
+        custom: 'date',
+    },
+    to: {
+        path: 'to',
+        type: 'String',
+        custom: 'date',
+    },
+    attendanceStatus: {
+        path: 'status',
+        type: 'String',
+        oneOf: ['present', 'absent', 'late', 'excused'],
+    },
+    defaultStatus: {
+        path: 'defaultStatus',
+        type: 'String',
+        oneOf: ['present', 'absent', 'late', 'excused'],
+    },
+    note: {
+        path: 'note',
+        type: 'String',
+        length: { min: 0, max: 500 },
+    },
+    attendanceRecords: {
+        path: 'records',
+        type: 'Array',
+        items: [
+            { model: 'studentId', required: true, path: 'studentId' },
+            { model: 'attendanceStatus', required: true, path: 'status' },
+            { model: 'note', required: false, path: 'note' },
+        ]
+    },
+    teacherId: {
+        path: 'teacherId',
+        type: 'String',
+        length: { min: 24, max: 24 },
+        custom: 'objectId',
+    },
+    userId: {
+        path: 'userId',
+        type: 'String',
+        length: { min: 24, max: 24 },
+        custom: 'objectId',
+    },
+    subjects: {
+        path: 'subjects',
+        type: 'Array',
+        items: {
+            type: 'String',
+            length: { min: 1, max: 100 }
+        }
+    },
+    subject: {
+        path: 'subject',
+        type: 'String',
+        length: { min: 1, max: 100 },
+    },
+    assignmentType: {
+        path: 'assignmentType',
+        type: 'String',
+        oneOf: ['homeroom', 'subject'],
+    },
+    subjectId: {
+        path: 'subjectId',
+        type: 'String',
+        length: { min: 24, max: 24 },
+        custom: 'objectId',
+    },
+    subjectCode: {
+        path: 'code',
+        type: 'String',
+        length: { min: 1, max: 20 },
+    },
+    assessmentId: {
+        path: 'assessmentId',
+        type: 'String',
+        length: { min: 24, max: 24 },
+        custom: 'objectId',
+    },
+    assessmentType: {
+        path: 'type',
+        type: 'String',
+        oneOf: ['exam', 'quiz', 'assignment'],
+    },
+    maxScore: {
+        path: 'maxScore',
+        type: 'Number',
+    },
+    weight: {
+        path: 'weight',
+        type: 'Number',
+    },
+    term: {
+        path: 'term',
+        type: 'String',
+        length: { min: 1, max: 100 },
+    },
+    score: {
+        path: 'score',
+        type: 'Number',
+    },
+    remarks: {
+        path: 'remarks',
+        type: 'String',
+        length: { min: 0, max: 500 },
+    },
+    scores: {
+        path: 'scores',
+        type: 'Array',
+        items: [
+            { model: 'studentId', required: true, path: 'studentId' },
+            { model: 'score', required: true, path: 'score' },
+            { model: 'remarks', required: false, path: 'remarks' },
+        ]
+    },
+    exportFormat: {
+        path: 'format',
+        type: 'String',
+        oneOf: ['csv', 'ndjson'],
+    },
+    actorId: {
+        path: 'actorId',
+        type: 'String',
+        length: { min: 24, max: 24 },
+        custom: 'objectId',
+    },
+    entityType: {
+        path: 'entityType',
+        type: 'String',
+        length: { min: 1, max: 50 },
+    },
+    entityId: {
+        path: 'entityId',
+        type: 'String',
+        length: { min: 24, max: 24 },
+        custom: 'objectId',
+    },
+    auditAction: {
+        path: 'action',
+        type: 'String',
+        length: { min: 3, max: 100 },
+    },
+    mailToken: {
+        path: 'token',
+        type: 'String',
+        length: { min: 20, max: 100 },
+    },
+    sessionId: {
+        path: 'sessionId',
+        type: 'String',
+        length: { min: 24, max: 24 },
+        custom: 'objectId',
+    },
+    challengeToken: {
+        path: 'challengeToken',
+        type: 'String',
+        length: { min: 20, max: 100 },
+    },
+    mfaCode: {
+        path: 'code',
+        type: 'String',
+        length: { min: 6, max: 20 },
+    },
+    invitationId: {
+        path: 'invitationId',
+        type: 'String',
+        length: { min: 24, max: 24 },
+        custom: 'objectId',
+    },
+    accessAction: {
+        path: 'action',
+        type: 'String',
+        oneOf: ['blocked', 'none', 'read', 'audit', 'write', 'delete', 'config'],
+    },
+    apiKeyId: {
+        path: 'apiKeyId',
+        type: 'String',
+        length: { min: 24, max: 24 },
+        custom: 'objectId',
+    },
+    apiKeyName: {
+        path: 'name',
+        type: 'String',
+        length: { min: 1, max: 100 },
+    },
+    apiKeyScopes: {
+        path: 'scopes',
+        type: 'Array',
+        items: {
+            type: 'String',
+            length: { min: 3, max: 100 },
+        }
+    },
+    expiresAt: {
+        path: 'expiresAt',
+        type: 'String',
+        custom: 'futureDate',
+    },
+    searchText: {
+        path: 'q',
+        type: 'String',
+        length: { min: 2, max: 100 },
+    },
+    searchTypes: {
+        path: 'types',
+        type: 'Array',
+        items: {
+            type: 'String',
+            length: { min: 1, max: 20 },
+        }
+    },
 }
\ No newline at end of file
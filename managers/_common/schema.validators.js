@@ -187,11 +187,11 @@ module.exports = {
 
     /**
      * Role validation
-     * - Must be one of: superadmin, school_admin
+     * - Must be one of: superadmin, school_admin, teacher
      */
     'role': (data) => {
         if (typeof data !== 'string') return false;
-        const validRoles = ['superadmin', 'school_admin'];
+        const validRoles = ['superadmin', 'school_admin', 'teacher'];
         return validRoles.includes(data);
     },
 
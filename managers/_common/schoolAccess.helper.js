@@ -0,0 +1,194 @@
+const { forbidden } = require('./errors.helper');
+
+/**
+ * School Membership Helpers
+ *
+ * School admins and teachers hold one membership per school they work in,
+ * each with its own role. Tokens carry every membership plus the active
+ * school of the request (`schoolId`, with `role` being the role held there).
+ * Access to a school is decided by membership, not by the active school.
+ */
+
+/**
+ * Memberships carried by a decoded token.
+ * Tokens issued before memberships existed, or for users saved before
+ * then, only carry their single school.
+ * @param {Object} token - Decoded token
+ * @returns {Object[]} [{ schoolId, role }]
+ */
+const membershipsOf = (token) => {
+    if (!token || token.role === 'superadmin') return [];
+    if (Array.isArray(token.memberships) && token.memberships.length) return token.memberships;
+    return token.schoolId ? [{ schoolId: token.schoolId, role: token.role }] : [];
+};
+
+/**
+ * Role a token holds in a school
+ * @param {Object} token - Decoded token
+ * @param {string} schoolId - School ID
+ * @returns {string|null} Role in that school, null if not a member
+ */
+const schoolRoleOf = (token, schoolId) => {
+    if (!schoolId) return null;
+    const membership = membershipsOf(token).find(m => String(m.schoolId) === String(schoolId));
+    return membership ? membership.role : null;
+};
+
+/**
+ * Whether a token administers a school (superadmins administer every school)
+ * @param {Object} token - Decoded token
+ * @param {string} schoolId - School ID
+ * @returns {boolean}
+ */
+const administersSchool = (token, schoolId) => {
+    if (!token) return false;
+    if (token.role === 'superadmin') return true;
+    return schoolRoleOf(token, schoolId) === 'school_admin';
+};
+
+/**
+ * Whether a token administers at least one school
+ * @param {Object} token - Decoded token
+ * @returns {boolean}
+ */
+const isSchoolAdmin = (token) => membershipsOf(token).some(m => m.role === 'school_admin');
+
+/**
+ * School a request works in: the requested school when the caller is a
+ * member of it (or a superadmin), otherwise the active school of the token
+ * @param {Object} token - Decoded token
+ * @param {string} [requestedSchoolId] - School ID from request
+ * @returns {string} Effective school ID
+ */
+const getEffectiveSchoolId = (token, requestedSchoolId) => {
+    if (!token || token.role === 'superadmin') {
+        return requestedSchoolId;
+    }
+    if (requestedSchoolId && schoolRoleOf(token, requestedSchoolId)) {
+        return requestedSchoolId;
+    }
+    return token.schoolId;
+};
+
+/**
+ * Scope a decoded token to the school selected for the request
+ * (the X-School-Id header). Superadmins are not scoped.
+ * @param {Object} decoded - Decoded token
+ * @param {string} [schoolId] - Selected school ID
+ * @returns {Object|null} Token acting in that school, null if not a member of it
+ */
+const withActiveSchool = (decoded, schoolId) => {
+    if (!schoolId || !decoded || decoded.role === 'superadmin') return decoded;
+    const role = schoolRoleOf(decoded, schoolId);
+    if (!role) return null;
+    return { ...decoded, schoolId: String(schoolId), role };
+};
+
+/**
+ * Classrooms a teacher is assigned to in a school. A user teaching in
+ * several schools has a teacher record in each.
+ * @param {Object} mongomodels - Mongo models
+ * @param {Object} token - Decoded token of a teacher
+ * @param {string} [schoolId] - School ID, the active school by default
+ * @returns {Promise<string[]>} Assigned classroom IDs
+ */
+const teacherClassroomIdsOf = async (mongomodels, token, schoolId = token.schoolId) => {
+    const teacher = await mongomodels.teacher
+        .findOne({ userId: token.userId, schoolId, isActive: true })
+        .select('assignments.classroomId')
+        .lean();
+    if (!teacher) return [];
+    return teacher.assignments.map(a => a.classroomId.toString());
+};
+
+/**
+ * Whether a token holds the teacher role in a school and is assigned to
+ * one of its classrooms
+ * @param {Object} mongomodels - Mongo models
+ * @param {Object} token - Decoded token
+ * @param {Object} params
+ * @param {string} params.schoolId - School of the classroom
+ * @param {string} params.classroomId - Classroom ID
+ * @returns {Promise<boolean>}
+ */
+const teachesClassroom = async (mongomodels, token, { schoolId, classroomId }) => {
+    if (!classroomId || schoolRoleOf(token, schoolId) !== 'teacher') return false;
+    return (await teacherClassroomIdsOf(mongomodels, token, schoolId)).includes(classroomId.toString());
+};
+
+/**
+ * Check that a teacher is assigned to a classroom. Other roles pass, their
+ * school access is checked by the policies.
+ * @param {Object} mongomodels - Mongo models
+ * @param {Object} token - Decoded token
+ * @param {Object} classroom - Classroom document
+ * @returns {Promise<Object|null>} Error object if not assigned, null otherwise
+ */
+const checkClassroomAccess = async (mongomodels, token, classroom) => {
+    const schoolId = classroom.schoolId._id || classroom.schoolId;
+    if (schoolRoleOf(token, schoolId) !== 'teacher') return null;
+    if (await teachesClassroom(mongomodels, token, { schoolId, classroomId: classroom._id })) return null;
+    return forbidden('Access denied. You can only access your assigned classrooms.');
+};
+
+/** classroom segment of students that are not in a classroom */
+const UNPLACED = 'unplaced';
+
+/**
+ * Layer and node of a record in the school permission tree
+ * (static_arch/main.system.js)
+ * @param {Object} params
+ * @param {string} params.schoolId - School ID
+ * @param {string} [params.classroomId] - Classroom ID
+ * @param {string} [params.studentId] - Student ID
+ * @returns {Object} { layer, nodeId }
+ */
+const schoolNodeOf = ({ schoolId, classroomId, studentId }) => {
+    if (studentId) {
+        return { layer: 'school.classroom.student', nodeId: `${schoolId}.${classroomId || UNPLACED}.${studentId}` };
+    }
+    if (classroomId) {
+        return { layer: 'school.classroom', nodeId: `${schoolId}.${classroomId}` };
+    }
+    return { layer: 'school', nodeId: String(schoolId) };
+};
+
+/**
+ * Whether a token may run an action on a record of the school tree.
+ * The role held in the school comes with the token, direct grants are
+ * kept by SharkFin; superadmins may do anything.
+ * @param {Object} shark - SharkFin manager
+ * @param {Object} token - Decoded token
+ * @param {Object} params
+ * @param {string} params.action - Action (read, audit, write, delete, config)
+ * @param {string} params.schoolId - School ID
+ * @param {string} [params.classroomId] - Classroom ID
+ * @param {string} [params.studentId] - Student ID
+ * @param {boolean} [params.isOwner] - Whether the caller teaches the classroom
+ * @returns {Promise<boolean>}
+ */
+const isGrantedOn = async (shark, token, { action, schoolId, classroomId, studentId, isOwner }) => {
+    if (!token) return false;
+    if (token.role === 'superadmin') return true;
+    return shark.isGranted({
+        ...schoolNodeOf({ schoolId, classroomId, studentId }),
+        userId: token.userId,
+        role: schoolRoleOf(token, schoolId),
+        action,
+        isOwner,
+    });
+};
+
+module.exports = {
+    membershipsOf,
+    schoolRoleOf,
+    administersSchool,
+    isSchoolAdmin,
+    getEffectiveSchoolId,
+    withActiveSchool,
+    teacherClassroomIdsOf,
+    teachesClassroom,
+    checkClassroomAccess,
+    schoolNodeOf,
+    isGrantedOn,
+};
@@ -0,0 +1,41 @@
+/**
+ * Search helpers
+ * Search terms are matched literally: regex metacharacters in user input
+ * are escaped, so a term cannot inject a pattern or make the database
+ * backtrack through a crafted one.
+ */
+
+/**
+ * Escape regex metacharacters
+ * @param {string} text - User input
+ * @returns {string} Pattern matching the text literally
+ */
+const escapeRegex = (text) => String(text).replace(/[.*+?^${}()|[\]\\]/g, '\\$&');
+
+/**
+ * Condition matching values that contain a text, ignoring case
+ * @param {string} text - User input
+ * @returns {Object} Mongo condition
+ */
+const containing = (text) => ({ $regex: escapeRegex(text), $options: 'i' });
+
+/**
+ * Condition matching values equal to a text, ignoring case
+ * @param {string} text - User input
+ * @returns {Object} Mongo condition
+ */
+const equalIgnoringCase = (text) => ({ $regex: `^${escapeRegex(text)}$`, $options: 'i' });
+
+/**
+ * Regex matching values with a word that starts with a text, ignoring case
+ * @param {string} text - User input
+ * @returns {RegExp}
+ */
+const wordStartingWith = (text) => new RegExp(`\\b${escapeRegex(text)}`, 'i');
+
+module.exports = {
+    escapeRegex,
+    containing,
+    equalIgnoringCase,
+    wordStartingWith,
+};
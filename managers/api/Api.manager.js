@@ -1,4 +1,6 @@
 const getParamNames = require('./_common/getParamNames');
+const { internalError, forbidden } = require('../_common/errors.helper');
+const { authorize } = require('../_common/policy.helper');
 /** 
  * scans all managers for exposed methods 
  * and makes them available through a handler middleware
@@ -11,8 +13,9 @@ module.exports = class ApiHandler {
      * @param {string} prop with key to scan for exposed methods
      */
 
-    constructor({config, cortex, cache, managers, mwsRepo, prop}){
+    constructor({config, cortex, cache, managers, mongomodels, mwsRepo, prop}){
         this.config        = config;
+        this.mongomodels   = mongomodels;
         this.cache         = cache; 
         this.cortex        = cortex;
         this.managers      = managers;
@@ -47,6 +50,11 @@ module.exports = class ApiHandler {
                     }
                     this.methodMatrix[mk][method].push(fnName);
 
+                    /** every exposed method declares who may call it */
+                    if(!this.managers[mk].policies || !this.managers[mk].policies[fnName]){
+                        throw Error(`Missing policy for ${mk}.${fnName}`)
+                    }
+
                     let params = getParamNames(this.managers[mk][fnName], fnName, mk);
                     params = params.split(',').map(i=>{
                         i=i.trim();
@@ -114,13 +122,32 @@ module.exports = class ApiHandler {
                 result = await targetModule[`${fnName}`](data);
             } catch (err){
                 console.log(`error`, err);
-                result.error = `${fnName} failed to execute`;
+                result = internalError(`${fnName} failed to execute`);
             }
     
         if(cb)cb(result);
         return result;
     }
 
+    /** check the call against the policy declared by its manager */
+    async _authorize({moduleName, fnName, token, data}){
+        /** api keys only reach the operations they were scoped to */
+        if(token && token.apiKeyId && !token.scopes.includes(`${moduleName}.${fnName}`)){
+            return forbidden(`This API key is not allowed to call ${moduleName}.${fnName}`);
+        }
+        try {
+            return await authorize({
+                policy: this.managers[moduleName].policies[fnName],
+                token,
+                data,
+                mongomodels: this.mongomodels,
+            });
+        } catch (err){
+            console.log(`error`, err);
+            return internalError(`${fnName} failed to execute`);
+        }
+    }
+
      /** a middle for executing admin apis trough HTTP */
     async mw(req, res, next){
 
@@ -131,41 +158,73 @@ module.exports = class ApiHandler {
         let moduleMatrix  = this.methodMatrix[moduleName];
 
         /** validate module */
-        if(!moduleMatrix) return this.managers.responseDispatcher.dispatch(res, {ok: false, message: `module ${moduleName} not found`});
+        if(!moduleMatrix) return this.managers.responseDispatcher.dispatch(res, {ok: false, code: 404, message: `module ${moduleName} not found`});
         
         /** validate method */
         if(!moduleMatrix[method]){
-            return this.managers.responseDispatcher.dispatch(res, {ok: false, message: `unsupported method ${method} for ${moduleName}`});
+            return this.managers.responseDispatcher.dispatch(res, {ok: false, code: 405, message: `unsupported method ${method} for ${moduleName}`});
         }
 
         if(!moduleMatrix[method].includes(fnName)){
-            return this.managers.responseDispatcher.dispatch(res, {ok: false, message: `unable to find function ${fnName} with method ${method}`});
+            return this.managers.responseDispatcher.dispatch(res, {ok: false, code: 404, message: `unable to find function ${fnName} with method ${method}`});
         }
 
         // console.log(`${moduleName}.${fnName}`);
 
         let targetStack = this.mwsStack[`${moduleName}.${fnName}`];
 
+        /** an api key is accepted wherever a long token is expected */
+        if(req.headers['x-api-key'] && !req.headers.token){
+            targetStack = targetStack.map(mw => mw === '__longToken' ? '__apiKey' : mw);
+        }
+
         let hotBolt = this.mwsExec.createBolt({stack: targetStack, req, res, onDone: async ({req, res, results})=>{
 
             /** executed after all middleware finished */
 
-            let body = req.body || {};
-            let result = await this._exec({targetModule: this.managers[moduleName], fnName, data: {
+            /** managers read the key's identity as their long token */
+            if(results.__apiKey) results.__longToken = results.__apiKey;
+
+            /** text bodies are only available through __rawBody */
+            let body = (req.body && typeof req.body === 'object') ? req.body : {};
+            let data = {
                 ...body, 
                 ...results,
                 res,
-            }});
+            };
+
+            /** every mutating call is audited */
+            let audit = (method !== 'get' && this.managers.audit)
+                ? await this.managers.audit.begin({ moduleName, fnName, data })
+                : null;
+
+            let token = results.__longToken || results.__shortToken || results.__token;
+
+            /** denied calls are audited like failed ones */
+            let result = await this._authorize({moduleName, fnName, token, data});
+            if(!result) result = await this._exec({targetModule: this.managers[moduleName], fnName, data});
             if(!result)result={}
 
+            if(audit){
+                await this.managers.audit.record(audit, {
+                    result,
+                    token,
+                    device: results.__device,
+                });
+            }
+
             if(result.selfHandleResponse){
                 // do nothing if response handeled
             } else {
                 
-                if(result.errors){
-                    return this.managers.responseDispatcher.dispatch(res, {ok: false, errors: result.errors});
-                } else if(result.error){
-                    return this.managers.responseDispatcher.dispatch(res, {ok: false, message: result.error});
+                /** managers may attach a status `code`, an `errorCode` and details to failures */
+                let { code, errorCode, error, errors, retryAfter, ...details } = result;
+                /** throttled failures tell the client when to retry, in seconds */
+                if(result.retryAfter) res.set('Retry-After', String(result.retryAfter));
+                if(errors){
+                    return this.managers.responseDispatcher.dispatch(res, {ok: false, code: code || 422, errorCode, errors, details});
+                } else if(error){
+                    return this.managers.responseDispatcher.dispatch(res, {ok: false, code, errorCode, message: error, details});
                 } else {
                     return this.managers.responseDispatcher.dispatch(res, {ok:true, data: result});
                 }
@@ -5,13 +5,25 @@ const {
   encodeBase64,
   decodeBase64
 } = require("tweetnacl-util");
+const { listOf, thumbprint } = require('../_common/keyring.helper');
 
 
 
+/**
+ * content tokens are prefixed with the id of the key that encrypted them,
+ * `<kid>.<base64>`, so NACL_SECRET can be rotated: the new secret encrypts
+ * and the former ones, in NACL_PREVIOUS_SECRETS, still decrypt
+ */
 module.exports = class ContentToken {
 
     constructor({config}){
-      this.nacl_secret = config.dotEnv.NACL_SECRET;
+      this.keys = [config.dotEnv.NACL_SECRET, ...listOf(config.dotEnv.NACL_PREVIOUS_SECRETS)]
+        .filter(Boolean)
+        .map(secret => ({
+          kid: thumbprint({ kty: 'oct', k: Buffer.from(decodeBase64(secret)).toString('base64url') }),
+          key: decodeBase64(secret),
+        }));
+      this.current = this.keys[0];
     }
 
     _newNonce(){
@@ -19,8 +31,7 @@ module.exports = class ContentToken {
     }
 
     encrypt(json) {
-      const key = this.nacl_secret;
-      const keyUint8Array = decodeBase64(key);
+      const { kid, key: keyUint8Array } = this.current;
     
       const nonce = this._newNonce();
       const messageUint8 = decodeUTF8(JSON.stringify(json));
@@ -31,13 +42,23 @@ module.exports = class ContentToken {
       fullMessage.set(box, nonce.length);
     
       const base64FullMessage = encodeBase64(fullMessage);
-      return base64FullMessage;
+      return `${kid}.${base64FullMessage}`;
     }
 
-    decrypt(messageWithNonce) {
+    decrypt(content) {
+      /** tokens encrypted before key ids were added have no prefix */
+      const text = String(content || '');
+      const [kid, messageWithNonce] = text.includes('.') ? text.split('.') : [null, text];
+      const keys = kid ? this.keys.filter(key => key.kid === kid) : this.keys;
+      for (const { key } of keys) {
+        const json = this._open(messageWithNonce, key);
+        if (json !== false) return json;
+      }
+      return false;
+    }
+
+    _open(messageWithNonce, keyUint8Array) {
       try {
-        const key = this.nacl_secret;
-        const keyUint8Array = decodeBase64(key);
         const messageWithNonceAsUint8Array = decodeBase64(messageWithNonce);
         const nonce = messageWithNonceAsUint8Array.slice(0, secretbox.nonceLength);
         const message = messageWithNonceAsUint8Array.slice(
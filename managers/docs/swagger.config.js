@@ -20,6 +20,7 @@ Authorization: Bearer <your_token>
 ## Roles
 - **superadmin**: Full access to all resources across all schools
 - **school_admin**: Limited access to their assigned school's resources
+- **teacher**: Read-only access to their assigned classrooms and students
 
 ## Rate Limiting
 - General endpoints: 100 requests per 15 minutes
@@ -42,6 +43,12 @@ Authorization: Bearer <your_token>
                     scheme: 'bearer',
                     bearerFormat: 'JWT',
                     description: 'Enter your long token'
+                },
+                apiKeyAuth: {
+                    type: 'apiKey',
+                    in: 'header',
+                    name: 'x-api-key',
+                    description: 'API key of an integration, limited to the operations in its scopes'
                 }
             },
             schemas: {
@@ -53,10 +60,10 @@ Authorization: Bearer <your_token>
                         email: { type: 'string', format: 'email', description: 'Email address' },
                         role: { 
                             type: 'string', 
-                            enum: ['superadmin', 'school_admin'],
+                            enum: ['superadmin', 'school_admin', 'teacher'],
                             description: 'User role'
                         },
-                        schoolId: { type: 'string', description: 'Associated school ID (for school_admin)' },
+                        schoolId: { type: 'string', description: 'Associated school ID (for school_admin and teacher)' },
                         createdAt: { type: 'string', format: 'date-time' },
                         updatedAt: { type: 'string', format: 'date-time' }
                     }
@@ -141,7 +148,17 @@ Authorization: Bearer <your_token>
                 Error: {
                     type: 'object',
                     properties: {
-                        error: { type: 'string', description: 'Error message' }
+                        ok: { type: 'boolean', example: false },
+                        message: { type: 'string', description: 'Error message' },
+                        errorCode: {
+                            type: 'string',
+                            enum: ['BAD_REQUEST', 'UNAUTHORIZED', 'FORBIDDEN', 'NOT_FOUND', 'METHOD_NOT_ALLOWED', 'CONFLICT', 'VALIDATION_FAILED', 'RATE_LIMITED', 'INTERNAL_ERROR'],
+                            description: 'Machine-readable error code'
+                        },
+                        details: {
+                            type: 'object',
+                            description: 'What the failure was about, when the error carries more (e.g. invalidStudentIds)'
+                        }
                     }
                 },
                 ValidationError: {
@@ -165,7 +182,11 @@ Authorization: Bearer <your_token>
                         page: { type: 'integer', description: 'Current page number' },
                         limit: { type: 'integer', description: 'Items per page' },
                         total: { type: 'integer', description: 'Total number of items' },
-                        pages: { type: 'integer', description: 'Total number of pages' }
+                        pages: { type: 'integer', description: 'Total number of pages (page mode)' },
+                        sortBy: { type: 'string', description: 'Field the list is sorted by' },
+                        sortOrder: { type: 'string', enum: ['asc', 'desc'] },
+                        nextCursor: { type: 'string', nullable: true, description: 'Send as `after` for the next rows' },
+                        prevCursor: { type: 'string', nullable: true, description: 'Send as `before` for the previous rows' }
                     }
                 }
             },
@@ -175,7 +196,7 @@ Authorization: Bearer <your_token>
                     content: {
                         'application/json': {
                             schema: { $ref: '#/components/schemas/Error' },
-                            example: { error: 'Authentication required' }
+                            example: { ok: false, message: 'Authentication required', errorCode: 'UNAUTHORIZED' }
                         }
                     }
                 },
@@ -184,7 +205,7 @@ Authorization: Bearer <your_token>
                     content: {
                         'application/json': {
                             schema: { $ref: '#/components/schemas/Error' },
-                            example: { error: 'Access denied' }
+                            example: { ok: false, message: 'Access denied', errorCode: 'FORBIDDEN' }
                         }
                     }
                 },
@@ -193,7 +214,7 @@ Authorization: Bearer <your_token>
                     content: {
                         'application/json': {
                             schema: { $ref: '#/components/schemas/Error' },
-                            example: { error: 'Resource not found' }
+                            example: { ok: false, message: 'Resource not found', errorCode: 'NOT_FOUND' }
                         }
                     }
                 }
@@ -211,7 +232,7 @@ Authorization: Bearer <your_token>
                 post: {
                     tags: ['Authentication'],
                     summary: 'Register a new user',
-                    description: 'Create a new user account. For school_admin role, schoolId is required.',
+                    description: 'Create a new user account. For school_admin and teacher roles, schoolId is required.',
                     requestBody: {
                         required: true,
                         content: {
@@ -225,12 +246,12 @@ Authorization: Bearer <your_token>
                                         password: { type: 'string', minLength: 8, example: 'SecurePass123!' },
                                         role: { 
                                             type: 'string', 
-                                            enum: ['superadmin', 'school_admin'],
+                                            enum: ['superadmin', 'school_admin', 'teacher'],
                                             example: 'school_admin'
                                         },
                                         schoolId: { 
                                             type: 'string', 
-                                            description: 'Required for school_admin role',
+                                            description: 'Required for school_admin and teacher roles',
                                             example: '507f1f77bcf86cd799439011'
                                         }
                                     }
@@ -426,6 +447,10 @@ Authorization: Bearer <your_token>
                     parameters: [
                         { name: 'page', in: 'query', schema: { type: 'integer', default: 1 }, description: 'Page number' },
                         { name: 'limit', in: 'query', schema: { type: 'integer', default: 10 }, description: 'Items per page' },
+                        { name: 'after', in: 'query', schema: { type: 'string' }, description: 'Cursor to continue after (`nextCursor`), instead of page' },
+                        { name: 'before', in: 'query', schema: { type: 'string' }, description: 'Cursor to continue before (`prevCursor`), instead of page' },
+                        { name: 'sortOrder', in: 'query', schema: { type: 'string', enum: ['asc', 'desc'], default: 'desc' } },
+                        { name: 'sortBy', in: 'query', schema: { type: 'string', enum: ['createdAt', 'name', 'establishedYear'], default: 'createdAt' } },
                         { name: 'search', in: 'query', schema: { type: 'string' }, description: 'Search by school name' },
                         { name: 'isActive', in: 'query', schema: { type: 'boolean' }, description: 'Filter by active status' }
                     ],
@@ -638,6 +663,10 @@ Authorization: Bearer <your_token>
                         { name: 'schoolId', in: 'query', schema: { type: 'string' }, description: 'Filter by school ID (superadmin only)' },
                         { name: 'page', in: 'query', schema: { type: 'integer', default: 1 }, description: 'Page number' },
                         { name: 'limit', in: 'query', schema: { type: 'integer', default: 10 }, description: 'Items per page' },
+                        { name: 'after', in: 'query', schema: { type: 'string' }, description: 'Cursor to continue after (`nextCursor`), instead of page' },
+                        { name: 'before', in: 'query', schema: { type: 'string' }, description: 'Cursor to continue before (`prevCursor`), instead of page' },
+                        { name: 'sortOrder', in: 'query', schema: { type: 'string', enum: ['asc', 'desc'], default: 'desc' } },
+                        { name: 'sortBy', in: 'query', schema: { type: 'string', enum: ['createdAt', 'name', 'grade', 'capacity'], default: 'createdAt' } },
                         { name: 'search', in: 'query', schema: { type: 'string' }, description: 'Search by classroom name' },
                         { name: 'grade', in: 'query', schema: { type: 'string' }, description: 'Filter by grade' },
                         { name: 'academicYear', in: 'query', schema: { type: 'string' }, description: 'Filter by academic year' },
@@ -853,6 +882,10 @@ Authorization: Bearer <your_token>
                         { name: 'classroomId', in: 'query', schema: { type: 'string' }, description: 'Filter by classroom ID' },
                         { name: 'page', in: 'query', schema: { type: 'integer', default: 1 }, description: 'Page number' },
                         { name: 'limit', in: 'query', schema: { type: 'integer', default: 10 }, description: 'Items per page' },
+                        { name: 'after', in: 'query', schema: { type: 'string' }, description: 'Cursor to continue after (`nextCursor`), instead of page' },
+                        { name: 'before', in: 'query', schema: { type: 'string' }, description: 'Cursor to continue before (`prevCursor`), instead of page' },
+                        { name: 'sortOrder', in: 'query', schema: { type: 'string', enum: ['asc', 'desc'], default: 'desc' } },
+                        { name: 'sortBy', in: 'query', schema: { type: 'string', enum: ['createdAt', 'lastName', 'firstName', 'enrollmentDate'], default: 'createdAt' } },
                         { name: 'search', in: 'query', schema: { type: 'string' }, description: 'Search by name or email' },
                         { name: 'gender', in: 'query', schema: { type: 'string', enum: ['male', 'female', 'other'] }, description: 'Filter by gender' },
                         { name: 'isActive', in: 'query', schema: { type: 'boolean' }, description: 'Filter by active status' }
@@ -0,0 +1,504 @@
+const { badRequest, notFound, conflict, validationFailed } = require('../../_common/errors.helper');
+const { getEffectiveSchoolId } = require('../../_common/schoolAccess.helper');
+
+/**
+ * Academic Year Manager
+ *
+ * Handles academic years and their terms, the current-year flag
+ * and rolling a school over into the next academic year.
+ * School admins can only manage academic years of their assigned school.
+ * Superadmins can manage academic years of any school.
+ */
+module.exports = class AcademicYear {
+
+    constructor({utils, cache, config, cortex, managers, validators, mongomodels }={}){
+        this.config              = config;
+        this.cortex              = cortex;
+        this.validators          = validators;
+        this.mongomodels         = mongomodels;
+        this.waitlistManager     = managers.waitlist;
+        this.usersCollection     = "academicYears";
+        this.httpExposed         = [
+            'createAcademicYear',
+            'get=getAcademicYears',
+            'get=getAcademicYear',
+            'updateAcademicYear',
+            'setCurrentAcademicYear',
+            'deleteAcademicYear',
+            'rollOverAcademicYear'
+        ];
+        const yearSchool         = { model: 'academicYear', id: 'academicYearId' };
+        this.policies            = {
+            createAcademicYear:     { roles: ['school_admin'], school: 'schoolId' },
+            getAcademicYears:       { roles: ['school_admin'], school: 'schoolId' },
+            getAcademicYear:        { roles: ['school_admin'], school: yearSchool },
+            updateAcademicYear:     { roles: ['school_admin'], school: yearSchool },
+            setCurrentAcademicYear: { roles: ['school_admin'], school: yearSchool },
+            deleteAcademicYear:     { roles: ['school_admin'], school: yearSchool },
+            rollOverAcademicYear:   { roles: ['school_admin'], school: { model: 'academicYear', id: 'fromAcademicYearId' } },
+        };
+    }
+
+    /**
+     * Check that the year dates and its terms are consistent
+     * @param {Object} params
+     * @param {Date|string} params.startDate - Year start date
+     * @param {Date|string} params.endDate - Year end date
+     * @param {Object[]} [params.terms] - Terms with name, startDate and endDate
+     * @returns {string|null} Error message if invalid, null if valid
+     */
+    _checkDates({ startDate, endDate, terms }) {
+        const yearStart = new Date(startDate);
+        const yearEnd = new Date(endDate);
+
+        if (yearStart >= yearEnd) {
+            return 'End date must be after start date';
+        }
+
+        const sortedTerms = (terms || [])
+            .map(term => ({ name: term.name, start: new Date(term.startDate), end: new Date(term.endDate) }))
+            .sort((a, b) => a.start - b.start);
+
+        for (let i = 0; i < sortedTerms.length; i++) {
+            const term = sortedTerms[i];
+            if (term.start >= term.end) {
+                return `Term ${term.name} must end after it starts`;
+            }
+            if (term.start < yearStart || term.end > yearEnd) {
+                return `Term ${term.name} must fall within the academic year`;
+            }
+            if (i > 0 && term.start < sortedTerms[i - 1].end) {
+                return `Term ${term.name} overlaps with term ${sortedTerms[i - 1].name}`;
+            }
+        }
+
+        return null;
+    }
+
+    /**
+     * Rank a grade so that the next grade can be found
+     * @param {string} grade - Grade label (e.g., "10th", "Grade 5")
+     * @param {string[]} [gradeOrder] - Explicit grade order, lowest first
+     * @returns {number|null} Rank, or null if the grade cannot be ranked
+     */
+    _getGradeRank(grade, gradeOrder) {
+        if (!grade) return null;
+        if (Array.isArray(gradeOrder) && gradeOrder.length > 0) {
+            const index = gradeOrder.indexOf(grade);
+            return index >= 0 ? index : null;
+        }
+        const match = grade.match(/\d+/);
+        return match ? parseInt(match[0], 10) : null;
+    }
+
+    /**
+     * Make a single academic year the current one of its school
+     * @param {Object} academicYear - Academic year document
+     */
+    async _markCurrent(academicYear) {
+        await this.mongomodels.academicYear.updateMany(
+            { schoolId: academicYear.schoolId, _id: { $ne: academicYear._id } },
+            { $set: { isCurrent: false } }
+        );
+        academicYear.isCurrent = true;
+        await academicYear.save();
+    }
+
+    /**
+     * Create a new academic year
+     * @param {Object} params - Academic year data
+     * @param {string} [params.schoolId] - School ID (auto-assigned for school_admin)
+     * @param {string} params.name - Academic year name (e.g., "2024-2025")
+     * @param {string} params.startDate - Start date
+     * @param {string} params.endDate - End date
+     * @param {Object[]} [params.terms] - Terms ({ name, startDate, endDate })
+     * @param {boolean} [params.isCurrent] - Make it the school's current year
+     * @param {Object} params.__longToken - Decoded token from middleware
+     */
+    async createAcademicYear({ schoolId, name, startDate, endDate, terms, isCurrent, __longToken }){
+        // Get effective school ID
+        const effectiveSchoolId = getEffectiveSchoolId(__longToken, schoolId);
+
+        // Superadmin must specify schoolId
+        if (__longToken.role === 'superadmin' && !effectiveSchoolId) {
+            return badRequest('School ID is required for superadmin');
+        }
+
+        // Validate input
+        let result = await this.validators.academicYear.createAcademicYear({ academicYear: name, startDate, endDate, terms, isCurrent });
+        if(result) return validationFailed(result);
+
+        const datesError = this._checkDates({ startDate, endDate, terms });
+        if (datesError) return badRequest(datesError);
+
+        // Verify school exists
+        const school = await this.mongomodels.school.findById(effectiveSchoolId);
+        if (!school) {
+            return notFound('School not found');
+        }
+        if (!school.isActive) {
+            return conflict('Cannot create academic year in an inactive school');
+        }
+
+        // Check for duplicate academic year in the same school
+        const existingYear = await this.mongomodels.academicYear.findOne({ schoolId: effectiveSchoolId, name });
+        if (existingYear) {
+            return conflict('This academic year already exists in this school');
+        }
+
+        const createdYear = await this.mongomodels.academicYear.create({
+            schoolId: effectiveSchoolId,
+            name,
+            startDate: new Date(startDate),
+            endDate: new Date(endDate),
+            terms: terms || [],
+            createdBy: __longToken.userId
+        });
+
+        if (isCurrent === true || isCurrent === 'true') {
+            await this._markCurrent(createdYear);
+        }
+
+        return {
+            academicYear: createdYear.toJSON()
+        };
+    }
+
+    /**
+     * Get the academic years of a school
+     * @param {Object} params - Query parameters
+     * @param {string} [params.schoolId] - School ID (auto-assigned for school_admin)
+     * @param {boolean} [params.isActive] - Filter by active status
+     * @param {Object} params.__longToken - Decoded token from middleware
+     */
+    async getAcademicYears({ schoolId, isActive, __longToken }){
+        // Get effective school ID
+        const effectiveSchoolId = getEffectiveSchoolId(__longToken, schoolId);
+
+        if (!effectiveSchoolId) {
+            return badRequest('School ID is required for superadmin');
+        }
+
+        const query = { schoolId: effectiveSchoolId };
+
+        if (typeof isActive !== 'undefined') {
+            query.isActive = isActive === 'true' || isActive === true;
+        }
+
+        const academicYears = await this.mongomodels.academicYear
+            .find(query)
+            .sort({ startDate: -1 })
+            .lean();
+
+        return { academicYears };
+    }
+
+    /**
+     * Get a single academic year by ID
+     * @param {Object} params - Request parameters
+     * @param {string} params.academicYearId - Academic year ID
+     * @param {Object} params.__longToken - Decoded token from middleware
+     */
+    async getAcademicYear({ academicYearId, __longToken }){
+        if (!academicYearId) {
+            return badRequest('Academic year ID is required');
+        }
+
+        const academicYear = await this.mongomodels.academicYear
+            .findById(academicYearId)
+            .populate('schoolId', 'name');
+
+        if (!academicYear) {
+            return notFound('Academic year not found');
+        }
+
+        const [classroomCount, studentCount] = await Promise.all([
+            this.mongomodels.classroom.countDocuments({ academicYearId, isActive: true }),
+            this.mongomodels.student.countDocuments({ academicYearId, isActive: true })
+        ]);
+
+        return {
+            academicYear: {
+                ...academicYear.toJSON(),
+                classroomCount,
+                studentCount
+            }
+        };
+    }
+
+    /**
+     * Update academic year dates and terms
+     * @param {Object} params - Update data
+     * @param {string} params.academicYearId - Academic year ID (required)
+     * @param {string} [params.startDate] - Start date
+     * @param {string} [params.endDate] - End date
+     * @param {Object[]} [params.terms] - Replaces all terms ({ name, startDate, endDate })
+     * @param {Object} params.__longToken - Decoded token from middleware
+     */
+    async updateAcademicYear({ academicYearId, startDate, endDate, terms, __longToken }){
+        if (!academicYearId) {
+            return badRequest('Academic year ID is required');
+        }
+
+        let result = await this.validators.academicYear.updateAcademicYear({ academicYearId, startDate, endDate, terms });
+        if(result) return validationFailed(result);
+
+        const academicYear = await this.mongomodels.academicYear.findById(academicYearId);
+
+        if (!academicYear) {
+            return notFound('Academic year not found');
+        }
+
+        const datesError = this._checkDates({
+            startDate: startDate !== undefined ? startDate : academicYear.startDate,
+            endDate: endDate !== undefined ? endDate : academicYear.endDate,
+            terms: terms !== undefined ? terms : academicYear.terms
+        });
+        if (datesError) return badRequest(datesError);
+
+        if (startDate !== undefined) academicYear.startDate = new Date(startDate);
+        if (endDate !== undefined) academicYear.endDate = new Date(endDate);
+        if (terms !== undefined) academicYear.terms = terms;
+
+        await academicYear.save();
+
+        return { academicYear: academicYear.toJSON() };
+    }
+
+    /**
+     * Make an academic year the current one of its school
+     * @param {Object} params - Request parameters
+     * @param {string} params.academicYearId - Academic year ID
+     * @param {Object} params.__longToken - Decoded token from middleware
+     */
+    async setCurrentAcademicYear({ academicYearId, __longToken }){
+        if (!academicYearId) {
+            return badRequest('Academic year ID is required');
+        }
+
+        const academicYear = await this.mongomodels.academicYear.findById(academicYearId);
+
+        if (!academicYear) {
+            return notFound('Academic year not found');
+        }
+
+        if (!academicYear.isActive) {
+            return conflict('Cannot make an inactive academic year current');
+        }
+
+        await this._markCurrent(academicYear);
+
+        return { academicYear: academicYear.toJSON() };
+    }
+
+    /**
+     * Soft delete an academic year
+     * @param {Object} params - Request parameters
+     * @param {string} params.academicYearId - Academic year ID
+     * @param {Object} params.__longToken - Decoded token from middleware
+     */
+    async deleteAcademicYear({ academicYearId, __longToken }){
+        if (!academicYearId) {
+            return badRequest('Academic year ID is required');
+        }
+
+        const academicYear = await this.mongomodels.academicYear.findById(academicYearId);
+
+        if (!academicYear) {
+            return notFound('Academic year not found');
+        }
+
+        if (!academicYear.isActive) {
+            return conflict('Academic year is already inactive');
+        }
+
+        if (academicYear.isCurrent) {
+            return conflict('Cannot delete the current academic year. Make another year current first.');
+        }
+
+        const activeClassrooms = await this.mongomodels.classroom.countDocuments({ academicYearId, isActive: true });
+        if (activeClassrooms > 0) {
+            return conflict(
+                'Cannot delete academic year with active classrooms. Please deactivate them first.',
+                { activeClassrooms }
+            );
+        }
+
+        // Soft delete
+        academicYear.isActive = false;
+        await academicYear.save();
+
+        return {
+            message: 'Academic year deleted successfully',
+            academicYear: academicYear.toJSON()
+        };
+    }
+
+    /**
+     * Roll a school over into the next academic year.
+     * Clones the classrooms of the source year into the target year and
+     * promotes every enrolled student into a classroom of the next grade,
+     * preferring the same section, as long as it has a free seat. Students
+     * of the last grade graduate out of their classroom. Waitlists of the
+     * source classrooms are cancelled.
+     * @param {Object} params - Roll over data
+     * @param {string} params.fromAcademicYearId - Year to roll over from
+     * @param {string} params.toAcademicYearId - Year to roll over into
+     * @param {boolean} [params.promoteStudents=true] - Promote students by grade
+     * @param {boolean} [params.setCurrent=true] - Make the target year current
+     * @param {string[]} [params.gradeOrder] - Grade labels lowest first (defaults to numeric grades)
+     * @param {Object} params.__longToken - Decoded token from middleware
+     */
+    async rollOverAcademicYear({ fromAcademicYearId, toAcademicYearId, promoteStudents = true, setCurrent = true, gradeOrder, __longToken }){
+        let result = await this.validators.academicYear.rollOverAcademicYear({ fromAcademicYearId, toAcademicYearId });
+        if(result) return validationFailed(result);
+
+        if (fromAcademicYearId === toAcademicYearId) {
+            return badRequest('Cannot roll over an academic year into itself');
+        }
+
+        const [fromYear, toYear] = await Promise.all([
+            this.mongomodels.academicYear.findById(fromAcademicYearId),
+            this.mongomodels.academicYear.findById(toAcademicYearId)
+        ]);
+
+        if (!fromYear) {
+            return notFound('Source academic year not found');
+        }
+        if (!toYear) {
+            return notFound('Target academic year not found');
+        }
+
+        if (fromYear.schoolId.toString() !== toYear.schoolId.toString()) {
+            return badRequest('Academic years belong to different schools');
+        }
+        if (!toYear.isActive) {
+            return conflict('Cannot roll over into an inactive academic year');
+        }
+        if (toYear.startDate <= fromYear.startDate) {
+            return badRequest('Target academic year must start after the source academic year');
+        }
+
+        // Clone classrooms into the target year, skipping names that already exist there
+        const sourceClassrooms = await this.mongomodels.classroom
+            .find({ academicYearId: fromYear._id, isActive: true })
+            .lean();
+        const existingTargets = await this.mongomodels.classroom
+            .find({ academicYearId: toYear._id, isActive: true })
+            .lean();
+        // Names are unique per school and year name, inactive classrooms included
+        const takenNames = await this.mongomodels.classroom.distinct('name', {
+            schoolId: toYear.schoolId,
+            $or: [{ academicYearId: toYear._id }, { academicYear: toYear.name }]
+        });
+        const existingNames = new Set(takenNames.map(name => name.toLowerCase()));
+
+        const clones = sourceClassrooms
+            .filter(c => !existingNames.has(c.name.toLowerCase()))
+            .map(c => ({
+                schoolId: c.schoolId,
+                name: c.name,
+                capacity: c.capacity,
+                grade: c.grade,
+                section: c.section,
+                resources: c.resources,
+                academicYear: toYear.name,
+                academicYearId: toYear._id,
+                createdBy: __longToken.userId
+            }));
+        let createdClassrooms = [];
+        try {
+            if (clones.length > 0) createdClassrooms = await this.mongomodels.classroom.insertMany(clones);
+        } catch (err) {
+            // A classroom of the same name was created meanwhile
+            if (err.code === 11000) {
+                return conflict('A classroom with the same name already exists in the target academic year');
+            }
+            throw err;
+        }
+
+        const summary = {
+            classroomsCloned: createdClassrooms.length,
+            studentsPromoted: 0,
+            studentsGraduated: 0,
+            studentsUnplaced: []
+        };
+
+        if (promoteStudents === true || promoteStudents === 'true') {
+            const targetClassrooms = existingTargets.concat(createdClassrooms.map(c => c.toObject()));
+
+            // The source year is over: nobody waits for its classrooms any longer
+            await this.waitlistManager.cancel({ classroomId: { $in: sourceClassrooms.map(c => c._id) } });
+
+            const sourceById = {};
+            sourceClassrooms.forEach(c => { sourceById[c._id.toString()] = c; });
+
+            const students = await this.mongomodels.student
+                .find({ classroomId: { $in: sourceClassrooms.map(c => c._id) }, isActive: true })
+                .select('_id classroomId')
+                .lean();
+
+            // Seats left in each source classroom, given back once its students moved
+            const seatsLeft = {};
+
+            for (const student of students) {
+                const source = sourceById[student.classroomId.toString()];
+                const rank = this._getGradeRank(source.grade, gradeOrder);
+                const candidates = rank === null ? [] : targetClassrooms.filter(c =>
+                    this._getGradeRank(c.grade, gradeOrder) === rank + 1
+                );
+                const graduates = rank !== null && candidates.length === 0;
+
+                // Prefer the same section, then any classroom of the next grade.
+                // Seats are taken through the classroom counter, like any enrollment.
+                const ordered = candidates
+                    .filter(c => c.section === source.section)
+                    .concat(candidates.filter(c => c.section !== source.section));
+                let target = null;
+                for (const candidate of ordered) {
+                    if (await this.mongomodels.classroom.reserveSeats(candidate._id)) {
+                        target = candidate;
+                        break;
+                    }
+                }
+
+                // Only move students still seated in the source classroom
+                const moved = await this.mongomodels.student.updateOne(
+                    { _id: student._id, classroomId: source._id, isActive: true },
+                    { $set: { classroomId: target ? target._id : null, academicYearId: toYear._id } }
+                );
+                if (moved.modifiedCount === 0) {
+                    if (target) await this.mongomodels.classroom.releaseSeats(target._id);
+                    continue;
+                }
+                seatsLeft[source._id.toString()] = (seatsLeft[source._id.toString()] || 0) + 1;
+
+                if (target) {
+                    summary.studentsPromoted++;
+                } else if (graduates) {
+                    // No next grade in the school: the student graduates out of classrooms
+                    summary.studentsGraduated++;
+                } else {
+                    summary.studentsUnplaced.push(student._id);
+                }
+            }
+
+            for (const [sourceId, seats] of Object.entries(seatsLeft)) {
+                await this.mongomodels.classroom.releaseSeats(sourceId, seats);
+            }
+        }
+
+        toYear.rolledOverFrom = fromYear._id;
+        await toYear.save();
+
+        if (setCurrent === true || setCurrent === 'true') {
+            await this._markCurrent(toYear);
+        }
+
+        return {
+            message: 'Academic year rolled over successfully',
+            academicYear: toYear.toJSON(),
+            rollOver: summary
+        };
+    }
+}
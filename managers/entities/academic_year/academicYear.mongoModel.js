@@ -0,0 +1,83 @@
+const mongoose = require('mongoose');
+
+const termSchema = new mongoose.Schema({
+    name: {
+        type: String,
+        required: [true, 'Term name is required'],
+        trim: true,
+        maxlength: [100, 'Term name cannot exceed 100 characters']
+    },
+    startDate: {
+        type: Date,
+        required: [true, 'Term start date is required']
+    },
+    endDate: {
+        type: Date,
+        required: [true, 'Term end date is required']
+    }
+}, { _id: true });
+
+const academicYearSchema = new mongoose.Schema({
+    name: {
+        type: String,
+        required: [true, 'Academic year name is required'],
+        trim: true,
+        match: [/^\d{4}-\d{4}$/, 'Academic year must be in format YYYY-YYYY (e.g., 2024-2025)']
+    },
+    schoolId: {
+        type: mongoose.Schema.Types.ObjectId,
+        ref: 'School',
+        required: [true, 'School reference is required']
+    },
+    startDate: {
+        type: Date,
+        required: [true, 'Start date is required']
+    },
+    endDate: {
+        type: Date,
+        required: [true, 'End date is required'],
+        validate: {
+            validator: function(value) {
+                return !this.startDate || value > this.startDate;
+            },
+            message: 'End date must be after start date'
+        }
+    },
+    terms: [termSchema],
+    isCurrent: {
+        type: Boolean,
+        default: false
+    },
+    isActive: {
+        type: Boolean,
+        default: true
+    },
+    rolledOverFrom: {
+        type: mongoose.Schema.Types.ObjectId,
+        ref: 'AcademicYear'
+    },
+    createdBy: {
+        type: mongoose.Schema.Types.ObjectId,
+        ref: 'User',
+        required: [true, 'Creator reference is required']
+    }
+}, {
+    timestamps: true
+});
+
+// A school can only define each academic year once
+academicYearSchema.index({ schoolId: 1, name: 1 }, { unique: true });
+academicYearSchema.index({ schoolId: 1, isCurrent: 1 });
+
+// Virtual for getting classrooms of the year
+academicYearSchema.virtual('classrooms', {
+    ref: 'Classroom',
+    localField: '_id',
+    foreignField: 'academicYearId'
+});
+
+// Enable virtuals in JSON
+academicYearSchema.set('toJSON', { virtuals: true });
+academicYearSchema.set('toObject', { virtuals: true });
+
+module.exports = mongoose.model('AcademicYear', academicYearSchema);
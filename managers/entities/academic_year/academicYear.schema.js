@@ -0,0 +1,100 @@
+/**
+ * Academic Year Validation Schemas
+ * Defines validation rules for academic year and term operations
+ */
+module.exports = {
+    createAcademicYear: [
+        {
+            model: 'academicYear',
+            required: true,
+            path: 'academicYear',
+        },
+        {
+            model: 'startDate',
+            required: true,
+            path: 'startDate',
+        },
+        {
+            model: 'endDate',
+            required: true,
+            path: 'endDate',
+        },
+        {
+            model: 'terms',
+            required: false,
+            path: 'terms',
+        },
+        {
+            model: 'isCurrent',
+            required: false,
+            path: 'isCurrent',
+        },
+    ],
+    getAcademicYears: [
+        {
+            model: 'schoolId',
+            required: false,
+            path: 'schoolId',
+        },
+        {
+            model: 'isActive',
+            required: false,
+            path: 'isActive',
+        },
+    ],
+    getAcademicYear: [
+        {
+            model: 'academicYearId',
+            required: true,
+            path: 'academicYearId',
+        },
+    ],
+    updateAcademicYear: [
+        {
+            model: 'academicYearId',
+            required: true,
+            path: 'academicYearId',
+        },
+        {
+            model: 'startDate',
+            required: false,
+            path: 'startDate',
+        },
+        {
+            model: 'endDate',
+            required: false,
+            path: 'endDate',
+        },
+        {
+            model: 'terms',
+            required: false,
+            path: 'terms',
+        },
+    ],
+    setCurrentAcademicYear: [
+        {
+            model: 'academicYearId',
+            required: true,
+            path: 'academicYearId',
+        },
+    ],
+    deleteAcademicYear: [
+        {
+            model: 'academicYearId',
+            required: true,
+            path: 'academicYearId',
+        },
+    ],
+    rollOverAcademicYear: [
+        {
+            model: 'fromAcademicYearId',
+            required: true,
+            path: 'fromAcademicYearId',
+        },
+        {
+            model: 'toAcademicYearId',
+            required: true,
+            path: 'toAcademicYearId',
+        },
+    ],
+}
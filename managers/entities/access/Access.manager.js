@@ -0,0 +1,194 @@
+const { badRequest, forbidden, notFound, validationFailed } = require('../../_common/errors.helper');
+const { schoolNodeOf, isGrantedOn } = require('../../_common/schoolAccess.helper');
+
+/**
+ * Access Manager
+ *
+ * Manages direct grants on the school permission tree
+ * (school.classroom.student, see static_arch/main.system.js), e.g.
+ * audit access to a single classroom. Grants are kept by SharkFin and
+ * add to what users hold through their school role.
+ * Managing the grants of a node needs config access to it, which school
+ * admins hold on their schools and superadmins everywhere.
+ */
+module.exports = class Access {
+
+    constructor({utils, cache, config, cortex, managers, validators, mongomodels }={}){
+        this.config              = config;
+        this.cortex              = cortex;
+        this.validators          = validators;
+        this.mongomodels         = mongomodels;
+        this.shark               = managers.shark;
+        this.usersCollection     = "access";
+        this.httpExposed         = [
+            'grantAccess',
+            'revokeAccess',
+            'get=getGrants'
+        ];
+        /** config access to the node is checked by the methods */
+        this.policies            = {
+            grantAccess:  'authenticated',
+            revokeAccess: 'authenticated',
+            getGrants:    'authenticated',
+        };
+        this.auditTargets        = {
+            grantAccess: ({ userId }) => userId,
+            revokeAccess: ({ userId }) => userId,
+        };
+    }
+
+    /**
+     * Resolve the node of the one record a grant is about
+     * @param {Object} params
+     * @param {string} [params.schoolId] - School ID
+     * @param {string} [params.classroomId] - Classroom ID
+     * @param {string} [params.studentId] - Student ID
+     * @returns {Promise<Object>} { node: { schoolId, classroomId, studentId } } or an error object
+     */
+    async _resolveNode({ schoolId, classroomId, studentId }) {
+        const given = [schoolId, classroomId, studentId].filter(Boolean);
+        if (given.length !== 1) {
+            return badRequest('Exactly one of schoolId, classroomId or studentId is required');
+        }
+
+        if (studentId) {
+            const student = await this.mongomodels.student.findById(studentId).select('schoolId classroomId').lean();
+            if (!student) {
+                return notFound('Student not found');
+            }
+            return { node: {
+                schoolId: student.schoolId.toString(),
+                classroomId: student.classroomId ? student.classroomId.toString() : null,
+                studentId,
+            } };
+        }
+        if (classroomId) {
+            const classroom = await this.mongomodels.classroom.findById(classroomId).select('schoolId').lean();
+            if (!classroom) {
+                return notFound('Classroom not found');
+            }
+            return { node: { schoolId: classroom.schoolId.toString(), classroomId } };
+        }
+
+        const school = await this.mongomodels.school.findById(schoolId).select('_id').lean();
+        if (!school) {
+            return notFound('School not found');
+        }
+        return { node: { schoolId } };
+    }
+
+    /**
+     * Resolve the node of a grant request and check the caller may manage it
+     * @param {Object} params - Request parameters
+     * @returns {Promise<Object>} { node, user } or an error object
+     */
+    async _managedNode({ userId, schoolId, classroomId, studentId, __longToken }) {
+        if (userId === __longToken.userId) {
+            return badRequest('You cannot change your own access');
+        }
+
+        const resolved = await this._resolveNode({ schoolId, classroomId, studentId });
+        if (resolved.error) return resolved;
+
+        if (!(await isGrantedOn(this.shark, __longToken, { ...resolved.node, action: 'config' }))) {
+            return forbidden('Access denied. You need config access to manage grants on this node.');
+        }
+
+        const user = await this.mongomodels.user.findById(userId).select('username role isActive').lean();
+        if (!user) {
+            return notFound('User not found');
+        }
+
+        return { node: resolved.node, user };
+    }
+
+    /**
+     * Grant a user an action on a school, classroom or student
+     * @param {Object} params - Grant data
+     * @param {string} params.userId - User to grant (required)
+     * @param {string} params.action - Action (blocked, none, read, audit, write, delete, config)
+     * @param {string} [params.schoolId] - School to grant on
+     * @param {string} [params.classroomId] - Classroom to grant on
+     * @param {string} [params.studentId] - Student to grant on
+     * @param {Object} params.__longToken - Decoded token from middleware
+     */
+    async grantAccess({ userId, action, schoolId, classroomId, studentId, __longToken }){
+        // Validate input
+        let result = await this.validators.access.grantAccess({ userId, action, schoolId, classroomId, studentId });
+        if(result) return validationFailed(result);
+
+        const managed = await this._managedNode({ userId, schoolId, classroomId, studentId, __longToken });
+        if (managed.error) return managed;
+
+        const { layer, nodeId } = schoolNodeOf(managed.node);
+        await this.shark.addDirectAccess({ userId, nodeId: nodeId.split('.').at(-1), action });
+
+        return {
+            grant: { userId, username: managed.user.username, layer, nodeId, action }
+        };
+    }
+
+    /**
+     * Remove the direct grant of a user on a school, classroom or student
+     * @param {Object} params - Request parameters
+     * @param {string} params.userId - User to revoke (required)
+     * @param {string} [params.schoolId] - School of the grant
+     * @param {string} [params.classroomId] - Classroom of the grant
+     * @param {string} [params.studentId] - Student of the grant
+     * @param {Object} params.__longToken - Decoded token from middleware
+     */
+    async revokeAccess({ userId, schoolId, classroomId, studentId, __longToken }){
+        // Validate input
+        let result = await this.validators.access.revokeAccess({ userId, schoolId, classroomId, studentId });
+        if(result) return validationFailed(result);
+
+        const managed = await this._managedNode({ userId, schoolId, classroomId, studentId, __longToken });
+        if (managed.error) return managed;
+
+        const { nodeId } = schoolNodeOf(managed.node);
+        await this.shark.removeDirectAccess({ userId, nodeId: nodeId.split('.').at(-1) });
+
+        return { message: 'Access revoked' };
+    }
+
+    /**
+     * List the direct grants of a user (your own unless superadmin)
+     * @param {Object} params - Query parameters
+     * @param {string} [params.userId] - User ID, defaults to the caller
+     * @param {Object} params.__longToken - Decoded token from middleware
+     */
+    async getGrants({ userId, __longToken }){
+        // Validate input
+        let result = await this.validators.access.getGrants({ userId });
+        if(result) return validationFailed(result);
+
+        userId = userId || __longToken.userId;
+        if (userId !== __longToken.userId && __longToken.role !== 'superadmin') {
+            return forbidden('Access denied. Only superadmins can list the grants of other users.');
+        }
+
+        const granted = await this.shark.getDirectAccess({ userId });
+        const ids = granted.map(g => g.nodeId);
+        const [schools, classrooms, students] = await Promise.all([
+            this.mongomodels.school.find({ _id: { $in: ids } }).select('name').lean(),
+            this.mongomodels.classroom.find({ _id: { $in: ids } }).select('name schoolId').lean(),
+            this.mongomodels.student.find({ _id: { $in: ids } }).select('firstName lastName schoolId classroomId').lean(),
+        ]);
+
+        const records = {};
+        schools.forEach(s => { records[s._id] = { name: s.name, ...schoolNodeOf({ schoolId: s._id }) }; });
+        classrooms.forEach(c => { records[c._id] = { name: c.name, ...schoolNodeOf({ schoolId: c.schoolId, classroomId: c._id }) }; });
+        students.forEach(s => {
+            records[s._id] = {
+                name: `${s.firstName} ${s.lastName}`,
+                ...schoolNodeOf({ schoolId: s.schoolId, classroomId: s.classroomId, studentId: s._id })
+            };
+        });
+
+        return {
+            grants: granted
+                .filter(g => records[g.nodeId])
+                .map(g => ({ ...records[g.nodeId], action: this.shark.getActionName({ rank: g.rank }) }))
+        };
+    }
+}
@@ -0,0 +1,62 @@
+/**
+ * Access Validation Schemas
+ * Defines validation rules for direct grant operations
+ */
+module.exports = {
+    grantAccess: [
+        {
+            model: 'userId',
+            required: true,
+            path: 'userId',
+        },
+        {
+            model: 'accessAction',
+            required: true,
+            path: 'action',
+        },
+        {
+            model: 'schoolId',
+            required: false,
+            path: 'schoolId',
+        },
+        {
+            model: 'classroomId',
+            required: false,
+            path: 'classroomId',
+        },
+        {
+            model: 'studentId',
+            required: false,
+            path: 'studentId',
+        },
+    ],
+    revokeAccess: [
+        {
+            model: 'userId',
+            required: true,
+            path: 'userId',
+        },
+        {
+            model: 'schoolId',
+            required: false,
+            path: 'schoolId',
+        },
+        {
+            model: 'classroomId',
+            required: false,
+            path: 'classroomId',
+        },
+        {
+            model: 'studentId',
+            required: false,
+            path: 'studentId',
+        },
+    ],
+    getGrants: [
+        {
+            model: 'userId',
+            required: false,
+            path: 'userId',
+        },
+    ],
+}
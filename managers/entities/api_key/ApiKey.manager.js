@@ -0,0 +1,169 @@
+const getParamNames = require('../../api/_common/getParamNames');
+const { badRequest, notFound, validationFailed } = require('../../_common/errors.helper');
+
+/** used when config.auth.apiKeyTtlDays is not set */
+const DEFAULT_TTL_DAYS = 365;
+
+/** operations on the caller's own account and sessions, meaningless for a key */
+const ACCOUNT_MODULES = ['token', 'user'];
+
+/**
+ * ApiKey Manager
+ *
+ * API keys let machine integrations call the API without logging in as a
+ * person. Superadmins mint a key for one school and a list of
+ * `module.fnName` scopes. The client sends it in the `x-api-key` header
+ * (see mws/__apiKey.mw.js). The ApiHandler accepts it wherever a long
+ * token is expected, and refuses operations outside its scopes.
+ */
+module.exports = class ApiKey {
+
+    constructor({utils, cache, config, cortex, managers, validators, mongomodels }={}){
+        this.config              = config;
+        this.cortex              = cortex;
+        this.validators          = validators;
+        this.mongomodels         = mongomodels;
+        this.managers            = managers;
+        this.ttlDays             = (config && config.auth && config.auth.apiKeyTtlDays) || DEFAULT_TTL_DAYS;
+        this.usersCollection     = "apikeys";
+        this.httpExposed         = [
+            'createApiKey',
+            'get=getApiKeys',
+            'revokeApiKey'
+        ];
+        const superadmin         = { roles: ['superadmin'], message: 'Access denied. Only superadmins can manage API keys.' };
+        this.policies            = {
+            createApiKey: superadmin,
+            getApiKeys:   superadmin,
+            revokeApiKey: superadmin,
+        };
+    }
+
+    /**
+     * Whether a key may be scoped to an operation: an exposed method that
+     * takes a long token, is not superadmin only and is not about an account
+     * @param {string} scope - Operation (`module.fnName`)
+     * @returns {boolean}
+     */
+    _isScopable(scope) {
+        const [moduleName, fnName] = scope.split('.');
+        const manager = this.managers[moduleName];
+        if (ACCOUNT_MODULES.includes(moduleName)) return false;
+        if (!manager || !manager.httpExposed || !manager.policies) return false;
+        if (!manager.httpExposed.some(i => i.split('=').pop() === fnName)) return false;
+
+        const policy = manager.policies[fnName];
+        if (!policy || policy === 'public') return false;
+        if (policy.roles && policy.roles.every(role => role === 'superadmin')) return false;
+
+        return getParamNames(manager[fnName]).split(',')
+            .map(i => i.trim().replace('{', '').replace('}', ''))
+            .includes('__longToken');
+    }
+
+    /**
+     * Create an API key. The key is only returned here.
+     * @param {Object} params - Key data
+     * @param {string} params.name - Label of the integration (required)
+     * @param {string} params.schoolId - School the key acts in (required)
+     * @param {string[]} params.scopes - Allowed operations, e.g. student.createStudent (required)
+     * @param {string} [params.expiresAt] - Expiry, defaults to config.auth.apiKeyTtlDays from now
+     * @param {Object} params.__longToken - Decoded token from middleware
+     */
+    async createApiKey({ name, schoolId, scopes, expiresAt, __longToken }){
+        // Validate input
+        let result = await this.validators.apiKey.createApiKey({ name, schoolId, scopes, expiresAt });
+        if(result) return validationFailed(result);
+
+        if (!scopes.length) {
+            return badRequest('At least one scope is required');
+        }
+        if (expiresAt && !(new Date(expiresAt) > new Date())) {
+            return badRequest('expiresAt must be in the future');
+        }
+
+        const unknown = scopes.filter(scope => !this._isScopable(scope));
+        if (unknown.length) {
+            return badRequest(`Invalid scopes: ${unknown.join(', ')}`);
+        }
+
+        const school = await this.mongomodels.school.findById(schoolId).select('_id').lean();
+        if (!school) {
+            return notFound('School not found');
+        }
+
+        const { apiKey, key } = await this.mongomodels.apiKey.issue({
+            name,
+            schoolId,
+            scopes: [...new Set(scopes)],
+            expiresAt: expiresAt ? new Date(expiresAt) : new Date(Date.now() + this.ttlDays * 24 * 60 * 60 * 1000),
+            createdBy: __longToken.userId,
+        });
+
+        const { keyHash, ...created } = apiKey.toObject();
+        return { apiKey: created, key };
+    }
+
+    /**
+     * List API keys, newest first
+     * @param {Object} params - Query parameters
+     * @param {string} [params.schoolId] - Filter by school
+     * @param {Object} params.__longToken - Decoded token from middleware
+     */
+    async getApiKeys({ schoolId, __longToken }){
+        // Validate input
+        let result = await this.validators.apiKey.getApiKeys({ schoolId });
+        if(result) return validationFailed(result);
+
+        const query = schoolId ? { schoolId } : {};
+        const apiKeys = await this.mongomodels.apiKey
+            .find(query)
+            .select('-keyHash')
+            .populate('schoolId', 'name')
+            .sort({ createdAt: -1 })
+            .lean();
+
+        return { apiKeys };
+    }
+
+    /**
+     * Revoke an API key. Requests using it fail from then on.
+     * @param {Object} params - Request parameters
+     * @param {string} params.apiKeyId - API key ID (required)
+     * @param {Object} params.__longToken - Decoded token from middleware
+     */
+    async revokeApiKey({ apiKeyId, __longToken }){
+        // Validate input
+        let result = await this.validators.apiKey.revokeApiKey({ apiKeyId });
+        if(result) return validationFailed(result);
+
+        const apiKey = await this.mongomodels.apiKey.revoke(apiKeyId);
+        if (!apiKey) {
+            return notFound('No active API key found');
+        }
+
+        return { message: 'API key revoked' };
+    }
+
+    /**
+     * Resolve a presented key to the token it acts with: a school admin
+     * of its school, limited to its scopes. Used by the __apiKey middleware.
+     * @param {Object} params
+     * @param {string} params.key - Key from the x-api-key header
+     * @returns {Promise<Object|null>} Decoded token, null if the key is unknown, expired or revoked
+     */
+    async verifyKey({ key }){
+        const apiKey = await this.mongomodels.apiKey.findUsable(key);
+        if (!apiKey) return null;
+
+        const schoolId = apiKey.schoolId.toString();
+        return {
+            userId: apiKey.createdBy.toString(),
+            apiKeyId: apiKey._id.toString(),
+            role: 'school_admin',
+            schoolId,
+            memberships: [{ schoolId, role: 'school_admin' }],
+            scopes: apiKey.scopes,
+        };
+    }
+}
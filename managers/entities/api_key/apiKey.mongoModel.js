@@ -0,0 +1,119 @@
+const mongoose = require('mongoose');
+const crypto = require('crypto');
+const { nanoid } = require('nanoid');
+
+/** keys are handed out as `sk_<random>`, the prefix tells them apart in listings */
+const KEY_PREFIX = 'sk_';
+const PREFIX_LENGTH = 11;
+
+/**
+ * API key of a machine integration (e.g. an SIS sync job).
+ * A key acts as a school admin of one school and may only call the
+ * `module.fnName` operations listed in its scopes. Only a hash of the
+ * key is stored; the key itself is shown once, when it is created.
+ */
+const apiKeySchema = new mongoose.Schema({
+    name: {
+        type: String,
+        required: [true, 'Name is required'],
+        trim: true
+    },
+    schoolId: {
+        type: mongoose.Schema.Types.ObjectId,
+        ref: 'School',
+        required: [true, 'School reference is required']
+    },
+    scopes: {
+        type: [String],
+        validate: {
+            validator: (scopes) => scopes.length > 0,
+            message: 'At least one scope is required'
+        }
+    },
+    keyHash: {
+        type: String,
+        required: [true, 'Key hash is required'],
+        unique: true
+    },
+    prefix: {
+        type: String,
+        required: true
+    },
+    expiresAt: {
+        type: Date,
+        required: [true, 'Expiry is required']
+    },
+    lastUsedAt: {
+        type: Date
+    },
+    revokedAt: {
+        type: Date
+    },
+    createdBy: {
+        type: mongoose.Schema.Types.ObjectId,
+        ref: 'User',
+        required: [true, 'Creator reference is required']
+    }
+}, {
+    timestamps: true
+});
+
+apiKeySchema.index({ schoolId: 1, revokedAt: 1 });
+
+const hash = (key) => crypto.createHash('sha256').update(String(key)).digest('hex');
+
+/** Filter of the keys that can still be used */
+const usable = () => ({ revokedAt: null, expiresAt: { $gt: new Date() } });
+
+/**
+ * Create a key
+ * @param {Object} params
+ * @param {string} params.name - Label of the integration
+ * @param {string} params.schoolId - School the key acts in
+ * @param {string[]} params.scopes - Allowed operations (`module.fnName`)
+ * @param {Date} params.expiresAt - When the key stops working
+ * @param {string} params.createdBy - User ID of the superadmin
+ * @returns {Promise<Object>} { apiKey, key }
+ */
+apiKeySchema.statics.issue = async function({ name, schoolId, scopes, expiresAt, createdBy }) {
+    const key = `${KEY_PREFIX}${nanoid(40)}`;
+    const apiKey = await this.create({
+        name,
+        schoolId,
+        scopes,
+        expiresAt,
+        createdBy,
+        keyHash: hash(key),
+        prefix: key.slice(0, PREFIX_LENGTH)
+    });
+    return { apiKey, key };
+};
+
+/**
+ * Find the usable key matching a presented key and record its use
+ * @param {string} key - Key sent by the client
+ * @returns {Promise<Object|null>} API key
+ */
+apiKeySchema.statics.findUsable = async function(key) {
+    if (typeof key !== 'string' || !key.startsWith(KEY_PREFIX)) return null;
+    return this.findOneAndUpdate(
+        { keyHash: hash(key), ...usable() },
+        { $set: { lastUsedAt: new Date() } },
+        { returnDocument: 'after' }
+    ).lean();
+};
+
+/**
+ * Revoke a key that has not been revoked yet
+ * @param {string} apiKeyId - API key ID
+ * @returns {Promise<Object|null>} The revoked key
+ */
+apiKeySchema.statics.revoke = async function(apiKeyId) {
+    return this.findOneAndUpdate(
+        { _id: apiKeyId, revokedAt: null },
+        { $set: { revokedAt: new Date() } },
+        { returnDocument: 'after' }
+    );
+};
+
+module.exports = mongoose.model('ApiKey', apiKeySchema);
@@ -0,0 +1,42 @@
+/**
+ * API Key Validation Schemas
+ * Defines validation rules for API key operations
+ */
+module.exports = {
+    createApiKey: [
+        {
+            model: 'apiKeyName',
+            required: true,
+            path: 'name',
+        },
+        {
+            model: 'schoolId',
+            required: true,
+            path: 'schoolId',
+        },
+        {
+            model: 'apiKeyScopes',
+            required: true,
+            path: 'scopes',
+        },
+        {
+            model: 'expiresAt',
+            required: false,
+            path: 'expiresAt',
+        },
+    ],
+    getApiKeys: [
+        {
+            model: 'schoolId',
+            required: false,
+            path: 'schoolId',
+        },
+    ],
+    revokeApiKey: [
+        {
+            model: 'apiKeyId',
+            required: true,
+            path: 'apiKeyId',
+        },
+    ],
+}
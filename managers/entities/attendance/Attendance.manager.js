@@ -0,0 +1,266 @@
+const mongoose = require('mongoose');
+const { badRequest, notFound, conflict, validationFailed } = require('../../_common/errors.helper');
+const { getEffectiveSchoolId } = require('../../_common/schoolAccess.helper');
+
+const ATTENDANCE_STATUSES = ['present', 'absent', 'late', 'excused'];
+const DAY_MS = 24 * 60 * 60 * 1000;
+
+/**
+ * Attendance Manager
+ *
+ * Handles daily attendance of students in classrooms.
+ * School admins can only manage attendance in their assigned school.
+ * Superadmins can manage attendance in any school.
+ */
+module.exports = class Attendance {
+
+    constructor({utils, cache, config, cortex, managers, validators, mongomodels }={}){
+        this.config              = config;
+        this.cortex              = cortex;
+        this.validators          = validators;
+        this.mongomodels         = mongomodels;
+        this.usersCollection     = "attendances";
+        this.httpExposed         = [
+            'markAttendance',
+            'get=getStudentAttendance',
+            'get=getAttendanceRates'
+        ];
+        const classroomSchool    = { model: 'classroom', id: 'classroomId' };
+        const message            = 'Access denied. You can only access attendance in your assigned school.';
+        this.policies            = {
+            markAttendance:       { roles: ['school_admin'], school: classroomSchool, message },
+            getStudentAttendance: { roles: ['school_admin'], school: { model: 'student', id: 'studentId' }, message },
+            getAttendanceRates:   { roles: ['school_admin'], school: [classroomSchool, 'schoolId'], message },
+        };
+    }
+
+    /**
+     * Normalize a date to the start of its day (UTC)
+     * @param {Date|string} date - Date to normalize
+     * @returns {Date} Start of the day
+     */
+    _toDay(date) {
+        return new Date(new Date(date).toISOString().slice(0, 10));
+    }
+
+    /**
+     * Build a date range query, `to` is inclusive
+     * @param {string} [from] - Range start
+     * @param {string} [to] - Range end
+     * @returns {Object|null} Mongo date condition, or null when unbounded
+     */
+    _dateRange(from, to) {
+        const range = {};
+        if (from) range.$gte = this._toDay(from);
+        if (to) range.$lt = new Date(this._toDay(to).getTime() + DAY_MS);
+        return Object.keys(range).length > 0 ? range : null;
+    }
+
+    /**
+     * Count records per status and compute the attendance rate.
+     * Late counts as attended; excused days are left out of the rate.
+     * @param {Object} counts - Record count per status
+     * @returns {Object} Summary with counts, total and attendanceRate (%)
+     */
+    _summarize(counts) {
+        const summary = { total: 0 };
+        ATTENDANCE_STATUSES.forEach(status => {
+            summary[status] = counts[status] || 0;
+            summary.total += summary[status];
+        });
+        const countable = summary.total - summary.excused;
+        summary.attendanceRate = countable > 0
+            ? Math.round(((summary.present + summary.late) / countable) * 10000) / 100
+            : null;
+        return summary;
+    }
+
+    /**
+     * Mark attendance for a whole classroom on a date.
+     * Existing records of that date are overwritten.
+     * @param {Object} params - Attendance data
+     * @param {string} params.classroomId - Classroom ID (required)
+     * @param {string} params.date - Attendance date (required)
+     * @param {Object[]} params.records - Records ({ studentId, status, note })
+     * @param {string} [params.defaultStatus] - Status for students without a record
+     * @param {Object} params.__longToken - Decoded token from middleware
+     */
+    async markAttendance({ classroomId, date, records, defaultStatus, __longToken }){
+        // Validate input
+        let result = await this.validators.attendance.markAttendance({ classroomId, date, records, defaultStatus });
+        if(result) return validationFailed(result);
+
+        const classroom = await this.mongomodels.classroom.findById(classroomId);
+        if (!classroom) {
+            return notFound('Classroom not found');
+        }
+
+        if (!classroom.isActive) {
+            return conflict('Cannot mark attendance in an inactive classroom');
+        }
+
+        const day = this._toDay(date);
+        if (day > new Date()) {
+            return badRequest('Cannot mark attendance for a future date');
+        }
+
+        // Every record must belong to an active student of the classroom
+        const students = await this.mongomodels.student
+            .find({ classroomId, isActive: true })
+            .select('_id')
+            .lean();
+        const enrolled = new Set(students.map(s => s._id.toString()));
+
+        const statusByStudent = {};
+        const invalidStudentIds = [];
+        for (const record of records) {
+            const studentId = record.studentId.toString();
+            if (!enrolled.has(studentId)) {
+                invalidStudentIds.push(studentId);
+            } else if (statusByStudent[studentId]) {
+                return badRequest(`Student ${studentId} appears more than once`);
+            } else {
+                statusByStudent[studentId] = { status: record.status, note: record.note };
+            }
+        }
+        if (invalidStudentIds.length > 0) {
+            return badRequest('Some students are not enrolled in this classroom', { invalidStudentIds });
+        }
+
+        if (defaultStatus) {
+            enrolled.forEach(studentId => {
+                if (!statusByStudent[studentId]) statusByStudent[studentId] = { status: defaultStatus };
+            });
+        }
+
+        const ops = Object.keys(statusByStudent).map(studentId => ({
+            updateOne: {
+                filter: { studentId, date: day },
+                update: {
+                    $set: {
+                        schoolId: classroom.schoolId,
+                        classroomId: classroom._id,
+                        status: statusByStudent[studentId].status,
+                        note: statusByStudent[studentId].note,
+                        markedBy: __longToken.userId
+                    }
+                },
+                upsert: true
+            }
+        }));
+        if (ops.length > 0) {
+            await this.mongomodels.attendance.bulkWrite(ops);
+        }
+
+        const counts = {};
+        Object.values(statusByStudent).forEach(({ status }) => { counts[status] = (counts[status] || 0) + 1; });
+
+        return {
+            classroomId: classroom._id,
+            date: day,
+            marked: ops.length,
+            unmarked: enrolled.size - ops.length,
+            summary: this._summarize(counts)
+        };
+    }
+
+    /**
+     * Get a student's attendance history
+     * @param {Object} params - Query parameters
+     * @param {string} params.studentId - Student ID (required)
+     * @param {string} [params.from] - Range start date
+     * @param {string} [params.to] - Range end date (inclusive)
+     * @param {Object} params.__longToken - Decoded token from middleware
+     */
+    async getStudentAttendance({ studentId, from, to, __longToken }){
+        let result = await this.validators.attendance.getStudentAttendance({ studentId, from, to });
+        if(result) return validationFailed(result);
+
+        const student = await this.mongomodels.student.findById(studentId);
+        if (!student) {
+            return notFound('Student not found');
+        }
+
+        const query = { studentId };
+        const range = this._dateRange(from, to);
+        if (range) query.date = range;
+
+        const attendance = await this.mongomodels.attendance
+            .find(query)
+            .populate('classroomId', 'name grade section')
+            .sort({ date: -1 })
+            .lean();
+
+        const counts = {};
+        attendance.forEach(({ status }) => { counts[status] = (counts[status] || 0) + 1; });
+
+        return {
+            studentId: student._id,
+            attendance,
+            summary: this._summarize(counts)
+        };
+    }
+
+    /**
+     * Get attendance rates per classroom over a date range
+     * @param {Object} params - Query parameters
+     * @param {string} [params.schoolId] - School ID (auto-assigned for school_admin)
+     * @param {string} [params.classroomId] - Restrict to a single classroom
+     * @param {string} params.from - Range start date (required)
+     * @param {string} params.to - Range end date, inclusive (required)
+     * @param {Object} params.__longToken - Decoded token from middleware
+     */
+    async getAttendanceRates({ schoolId, classroomId, from, to, __longToken }){
+        let result = await this.validators.attendance.getAttendanceRates({ schoolId, classroomId, from, to });
+        if(result) return validationFailed(result);
+
+        if (this._toDay(from) > this._toDay(to)) {
+            return badRequest('The range start must not be after its end');
+        }
+
+        const match = { date: this._dateRange(from, to) };
+
+        if (classroomId) {
+            const classroom = await this.mongomodels.classroom.findById(classroomId);
+            if (!classroom) {
+                return notFound('Classroom not found');
+            }
+            match.classroomId = classroom._id;
+        } else {
+            const effectiveSchoolId = getEffectiveSchoolId(__longToken, schoolId);
+            if (!effectiveSchoolId) {
+                return badRequest('School ID is required for superadmin');
+            }
+            match.schoolId = new mongoose.Types.ObjectId(effectiveSchoolId.toString());
+        }
+
+        const grouped = await this.mongomodels.attendance.aggregate([
+            { $match: match },
+            { $group: { _id: { classroomId: '$classroomId', status: '$status' }, count: { $sum: 1 } } }
+        ]);
+
+        const countsByClassroom = {};
+        grouped.forEach(({ _id, count }) => {
+            const key = _id.classroomId.toString();
+            if (!countsByClassroom[key]) countsByClassroom[key] = {};
+            countsByClassroom[key][_id.status] = count;
+        });
+
+        const classrooms = await this.mongomodels.classroom
+            .find({ _id: { $in: Object.keys(countsByClassroom) } })
+            .select('name grade section')
+            .lean();
+
+        return {
+            from: this._toDay(from),
+            to: this._toDay(to),
+            classrooms: classrooms.map(classroom => ({
+                classroomId: classroom._id,
+                name: classroom.name,
+                grade: classroom.grade,
+                section: classroom.section,
+                ...this._summarize(countsByClassroom[classroom._id.toString()])
+            }))
+        };
+    }
+}
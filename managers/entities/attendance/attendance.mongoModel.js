@@ -0,0 +1,50 @@
+const mongoose = require('mongoose');
+
+const attendanceSchema = new mongoose.Schema({
+    schoolId: {
+        type: mongoose.Schema.Types.ObjectId,
+        ref: 'School',
+        required: [true, 'School reference is required']
+    },
+    classroomId: {
+        type: mongoose.Schema.Types.ObjectId,
+        ref: 'Classroom',
+        required: [true, 'Classroom reference is required']
+    },
+    studentId: {
+        type: mongoose.Schema.Types.ObjectId,
+        ref: 'Student',
+        required: [true, 'Student reference is required']
+    },
+    date: {
+        type: Date,
+        required: [true, 'Attendance date is required']
+    },
+    status: {
+        type: String,
+        enum: {
+            values: ['present', 'absent', 'late', 'excused'],
+            message: 'Status must be present, absent, late, or excused'
+        },
+        required: [true, 'Attendance status is required']
+    },
+    note: {
+        type: String,
+        trim: true,
+        maxlength: [500, 'Note cannot exceed 500 characters']
+    },
+    markedBy: {
+        type: mongoose.Schema.Types.ObjectId,
+        ref: 'User',
+        required: [true, 'Marker reference is required']
+    }
+}, {
+    timestamps: true
+});
+
+// A student has a single attendance record per day
+attendanceSchema.index({ studentId: 1, date: 1 }, { unique: true });
+attendanceSchema.index({ classroomId: 1, date: 1 });
+attendanceSchema.index({ schoolId: 1, date: 1 });
+
+module.exports = mongoose.model('Attendance', attendanceSchema);
@@ -0,0 +1,67 @@
+/**
+ * Attendance Validation Schemas
+ * Defines validation rules for attendance-related operations
+ */
+module.exports = {
+    markAttendance: [
+        {
+            model: 'classroomId',
+            required: true,
+            path: 'classroomId',
+        },
+        {
+            model: 'date',
+            required: true,
+            path: 'date',
+        },
+        {
+            model: 'attendanceRecords',
+            required: true,
+            path: 'records',
+        },
+        {
+            model: 'defaultStatus',
+            required: false,
+            path: 'defaultStatus',
+        },
+    ],
+    getStudentAttendance: [
+        {
+            model: 'studentId',
+            required: true,
+            path: 'studentId',
+        },
+        {
+            model: 'from',
+            required: false,
+            path: 'from',
+        },
+        {
+            model: 'to',
+            required: false,
+            path: 'to',
+        },
+    ],
+    getAttendanceRates: [
+        {
+            model: 'schoolId',
+            required: false,
+            path: 'schoolId',
+        },
+        {
+            model: 'classroomId',
+            required: false,
+            path: 'classroomId',
+        },
+        {
+            model: 'from',
+            required: true,
+            path: 'from',
+        },
+        {
+            model: 'to',
+            required: true,
+            path: 'to',
+        },
+    ],
+}
@@ -0,0 +1,268 @@
+const mongoose = require('mongoose');
+const { badRequest, validationFailed } = require('../../_common/errors.helper');
+
+// Never copied into audit entries
+const REDACTED_FIELDS = ['password', 'keyHash'];
+// Bookkeeping fields that change on every write
+const IGNORED_FIELDS = ['_id', '__v', 'createdAt', 'updatedAt'];
+
+/**
+ * Audit Manager
+ *
+ * Records every mutating call dispatched by the ApiHandler: who made it,
+ * what it targeted and which fields it changed.
+ * The target of a call is the `<module>Id` param (e.g. `schoolId` for
+ * `school.updateSchool`) or the entity the call returns; managers can
+ * override it per function with `auditTargets`.
+ * Only superadmins can read the audit log.
+ */
+module.exports = class Audit {
+
+    constructor({utils, cache, config, cortex, managers, validators, mongomodels }={}){
+        this.config              = config;
+        this.cortex              = cortex;
+        this.validators          = validators;
+        this.mongomodels         = mongomodels;
+        this.managers            = managers;
+        this.usersCollection     = "audits";
+        this.httpExposed         = [
+            'get=getAuditLogs'
+        ];
+        this.policies            = {
+            getAuditLogs: { roles: ['superadmin'], message: 'Access denied. Only superadmins can read the audit log.' },
+        };
+    }
+
+    /**
+     * Load an entity as a plain object without redacted fields
+     * @param {string} entityType - Module name, also the mongo model key
+     * @param {string} entityId - Entity ID
+     * @returns {Promise<Object|null>} Snapshot
+     */
+    async _snapshot(entityType, entityId) {
+        const model = this.mongomodels[entityType];
+        if (!model || !mongoose.isValidObjectId(entityId)) return null;
+
+        const doc = await model.findById(entityId).lean();
+        if (!doc) return null;
+        REDACTED_FIELDS.forEach(field => { delete doc[field]; });
+        return doc;
+    }
+
+    /**
+     * List the top-level fields that differ between two snapshots
+     * @param {Object|null} before - Snapshot before the call
+     * @param {Object|null} after - Snapshot after the call
+     * @returns {Object[]} Changes ({ field, before, after })
+     */
+    _diff(before, after) {
+        const fields = new Set([...Object.keys(before || {}), ...Object.keys(after || {})]);
+        const changes = [];
+        fields.forEach(field => {
+            if (IGNORED_FIELDS.includes(field)) return;
+            const from = before ? before[field] : undefined;
+            const to = after ? after[field] : undefined;
+            if (JSON.stringify(from) !== JSON.stringify(to)) {
+                changes.push({ field, before: from, after: to });
+            }
+        });
+        return changes;
+    }
+
+    /**
+     * Who made a call and from where
+     * @param {Object} [token] - Decoded token of the caller
+     * @param {Object} [device] - Result of the __device middleware
+     * @returns {Object} { actor, ip, userAgent }
+     */
+    _origin(token, device) {
+        const agent = device && device.agent;
+        return {
+            actor: {
+                userId: token && mongoose.isValidObjectId(token.userId) ? token.userId : undefined,
+                role: token ? token.role : undefined,
+                apiKeyId: token && token.apiKeyId ? token.apiKeyId : undefined
+            },
+            ip: device ? device.ip : undefined,
+            userAgent: agent ? (agent.source || String(agent)) : undefined
+        };
+    }
+
+    /**
+     * Resolve the target of a call from its params
+     * @param {string} moduleName - Module name
+     * @param {string} fnName - Function name
+     * @param {Object} data - Params passed to the function
+     * @returns {string|null} Entity ID
+     */
+    _targetOf(moduleName, fnName, data) {
+        const targets = this.managers[moduleName] && this.managers[moduleName].auditTargets;
+        if (targets && targets[fnName]) {
+            return targets[fnName](data) || null;
+        }
+        return data[`${moduleName}Id`] || null;
+    }
+
+    /**
+     * Capture the state of the target before a mutating call runs
+     * @param {Object} params
+     * @param {string} params.moduleName - Module name
+     * @param {string} params.fnName - Function name
+     * @param {Object} params.data - Params passed to the function
+     * @returns {Promise<Object>} Context to pass to record()
+     */
+    async begin({ moduleName, fnName, data }) {
+        const context = { moduleName, fnName, entityId: null, before: null, startedAt: new Date() };
+        try {
+            context.entityId = this._targetOf(moduleName, fnName, data);
+            if (context.entityId) {
+                context.before = await this._snapshot(moduleName, context.entityId);
+            }
+        } catch (err) {
+            console.log('audit snapshot failed', err);
+        }
+        return context;
+    }
+
+    /**
+     * Write the audit entry of a mutating call.
+     * Failures are logged and never break the call itself.
+     * @param {Object} context - Context from begin()
+     * @param {Object} params
+     * @param {Object} params.result - What the function returned
+     * @param {Object} [params.token] - Decoded token of the caller
+     * @param {Object} [params.device] - Result of the __device middleware
+     */
+    async record(context, { result, token, device }) {
+        const { moduleName, fnName, before } = context;
+        const ok = !(result.error || result.errors);
+
+        try {
+            let entityId = context.entityId;
+            if (!entityId && ok && result[moduleName] && result[moduleName]._id) {
+                // Creates return the new entity
+                entityId = result[moduleName]._id;
+            }
+
+            let after = ok && entityId ? await this._snapshot(moduleName, entityId) : before;
+            // An entity returned but not created by the call (e.g. on login) did not change
+            if (!context.entityId && after && !(after.createdAt >= context.startedAt)) {
+                after = null;
+            }
+
+            await this.mongomodels.audit.create({
+                ...this._origin(token, device),
+                action: `${moduleName}.${fnName}`,
+                entityType: entityId ? moduleName : undefined,
+                entityId: mongoose.isValidObjectId(entityId) ? entityId : undefined,
+                changes: this._diff(before, after),
+                ok,
+                code: result.code || (ok ? 200 : undefined)
+            });
+        } catch (err) {
+            console.log('audit record failed', err);
+        }
+    }
+
+    /**
+     * Write an audit entry for an event that is not an API call of its own
+     * (e.g. an account lockout). Failures are logged and never thrown.
+     * @param {Object} params
+     * @param {string} params.action - Event name (e.g. user.lockout)
+     * @param {string} [params.entityType] - Entity type
+     * @param {string} [params.entityId] - Entity ID
+     * @param {Object[]} [params.changes] - Changes ({ field, before, after })
+     * @param {Object} [params.token] - Decoded token of the caller
+     * @param {Object} [params.device] - Result of the __device middleware
+     */
+    async log({ action, entityType, entityId, changes = [], token, device }) {
+        try {
+            await this.mongomodels.audit.create({
+                ...this._origin(token, device),
+                action,
+                entityType,
+                entityId: mongoose.isValidObjectId(entityId) ? entityId : undefined,
+                changes,
+                ok: true
+            });
+        } catch (err) {
+            console.log('audit log failed', err);
+        }
+    }
+
+    /**
+     * Query the audit log, newest first
+     * @param {Object} params - Query parameters
+     * @param {string} [params.actorId] - Filter by the user who made the call
+     * @param {string} [params.entityType] - Filter by entity type (e.g. school)
+     * @param {string} [params.entityId] - Filter by entity ID
+     * @param {string} [params.action] - Filter by action (e.g. school.updateSchool)
+     * @param {string} [params.from] - Calls made at or after this time
+     * @param {string} [params.to] - Calls made at or before this time
+     * @param {number} [params.page=1] - Page number
+     * @param {number} [params.limit=10] - Items per page
+     * @param {Object} params.__longToken - Decoded token from middleware
+     */
+    async getAuditLogs({ actorId, entityType, entityId, action, from, to, page = 1, limit = 10, __longToken }){
+        // Validate input
+        let result = await this.validators.audit.getAuditLogs({ actorId, entityType, entityId, action, from, to });
+        if(result) return validationFailed(result);
+
+        // Build query
+        const query = {};
+
+        if (actorId) {
+            query['actor.userId'] = actorId;
+        }
+
+        if (entityType) {
+            query.entityType = entityType;
+        }
+
+        if (entityId) {
+            query.entityId = entityId;
+        }
+
+        if (action) {
+            query.action = action;
+        }
+
+        if (from || to) {
+            const fromDate = from ? new Date(from) : null;
+            const toDate = to ? new Date(to) : null;
+            if ((fromDate && isNaN(fromDate)) || (toDate && isNaN(toDate))) {
+                return badRequest('Invalid date range');
+            }
+            query.createdAt = {};
+            if (fromDate) query.createdAt.$gte = fromDate;
+            if (toDate) query.createdAt.$lte = toDate;
+        }
+
+        // Parse pagination
+        const pageNum = Math.max(1, parseInt(page) || 1);
+        const limitNum = Math.min(100, Math.max(1, parseInt(limit) || 10));
+        const skip = (pageNum - 1) * limitNum;
+
+        // Execute query with pagination
+        const [logs, total] = await Promise.all([
+            this.mongomodels.audit
+                .find(query)
+                .populate('actor.userId', 'username email')
+                .sort({ createdAt: -1, _id: -1 })
+                .skip(skip)
+                .limit(limitNum)
+                .lean(),
+            this.mongomodels.audit.countDocuments(query)
+        ]);
+
+        return {
+            logs,
+            pagination: {
+                page: pageNum,
+                limit: limitNum,
+                total,
+                pages: Math.ceil(total / limitNum)
+            }
+        };
+    }
+}
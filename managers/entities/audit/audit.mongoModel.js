@@ -0,0 +1,64 @@
+const mongoose = require('mongoose');
+
+const changeSchema = new mongoose.Schema({
+    field: {
+        type: String,
+        required: true
+    },
+    before: {
+        type: mongoose.Schema.Types.Mixed
+    },
+    after: {
+        type: mongoose.Schema.Types.Mixed
+    }
+}, { _id: false });
+
+const auditSchema = new mongoose.Schema({
+    actor: {
+        userId: {
+            type: mongoose.Schema.Types.ObjectId,
+            ref: 'User'
+        },
+        role: {
+            type: String
+        },
+        /** set when the call was made with an API key */
+        apiKeyId: {
+            type: mongoose.Schema.Types.ObjectId,
+            ref: 'ApiKey'
+        }
+    },
+    action: {
+        type: String,
+        required: [true, 'Action is required']
+    },
+    entityType: {
+        type: String
+    },
+    entityId: {
+        type: mongoose.Schema.Types.ObjectId
+    },
+    changes: [changeSchema],
+    ok: {
+        type: Boolean,
+        required: true
+    },
+    code: {
+        type: Number
+    },
+    ip: {
+        type: String
+    },
+    userAgent: {
+        type: String
+    }
+}, {
+    timestamps: { createdAt: true, updatedAt: false }
+});
+
+auditSchema.index({ 'actor.userId': 1, createdAt: -1 });
+auditSchema.index({ entityType: 1, entityId: 1, createdAt: -1 });
+auditSchema.index({ action: 1, createdAt: -1 });
+auditSchema.index({ createdAt: -1 });
+
+module.exports = mongoose.model('Audit', auditSchema);
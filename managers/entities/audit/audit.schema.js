@@ -0,0 +1,38 @@
+/**
+ * Audit Validation Schemas
+ * Defines validation rules for audit log queries
+ */
+module.exports = {
+    getAuditLogs: [
+        {
+            model: 'actorId',
+            required: false,
+            path: 'actorId',
+        },
+        {
+            model: 'entityType',
+            required: false,
+            path: 'entityType',
+        },
+        {
+            model: 'entityId',
+            required: false,
+            path: 'entityId',
+        },
+        {
+            model: 'auditAction',
+            required: false,
+            path: 'action',
+        },
+        {
+            model: 'from',
+            required: false,
+            path: 'from',
+        },
+        {
+            model: 'to',
+            required: false,
+            path: 'to',
+        },
+    ],
+}
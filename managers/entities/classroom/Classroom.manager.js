@@ -1,9 +1,34 @@
+const { badRequest, forbidden, notFound, conflict, validationFailed } = require('../../_common/errors.helper');
+const { schoolRoleOf, isSchoolAdmin, getEffectiveSchoolId, isGrantedOn, teacherClassroomIdsOf, teachesClassroom } = require('../../_common/schoolAccess.helper');
+const { withQuery, streamExport } = require('../../_common/export.helper');
+const { containing, equalIgnoringCase } = require('../../_common/search.helper');
+const { paginate } = require('../../_common/pagination.helper');
+
+/** fields getClassrooms sorts by, each backed by an index */
+const SORT_FIELDS = ['createdAt', 'name', 'grade', 'capacity'];
+
+const EXPORT_COLUMNS = [
+    { header: 'id', value: c => c._id },
+    { header: 'name', value: c => c.name },
+    { header: 'schoolId', value: c => c.schoolId && c.schoolId._id },
+    { header: 'school', value: c => c.schoolId && c.schoolId.name },
+    { header: 'grade', value: c => c.grade },
+    { header: 'section', value: c => c.section },
+    { header: 'capacity', value: c => c.capacity },
+    { header: 'resources', value: c => (c.resources || []).join('; ') },
+    { header: 'academicYear', value: c => c.academicYear },
+    { header: 'academicYearId', value: c => c.academicYearId },
+    { header: 'isActive', value: c => c.isActive },
+    { header: 'createdAt', value: c => c.createdAt },
+];
+
 /**
  * Classroom Manager
  * 
  * Handles CRUD operations for classrooms.
  * School admins can only manage classrooms in their assigned school.
  * Superadmins can manage classrooms in any school.
+ * Teachers can only read the classrooms they are assigned to.
  */
 module.exports = class Classroom { 
 
@@ -12,62 +37,86 @@ module.exports = class Classroom {
         this.cortex              = cortex;
         this.validators          = validators; 
         this.mongomodels         = mongomodels;
+        this.waitlistManager     = managers.waitlist;
+        this.shark               = managers.shark;
         this.usersCollection     = "classrooms";
         this.httpExposed         = [
             'createClassroom',
             'get=getClassrooms',
             'get=getClassroom',
+            'get=exportClassrooms',
             'updateClassroom',
             'deleteClassroom'
         ];
+        /** a single classroom is checked against the permission tree, see _isGranted */
+        this.policies            = {
+            createClassroom:  { roles: ['school_admin'], school: 'schoolId' },
+            getClassrooms:    { roles: ['school_admin', 'teacher'], school: 'schoolId' },
+            getClassroom:     'authenticated',
+            exportClassrooms: { roles: ['school_admin', 'teacher'], school: 'schoolId' },
+            updateClassroom:  'authenticated',
+            deleteClassroom:  'authenticated',
+        };
     }
 
     /**
-     * Check if user has access to the school
+     * Whether a token may run an action on a classroom. School admins hold
+     * it by role, teachers read the classrooms they are assigned to, anyone
+     * else needs a direct grant.
      * @param {Object} token - Decoded token
-     * @param {string} schoolId - School ID to access
-     * @returns {Object|null} Error object if not authorized, null if authorized
+     * @param {Object} classroom - Classroom document
+     * @param {string} action - Action (read, write, delete)
+     * @returns {Promise<boolean>}
      */
-    _checkSchoolAccess(token, schoolId) {
-        if (!token) {
-            return { error: 'Authentication required', code: 401 };
-        }
-        
-        // Superadmin has access to all schools
-        if (token.role === 'superadmin') {
-            return null;
-        }
-        
-        // School admin can only access their assigned school
-        if (token.role === 'school_admin') {
-            if (!schoolId) {
-                return null; // School ID will be auto-assigned from token
-            }
-            
-            const tokenSchoolId = token.schoolId ? token.schoolId.toString() : null;
-            const requestedSchoolId = schoolId.toString();
-            
-            if (tokenSchoolId !== requestedSchoolId) {
-                return { error: 'Access denied. You can only access your assigned school.', code: 403 };
-            }
-            return null;
-        }
-        
-        return { error: 'Access denied.', code: 403 };
+    async _isGranted(token, classroom, action) {
+        const schoolId = classroom.schoolId._id || classroom.schoolId;
+        const isOwner = await teachesClassroom(this.mongomodels, token, { schoolId, classroomId: classroom._id });
+        return isGrantedOn(this.shark, token, { action, schoolId, classroomId: classroom._id, isOwner });
     }
 
     /**
-     * Get the effective school ID for the request
+     * Error for a classroom the token was not granted an action on
      * @param {Object} token - Decoded token
-     * @param {string} requestedSchoolId - School ID from request
-     * @returns {string} Effective school ID
+     * @param {Object} classroom - Classroom document
+     * @param {string} action - Action that was refused
+     * @returns {Object} Error object
      */
-    _getEffectiveSchoolId(token, requestedSchoolId) {
-        if (token.role === 'superadmin') {
-            return requestedSchoolId;
+    _denied(token, classroom, action) {
+        if (action === 'read' && schoolRoleOf(token, classroom.schoolId._id || classroom.schoolId) === 'teacher') {
+            return forbidden('Access denied. You can only access your assigned classrooms.');
         }
-        // School admin uses their assigned school
-        return token.schoolId;
+        return forbidden(isSchoolAdmin(token) ? 'Access denied. You can only access your assigned school.' : 'Access denied.');
+    }
+
+    /**
+     * Resolve the academic year a classroom belongs to
+     * @param {string} schoolId - School ID of the classroom
+     * @param {Object} params
+     * @param {string} [params.academicYearId] - Explicit academic year ID
+     * @param {string} [params.academicYear] - Academic year label (e.g., "2024-2025")
+     * @param {boolean} [params.useCurrent] - Fall back to the school's current year
+     * @returns {Object} { academicYear } with the document or null, or an error object
+     */
+    async _resolveAcademicYear(schoolId, { academicYearId, academicYear, useCurrent }) {
+        if (academicYearId) {
+            const year = await this.mongomodels.academicYear.findOne({ _id: academicYearId, schoolId });
+            if (!year) {
+                return notFound('Academic year not found');
+            }
+            if (!year.isActive) {
+                return conflict('Cannot use an inactive academic year');
+            }
+            return { academicYear: year };
+        }
+        if (academicYear) {
+            const year = await this.mongomodels.academicYear.findOne({ schoolId, name: academicYear, isActive: true });
+            return { academicYear: year };
+        }
+        if (useCurrent) {
+            const year = await this.mongomodels.academicYear.findOne({ schoolId, isCurrent: true, isActive: true });
+            return { academicYear: year };
+        }
+        return { academicYear: null };
     }
 
     /**
@@ -80,53 +129,45 @@ module.exports = class Classroom {
      * @param {string} [params.section] - Section identifier
      * @param {string[]} [params.resources] - Available resources
      * @param {string} [params.academicYear] - Academic year (e.g., "2024-2025")
+     * @param {string} [params.academicYearId] - Academic year ID (defaults to the school's current year)
      * @param {Object} params.__longToken - Decoded token from middleware
      */
-    async createClassroom({ schoolId, name, capacity, grade, section, resources, academicYear, __longToken }){
-        // Check authentication first
-        if (!__longToken) {
-            return { error: 'Authentication required', code: 401 };
-        }
-
-        // For school_admin, if they explicitly provide a different schoolId, check that first
-        if (__longToken.role === 'school_admin' && schoolId) {
-            const tokenSchoolId = __longToken.schoolId ? __longToken.schoolId.toString() : null;
-            if (schoolId.toString() !== tokenSchoolId) {
-                return { error: 'Access denied. You can only access your assigned school.', code: 403 };
-            }
-        }
-
+    async createClassroom({ schoolId, name, capacity, grade, section, resources, academicYear, academicYearId, __longToken }){
         // Get effective school ID
-        const effectiveSchoolId = this._getEffectiveSchoolId(__longToken, schoolId);
+        const effectiveSchoolId = getEffectiveSchoolId(__longToken, schoolId);
         
-        // Check authorization
-        const authError = this._checkSchoolAccess(__longToken, effectiveSchoolId);
-        if (authError) return authError;
 
         // Superadmin must specify schoolId
         if (__longToken.role === 'superadmin' && !effectiveSchoolId) {
-            return { error: 'School ID is required for superadmin' };
+            return badRequest('School ID is required for superadmin');
         }
 
-        const classroomData = { name, capacity, grade, section, resources, academicYear };
+        const classroomData = { name, capacity, grade, section, resources, academicYear, academicYearId };
 
         // Validate input
         let result = await this.validators.classroom.createClassroom(classroomData);
-        if(result) return { errors: result };
+        if(result) return validationFailed(result);
 
         // Verify school exists
         const school = await this.mongomodels.school.findById(effectiveSchoolId);
         if (!school) {
-            return { error: 'School not found' };
+            return notFound('School not found');
         }
         if (!school.isActive) {
-            return { error: 'Cannot create classroom in an inactive school' };
+            return conflict('Cannot create classroom in an inactive school');
+        }
+
+        // Link the classroom to an academic year of the school
+        const resolved = await this._resolveAcademicYear(effectiveSchoolId, { academicYearId, academicYear, useCurrent: true });
+        if (resolved.error) return resolved;
+        if (resolved.academicYear) {
+            academicYear = resolved.academicYear.name;
         }
 
         // Check for duplicate classroom name in the same school and academic year
         const duplicateQuery = { 
             schoolId: effectiveSchoolId,
-            name: { $regex: new RegExp(`^${name}$`, 'i') },
+            name: equalIgnoringCase(name),
             isActive: true
         };
         if (academicYear) {
@@ -136,7 +177,7 @@ module.exports = class Classroom {
         const existingClassroom = await this.mongomodels.classroom.findOne(duplicateQuery);
         
         if(existingClassroom) {
-            return { error: 'A classroom with this name already exists in this school' + (academicYear ? ' for the same academic year' : '') };
+            return conflict('A classroom with this name already exists in this school' + (academicYear ? ' for the same academic year' : ''));
         }
 
         // Create classroom
@@ -149,6 +190,7 @@ module.exports = class Classroom {
                 section,
                 resources: resources || [],
                 academicYear,
+                academicYearId: resolved.academicYear ? resolved.academicYear._id : undefined,
                 createdBy: __longToken.userId
             });
 
@@ -158,48 +200,42 @@ module.exports = class Classroom {
         } catch (error) {
             if (error.name === 'ValidationError') {
                 const errors = Object.values(error.errors).map(e => e.message);
-                return { errors };
+                return validationFailed(errors);
             }
             throw error;
         }
     }
 
     /**
-     * Get all classrooms with pagination
-     * @param {Object} params - Query parameters
-     * @param {string} [params.schoolId] - Filter by school ID
-     * @param {number} [params.page=1] - Page number
-     * @param {number} [params.limit=10] - Items per page
-     * @param {string} [params.search] - Search term for name
-     * @param {string} [params.grade] - Filter by grade
-     * @param {boolean} [params.isActive] - Filter by active status
-     * @param {string} [params.academicYear] - Filter by academic year
-     * @param {Object} params.__longToken - Decoded token from middleware
+     * Build the classroom list query for the caller
+     * @param {Object} token - Decoded token
+     * @param {Object} filters - getClassrooms filters
+     * @returns {Object} { query } or error object
      */
-    async getClassrooms({ schoolId, page = 1, limit = 10, search, grade, isActive, academicYear, __longToken }){
+    async _buildClassroomsQuery(token, { schoolId, search, grade, isActive, academicYear, academicYearId }) {
         // Get effective school ID
-        const effectiveSchoolId = this._getEffectiveSchoolId(__longToken, schoolId);
+        const effectiveSchoolId = getEffectiveSchoolId(token, schoolId);
 
-        // Check authorization
-        const authError = this._checkSchoolAccess(__longToken, effectiveSchoolId);
-        if (authError) return authError;
+        // Teachers are limited to their classrooms below
+        const isTeacher = schoolRoleOf(token, effectiveSchoolId) === 'teacher';
 
         // Build query
         const query = {};
         
-        // School admins can only see their school's classrooms
-        if (__longToken.role === 'school_admin') {
-            query.schoolId = __longToken.schoolId;
-        } else if (effectiveSchoolId) {
+        if (effectiveSchoolId) {
             query.schoolId = effectiveSchoolId;
         }
 
+        if (isTeacher) {
+            query._id = { $in: await teacherClassroomIdsOf(this.mongomodels, token, effectiveSchoolId) };
+        }
+
         if (typeof isActive !== 'undefined') {
             query.isActive = isActive === 'true' || isActive === true;
         }
 
         if (search) {
-            query.name = { $regex: search, $options: 'i' };
+            query.name = containing(search);
         }
 
         if (grade) {
@@ -210,23 +246,45 @@ module.exports = class Classroom {
             query.academicYear = academicYear;
         }
 
-        // Parse pagination
-        const pageNum = Math.max(1, parseInt(page) || 1);
-        const limitNum = Math.min(100, Math.max(1, parseInt(limit) || 10));
-        const skip = (pageNum - 1) * limitNum;
-
-        // Execute query with pagination
-        const [classrooms, total] = await Promise.all([
-            this.mongomodels.classroom
-                .find(query)
-                .populate('schoolId', 'name')
-                .populate('createdBy', 'username email')
-                .sort({ createdAt: -1 })
-                .skip(skip)
-                .limit(limitNum)
-                .lean(),
-            this.mongomodels.classroom.countDocuments(query)
-        ]);
+        if (academicYearId) {
+            query.academicYearId = academicYearId;
+        }
+
+        return { query };
+    }
+
+    /**
+     * Get all classrooms with pagination, by page or by cursor
+     * @param {Object} params - Query parameters
+     * @param {string} [params.schoolId] - Filter by school ID
+     * @param {number} [params.page=1] - Page number
+     * @param {number} [params.limit] - Items per page, config.pagination.defaultLimit by default
+     * @param {string} [params.after] - Cursor of the row to continue after (cursor mode)
+     * @param {string} [params.before] - Cursor of the row to continue before (cursor mode)
+     * @param {string} [params.sortBy=createdAt] - createdAt, name, grade or capacity
+     * @param {string} [params.sortOrder=desc] - asc or desc
+     * @param {string} [params.search] - Search term for name
+     * @param {string} [params.grade] - Filter by grade
+     * @param {boolean} [params.isActive] - Filter by active status
+     * @param {string} [params.academicYear] - Filter by academic year
+     * @param {string} [params.academicYearId] - Filter by academic year ID
+     * @param {Object} params.__longToken - Decoded token from middleware
+     */
+    async getClassrooms({ schoolId, page, limit, after, before, sortBy, sortOrder, search, grade, isActive, academicYear, academicYearId, __longToken }){
+        const built = await this._buildClassroomsQuery(__longToken, { schoolId, search, grade, isActive, academicYear, academicYearId });
+        if (built.error) return built;
+        const { query } = built;
+
+        const result = await paginate({
+            model: this.mongomodels.classroom,
+            query,
+            params: { page, limit, after, before, sortBy, sortOrder },
+            sortFields: SORT_FIELDS,
+            config: this.config,
+            find: q => q.populate('schoolId', 'name').populate('createdBy', 'username email'),
+        });
+        if (result.error) return result;
+        const classrooms = result.items;
 
         // Add student count to each classroom
         const classroomsWithCount = await Promise.all(
@@ -245,15 +303,45 @@ module.exports = class Classroom {
 
         return {
             classrooms: classroomsWithCount,
-            pagination: {
-                page: pageNum,
-                limit: limitNum,
-                total,
-                pages: Math.ceil(total / limitNum)
-            }
+            pagination: result.pagination
         };
     }
 
+    /**
+     * Stream every classroom matching the getClassrooms filters as CSV or NDJSON.
+     * Filters may also be sent in the query string.
+     * @param {Object} params - Query parameters
+     * @param {string} [params.format=csv] - csv or ndjson
+     * @param {string} [params.schoolId] - Filter by school ID
+     * @param {string} [params.search] - Search term for name
+     * @param {string} [params.grade] - Filter by grade
+     * @param {boolean} [params.isActive] - Filter by active status
+     * @param {string} [params.academicYear] - Filter by academic year
+     * @param {string} [params.academicYearId] - Filter by academic year ID
+     * @param {Object} params.__query - Query string from middleware
+     * @param {Object} params.__longToken - Decoded token from middleware
+     * @param {Object} params.res - Express response the export is streamed to
+     */
+    async exportClassrooms({ format, schoolId, search, grade, isActive, academicYear, academicYearId, __query, __longToken, res }){
+        const filters = withQuery(__query, { format, schoolId, search, grade, isActive, academicYear, academicYearId });
+        filters.format = filters.format || 'csv';
+
+        let result = await this.validators.classroom.exportClassrooms(filters);
+        if(result) return validationFailed(result);
+
+        const built = await this._buildClassroomsQuery(__longToken, filters);
+        if (built.error) return built;
+
+        const cursor = this.mongomodels.classroom
+            .find(built.query)
+            .populate('schoolId', 'name')
+            .sort({ createdAt: -1 })
+            .lean()
+            .cursor();
+
+        return streamExport({ res, cursor, format: filters.format, columns: EXPORT_COLUMNS, filename: 'classrooms' });
+    }
+
     /**
      * Get a single classroom by ID
      * @param {Object} params - Request parameters
@@ -261,12 +349,8 @@ module.exports = class Classroom {
      * @param {Object} params.__longToken - Decoded token from middleware
      */
     async getClassroom({ classroomId, __longToken }){
-        if (!__longToken) {
-            return { error: 'Authentication required', code: 401 };
-        }
-
         if (!classroomId) {
-            return { error: 'Classroom ID is required' };
+            return badRequest('Classroom ID is required');
         }
 
         const classroom = await this.mongomodels.classroom
@@ -275,12 +359,12 @@ module.exports = class Classroom {
             .populate('createdBy', 'username email');
 
         if (!classroom) {
-            return { error: 'Classroom not found' };
+            return notFound('Classroom not found');
         }
 
-        // Check access
-        const authError = this._checkSchoolAccess(__longToken, classroom.schoolId._id || classroom.schoolId);
-        if (authError) return authError;
+        if (!(await this._isGranted(__longToken, classroom, 'read'))) {
+            return this._denied(__longToken, classroom, 'read');
+        }
 
         // Get student count
         const studentCount = await this.mongomodels.student.countDocuments({
@@ -298,7 +382,41 @@ module.exports = class Classroom {
     }
 
     /**
-     * Update classroom details
+     * Refuse to take a classroom out of use while students are seated in it
+     * @param {Object} classroom - Classroom document
+     * @param {string} verb - What is being done, for the message (delete, deactivate)
+     * @returns {Promise<Object|null>} Error object if students are seated, null otherwise
+     */
+    async _checkEmpty(classroom, verb) {
+        const activeStudents = await this.mongomodels.student.countDocuments({
+            classroomId: classroom._id,
+            isActive: true
+        });
+
+        if (activeStudents > 0) {
+            return conflict(
+                `Cannot ${verb} classroom with active students. Please transfer or remove students first.`,
+                { activeStudents }
+            );
+        }
+        return null;
+    }
+
+    /**
+     * Release what an inactive classroom keeps no longer: its teachers and its waitlist
+     * @param {Object} classroom - Classroom document
+     */
+    async _retire(classroom) {
+        await this.mongomodels.teacher.updateMany(
+            { 'assignments.classroomId': classroom._id },
+            { $pull: { assignments: { classroomId: classroom._id } } }
+        );
+        await this.waitlistManager.cancel({ classroomId: classroom._id });
+    }
+
+    /**
+     * Update classroom details.
+     * Deactivating a classroom is deleting it, with the same checks.
      * @param {Object} params - Update data
      * @param {string} params.classroomId - Classroom ID (required)
      * @param {string} [params.name] - Classroom name
@@ -307,39 +425,42 @@ module.exports = class Classroom {
      * @param {string} [params.section] - Section identifier
      * @param {string[]} [params.resources] - Available resources
      * @param {string} [params.academicYear] - Academic year
+     * @param {string} [params.academicYearId] - Academic year ID
      * @param {boolean} [params.isActive] - Active status
      * @param {Object} params.__longToken - Decoded token from middleware
      */
-    async updateClassroom({ classroomId, name, capacity, grade, section, resources, academicYear, isActive, __longToken }){
-        if (!__longToken) {
-            return { error: 'Authentication required', code: 401 };
-        }
-
+    async updateClassroom({ classroomId, name, capacity, grade, section, resources, academicYear, academicYearId, isActive, __longToken }){
         if (!classroomId) {
-            return { error: 'Classroom ID is required' };
+            return badRequest('Classroom ID is required');
         }
 
         const classroom = await this.mongomodels.classroom.findById(classroomId);
         
         if (!classroom) {
-            return { error: 'Classroom not found' };
+            return notFound('Classroom not found');
         }
 
-        // Check access
-        const authError = this._checkSchoolAccess(__longToken, classroom.schoolId);
-        if (authError) return authError;
+        if (!(await this._isGranted(__longToken, classroom, 'write'))) {
+            return this._denied(__longToken, classroom, 'write');
+        }
 
-        // If reducing capacity, check if current students exceed new capacity
-        if (capacity !== undefined && capacity < classroom.capacity) {
-            const currentStudents = await this.mongomodels.student.countDocuments({
-                classroomId,
-                isActive: true
-            });
-            
-            if (currentStudents > capacity) {
-                return { 
-                    error: `Cannot reduce capacity below current student count (${currentStudents})` 
-                };
+        const deactivating = isActive !== undefined && String(isActive) === 'false' && classroom.isActive;
+        if (deactivating) {
+            if (!(await this._isGranted(__longToken, classroom, 'delete'))) {
+                return this._denied(__longToken, classroom, 'delete');
+            }
+            const seated = await this._checkEmpty(classroom, 'deactivate');
+            if (seated) return seated;
+        }
+
+        // Re-link the academic year when it changes
+        let resolvedYear = null;
+        if (academicYearId !== undefined || academicYear !== undefined) {
+            const resolved = await this._resolveAcademicYear(classroom.schoolId, { academicYearId, academicYear });
+            if (resolved.error) return resolved;
+            resolvedYear = resolved.academicYear;
+            if (resolvedYear) {
+                academicYear = resolvedYear.name;
             }
         }
 
@@ -348,7 +469,7 @@ module.exports = class Classroom {
             const duplicateQuery = {
                 _id: { $ne: classroomId },
                 schoolId: classroom.schoolId,
-                name: { $regex: new RegExp(`^${name}$`, 'i') },
+                name: equalIgnoringCase(name),
                 isActive: true
             };
             if (academicYear || classroom.academicYear) {
@@ -358,22 +479,49 @@ module.exports = class Classroom {
             const existingClassroom = await this.mongomodels.classroom.findOne(duplicateQuery);
             
             if (existingClassroom) {
-                return { error: 'A classroom with this name already exists in this school' };
+                return conflict('A classroom with this name already exists in this school');
+            }
+        }
+
+        // Shrink in a conditional update so a concurrent enrollment can't end up above the new capacity
+        if (capacity !== undefined && capacity < classroom.capacity) {
+            const resized = await this.mongomodels.classroom.reduceCapacity(classroom._id, capacity);
+            if (!resized) {
+                const { enrolledCount } = await this.mongomodels.classroom
+                    .findById(classroom._id)
+                    .select('enrolledCount')
+                    .lean();
+                return conflict(`Cannot reduce capacity below current student count (${enrolledCount})`);
             }
         }
 
         // Update fields
+        const addedSeats = capacity !== undefined && capacity > classroom.capacity;
         if (name !== undefined) classroom.name = name;
         if (capacity !== undefined) classroom.capacity = capacity;
         if (grade !== undefined) classroom.grade = grade;
         if (section !== undefined) classroom.section = section;
         if (resources !== undefined) classroom.resources = resources;
         if (academicYear !== undefined) classroom.academicYear = academicYear;
+        if (academicYearId !== undefined || academicYear !== undefined) {
+            classroom.academicYearId = resolvedYear ? resolvedYear._id : null;
+        }
         if (isActive !== undefined) classroom.isActive = isActive;
 
         await classroom.save();
 
-        return { classroom: classroom.toJSON() };
+        if (deactivating) {
+            await this._retire(classroom);
+        }
+
+        const response = { classroom: classroom.toJSON() };
+
+        // New seats go to the waitlist first
+        if (addedSeats) {
+            response.promoted = await this.waitlistManager.promote(classroom._id);
+        }
+
+        return response;
     }
 
     /**
@@ -383,44 +531,31 @@ module.exports = class Classroom {
      * @param {Object} params.__longToken - Decoded token from middleware
      */
     async deleteClassroom({ classroomId, __longToken }){
-        if (!__longToken) {
-            return { error: 'Authentication required', code: 401 };
-        }
-
         if (!classroomId) {
-            return { error: 'Classroom ID is required' };
+            return badRequest('Classroom ID is required');
         }
 
         const classroom = await this.mongomodels.classroom.findById(classroomId);
         
         if (!classroom) {
-            return { error: 'Classroom not found' };
+            return notFound('Classroom not found');
         }
 
-        // Check access
-        const authError = this._checkSchoolAccess(__longToken, classroom.schoolId);
-        if (authError) return authError;
+        if (!(await this._isGranted(__longToken, classroom, 'delete'))) {
+            return this._denied(__longToken, classroom, 'delete');
+        }
 
         if (!classroom.isActive) {
-            return { error: 'Classroom is already inactive' };
+            return conflict('Classroom is already inactive');
         }
 
-        // Check if classroom has active students
-        const activeStudents = await this.mongomodels.student.countDocuments({
-            classroomId,
-            isActive: true
-        });
-
-        if (activeStudents > 0) {
-            return { 
-                error: 'Cannot delete classroom with active students. Please transfer or remove students first.',
-                activeStudents
-            };
-        }
+        const seated = await this._checkEmpty(classroom, 'delete');
+        if (seated) return seated;
 
         // Soft delete
         classroom.isActive = false;
         await classroom.save();
+        await this._retire(classroom);
 
         return { 
             message: 'Classroom deleted successfully',
@@ -38,10 +38,20 @@ const classroomSchema = new mongoose.Schema({
         trim: true,
         match: [/^\d{4}-\d{4}$/, 'Academic year must be in format YYYY-YYYY (e.g., 2024-2025)']
     },
+    academicYearId: {
+        type: mongoose.Schema.Types.ObjectId,
+        ref: 'AcademicYear'
+    },
     isActive: {
         type: Boolean,
         default: true
     },
+    // Active students seated in the classroom, only changed through reserveSeats/releaseSeats
+    enrolledCount: {
+        type: Number,
+        default: 0,
+        min: [0, 'Enrolled count cannot be negative']
+    },
     createdBy: {
         type: mongoose.Schema.Types.ObjectId,
         ref: 'User',
@@ -56,6 +66,17 @@ classroomSchema.index({ name: 1, schoolId: 1, academicYear: 1 }, { unique: true
 classroomSchema.index({ schoolId: 1 });
 classroomSchema.index({ isActive: 1 });
 classroomSchema.index({ grade: 1, section: 1 });
+classroomSchema.index({ academicYearId: 1 });
+// Sort orders of getClassrooms, _id keeps equal values in a stable order
+classroomSchema.index({ schoolId: 1, createdAt: -1, _id: -1 });
+classroomSchema.index({ schoolId: 1, name: 1, _id: 1 });
+classroomSchema.index({ schoolId: 1, grade: 1, _id: 1 });
+classroomSchema.index({ schoolId: 1, capacity: 1, _id: 1 });
+// Full-text search, the weights rank matches (see Search.manager.js)
+classroomSchema.index(
+    { name: 'text', grade: 'text', section: 'text' },
+    { name: 'search', weights: { name: 10, grade: 3, section: 3 } }
+);
 
 // Virtual for getting student count in classroom
 classroomSchema.virtual('students', {
@@ -81,6 +102,82 @@ classroomSchema.virtual('availableSeats').get(function() {
     return this.capacity;
 });
 
+/**
+ * Recount the active students of classrooms.
+ * Used for classrooms created before the counter existed and after bulk moves.
+ * @param {Array} classroomIds - Classroom IDs
+ */
+classroomSchema.statics.syncEnrolledCount = async function(classroomIds) {
+    const Student = mongoose.model('Student');
+    for (const classroomId of classroomIds) {
+        const enrolledCount = await Student.countDocuments({ classroomId, isActive: true });
+        await this.updateOne({ _id: classroomId }, { $set: { enrolledCount } });
+    }
+};
+
+/**
+ * Count classrooms that predate the counter before a conditional update
+ * @param {string} classroomId - Classroom ID
+ * @returns {Promise<boolean>} Whether the counter had to be created
+ */
+classroomSchema.statics.ensureEnrolledCount = async function(classroomId) {
+    const legacy = await this.exists({ _id: classroomId, enrolledCount: { $exists: false } });
+    if (!legacy) return false;
+    await this.syncEnrolledCount([classroomId]);
+    return true;
+};
+
+/**
+ * Take seats in an active classroom in a single conditional update,
+ * so concurrent enrollments can never overfill it
+ * @param {string} classroomId - Classroom ID
+ * @param {number} [seats=1] - Seats to take
+ * @returns {Promise<Object|null>} Updated classroom, or null when it is full or inactive
+ */
+classroomSchema.statics.reserveSeats = async function(classroomId, seats = 1) {
+    const reserve = () => this.findOneAndUpdate(
+        {
+            _id: classroomId,
+            isActive: true,
+            enrolledCount: { $exists: true },
+            $expr: { $lte: [{ $add: ['$enrolledCount', seats] }, '$capacity'] }
+        },
+        { $inc: { enrolledCount: seats } },
+        { returnDocument: 'after' }
+    );
+
+    const classroom = await reserve();
+    if (classroom) return classroom;
+    return (await this.ensureEnrolledCount(classroomId)) ? reserve() : null;
+};
+
+/**
+ * Give seats back
+ * @param {string} classroomId - Classroom ID
+ * @param {number} [seats=1] - Seats to release
+ */
+classroomSchema.statics.releaseSeats = async function(classroomId, seats = 1) {
+    await this.updateOne(
+        { _id: classroomId, enrolledCount: { $gte: seats } },
+        { $inc: { enrolledCount: -seats } }
+    );
+};
+
+/**
+ * Lower the capacity unless more students are already enrolled
+ * @param {string} classroomId - Classroom ID
+ * @param {number} capacity - New capacity
+ * @returns {Promise<Object|null>} Updated classroom, or null when enrollment exceeds the capacity
+ */
+classroomSchema.statics.reduceCapacity = async function(classroomId, capacity) {
+    await this.ensureEnrolledCount(classroomId);
+    return this.findOneAndUpdate(
+        { _id: classroomId, enrolledCount: { $lte: capacity } },
+        { $set: { capacity } },
+        { returnDocument: 'after' }
+    );
+};
+
 // Enable virtuals in JSON
 classroomSchema.set('toJSON', { virtuals: true });
 classroomSchema.set('toObject', { virtuals: true });
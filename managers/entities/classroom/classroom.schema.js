@@ -39,6 +39,11 @@ module.exports = {
             required: false,
             path: 'academicYear',
         },
+        {
+            model: 'academicYearId',
+            required: false,
+            path: 'academicYearId',
+        },
     ],
     getClassrooms: [
         {
@@ -56,6 +61,33 @@ module.exports = {
             required: false,
             path: 'isActive',
         },
+        {
+            model: 'academicYearId',
+            required: false,
+            path: 'academicYearId',
+        },
+    ],
+    exportClassrooms: [
+        {
+            model: 'exportFormat',
+            required: true,
+            path: 'format',
+        },
+        {
+            model: 'schoolId',
+            required: false,
+            path: 'schoolId',
+        },
+        {
+            model: 'grade',
+            required: false,
+            path: 'grade',
+        },
+        {
+            model: 'academicYearId',
+            required: false,
+            path: 'academicYearId',
+        },
     ],
     getClassroom: [
         {
@@ -100,6 +132,11 @@ module.exports = {
             required: false,
             path: 'academicYear',
         },
+        {
+            model: 'academicYearId',
+            required: false,
+            path: 'academicYearId',
+        },
         {
             model: 'isActive',
             required: false,
@@ -0,0 +1,511 @@
+const { badRequest, forbidden, notFound, conflict, validationFailed } = require('../../_common/errors.helper');
+const { schoolRoleOf, checkClassroomAccess } = require('../../_common/schoolAccess.helper');
+
+/**
+ * Gradebook Manager
+ *
+ * Handles subjects, assessments and student scores per classroom,
+ * weighted term averages and report cards.
+ * School admins can only manage gradebooks in their assigned school.
+ * Superadmins can manage gradebooks in any school.
+ * Teachers can manage assessments and scores of the classrooms they are assigned to.
+ */
+module.exports = class Gradebook {
+
+    constructor({utils, cache, config, cortex, managers, validators, mongomodels }={}){
+        this.config              = config;
+        this.cortex              = cortex;
+        this.validators          = validators;
+        this.mongomodels         = mongomodels;
+        this.usersCollection     = "scores";
+        this.httpExposed         = [
+            'createSubject',
+            'get=getSubjects',
+            'createAssessment',
+            'get=getAssessments',
+            'enterScores',
+            'get=getTermAverages',
+            'get=getReportCard'
+        ];
+        const classroomSchool    = { model: 'classroom', id: 'classroomId' };
+        const staff              = ['school_admin', 'teacher'];
+        const message            = 'Access denied. You can only access gradebooks in your assigned school.';
+        this.policies            = {
+            createSubject:    { roles: ['school_admin'], school: classroomSchool, message },
+            getSubjects:      { roles: staff, school: classroomSchool, message },
+            createAssessment: { roles: staff, school: { model: 'subject', id: 'subjectId' }, message },
+            getAssessments:   { roles: staff, school: classroomSchool, message },
+            enterScores:      { roles: staff, school: { model: 'assessment', id: 'assessmentId' }, message },
+            getTermAverages:  { roles: staff, school: classroomSchool, message },
+            getReportCard:    { roles: staff, school: { model: 'student', id: 'studentId' }, message },
+        };
+    }
+
+    /**
+     * Resolve the term of an assessment against its academic year
+     * @param {Object|null} academicYear - Academic year of the classroom
+     * @param {string} [term] - Term name from the request
+     * @param {string} [date] - Assessment date, used to infer the term
+     * @returns {Object} { term } or an error object
+     */
+    _resolveTerm(academicYear, term, date) {
+        if (!academicYear || academicYear.terms.length === 0) {
+            return { term };
+        }
+        if (term) {
+            const known = academicYear.terms.find(t => t.name.toLowerCase() === term.toLowerCase());
+            if (!known) {
+                return badRequest(`Term ${term} is not part of academic year ${academicYear.name}`);
+            }
+            return { term: known.name };
+        }
+        if (date) {
+            const day = new Date(date);
+            const inferred = academicYear.terms.find(t => t.startDate <= day && day <= t.endDate);
+            return { term: inferred ? inferred.name : undefined };
+        }
+        return { term };
+    }
+
+    /**
+     * Weighted average of scores as a percentage
+     * @param {Object[]} entries - Entries ({ score, maxScore, weight })
+     * @returns {number|null} Average rounded to 2 decimals, null without weighted entries
+     */
+    _weightedAverage(entries) {
+        const totalWeight = entries.reduce((sum, e) => sum + e.weight, 0);
+        if (totalWeight === 0) return null;
+        const weighted = entries.reduce((sum, e) => sum + (e.score / e.maxScore) * e.weight, 0);
+        return Math.round((weighted / totalWeight) * 10000) / 100;
+    }
+
+    /**
+     * Mean of the subject averages that have a value
+     * @param {Array<number|null>} averages - Subject averages
+     * @returns {number|null} Overall average rounded to 2 decimals
+     */
+    _overallAverage(averages) {
+        const values = averages.filter(a => a !== null);
+        if (values.length === 0) return null;
+        return Math.round((values.reduce((sum, a) => sum + a, 0) / values.length) * 100) / 100;
+    }
+
+    /**
+     * Add a subject to a classroom
+     * @param {Object} params - Subject data
+     * @param {string} params.classroomId - Classroom ID (required)
+     * @param {string} params.name - Subject name (required)
+     * @param {string} [params.code] - Subject code
+     * @param {string} [params.teacherId] - Teacher of the subject
+     * @param {Object} params.__longToken - Decoded token from middleware
+     */
+    async createSubject({ classroomId, name, code, teacherId, __longToken }){
+        // Validate input
+        let result = await this.validators.gradebook.createSubject({ classroomId, name, code, teacherId });
+        if(result) return validationFailed(result);
+
+        const classroom = await this.mongomodels.classroom.findById(classroomId);
+        if (!classroom) {
+            return notFound('Classroom not found');
+        }
+
+        if (!classroom.isActive) {
+            return conflict('Cannot add a subject to an inactive classroom');
+        }
+
+        if (teacherId) {
+            const teacher = await this.mongomodels.teacher.findById(teacherId);
+            if (!teacher || !teacher.isActive) {
+                return notFound('Teacher not found');
+            }
+            if (teacher.schoolId.toString() !== classroom.schoolId.toString()) {
+                return badRequest('Teacher does not belong to the classroom\'s school');
+            }
+        }
+
+        const existingSubject = await this.mongomodels.subject.findOne({ classroomId, name });
+        if (existingSubject) {
+            return conflict('This subject already exists in this classroom');
+        }
+
+        const createdSubject = await this.mongomodels.subject.create({
+            name,
+            code,
+            teacherId,
+            classroomId,
+            schoolId: classroom.schoolId,
+            createdBy: __longToken.userId
+        });
+
+        return { subject: createdSubject.toJSON() };
+    }
+
+    /**
+     * Get the subjects of a classroom
+     * @param {Object} params - Query parameters
+     * @param {string} params.classroomId - Classroom ID (required)
+     * @param {Object} params.__longToken - Decoded token from middleware
+     */
+    async getSubjects({ classroomId, __longToken }){
+        let result = await this.validators.gradebook.getSubjects({ classroomId });
+        if(result) return validationFailed(result);
+
+        const classroom = await this.mongomodels.classroom.findById(classroomId);
+        if (!classroom) {
+            return notFound('Classroom not found');
+        }
+
+        // Check access
+        const authError = await checkClassroomAccess(this.mongomodels, __longToken, classroom);
+        if (authError) return authError;
+
+        const subjects = await this.mongomodels.subject
+            .find({ classroomId, isActive: true })
+            .populate('teacherId', 'firstName lastName email')
+            .sort({ name: 1 })
+            .lean();
+
+        return { subjects };
+    }
+
+    /**
+     * Create an assessment for a subject
+     * @param {Object} params - Assessment data
+     * @param {string} params.subjectId - Subject ID (required)
+     * @param {string} params.name - Assessment name (required)
+     * @param {string} params.type - exam, quiz or assignment (required)
+     * @param {number} params.maxScore - Maximum score (required)
+     * @param {number} params.weight - Weight within the subject and term, 0-100 (required)
+     * @param {string} [params.term] - Term name, inferred from the date when omitted
+     * @param {string} [params.date] - Assessment date
+     * @param {Object} params.__longToken - Decoded token from middleware
+     */
+    async createAssessment({ subjectId, name, type, maxScore, weight, term, date, __longToken }){
+        // Validate input
+        let result = await this.validators.gradebook.createAssessment({ subjectId, name, type, maxScore, weight, term, date });
+        if(result) return validationFailed(result);
+
+        if (maxScore <= 0) {
+            return badRequest('Max score must be greater than 0');
+        }
+        if (weight < 0 || weight > 100) {
+            return badRequest('Weight must be between 0 and 100');
+        }
+
+        const subject = await this.mongomodels.subject.findById(subjectId);
+        if (!subject || !subject.isActive) {
+            return notFound('Subject not found');
+        }
+
+        const classroom = await this.mongomodels.classroom.findById(subject.classroomId);
+        if (!classroom) {
+            return notFound('Classroom not found');
+        }
+
+        // Check access
+        const authError = await checkClassroomAccess(this.mongomodels, __longToken, classroom);
+        if (authError) return authError;
+
+        const academicYear = classroom.academicYearId
+            ? await this.mongomodels.academicYear.findById(classroom.academicYearId)
+            : null;
+        const resolved = this._resolveTerm(academicYear, term, date);
+        if (resolved.error) return resolved;
+
+        const createdAssessment = await this.mongomodels.assessment.create({
+            name,
+            type,
+            maxScore,
+            weight,
+            term: resolved.term,
+            date: date ? new Date(date) : undefined,
+            subjectId: subject._id,
+            classroomId: classroom._id,
+            schoolId: classroom.schoolId,
+            academicYearId: classroom.academicYearId || undefined,
+            createdBy: __longToken.userId
+        });
+
+        return { assessment: createdAssessment.toJSON() };
+    }
+
+    /**
+     * Get the assessments of a classroom
+     * @param {Object} params - Query parameters
+     * @param {string} params.classroomId - Classroom ID (required)
+     * @param {string} [params.subjectId] - Filter by subject
+     * @param {string} [params.term] - Filter by term
+     * @param {Object} params.__longToken - Decoded token from middleware
+     */
+    async getAssessments({ classroomId, subjectId, term, __longToken }){
+        let result = await this.validators.gradebook.getAssessments({ classroomId, subjectId, term });
+        if(result) return validationFailed(result);
+
+        const classroom = await this.mongomodels.classroom.findById(classroomId);
+        if (!classroom) {
+            return notFound('Classroom not found');
+        }
+
+        // Check access
+        const authError = await checkClassroomAccess(this.mongomodels, __longToken, classroom);
+        if (authError) return authError;
+
+        const query = { classroomId, isActive: true };
+        if (subjectId) query.subjectId = subjectId;
+        if (term) query.term = term;
+
+        const assessments = await this.mongomodels.assessment
+            .find(query)
+            .populate('subjectId', 'name code')
+            .sort({ date: 1, createdAt: 1 })
+            .lean();
+
+        return { assessments };
+    }
+
+    /**
+     * Enter scores for an assessment in bulk.
+     * Existing scores of the listed students are overwritten.
+     * @param {Object} params - Score data
+     * @param {string} params.assessmentId - Assessment ID (required)
+     * @param {Object[]} params.scores - Scores ({ studentId, score, remarks })
+     * @param {Object} params.__longToken - Decoded token from middleware
+     */
+    async enterScores({ assessmentId, scores, __longToken }){
+        // Validate input
+        let result = await this.validators.gradebook.enterScores({ assessmentId, scores });
+        if(result) return validationFailed(result);
+
+        const assessment = await this.mongomodels.assessment.findById(assessmentId);
+        if (!assessment || !assessment.isActive) {
+            return notFound('Assessment not found');
+        }
+
+        const classroom = await this.mongomodels.classroom.findById(assessment.classroomId);
+        if (!classroom) {
+            return notFound('Classroom not found');
+        }
+
+        // Check access
+        const authError = await checkClassroomAccess(this.mongomodels, __longToken, classroom);
+        if (authError) return authError;
+
+        // Every score must belong to an active student of the classroom and fit the assessment
+        const students = await this.mongomodels.student
+            .find({ classroomId: classroom._id, isActive: true })
+            .select('_id')
+            .lean();
+        const enrolled = new Set(students.map(s => s._id.toString()));
+
+        const seen = new Set();
+        const invalidScores = [];
+        scores.forEach(({ studentId, score }) => {
+            const id = studentId.toString();
+            if (!enrolled.has(id)) {
+                invalidScores.push({ studentId: id, message: 'Student is not enrolled in this classroom' });
+            } else if (seen.has(id)) {
+                invalidScores.push({ studentId: id, message: 'Student appears more than once' });
+            } else if (score < 0 || score > assessment.maxScore) {
+                invalidScores.push({ studentId: id, message: `Score must be between 0 and ${assessment.maxScore}` });
+            }
+            seen.add(id);
+        });
+        if (invalidScores.length > 0) {
+            return badRequest('Some scores are invalid', { invalidScores });
+        }
+
+        const ops = scores.map(({ studentId, score, remarks }) => ({
+            updateOne: {
+                filter: { assessmentId: assessment._id, studentId },
+                update: {
+                    $set: {
+                        score,
+                        remarks,
+                        subjectId: assessment.subjectId,
+                        classroomId: assessment.classroomId,
+                        schoolId: assessment.schoolId,
+                        gradedBy: __longToken.userId
+                    }
+                },
+                upsert: true
+            }
+        }));
+        if (ops.length > 0) {
+            await this.mongomodels.score.bulkWrite(ops);
+        }
+
+        return {
+            assessmentId: assessment._id,
+            graded: ops.length,
+            ungraded: enrolled.size - ops.length
+        };
+    }
+
+    /**
+     * Compute weighted averages per subject for every student of a classroom
+     * @param {Object} params - Query parameters
+     * @param {string} params.classroomId - Classroom ID (required)
+     * @param {string} [params.term] - Restrict to a term
+     * @param {Object} params.__longToken - Decoded token from middleware
+     */
+    async getTermAverages({ classroomId, term, __longToken }){
+        let result = await this.validators.gradebook.getTermAverages({ classroomId, term });
+        if(result) return validationFailed(result);
+
+        const classroom = await this.mongomodels.classroom.findById(classroomId);
+        if (!classroom) {
+            return notFound('Classroom not found');
+        }
+
+        // Check access
+        const authError = await checkClassroomAccess(this.mongomodels, __longToken, classroom);
+        if (authError) return authError;
+
+        const assessmentQuery = { classroomId, isActive: true };
+        if (term) assessmentQuery.term = term;
+
+        const [subjects, assessments, students] = await Promise.all([
+            this.mongomodels.subject.find({ classroomId, isActive: true }).sort({ name: 1 }).lean(),
+            this.mongomodels.assessment.find(assessmentQuery).lean(),
+            this.mongomodels.student
+                .find({ classroomId, isActive: true })
+                .select('firstName lastName')
+                .sort({ lastName: 1, firstName: 1 })
+                .lean()
+        ]);
+
+        const assessmentsById = {};
+        assessments.forEach(a => { assessmentsById[a._id.toString()] = a; });
+
+        const scores = await this.mongomodels.score
+            .find({ assessmentId: { $in: assessments.map(a => a._id) } })
+            .lean();
+
+        // studentId -> subjectId -> weighted entries
+        const entries = {};
+        scores.forEach(({ studentId, assessmentId, score }) => {
+            const assessment = assessmentsById[assessmentId.toString()];
+            const studentKey = studentId.toString();
+            const subjectKey = assessment.subjectId.toString();
+            if (!entries[studentKey]) entries[studentKey] = {};
+            if (!entries[studentKey][subjectKey]) entries[studentKey][subjectKey] = [];
+            entries[studentKey][subjectKey].push({ score, maxScore: assessment.maxScore, weight: assessment.weight });
+        });
+
+        const averages = students.map(student => {
+            const studentEntries = entries[student._id.toString()] || {};
+            const subjectAverages = subjects.map(subject => ({
+                subjectId: subject._id,
+                name: subject.name,
+                average: this._weightedAverage(studentEntries[subject._id.toString()] || [])
+            }));
+            return {
+                studentId: student._id,
+                firstName: student.firstName,
+                lastName: student.lastName,
+                subjects: subjectAverages,
+                average: this._overallAverage(subjectAverages.map(s => s.average))
+            };
+        });
+
+        return {
+            classroomId: classroom._id,
+            term: term || null,
+            averages
+        };
+    }
+
+    /**
+     * Build the report card of a student
+     * @param {Object} params - Query parameters
+     * @param {string} params.studentId - Student ID (required)
+     * @param {string} [params.term] - Restrict to a term
+     * @param {Object} params.__longToken - Decoded token from middleware
+     */
+    async getReportCard({ studentId, term, __longToken }){
+        let result = await this.validators.gradebook.getReportCard({ studentId, term });
+        if(result) return validationFailed(result);
+
+        const student = await this.mongomodels.student
+            .findById(studentId)
+            .populate('schoolId', 'name address')
+            .populate('classroomId', 'name grade section')
+            .populate('academicYearId', 'name');
+
+        if (!student) {
+            return notFound('Student not found');
+        }
+
+        // Teachers only see students of their classrooms
+        if (schoolRoleOf(__longToken, student.schoolId._id) === 'teacher') {
+            if (!student.classroomId) {
+                return forbidden('Access denied. You can only access students in your assigned classrooms.');
+            }
+            const authError = await checkClassroomAccess(this.mongomodels, __longToken, { _id: student.classroomId._id, schoolId: student.schoolId });
+            if (authError) return authError;
+        }
+
+        const scores = await this.mongomodels.score.find({ studentId: student._id }).lean();
+
+        // Report on the student's current academic year
+        const assessmentQuery = {
+            _id: { $in: scores.map(s => s.assessmentId) },
+            isActive: true
+        };
+        if (term) assessmentQuery.term = term;
+        if (student.academicYearId) assessmentQuery.academicYearId = student.academicYearId._id;
+
+        const assessments = await this.mongomodels.assessment
+            .find(assessmentQuery)
+            .populate('subjectId', 'name code')
+            .sort({ date: 1, createdAt: 1 })
+            .lean();
+
+        const scoresByAssessment = {};
+        scores.forEach(s => { scoresByAssessment[s.assessmentId.toString()] = s; });
+
+        const subjectsById = {};
+        assessments.forEach(assessment => {
+            const subject = assessment.subjectId;
+            const key = subject._id.toString();
+            if (!subjectsById[key]) {
+                subjectsById[key] = { subjectId: subject._id, name: subject.name, code: subject.code, assessments: [] };
+            }
+            const entry = scoresByAssessment[assessment._id.toString()];
+            subjectsById[key].assessments.push({
+                assessmentId: assessment._id,
+                name: assessment.name,
+                type: assessment.type,
+                term: assessment.term,
+                date: assessment.date,
+                maxScore: assessment.maxScore,
+                weight: assessment.weight,
+                score: entry.score,
+                percentage: Math.round((entry.score / assessment.maxScore) * 10000) / 100,
+                remarks: entry.remarks
+            });
+        });
+
+        const subjects = Object.values(subjectsById)
+            .map(subject => ({ ...subject, average: this._weightedAverage(subject.assessments) }))
+            .sort((a, b) => a.name.localeCompare(b.name));
+
+        return {
+            reportCard: {
+                student: {
+                    _id: student._id,
+                    firstName: student.firstName,
+                    lastName: student.lastName,
+                    fullName: student.fullName,
+                    school: student.schoolId,
+                    classroom: student.classroomId
+                },
+                academicYear: student.academicYearId ? student.academicYearId.name : null,
+                term: term || null,
+                subjects,
+                average: this._overallAverage(subjects.map(s => s.average)),
+                generatedAt: new Date()
+            }
+        };
+    }
+}
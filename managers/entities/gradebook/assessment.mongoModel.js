@@ -0,0 +1,75 @@
+const mongoose = require('mongoose');
+
+const assessmentSchema = new mongoose.Schema({
+    name: {
+        type: String,
+        required: [true, 'Assessment name is required'],
+        trim: true,
+        minlength: [1, 'Assessment name must be at least 1 character'],
+        maxlength: [200, 'Assessment name cannot exceed 200 characters']
+    },
+    type: {
+        type: String,
+        enum: {
+            values: ['exam', 'quiz', 'assignment'],
+            message: 'Assessment type must be exam, quiz, or assignment'
+        },
+        required: [true, 'Assessment type is required']
+    },
+    schoolId: {
+        type: mongoose.Schema.Types.ObjectId,
+        ref: 'School',
+        required: [true, 'School reference is required']
+    },
+    classroomId: {
+        type: mongoose.Schema.Types.ObjectId,
+        ref: 'Classroom',
+        required: [true, 'Classroom reference is required']
+    },
+    subjectId: {
+        type: mongoose.Schema.Types.ObjectId,
+        ref: 'Subject',
+        required: [true, 'Subject reference is required']
+    },
+    academicYearId: {
+        type: mongoose.Schema.Types.ObjectId,
+        ref: 'AcademicYear'
+    },
+    term: {
+        type: String,
+        trim: true,
+        maxlength: [100, 'Term cannot exceed 100 characters']
+    },
+    date: {
+        type: Date
+    },
+    maxScore: {
+        type: Number,
+        required: [true, 'Max score is required'],
+        min: [1, 'Max score must be at least 1']
+    },
+    // Relative weight of the assessment within its subject and term
+    weight: {
+        type: Number,
+        required: [true, 'Weight is required'],
+        min: [0, 'Weight cannot be negative'],
+        max: [100, 'Weight cannot exceed 100']
+    },
+    isActive: {
+        type: Boolean,
+        default: true
+    },
+    createdBy: {
+        type: mongoose.Schema.Types.ObjectId,
+        ref: 'User',
+        required: [true, 'Creator reference is required']
+    }
+}, {
+    timestamps: true
+});
+
+// Indexes for faster queries
+assessmentSchema.index({ classroomId: 1, term: 1 });
+assessmentSchema.index({ subjectId: 1 });
+
+module.exports = mongoose.model('Assessment', assessmentSchema);
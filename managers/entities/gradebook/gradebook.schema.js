@@ -0,0 +1,125 @@
+/**
+ * Gradebook Validation Schemas
+ * Defines validation rules for subjects, assessments and scores
+ */
+module.exports = {
+    createSubject: [
+        {
+            model: 'classroomId',
+            required: true,
+            path: 'classroomId',
+        },
+        {
+            model: 'name',
+            required: true,
+            path: 'name',
+        },
+        {
+            model: 'subjectCode',
+            required: false,
+            path: 'code',
+        },
+        {
+            model: 'teacherId',
+            required: false,
+            path: 'teacherId',
+        },
+    ],
+    getSubjects: [
+        {
+            model: 'classroomId',
+            required: true,
+            path: 'classroomId',
+        },
+    ],
+    createAssessment: [
+        {
+            model: 'subjectId',
+            required: true,
+            path: 'subjectId',
+        },
+        {
+            model: 'name',
+            required: true,
+            path: 'name',
+        },
+        {
+            model: 'assessmentType',
+            required: true,
+            path: 'type',
+        },
+        {
+            model: 'maxScore',
+            required: true,
+            path: 'maxScore',
+        },
+        {
+            model: 'weight',
+            required: true,
+            path: 'weight',
+        },
+        {
+            model: 'term',
+            required: false,
+            path: 'term',
+        },
+        {
+            model: 'date',
+            required: false,
+            path: 'date',
+        },
+    ],
+    getAssessments: [
+        {
+            model: 'classroomId',
+            required: true,
+            path: 'classroomId',
+        },
+        {
+            model: 'subjectId',
+            required: false,
+            path: 'subjectId',
+        },
+        {
+            model: 'term',
+            required: false,
+            path: 'term',
+        },
+    ],
+    enterScores: [
+        {
+            model: 'assessmentId',
+            required: true,
+            path: 'assessmentId',
+        },
+        {
+            model: 'scores',
+            required: true,
+            path: 'scores',
+        },
+    ],
+    getTermAverages: [
+        {
+            model: 'classroomId',
+            required: true,
+            path: 'classroomId',
+        },
+        {
+            model: 'term',
+            required: false,
+            path: 'term',
+        },
+    ],
+    getReportCard: [
+        {
+            model: 'studentId',
+            required: true,
+            path: 'studentId',
+        },
+        {
+            model: 'term',
+            required: false,
+            path: 'term',
+        },
+    ],
+}
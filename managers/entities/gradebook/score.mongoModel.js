@@ -0,0 +1,52 @@
+const mongoose = require('mongoose');
+
+const scoreSchema = new mongoose.Schema({
+    assessmentId: {
+        type: mongoose.Schema.Types.ObjectId,
+        ref: 'Assessment',
+        required: [true, 'Assessment reference is required']
+    },
+    studentId: {
+        type: mongoose.Schema.Types.ObjectId,
+        ref: 'Student',
+        required: [true, 'Student reference is required']
+    },
+    subjectId: {
+        type: mongoose.Schema.Types.ObjectId,
+        ref: 'Subject',
+        required: [true, 'Subject reference is required']
+    },
+    classroomId: {
+        type: mongoose.Schema.Types.ObjectId,
+        ref: 'Classroom',
+        required: [true, 'Classroom reference is required']
+    },
+    schoolId: {
+        type: mongoose.Schema.Types.ObjectId,
+        ref: 'School',
+        required: [true, 'School reference is required']
+    },
+    score: {
+        type: Number,
+        required: [true, 'Score is required'],
+        min: [0, 'Score cannot be negative']
+    },
+    remarks: {
+        type: String,
+        trim: true,
+        maxlength: [500, 'Remarks cannot exceed 500 characters']
+    },
+    gradedBy: {
+        type: mongoose.Schema.Types.ObjectId,
+        ref: 'User',
+        required: [true, 'Grader reference is required']
+    }
+}, {
+    timestamps: true
+});
+
+// A student has a single score per assessment
+scoreSchema.index({ assessmentId: 1, studentId: 1 }, { unique: true });
+scoreSchema.index({ studentId: 1, subjectId: 1 });
+
+module.exports = mongoose.model('Score', scoreSchema);
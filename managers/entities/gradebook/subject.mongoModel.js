@@ -0,0 +1,48 @@
+const mongoose = require('mongoose');
+
+const subjectSchema = new mongoose.Schema({
+    name: {
+        type: String,
+        required: [true, 'Subject name is required'],
+        trim: true,
+        minlength: [1, 'Subject name must be at least 1 character'],
+        maxlength: [100, 'Subject name cannot exceed 100 characters']
+    },
+    code: {
+        type: String,
+        trim: true,
+        uppercase: true,
+        maxlength: [20, 'Subject code cannot exceed 20 characters']
+    },
+    schoolId: {
+        type: mongoose.Schema.Types.ObjectId,
+        ref: 'School',
+        required: [true, 'School reference is required']
+    },
+    classroomId: {
+        type: mongoose.Schema.Types.ObjectId,
+        ref: 'Classroom',
+        required: [true, 'Classroom reference is required']
+    },
+    teacherId: {
+        type: mongoose.Schema.Types.ObjectId,
+        ref: 'Teacher'
+    },
+    isActive: {
+        type: Boolean,
+        default: true
+    },
+    createdBy: {
+        type: mongoose.Schema.Types.ObjectId,
+        ref: 'User',
+        required: [true, 'Creator reference is required']
+    }
+}, {
+    timestamps: true
+});
+
+// A subject is taught once per classroom
+subjectSchema.index({ classroomId: 1, name: 1 }, { unique: true });
+subjectSchema.index({ schoolId: 1 });
+
+module.exports = mongoose.model('Subject', subjectSchema);
@@ -1,3 +1,23 @@
+const { badRequest, notFound, conflict, validationFailed } = require('../../_common/errors.helper');
+const { withQuery, streamExport } = require('../../_common/export.helper');
+const { containing, equalIgnoringCase } = require('../../_common/search.helper');
+const { paginate } = require('../../_common/pagination.helper');
+
+/** fields getSchools sorts by, each backed by an index */
+const SORT_FIELDS = ['createdAt', 'name', 'establishedYear'];
+
+const EXPORT_COLUMNS = [
+    { header: 'id', value: s => s._id },
+    { header: 'name', value: s => s.name },
+    { header: 'address', value: s => s.address },
+    { header: 'phone', value: s => s.phone },
+    { header: 'email', value: s => s.email },
+    { header: 'principal', value: s => s.principal },
+    { header: 'establishedYear', value: s => s.establishedYear },
+    { header: 'isActive', value: s => s.isActive },
+    { header: 'createdAt', value: s => s.createdAt },
+];
+
 /**
  * School Manager
  * 
@@ -16,24 +36,19 @@ module.exports = class School {
             'createSchool',
             'get=getSchools',
             'get=getSchool',
+            'get=exportSchools',
             'updateSchool',
             'deleteSchool'
         ];
-    }
-
-    /**
-     * Check if user has superadmin role
-     * @param {Object} token - Decoded token
-     * @returns {Object|null} Error object if not authorized, null if authorized
-     */
-    _checkSuperadminAccess(token) {
-        if (!token) {
-            return { error: 'Authentication required', code: 401 };
-        }
-        if (token.role !== 'superadmin') {
-            return { error: 'Access denied. Only superadmins can manage schools.', code: 403 };
-        }
-        return null;
+        const superadmin         = { roles: ['superadmin'], message: 'Access denied. Only superadmins can manage schools.' };
+        this.policies            = {
+            createSchool:  superadmin,
+            getSchools:    superadmin,
+            getSchool:     superadmin,
+            exportSchools: superadmin,
+            updateSchool:  superadmin,
+            deleteSchool:  superadmin,
+        };
     }
 
     /**
@@ -48,24 +63,20 @@ module.exports = class School {
      * @param {Object} params.__longToken - Decoded token from middleware
      */
     async createSchool({ name, address, phone, email, principal, establishedYear, __longToken }){
-        // Check authorization
-        const authError = this._checkSuperadminAccess(__longToken);
-        if (authError) return authError;
-
         const schoolData = { name, address, phone, email, principal, establishedYear };
 
         // Validate input
         let result = await this.validators.school.createSchool(schoolData);
-        if(result) return { errors: result };
+        if(result) return validationFailed(result);
 
         // Check if school with same name already exists
         const existingSchool = await this.mongomodels.school.findOne({ 
-            name: { $regex: new RegExp(`^${name}$`, 'i') },
+            name: equalIgnoringCase(name),
             isActive: true 
         });
         
         if(existingSchool) {
-            return { error: 'A school with this name already exists' };
+            return conflict('A school with this name already exists');
         }
 
         // Create school
@@ -85,20 +96,11 @@ module.exports = class School {
     }
 
     /**
-     * Get all schools with pagination
-     * @param {Object} params - Query parameters
-     * @param {number} [params.page=1] - Page number
-     * @param {number} [params.limit=10] - Items per page
-     * @param {string} [params.search] - Search term for name
-     * @param {boolean} [params.isActive] - Filter by active status
-     * @param {Object} params.__longToken - Decoded token from middleware
+     * Build the school list query
+     * @param {Object} filters - getSchools filters
+     * @returns {Object} Mongo query
      */
-    async getSchools({ page = 1, limit = 10, search, isActive, __longToken }){
-        // Check authorization
-        const authError = this._checkSuperadminAccess(__longToken);
-        if (authError) return authError;
-
-        // Build query
+    _buildSchoolsQuery({ search, isActive }) {
         const query = {};
         
         if (typeof isActive !== 'undefined') {
@@ -106,35 +108,66 @@ module.exports = class School {
         }
 
         if (search) {
-            query.name = { $regex: search, $options: 'i' };
+            query.name = containing(search);
         }
 
-        // Parse pagination
-        const pageNum = Math.max(1, parseInt(page) || 1);
-        const limitNum = Math.min(100, Math.max(1, parseInt(limit) || 10));
-        const skip = (pageNum - 1) * limitNum;
-
-        // Execute query with pagination
-        const [schools, total] = await Promise.all([
-            this.mongomodels.school
-                .find(query)
-                .populate('createdBy', 'username email')
-                .sort({ createdAt: -1 })
-                .skip(skip)
-                .limit(limitNum)
-                .lean(),
-            this.mongomodels.school.countDocuments(query)
-        ]);
+        return query;
+    }
 
-        return {
-            schools,
-            pagination: {
-                page: pageNum,
-                limit: limitNum,
-                total,
-                pages: Math.ceil(total / limitNum)
-            }
-        };
+    /**
+     * Get all schools with pagination, by page or by cursor
+     * @param {Object} params - Query parameters
+     * @param {number} [params.page=1] - Page number
+     * @param {number} [params.limit] - Items per page, config.pagination.defaultLimit by default
+     * @param {string} [params.after] - Cursor of the row to continue after (cursor mode)
+     * @param {string} [params.before] - Cursor of the row to continue before (cursor mode)
+     * @param {string} [params.sortBy=createdAt] - createdAt, name or establishedYear
+     * @param {string} [params.sortOrder=desc] - asc or desc
+     * @param {string} [params.search] - Search term for name
+     * @param {boolean} [params.isActive] - Filter by active status
+     * @param {Object} params.__longToken - Decoded token from middleware
+     */
+    async getSchools({ page, limit, after, before, sortBy, sortOrder, search, isActive, __longToken }){
+        const query = this._buildSchoolsQuery({ search, isActive });
+
+        const result = await paginate({
+            model: this.mongomodels.school,
+            query,
+            params: { page, limit, after, before, sortBy, sortOrder },
+            sortFields: SORT_FIELDS,
+            config: this.config,
+            find: q => q.populate('createdBy', 'username email'),
+        });
+        if (result.error) return result;
+
+        return { schools: result.items, pagination: result.pagination };
+    }
+
+    /**
+     * Stream every school matching the getSchools filters as CSV or NDJSON.
+     * Filters may also be sent in the query string.
+     * @param {Object} params - Query parameters
+     * @param {string} [params.format=csv] - csv or ndjson
+     * @param {string} [params.search] - Search term for name
+     * @param {boolean} [params.isActive] - Filter by active status
+     * @param {Object} params.__query - Query string from middleware
+     * @param {Object} params.__longToken - Decoded token from middleware
+     * @param {Object} params.res - Express response the export is streamed to
+     */
+    async exportSchools({ format, search, isActive, __query, __longToken, res }){
+        const filters = withQuery(__query, { format, search, isActive });
+        filters.format = filters.format || 'csv';
+
+        let result = await this.validators.school.exportSchools(filters);
+        if(result) return validationFailed(result);
+
+        const cursor = this.mongomodels.school
+            .find(this._buildSchoolsQuery(filters))
+            .sort({ createdAt: -1 })
+            .lean()
+            .cursor();
+
+        return streamExport({ res, cursor, format: filters.format, columns: EXPORT_COLUMNS, filename: 'schools' });
     }
 
     /**
@@ -144,12 +177,8 @@ module.exports = class School {
      * @param {Object} params.__longToken - Decoded token from middleware
      */
     async getSchool({ schoolId, __longToken }){
-        // Check authorization
-        const authError = this._checkSuperadminAccess(__longToken);
-        if (authError) return authError;
-
         if (!schoolId) {
-            return { error: 'School ID is required' };
+            return badRequest('School ID is required');
         }
 
         const school = await this.mongomodels.school
@@ -157,7 +186,7 @@ module.exports = class School {
             .populate('createdBy', 'username email');
 
         if (!school) {
-            return { error: 'School not found' };
+            return notFound('School not found');
         }
 
         // Get classroom and student counts
@@ -189,30 +218,26 @@ module.exports = class School {
      * @param {Object} params.__longToken - Decoded token from middleware
      */
     async updateSchool({ schoolId, name, address, phone, email, principal, establishedYear, isActive, __longToken }){
-        // Check authorization
-        const authError = this._checkSuperadminAccess(__longToken);
-        if (authError) return authError;
-
         if (!schoolId) {
-            return { error: 'School ID is required' };
+            return badRequest('School ID is required');
         }
 
         const school = await this.mongomodels.school.findById(schoolId);
         
         if (!school) {
-            return { error: 'School not found' };
+            return notFound('School not found');
         }
 
         // Check for duplicate name if updating name
         if (name && name !== school.name) {
             const existingSchool = await this.mongomodels.school.findOne({
                 _id: { $ne: schoolId },
-                name: { $regex: new RegExp(`^${name}$`, 'i') },
+                name: equalIgnoringCase(name),
                 isActive: true
             });
             
             if (existingSchool) {
-                return { error: 'A school with this name already exists' };
+                return conflict('A school with this name already exists');
             }
         }
 
@@ -237,22 +262,18 @@ module.exports = class School {
      * @param {Object} params.__longToken - Decoded token from middleware
      */
     async deleteSchool({ schoolId, __longToken }){
-        // Check authorization
-        const authError = this._checkSuperadminAccess(__longToken);
-        if (authError) return authError;
-
         if (!schoolId) {
-            return { error: 'School ID is required' };
+            return badRequest('School ID is required');
         }
 
         const school = await this.mongomodels.school.findById(schoolId);
         
         if (!school) {
-            return { error: 'School not found' };
+            return notFound('School not found');
         }
 
         if (!school.isActive) {
-            return { error: 'School is already inactive' };
+            return conflict('School is already inactive');
         }
 
         // Check if school has active classrooms or students
@@ -262,11 +283,10 @@ module.exports = class School {
         ]);
 
         if (activeClassrooms > 0 || activeStudents > 0) {
-            return { 
-                error: 'Cannot delete school with active classrooms or students. Please deactivate or transfer them first.',
-                activeClassrooms,
-                activeStudents
-            };
+            return conflict(
+                'Cannot delete school with active classrooms or students. Please deactivate or transfer them first.',
+                { activeClassrooms, activeStudents }
+            );
         }
 
         // Soft delete
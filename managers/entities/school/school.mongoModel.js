@@ -48,9 +48,17 @@ const schoolSchema = new mongoose.Schema({
 });
 
 // Index for faster queries
-schoolSchema.index({ name: 1 });
 schoolSchema.index({ isActive: 1 });
 schoolSchema.index({ createdBy: 1 });
+// Sort orders of getSchools, _id keeps equal values in a stable order
+schoolSchema.index({ createdAt: -1, _id: -1 });
+schoolSchema.index({ name: 1, _id: 1 });
+schoolSchema.index({ establishedYear: 1, _id: 1 });
+// Full-text search, the weights rank matches (see Search.manager.js)
+schoolSchema.index(
+    { name: 'text', principal: 'text', email: 'text' },
+    { name: 'search', weights: { name: 10, principal: 3, email: 2 } }
+);
 
 // Virtual for getting associated classrooms count
 schoolSchema.virtual('classrooms', {
@@ -42,6 +42,13 @@ module.exports = {
             path: 'isActive',
         },
     ],
+    exportSchools: [
+        {
+            model: 'exportFormat',
+            required: true,
+            path: 'format',
+        },
+    ],
     getSchool: [
         {
             model: 'schoolId',
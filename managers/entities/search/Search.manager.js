@@ -0,0 +1,177 @@
+const { badRequest, validationFailed } = require('../../_common/errors.helper');
+const { schoolRoleOf, getEffectiveSchoolId, teacherClassroomIdsOf } = require('../../_common/schoolAccess.helper');
+const { wordStartingWith } = require('../../_common/search.helper');
+
+const DEFAULT_LIMIT = 20;
+const MAX_LIMIT = 50;
+/** partial words rank below whole words matched by the text index */
+const PARTIAL_WEIGHT = 0.5;
+/** words of a search matched as prefixes, at most */
+const MAX_PARTIAL_WORDS = 5;
+
+/** searched collections and how their documents are listed */
+const TYPES = {
+    students: {
+        model: 'student',
+        type: 'student',
+        summary: s => ({
+            title: `${s.firstName} ${s.lastName}`,
+            subtitle: s.email || s.guardianName || null,
+            schoolId: s.schoolId,
+            classroomId: s.classroomId || null,
+        }),
+    },
+    classrooms: {
+        model: 'classroom',
+        type: 'classroom',
+        summary: c => ({
+            title: c.name,
+            subtitle: [c.grade && `Grade ${c.grade}`, c.section].filter(Boolean).join(' ') || null,
+            schoolId: c.schoolId,
+        }),
+    },
+    schools: {
+        model: 'school',
+        type: 'school',
+        summary: s => ({
+            title: s.name,
+            subtitle: s.address || null,
+            schoolId: s._id,
+        }),
+    },
+};
+
+/**
+ * Search Manager
+ *
+ * One search box over students, classrooms and schools. Whole words are
+ * matched through the `search` text index of each collection and ranked
+ * by its weights, partially typed words ("joh") by the start of words.
+ * Results are limited to what the caller may list: their school, and for
+ * teachers the classrooms they are assigned to.
+ */
+module.exports = class Search {
+
+    constructor({utils, cache, config, cortex, managers, validators, mongomodels }={}){
+        this.config              = config;
+        this.cortex              = cortex;
+        this.validators          = validators;
+        this.mongomodels         = mongomodels;
+        this.usersCollection     = "search";
+        this.httpExposed         = [
+            'get=query'
+        ];
+        this.policies            = {
+            query: { roles: ['school_admin', 'teacher'], school: 'schoolId', message: 'Access denied. You can only search your assigned school.' },
+        };
+    }
+
+    /**
+     * Filters limiting each collection to what a token may list
+     * @param {Object} token - Decoded token
+     * @param {string} [schoolId] - Requested school
+     * @returns {Promise<Object>} Filter per type
+     */
+    async _scopesOf(token, schoolId) {
+        const effectiveSchoolId = getEffectiveSchoolId(token, schoolId);
+        const inSchool = effectiveSchoolId ? { schoolId: effectiveSchoolId } : {};
+        const scopes = {
+            students: { ...inSchool },
+            classrooms: { ...inSchool },
+            schools: effectiveSchoolId ? { _id: effectiveSchoolId } : {},
+        };
+
+        if (schoolRoleOf(token, effectiveSchoolId) === 'teacher') {
+            const classroomIds = await teacherClassroomIdsOf(this.mongomodels, token, effectiveSchoolId);
+            scopes.students.classroomId = { $in: classroomIds };
+            scopes.classrooms._id = { $in: classroomIds };
+        }
+
+        return scopes;
+    }
+
+    /**
+     * Weights of the fields in the text index of a model
+     * @param {Object} model - Mongo model
+     * @returns {Object} Weight per field
+     */
+    _weightsOf(model) {
+        const [fields, options] = model.schema.indexes().find(([, options]) => options.name === 'search');
+        return Object.keys(fields).reduce((weights, field) => ({ ...weights, [field]: options.weights[field] || 1 }), {});
+    }
+
+    /**
+     * Search one collection
+     * @param {string} name - Type, a key of TYPES
+     * @param {Object} scope - Filter from _scopesOf
+     * @param {string} q - Search text
+     * @param {number} limit - Results to return at most
+     * @returns {Promise<Object[]>} Summaries with their score
+     */
+    async _searchType(name, scope, q, limit) {
+        const { model: modelName, type, summary } = TYPES[name];
+        const model = this.mongomodels[modelName];
+        const weights = this._weightsOf(model);
+        const fields = Object.keys(weights);
+
+        const matched = await model
+            .find({ ...scope, $text: { $search: q } }, { score: { $meta: 'textScore' } })
+            .sort({ score: { $meta: 'textScore' } })
+            .limit(limit)
+            .lean();
+
+        const words = q.split(/\s+/).filter(word => word.length >= 2).slice(0, MAX_PARTIAL_WORDS).map(wordStartingWith);
+        const partial = words.length ? await model
+            .find({ $and: [
+                scope,
+                { _id: { $nin: matched.map(doc => doc._id) } },
+                ...words.map(word => ({ $or: fields.map(field => ({ [field]: word })) })),
+            ] })
+            .limit(limit)
+            .lean() : [];
+        /** a partial match scores by the heaviest field each word starts a word in */
+        partial.forEach(doc => {
+            doc.score = PARTIAL_WEIGHT * words.reduce((sum, word) =>
+                sum + Math.max(...fields.map(field => word.test(doc[field] || '') ? weights[field] : 0)), 0);
+        });
+
+        return [...matched, ...partial].map(doc => ({
+            type,
+            id: doc._id,
+            ...summary(doc),
+            score: doc.score,
+        }));
+    }
+
+    /**
+     * Search students, classrooms and schools at once, best matches first
+     * @param {Object} params - Query parameters
+     * @param {string} params.q - Search text (required)
+     * @param {string[]} [params.types] - students, classrooms and/or schools, all by default
+     * @param {string} [params.schoolId] - School to search (superadmins search every school by default)
+     * @param {number} [params.limit=20] - Results to return at most
+     * @param {Object} params.__longToken - Decoded token from middleware
+     */
+    async query({ q, types, schoolId, limit, __longToken }){
+        // Validate input
+        let result = await this.validators.search.query({ q, types, schoolId });
+        if(result) return validationFailed(result);
+
+        const searched = types && types.length ? types : Object.keys(TYPES);
+        const unknown = searched.filter(type => !Object.keys(TYPES).includes(type));
+        if (unknown.length) {
+            return badRequest(`Unknown types: ${unknown.join(', ')}`);
+        }
+
+        const text = q.trim();
+        const limitNum = Math.min(MAX_LIMIT, Math.max(1, parseInt(limit) || DEFAULT_LIMIT));
+        const scopes = await this._scopesOf(__longToken, schoolId);
+
+        const found = await Promise.all(searched.map(type => this._searchType(type, scopes[type], text, limitNum)));
+        const results = found.flat()
+            .sort((a, b) => b.score - a.score)
+            .slice(0, limitNum);
+
+        return { results };
+    }
+}
@@ -0,0 +1,23 @@
+/**
+ * Search Validation Schemas
+ * Defines validation rules for search operations
+ */
+module.exports = {
+    query: [
+        {
+            model: 'searchText',
+            required: true,
+            path: 'q',
+        },
+        {
+            model: 'searchTypes',
+            required: false,
+            path: 'types',
+        },
+        {
+            model: 'schoolId',
+            required: false,
+            path: 'schoolId',
+        },
+    ],
+}
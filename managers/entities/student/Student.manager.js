@@ -1,9 +1,44 @@
+const { badRequest, forbidden, notFound, conflict, internalError, validationFailed } = require('../../_common/errors.helper');
+const { schoolRoleOf, isSchoolAdmin, getEffectiveSchoolId, isGrantedOn, teacherClassroomIdsOf, teachesClassroom } = require('../../_common/schoolAccess.helper');
+const csv = require('../../_common/csv.helper');
+const { withQuery, streamExport } = require('../../_common/export.helper');
+const { containing } = require('../../_common/search.helper');
+const { paginate } = require('../../_common/pagination.helper');
+
+const IMPORT_COLUMNS = [
+    'firstName', 'lastName', 'email', 'dateOfBirth', 'gender',
+    'classroomId', 'guardianName', 'guardianPhone', 'guardianEmail', 'address'
+];
+const MAX_IMPORT_ROWS = 1000;
+/** fields getStudents sorts by, each backed by an index */
+const SORT_FIELDS = ['createdAt', 'lastName', 'firstName', 'enrollmentDate'];
+const EXPORT_COLUMNS = [
+    { header: 'id', value: s => s._id },
+    { header: 'firstName', value: s => s.firstName },
+    { header: 'lastName', value: s => s.lastName },
+    { header: 'email', value: s => s.email },
+    { header: 'dateOfBirth', value: s => s.dateOfBirth },
+    { header: 'gender', value: s => s.gender },
+    { header: 'schoolId', value: s => s.schoolId },
+    { header: 'classroomId', value: s => s.classroomId && s.classroomId._id },
+    { header: 'classroom', value: s => s.classroomId && s.classroomId.name },
+    { header: 'academicYearId', value: s => s.academicYearId },
+    { header: 'enrollmentDate', value: s => s.enrollmentDate },
+    { header: 'guardianName', value: s => s.guardianName },
+    { header: 'guardianPhone', value: s => s.guardianPhone },
+    { header: 'guardianEmail', value: s => s.guardianEmail },
+    { header: 'address', value: s => s.address },
+    { header: 'isActive', value: s => s.isActive },
+];
+
 /**
  * Student Manager
  * 
  * Handles CRUD operations for students and transfers.
  * School admins can only manage students in their assigned school.
  * Superadmins can manage students in any school.
+ * Teachers can only read students of the classrooms they are assigned to.
+ * Seats freed by unenrollments and moves are handed to the classroom waitlist.
  */
 module.exports = class Student { 
 
@@ -12,66 +47,73 @@ module.exports = class Student {
         this.cortex              = cortex;
         this.validators          = validators; 
         this.mongomodels         = mongomodels;
+        this.waitlistManager     = managers.waitlist;
+        this.shark               = managers.shark;
         this.usersCollection     = "students";
         this.httpExposed         = [
             'createStudent',
             'get=getStudents',
             'get=getStudent',
+            'get=exportStudents',
             'updateStudent',
             'deleteStudent',
-            'transferStudent'
+            'transferStudent',
+            'importStudents'
         ];
+        const message            = 'Access denied. You can only access students in your assigned school.';
+        /** a single student is checked against the permission tree, see _isGranted */
+        this.policies            = {
+            createStudent:   { roles: ['school_admin'], school: 'schoolId', message },
+            getStudents:     { roles: ['school_admin', 'teacher'], school: 'schoolId', message },
+            getStudent:      'authenticated',
+            exportStudents:  { roles: ['school_admin', 'teacher'], school: 'schoolId', message },
+            updateStudent:   'authenticated',
+            deleteStudent:   'authenticated',
+            transferStudent: 'authenticated',
+            importStudents:  { roles: ['school_admin'], school: 'schoolId', message },
+        };
     }
 
     /**
-     * Check if user has access to the school
+     * Whether a token may run an action on a student, or on a classroom
+     * when no student is given. School admins hold it by role, teachers
+     * read the students of the classrooms they are assigned to, anyone
+     * else needs a direct grant.
      * @param {Object} token - Decoded token
-     * @param {string} schoolId - School ID to access
-     * @returns {Object|null} Error object if not authorized, null if authorized
+     * @param {Object} target - { schoolId, classroomId, studentId }
+     * @param {string} action - Action (read, write, delete)
+     * @returns {Promise<boolean>}
      */
-    _checkSchoolAccess(token, schoolId) {
-        if (!token) {
-            return { error: 'Authentication required', code: 401 };
-        }
-        
-        // Superadmin has access to all schools
-        if (token.role === 'superadmin') {
-            return null;
-        }
-        
-        // School admin can only access their assigned school
-        if (token.role === 'school_admin') {
-            if (!schoolId) {
-                return null; // School ID will be auto-assigned from token
-            }
-            
-            const tokenSchoolId = token.schoolId ? token.schoolId.toString() : null;
-            const requestedSchoolId = schoolId.toString();
-            
-            if (tokenSchoolId !== requestedSchoolId) {
-                return { error: 'Access denied. You can only access students in your assigned school.', code: 403 };
-            }
-            return null;
-        }
-        
-        return { error: 'Access denied.', code: 403 };
+    async _isGranted(token, { schoolId, classroomId, studentId }, action) {
+        const isOwner = await teachesClassroom(this.mongomodels, token, { schoolId, classroomId });
+        return isGrantedOn(this.shark, token, { action, schoolId, classroomId, studentId, isOwner });
     }
 
     /**
-     * Get the effective school ID for the request
+     * Target of a student document in the permission tree
+     * @param {Object} student - Student document, populated or not
+     * @returns {Object} { schoolId, classroomId, studentId }
+     */
+    _nodeOf(student) {
+        return {
+            schoolId: (student.schoolId._id || student.schoolId).toString(),
+            classroomId: student.classroomId ? (student.classroomId._id || student.classroomId).toString() : null,
+            studentId: student._id.toString(),
+        };
+    }
+
+    /**
+     * Error for a student the token was not granted an action on
      * @param {Object} token - Decoded token
-     * @param {string} requestedSchoolId - School ID from request
-     * @returns {string} Effective school ID
+     * @param {string} schoolId - School of the student
+     * @param {string} action - Action that was refused
+     * @returns {Object} Error object
      */
-    _getEffectiveSchoolId(token, requestedSchoolId) {
-        if (!token) {
-            return requestedSchoolId;
+    _denied(token, schoolId, action) {
+        if (action === 'read' && schoolRoleOf(token, schoolId) === 'teacher') {
+            return forbidden('Access denied. You can only access students in your assigned classrooms.');
         }
-        if (token.role === 'superadmin') {
-            return requestedSchoolId;
-        }
-        // School admin uses their assigned school
-        return token.schoolId;
+        return forbidden(isSchoolAdmin(token) ? 'Access denied. You can only access students in your assigned school.' : 'Access denied.');
     }
 
     /**
@@ -88,36 +130,20 @@ module.exports = class Student {
      * @param {string} [params.guardianPhone] - Guardian phone
      * @param {string} [params.guardianEmail] - Guardian email
      * @param {string} [params.address] - Student address
+     * @param {boolean} [params.waitlist] - Join the classroom's waitlist if it is full
      * @param {Object} params.__longToken - Decoded token from middleware
      */
     async createStudent({ 
         schoolId, classroomId, firstName, lastName, email, 
         dateOfBirth, gender, guardianName, guardianPhone, 
-        guardianEmail, address, __longToken 
+        guardianEmail, address, waitlist, __longToken 
     }){
-        // Check authentication first
-        if (!__longToken) {
-            return { error: 'Authentication required', code: 401 };
-        }
-
-        // For school_admin, if they explicitly provide a different schoolId, check that first
-        if (__longToken.role === 'school_admin' && schoolId) {
-            const tokenSchoolId = __longToken.schoolId ? __longToken.schoolId.toString() : null;
-            if (schoolId.toString() !== tokenSchoolId) {
-                return { error: 'Access denied. You can only access students in your assigned school.', code: 403 };
-            }
-        }
-
         // Get effective school ID
-        const effectiveSchoolId = this._getEffectiveSchoolId(__longToken, schoolId);
-        
-        // Check authorization
-        const authError = this._checkSchoolAccess(__longToken, effectiveSchoolId);
-        if (authError) return authError;
+        const effectiveSchoolId = getEffectiveSchoolId(__longToken, schoolId);
 
         // Superadmin must specify schoolId
         if (__longToken.role === 'superadmin' && !effectiveSchoolId) {
-            return { error: 'School ID is required for superadmin' };
+            return badRequest('School ID is required for superadmin');
         }
 
         const studentData = { 
@@ -127,64 +153,99 @@ module.exports = class Student {
 
         // Validate input
         let result = await this.validators.student.createStudent(studentData);
-        if(result) return { errors: result };
+        if(result) return validationFailed(result);
 
         // Verify school exists
         const school = await this.mongomodels.school.findById(effectiveSchoolId);
         if (!school) {
-            return { error: 'School not found' };
+            return notFound('School not found');
         }
         if (!school.isActive) {
-            return { error: 'Cannot enroll student in an inactive school' };
+            return conflict('Cannot enroll student in an inactive school');
         }
 
-        // If classroom is specified, verify it belongs to the school and has capacity
+        // Enrollments belong to the classroom's academic year, or the school's current one
+        let academicYearId = null;
+        let classroom = null;
+
+        // If classroom is specified, verify it belongs to the school
         if (classroomId) {
-            const classroom = await this.mongomodels.classroom.findById(classroomId);
+            classroom = await this.mongomodels.classroom.findById(classroomId);
             if (!classroom) {
-                return { error: 'Classroom not found' };
+                return notFound('Classroom not found');
             }
             if (!classroom.isActive) {
-                return { error: 'Cannot enroll student in an inactive classroom' };
+                return conflict('Cannot enroll student in an inactive classroom');
             }
             if (classroom.schoolId.toString() !== effectiveSchoolId.toString()) {
-                return { error: 'Classroom does not belong to the specified school' };
+                return badRequest('Classroom does not belong to the specified school');
             }
-
-            // Check classroom capacity
-            const currentStudents = await this.mongomodels.student.countDocuments({
-                classroomId,
+            academicYearId = classroom.academicYearId;
+        } else {
+            const currentYear = await this.mongomodels.academicYear.findOne({
+                schoolId: effectiveSchoolId,
+                isCurrent: true,
                 isActive: true
             });
-            if (currentStudents >= classroom.capacity) {
-                return { error: 'Classroom is at full capacity' };
-            }
+            academicYearId = currentYear ? currentYear._id : null;
         }
 
         // Check for duplicate email if provided
         if (email) {
             const existingStudent = await this.mongomodels.student.findOne({ email });
             if (existingStudent) {
-                return { error: 'A student with this email already exists' };
+                return conflict('A student with this email already exists');
+            }
+        }
+
+        // Take the seat in a single conditional update so concurrent enrollments can't overfill the classroom
+        let seated = false;
+        let waitlistedClassroom = null;
+        if (classroom) {
+            seated = !!(await this.mongomodels.classroom.reserveSeats(classroom._id));
+            if (!seated) {
+                if (!waitlist) {
+                    return conflict('Classroom is at full capacity');
+                }
+                // Enroll in the school only, the seat comes from the waitlist
+                waitlistedClassroom = classroom;
             }
         }
 
         // Create student
-        const createdStudent = await this.mongomodels.student.create({
-            schoolId: effectiveSchoolId,
-            classroomId,
-            firstName,
-            lastName,
-            email,
-            dateOfBirth: dateOfBirth ? new Date(dateOfBirth) : undefined,
-            gender,
-            guardianName,
-            guardianPhone,
-            guardianEmail,
-            address,
-            enrollmentDate: new Date(),
-            createdBy: __longToken.userId
-        });
+        let createdStudent;
+        try {
+            createdStudent = await this.mongomodels.student.create({
+                schoolId: effectiveSchoolId,
+                classroomId: seated ? classroom._id : undefined,
+                firstName,
+                lastName,
+                email,
+                dateOfBirth: dateOfBirth ? new Date(dateOfBirth) : undefined,
+                gender,
+                guardianName,
+                guardianPhone,
+                guardianEmail,
+                address,
+                academicYearId: academicYearId || undefined,
+                enrollmentDate: new Date(),
+                createdBy: __longToken.userId
+            });
+        } catch (err) {
+            if (seated) await this.mongomodels.classroom.releaseSeats(classroom._id);
+            throw err;
+        }
+
+        if (waitlistedClassroom) {
+            return {
+                student: createdStudent.toJSON(),
+                waitlist: await this.waitlistManager.enqueue({
+                    student: createdStudent,
+                    classroom: waitlistedClassroom,
+                    createdBy: __longToken.userId
+                })
+            };
+        }
 
         return {
             student: createdStudent.toJSON()
@@ -192,36 +253,32 @@ module.exports = class Student {
     }
 
     /**
-     * Get all students with pagination and filters
-     * @param {Object} params - Query parameters
-     * @param {string} [params.schoolId] - Filter by school ID
-     * @param {string} [params.classroomId] - Filter by classroom ID
-     * @param {number} [params.page=1] - Page number
-     * @param {number} [params.limit=10] - Items per page
-     * @param {string} [params.search] - Search term for name or email
-     * @param {string} [params.gender] - Filter by gender
-     * @param {boolean} [params.isActive] - Filter by active status
-     * @param {Object} params.__longToken - Decoded token from middleware
+     * Build the students query shared by getStudents and exportStudents
+     * @param {Object} token - Decoded token
+     * @param {Object} filters - schoolId, classroomId, search, gender, isActive, academicYearId
+     * @returns {Object} { query } or an error object
      */
-    async getStudents({ schoolId, classroomId, page = 1, limit = 10, search, gender, isActive, __longToken }){
+    async _buildStudentsQuery(token, { schoolId, classroomId, search, gender, isActive, academicYearId }) {
         // Get effective school ID
-        const effectiveSchoolId = this._getEffectiveSchoolId(__longToken, schoolId);
+        const effectiveSchoolId = getEffectiveSchoolId(token, schoolId);
 
-        // Check authorization
-        const authError = this._checkSchoolAccess(__longToken, effectiveSchoolId);
-        if (authError) return authError;
+        // Teachers are limited to their classrooms below
+        const isTeacher = schoolRoleOf(token, effectiveSchoolId) === 'teacher';
 
         // Build query
         const query = {};
         
-        // School admins can only see their school's students
-        if (__longToken.role === 'school_admin') {
-            query.schoolId = __longToken.schoolId;
-        } else if (effectiveSchoolId) {
+        if (effectiveSchoolId) {
             query.schoolId = effectiveSchoolId;
         }
 
-        if (classroomId) {
+        if (isTeacher) {
+            const classroomIds = await teacherClassroomIdsOf(this.mongomodels, token, effectiveSchoolId);
+            if (classroomId && !classroomIds.includes(classroomId.toString())) {
+                return forbidden('Access denied. You can only access students in your assigned classrooms.');
+            }
+            query.classroomId = classroomId || { $in: classroomIds };
+        } else if (classroomId) {
             query.classroomId = classroomId;
         }
 
@@ -231,9 +288,9 @@ module.exports = class Student {
 
         if (search) {
             query.$or = [
-                { firstName: { $regex: search, $options: 'i' } },
-                { lastName: { $regex: search, $options: 'i' } },
-                { email: { $regex: search, $options: 'i' } }
+                { firstName: containing(search) },
+                { lastName: containing(search) },
+                { email: containing(search) }
             ];
         }
 
@@ -241,34 +298,84 @@ module.exports = class Student {
             query.gender = gender;
         }
 
-        // Parse pagination
-        const pageNum = Math.max(1, parseInt(page) || 1);
-        const limitNum = Math.min(100, Math.max(1, parseInt(limit) || 10));
-        const skip = (pageNum - 1) * limitNum;
+        if (academicYearId) {
+            query.academicYearId = academicYearId;
+        }
+
+        return { query };
+    }
 
-        // Execute query with pagination
-        const [students, total] = await Promise.all([
-            this.mongomodels.student
-                .find(query)
+    /**
+     * Get all students with pagination and filters, by page or by cursor
+     * @param {Object} params - Query parameters
+     * @param {string} [params.schoolId] - Filter by school ID
+     * @param {string} [params.classroomId] - Filter by classroom ID
+     * @param {number} [params.page=1] - Page number
+     * @param {number} [params.limit] - Items per page, config.pagination.defaultLimit by default
+     * @param {string} [params.after] - Cursor of the row to continue after (cursor mode)
+     * @param {string} [params.before] - Cursor of the row to continue before (cursor mode)
+     * @param {string} [params.sortBy=createdAt] - createdAt, lastName, firstName or enrollmentDate
+     * @param {string} [params.sortOrder=desc] - asc or desc
+     * @param {string} [params.search] - Search term for name or email
+     * @param {string} [params.gender] - Filter by gender
+     * @param {boolean} [params.isActive] - Filter by active status
+     * @param {string} [params.academicYearId] - Filter by academic year ID
+     * @param {Object} params.__longToken - Decoded token from middleware
+     */
+    async getStudents({ schoolId, classroomId, page, limit, after, before, sortBy, sortOrder, search, gender, isActive, academicYearId, __longToken }){
+        const built = await this._buildStudentsQuery(__longToken, { schoolId, classroomId, search, gender, isActive, academicYearId });
+        if (built.error) return built;
+        const { query } = built;
+
+        const result = await paginate({
+            model: this.mongomodels.student,
+            query,
+            params: { page, limit, after, before, sortBy, sortOrder },
+            sortFields: SORT_FIELDS,
+            config: this.config,
+            find: q => q
                 .populate('schoolId', 'name')
                 .populate('classroomId', 'name grade section')
-                .populate('createdBy', 'username email')
-                .sort({ createdAt: -1 })
-                .skip(skip)
-                .limit(limitNum)
-                .lean(),
-            this.mongomodels.student.countDocuments(query)
-        ]);
+                .populate('createdBy', 'username email'),
+        });
+        if (result.error) return result;
 
-        return {
-            students,
-            pagination: {
-                page: pageNum,
-                limit: limitNum,
-                total,
-                pages: Math.ceil(total / limitNum)
-            }
-        };
+        return { students: result.items, pagination: result.pagination };
+    }
+
+    /**
+     * Stream every student matching the getStudents filters as CSV or NDJSON.
+     * Filters may also be sent in the query string.
+     * @param {Object} params - Query parameters
+     * @param {string} [params.format=csv] - csv or ndjson
+     * @param {string} [params.schoolId] - Filter by school ID
+     * @param {string} [params.classroomId] - Filter by classroom ID
+     * @param {string} [params.search] - Search term for name or email
+     * @param {string} [params.gender] - Filter by gender
+     * @param {boolean} [params.isActive] - Filter by active status
+     * @param {string} [params.academicYearId] - Filter by academic year ID
+     * @param {Object} params.__query - Query string from middleware
+     * @param {Object} params.__longToken - Decoded token from middleware
+     * @param {Object} params.res - Express response the export is streamed to
+     */
+    async exportStudents({ format, schoolId, classroomId, search, gender, isActive, academicYearId, __query, __longToken, res }){
+        const filters = withQuery(__query, { format, schoolId, classroomId, search, gender, isActive, academicYearId });
+        filters.format = filters.format || 'csv';
+
+        let result = await this.validators.student.exportStudents(filters);
+        if(result) return validationFailed(result);
+
+        const built = await this._buildStudentsQuery(__longToken, filters);
+        if (built.error) return built;
+
+        const cursor = this.mongomodels.student
+            .find(built.query)
+            .populate('classroomId', 'name')
+            .sort({ createdAt: -1 })
+            .lean()
+            .cursor();
+
+        return streamExport({ res, cursor, format: filters.format, columns: EXPORT_COLUMNS, filename: 'students' });
     }
 
     /**
@@ -278,12 +385,8 @@ module.exports = class Student {
      * @param {Object} params.__longToken - Decoded token from middleware
      */
     async getStudent({ studentId, __longToken }){
-        if (!__longToken) {
-            return { error: 'Authentication required', code: 401 };
-        }
-
         if (!studentId) {
-            return { error: 'Student ID is required' };
+            return badRequest('Student ID is required');
         }
 
         const student = await this.mongomodels.student
@@ -297,12 +400,13 @@ module.exports = class Student {
             .populate('transferHistory.toClassroom', 'name');
 
         if (!student) {
-            return { error: 'Student not found' };
+            return notFound('Student not found');
         }
 
-        // Check access
-        const authError = this._checkSchoolAccess(__longToken, student.schoolId._id || student.schoolId);
-        if (authError) return authError;
+        const node = this._nodeOf(student);
+        if (!(await this._isGranted(__longToken, node, 'read'))) {
+            return this._denied(__longToken, node.schoolId, 'read');
+        }
 
         return {
             student: student.toJSON()
@@ -324,30 +428,28 @@ module.exports = class Student {
      * @param {string} [params.guardianEmail] - Guardian email
      * @param {string} [params.address] - Student address
      * @param {boolean} [params.isActive] - Active status
+     * @param {boolean} [params.waitlist] - Join the target classroom's waitlist if it is full
      * @param {Object} params.__longToken - Decoded token from middleware
      */
     async updateStudent({ 
         studentId, firstName, lastName, email, dateOfBirth, gender,
         classroomId, guardianName, guardianPhone, guardianEmail, 
-        address, isActive, __longToken 
+        address, isActive, waitlist, __longToken 
     }){
-        if (!__longToken) {
-            return { error: 'Authentication required', code: 401 };
-        }
-
         if (!studentId) {
-            return { error: 'Student ID is required' };
+            return badRequest('Student ID is required');
         }
 
         const student = await this.mongomodels.student.findById(studentId);
         
         if (!student) {
-            return { error: 'Student not found' };
+            return notFound('Student not found');
         }
 
-        // Check access
-        const authError = this._checkSchoolAccess(__longToken, student.schoolId);
-        if (authError) return authError;
+        const node = this._nodeOf(student);
+        if (!(await this._isGranted(__longToken, node, 'write'))) {
+            return this._denied(__longToken, node.schoolId, 'write');
+        }
 
         // Check for duplicate email if updating email
         if (email && email !== student.email) {
@@ -357,32 +459,50 @@ module.exports = class Student {
             });
             
             if (existingStudent) {
-                return { error: 'A student with this email already exists' };
+                return conflict('A student with this email already exists');
             }
         }
 
         // If changing classroom within same school
+        let classroom = null;
         if (classroomId && classroomId !== student.classroomId?.toString()) {
-            const classroom = await this.mongomodels.classroom.findById(classroomId);
+            classroom = await this.mongomodels.classroom.findById(classroomId);
             if (!classroom) {
-                return { error: 'Classroom not found' };
+                return notFound('Classroom not found');
             }
             if (!classroom.isActive) {
-                return { error: 'Cannot move student to an inactive classroom' };
+                return conflict('Cannot move student to an inactive classroom');
             }
             if (classroom.schoolId.toString() !== student.schoolId.toString()) {
-                return { error: 'Use transferStudent to move student to a different school\'s classroom' };
+                return badRequest('Use transferStudent to move student to a different school\'s classroom');
+            }
+            if (!(await this._isGranted(__longToken, { schoolId: node.schoolId, classroomId }, 'write'))) {
+                return this._denied(__longToken, node.schoolId, 'write');
             }
+        }
 
-            // Check classroom capacity
-            const currentStudents = await this.mongomodels.student.countDocuments({
-                classroomId,
-                isActive: true
-            });
-            if (currentStudents >= classroom.capacity) {
-                return { error: 'Target classroom is at full capacity' };
+        // An active student in a classroom holds one of its seats
+        const heldSeat = student.isActive && student.classroomId ? student.classroomId.toString() : null;
+        const nextClassroomId = classroomId !== undefined ? (classroomId || null) : student.classroomId;
+        const nextActive = isActive !== undefined ? isActive : student.isActive;
+        const neededSeat = nextActive && nextClassroomId ? nextClassroomId.toString() : null;
+
+        // Take the new seat atomically before moving (or reactivating) the student
+        let reservedSeat = null;
+        let waitlistedClassroom = null;
+        if (neededSeat && neededSeat !== heldSeat) {
+            if (await this.mongomodels.classroom.reserveSeats(neededSeat)) {
+                reservedSeat = neededSeat;
+            } else if (waitlist && classroom) {
+                // Keep the current seat, if any, until the waitlist moves the student
+                waitlistedClassroom = classroom;
+            } else {
+                return conflict('Target classroom is at full capacity');
             }
         }
+        if (reservedSeat && classroom && classroom.academicYearId) {
+            student.academicYearId = classroom.academicYearId;
+        }
 
         // Update fields
         if (firstName !== undefined) student.firstName = firstName;
@@ -390,16 +510,42 @@ module.exports = class Student {
         if (email !== undefined) student.email = email;
         if (dateOfBirth !== undefined) student.dateOfBirth = dateOfBirth ? new Date(dateOfBirth) : null;
         if (gender !== undefined) student.gender = gender;
-        if (classroomId !== undefined) student.classroomId = classroomId || null;
+        if (classroomId !== undefined && !waitlistedClassroom) student.classroomId = classroomId || null;
+        // Without a seat to keep, a waitlisted student waits outside any classroom
+        if (waitlistedClassroom && !heldSeat) student.classroomId = null;
         if (guardianName !== undefined) student.guardianName = guardianName;
         if (guardianPhone !== undefined) student.guardianPhone = guardianPhone;
         if (guardianEmail !== undefined) student.guardianEmail = guardianEmail;
         if (address !== undefined) student.address = address;
         if (isActive !== undefined) student.isActive = isActive;
 
-        await student.save();
+        try {
+            await student.save();
+        } catch (err) {
+            if (reservedSeat) await this.mongomodels.classroom.releaseSeats(reservedSeat);
+            throw err;
+        }
+
+        const response = { student: student.toJSON() };
 
-        return { student: student.toJSON() };
+        if (!student.isActive) {
+            await this.waitlistManager.cancel({ studentId: student._id });
+        } else if (waitlistedClassroom) {
+            response.waitlist = await this.waitlistManager.enqueue({
+                student,
+                classroom: waitlistedClassroom,
+                createdBy: __longToken.userId
+            });
+        }
+
+        // Leaving a classroom (or unenrolling) frees a seat for its waitlist
+        const seatNow = student.isActive && student.classroomId ? student.classroomId.toString() : null;
+        if (heldSeat && heldSeat !== seatNow) {
+            await this.mongomodels.classroom.releaseSeats(heldSeat);
+            response.promoted = await this.waitlistManager.promote(heldSeat);
+        }
+
+        return response;
     }
 
     /**
@@ -409,37 +555,52 @@ module.exports = class Student {
      * @param {Object} params.__longToken - Decoded token from middleware
      */
     async deleteStudent({ studentId, __longToken }){
-        if (!__longToken) {
-            return { error: 'Authentication required', code: 401 };
-        }
-
         if (!studentId) {
-            return { error: 'Student ID is required' };
+            return badRequest('Student ID is required');
         }
 
         const student = await this.mongomodels.student.findById(studentId);
         
         if (!student) {
-            return { error: 'Student not found' };
+            return notFound('Student not found');
         }
 
-        // Check access
-        const authError = this._checkSchoolAccess(__longToken, student.schoolId);
-        if (authError) return authError;
+        const node = this._nodeOf(student);
+        if (!(await this._isGranted(__longToken, node, 'delete'))) {
+            return this._denied(__longToken, node.schoolId, 'delete');
+        }
 
         if (!student.isActive) {
-            return { error: 'Student is already unenrolled' };
+            return conflict('Student is already unenrolled');
         }
 
-        // Soft delete
+        // Soft delete, conditionally so concurrent calls give the seat back only once
+        const enrolled = await this.mongomodels.student.findOneAndUpdate(
+            { _id: student._id, isActive: true },
+            { $set: { isActive: false, classroomId: null } }, // Remove from classroom
+            { returnDocument: 'before' }
+        );
+        if (!enrolled) {
+            return conflict('Student is already unenrolled');
+        }
+        const previousClassroomId = enrolled.classroomId;
         student.isActive = false;
-        student.classroomId = null; // Remove from classroom
-        await student.save();
+        student.classroomId = null;
+
+        await this.waitlistManager.cancel({ studentId: student._id });
 
-        return { 
+        const response = { 
             message: 'Student unenrolled successfully',
             student: student.toJSON()
         };
+
+        // Hand the freed seat to the waitlist
+        if (previousClassroomId) {
+            await this.mongomodels.classroom.releaseSeats(previousClassroomId);
+            response.promoted = await this.waitlistManager.promote(previousClassroomId);
+        }
+
+        return response;
     }
 
     /**
@@ -449,19 +610,16 @@ module.exports = class Student {
      * @param {string} [params.toSchoolId] - Target school ID
      * @param {string} [params.toClassroomId] - Target classroom ID
      * @param {string} [params.reason] - Reason for transfer
+     * @param {boolean} [params.waitlist] - Join the target classroom's waitlist if it is full
      * @param {Object} params.__longToken - Decoded token from middleware
      */
-    async transferStudent({ studentId, toSchoolId, toClassroomId, reason, __longToken }){
-        if (!__longToken) {
-            return { error: 'Authentication required', code: 401 };
-        }
-
+    async transferStudent({ studentId, toSchoolId, toClassroomId, reason, waitlist, __longToken }){
         if (!studentId) {
-            return { error: 'Student ID is required' };
+            return badRequest('Student ID is required');
         }
 
         if (!toSchoolId && !toClassroomId) {
-            return { error: 'At least one of toSchoolId or toClassroomId is required' };
+            return badRequest('At least one of toSchoolId or toClassroomId is required');
         }
 
         const student = await this.mongomodels.student.findById(studentId)
@@ -469,11 +627,16 @@ module.exports = class Student {
             .populate('classroomId', 'name');
         
         if (!student) {
-            return { error: 'Student not found' };
+            return notFound('Student not found');
+        }
+
+        const node = this._nodeOf(student);
+        if (!(await this._isGranted(__longToken, node, 'write'))) {
+            return this._denied(__longToken, node.schoolId, 'write');
         }
 
         if (!student.isActive) {
-            return { error: 'Cannot transfer an inactive student' };
+            return conflict('Cannot transfer an inactive student');
         }
 
         // Store original values for transfer history
@@ -483,52 +646,59 @@ module.exports = class Student {
         // Determine effective target school
         const targetSchoolId = toSchoolId || fromSchoolId.toString();
         
-        // Check source school access
-        const sourceAuthError = this._checkSchoolAccess(__longToken, fromSchoolId);
-        if (sourceAuthError) return sourceAuthError;
-
         // Check if this is a cross-school transfer
         const isCrossSchoolTransfer = toSchoolId && toSchoolId !== fromSchoolId.toString();
         
         // Cross-school transfers require superadmin
         if (isCrossSchoolTransfer && __longToken.role !== 'superadmin') {
-            return { error: 'Only superadmins can transfer students between schools', code: 403 };
+            return forbidden('Only superadmins can transfer students between schools');
         }
 
         // Verify target school exists and is active
         if (toSchoolId) {
             const targetSchool = await this.mongomodels.school.findById(toSchoolId);
             if (!targetSchool) {
-                return { error: 'Target school not found' };
+                return notFound('Target school not found');
             }
             if (!targetSchool.isActive) {
-                return { error: 'Cannot transfer student to an inactive school' };
+                return conflict('Cannot transfer student to an inactive school');
             }
         }
 
         // Verify target classroom if specified
         let targetClassroom = null;
+        let waitlistedClassroom = null;
         if (toClassroomId) {
             targetClassroom = await this.mongomodels.classroom.findById(toClassroomId);
             if (!targetClassroom) {
-                return { error: 'Target classroom not found' };
+                return notFound('Target classroom not found');
             }
             if (!targetClassroom.isActive) {
-                return { error: 'Cannot transfer student to an inactive classroom' };
+                return conflict('Cannot transfer student to an inactive classroom');
             }
             
             // Verify classroom belongs to target school
             if (targetClassroom.schoolId.toString() !== targetSchoolId.toString()) {
-                return { error: 'Target classroom does not belong to the target school' };
+                return badRequest('Target classroom does not belong to the target school');
             }
 
-            // Check classroom capacity
-            const currentStudents = await this.mongomodels.student.countDocuments({
-                classroomId: toClassroomId,
-                isActive: true
-            });
-            if (currentStudents >= targetClassroom.capacity) {
-                return { error: 'Target classroom is at full capacity' };
+            const target = { schoolId: targetSchoolId, classroomId: targetClassroom._id.toString() };
+            if (!(await this._isGranted(__longToken, target, 'write'))) {
+                return this._denied(__longToken, targetSchoolId, 'write');
+            }
+        }
+
+        // Take the target seat atomically, unless the student already sits there
+        let reservedSeat = null;
+        if (targetClassroom && targetClassroom._id.toString() !== fromClassroomId?.toString()) {
+            if (await this.mongomodels.classroom.reserveSeats(targetClassroom._id)) {
+                reservedSeat = targetClassroom._id;
+            } else if (waitlist) {
+                // Transfer without a classroom, the seat comes from the waitlist
+                waitlistedClassroom = targetClassroom;
+                targetClassroom = null;
+            } else {
+                return conflict('Target classroom is at full capacity');
             }
         }
 
@@ -537,7 +707,7 @@ module.exports = class Student {
             fromSchool: fromSchoolId,
             toSchool: toSchoolId || fromSchoolId,
             fromClassroom: fromClassroomId || null,
-            toClassroom: toClassroomId || null,
+            toClassroom: targetClassroom ? targetClassroom._id : null,
             date: new Date(),
             reason: reason || ''
         };
@@ -546,10 +716,34 @@ module.exports = class Student {
         if (toSchoolId) {
             student.schoolId = toSchoolId;
         }
-        student.classroomId = toClassroomId || null;
+        student.classroomId = targetClassroom ? targetClassroom._id : null;
+        if (targetClassroom && targetClassroom.academicYearId) {
+            student.academicYearId = targetClassroom.academicYearId;
+        }
         student.transferHistory.push(transferEntry);
 
-        await student.save();
+        try {
+            await student.save();
+        } catch (err) {
+            if (reservedSeat) await this.mongomodels.classroom.releaseSeats(reservedSeat);
+            throw err;
+        }
+
+        let waitlistEntry = null;
+        if (waitlistedClassroom) {
+            waitlistEntry = await this.waitlistManager.enqueue({
+                student,
+                classroom: waitlistedClassroom,
+                createdBy: __longToken.userId
+            });
+        }
+
+        // A transfer out frees a seat for the source classroom's waitlist
+        let promoted = null;
+        if (fromClassroomId && fromClassroomId.toString() !== student.classroomId?.toString()) {
+            await this.mongomodels.classroom.releaseSeats(fromClassroomId);
+            promoted = await this.waitlistManager.promote(fromClassroomId);
+        }
 
         // Reload with populated fields
         const updatedStudent = await this.mongomodels.student
@@ -561,7 +755,7 @@ module.exports = class Student {
             .populate('transferHistory.fromClassroom', 'name')
             .populate('transferHistory.toClassroom', 'name');
 
-        return {
+        const response = {
             message: 'Student transferred successfully',
             student: updatedStudent.toJSON(),
             transfer: {
@@ -575,5 +769,205 @@ module.exports = class Student {
                 }
             }
         };
+        if (waitlistEntry) response.waitlist = waitlistEntry;
+        if (promoted) response.promoted = promoted;
+
+        return response;
+    }
+
+    /**
+     * Import students from CSV.
+     * Every row is validated like createStudent; classroom capacity and
+     * duplicate emails are checked across the whole file. Nothing is
+     * written unless every row is valid.
+     * @param {Object} params - Import data
+     * @param {string} [params.csv] - CSV text with a header row (or send a `text/csv` body)
+     * @param {string} [params.schoolId] - School ID (auto-assigned for school_admin)
+     * @param {string} [params.classroomId] - Classroom for rows without a classroomId column
+     * @param {boolean} [params.dryRun] - Only validate, don't import
+     * @param {string} params.__rawBody - `text/csv` request body from middleware
+     * @param {Object} params.__query - Query string, for options sent with a `text/csv` body
+     * @param {Object} params.__longToken - Decoded token from middleware
+     */
+    async importStudents({ csv: csvText, schoolId, classroomId, dryRun, __rawBody, __query, __longToken }){
+        // Options travel in the query string when the body is the CSV itself
+        if (typeof __rawBody === 'string') {
+            csvText = __rawBody;
+            const query = __query || {};
+            schoolId = schoolId || query.schoolId;
+            classroomId = classroomId || query.classroomId;
+            dryRun = dryRun !== undefined ? dryRun : query.dryRun;
+        }
+        dryRun = dryRun === true || dryRun === 'true';
+
+        // Get effective school ID
+        const effectiveSchoolId = getEffectiveSchoolId(__longToken, schoolId);
+
+        // Superadmin must specify schoolId
+        if (__longToken.role === 'superadmin' && !effectiveSchoolId) {
+            return badRequest('School ID is required for superadmin');
+        }
+
+        let result = await this.validators.student.importStudents({ schoolId, classroomId });
+        if(result) return validationFailed(result);
+
+        if (typeof csvText !== 'string' || csvText.trim() === '') {
+            return badRequest('CSV content is required');
+        }
+
+        const { headers, records } = csv.parse(csvText);
+        const unknownColumns = headers.filter(h => !IMPORT_COLUMNS.includes(h));
+        if (unknownColumns.length > 0) {
+            return badRequest(`Unknown columns: ${unknownColumns.join(', ')}`);
+        }
+        if (records.length === 0) {
+            return badRequest('CSV has no student rows');
+        }
+        if (records.length > MAX_IMPORT_ROWS) {
+            return badRequest(`CSV cannot have more than ${MAX_IMPORT_ROWS} rows`);
+        }
+
+        const school = await this.mongomodels.school.findById(effectiveSchoolId);
+        if (!school) {
+            return notFound('School not found');
+        }
+        if (!school.isActive) {
+            return conflict('Cannot enroll student in an inactive school');
+        }
+
+        const rowErrors = [];
+        const addError = (row, field, message) => rowErrors.push({ row, field, message });
+
+        // Row validation
+        for (const { row, data } of records) {
+            if (data.email) data.email = data.email.toLowerCase();
+            if (data.gender) data.gender = data.gender.toLowerCase();
+            if (!data.classroomId && classroomId) data.classroomId = classroomId;
+
+            const errors = await this.validators.student.createStudent(data);
+            if (errors) {
+                errors.forEach(e => addError(row, e.path, e.message));
+            }
+        }
+
+        // Duplicate emails, within the file and against existing students
+        const emailRows = {};
+        records.forEach(({ row, data }) => {
+            if (!data.email) return;
+            if (emailRows[data.email]) {
+                addError(row, 'email', `Duplicate email, also used on row ${emailRows[data.email]}`);
+            } else {
+                emailRows[data.email] = row;
+            }
+        });
+        const existingStudents = await this.mongomodels.student
+            .find({ email: { $in: Object.keys(emailRows) } })
+            .select('email')
+            .lean();
+        existingStudents.forEach(({ email }) => {
+            addError(emailRows[email], 'email', 'A student with this email already exists');
+        });
+
+        // Classrooms must belong to the school and have room for all their new students
+        const isObjectId = (id) => /^[0-9a-fA-F]{24}$/.test(id || '');
+        const classroomIds = [...new Set(records.map(r => r.data.classroomId).filter(isObjectId))];
+        const classrooms = await this.mongomodels.classroom.find({ _id: { $in: classroomIds } }).lean();
+        const enrolledCounts = await this.mongomodels.student.aggregate([
+            { $match: { classroomId: { $in: classrooms.map(c => c._id) }, isActive: true } },
+            { $group: { _id: '$classroomId', count: { $sum: 1 } } }
+        ]);
+
+        const seats = {};
+        classrooms.forEach(classroom => {
+            const enrolled = enrolledCounts.find(c => c._id.toString() === classroom._id.toString());
+            seats[classroom._id.toString()] = {
+                classroom,
+                available: classroom.capacity - (enrolled ? enrolled.count : 0)
+            };
+        });
+
+        records.forEach(({ row, data }) => {
+            // Malformed IDs were already reported by the row validation
+            if (!isObjectId(data.classroomId)) return;
+            const entry = seats[data.classroomId];
+            if (!entry) {
+                addError(row, 'classroomId', 'Classroom not found');
+            } else if (!entry.classroom.isActive) {
+                addError(row, 'classroomId', 'Cannot enroll student in an inactive classroom');
+            } else if (entry.classroom.schoolId.toString() !== effectiveSchoolId.toString()) {
+                addError(row, 'classroomId', 'Classroom does not belong to the specified school');
+            } else if (entry.available <= 0) {
+                addError(row, 'classroomId', `Classroom ${entry.classroom.name} is at full capacity`);
+            } else {
+                entry.available--;
+            }
+        });
+
+        rowErrors.sort((a, b) => a.row - b.row);
+        const invalidRows = new Set(rowErrors.map(e => e.row)).size;
+        const summary = {
+            dryRun,
+            total: records.length,
+            valid: records.length - invalidRows,
+            invalid: invalidRows
+        };
+
+        if (dryRun) {
+            return { ...summary, rowErrors };
+        }
+        if (rowErrors.length > 0) {
+            return validationFailed(rowErrors);
+        }
+
+        const currentYear = await this.mongomodels.academicYear.findOne({
+            schoolId: effectiveSchoolId,
+            isCurrent: true,
+            isActive: true
+        });
+
+        const students = records.map(({ data }) => {
+            const classroom = data.classroomId ? seats[data.classroomId].classroom : null;
+            const academicYearId = classroom ? classroom.academicYearId : (currentYear && currentYear._id);
+            return new this.mongomodels.student({
+                ...data,
+                schoolId: effectiveSchoolId,
+                dateOfBirth: data.dateOfBirth ? new Date(data.dateOfBirth) : undefined,
+                academicYearId: academicYearId || undefined,
+                enrollmentDate: new Date(),
+                createdBy: __longToken.userId
+            });
+        });
+
+        // Take the seats atomically, another enrollment may have filled a classroom since the check above
+        const newSeats = {};
+        records.forEach(({ data }) => {
+            if (data.classroomId) newSeats[data.classroomId] = (newSeats[data.classroomId] || 0) + 1;
+        });
+        const reserved = [];
+        const releaseReserved = () => Promise.all(
+            reserved.map(id => this.mongomodels.classroom.releaseSeats(id, newSeats[id]))
+        );
+        for (const id of Object.keys(newSeats)) {
+            if (!(await this.mongomodels.classroom.reserveSeats(id, newSeats[id]))) {
+                await releaseReserved();
+                return conflict(`Classroom ${seats[id].classroom.name} is at full capacity`);
+            }
+            reserved.push(id);
+        }
+
+        // All or nothing: roll back the inserted rows if any insert fails
+        try {
+            await this.mongomodels.student.insertMany(students, { ordered: true });
+        } catch (err) {
+            await this.mongomodels.student.deleteMany({ _id: { $in: students.map(s => s._id) } });
+            await releaseReserved();
+            return internalError('Import failed, no students were imported');
+        }
+
+        return {
+            ...summary,
+            imported: students.length,
+            studentIds: students.map(s => s._id)
+        };
     }
 }
@@ -76,6 +76,10 @@ const studentSchema = new mongoose.Schema({
         type: mongoose.Schema.Types.ObjectId,
         ref: 'Classroom'
     },
+    academicYearId: {
+        type: mongoose.Schema.Types.ObjectId,
+        ref: 'AcademicYear'
+    },
     enrollmentDate: {
         type: Date,
         default: Date.now
@@ -121,6 +125,17 @@ studentSchema.index({ classroomId: 1 });
 studentSchema.index({ isActive: 1 });
 studentSchema.index({ firstName: 1, lastName: 1 });
 studentSchema.index({ enrollmentDate: 1 });
+studentSchema.index({ academicYearId: 1 });
+// Sort orders of getStudents, _id keeps equal values in a stable order
+studentSchema.index({ schoolId: 1, createdAt: -1, _id: -1 });
+studentSchema.index({ schoolId: 1, lastName: 1, _id: 1 });
+studentSchema.index({ schoolId: 1, firstName: 1, _id: 1 });
+studentSchema.index({ schoolId: 1, enrollmentDate: 1, _id: 1 });
+// Full-text search, the weights rank matches (see Search.manager.js)
+studentSchema.index(
+    { firstName: 'text', lastName: 'text', email: 'text', guardianName: 'text', guardianEmail: 'text' },
+    { name: 'search', weights: { firstName: 10, lastName: 10, email: 5, guardianName: 2, guardianEmail: 2 } }
+);
 
 // Virtual for full name
 studentSchema.virtual('fullName').get(function() {
@@ -76,6 +76,11 @@ module.exports = {
             required: false,
             path: 'isActive',
         },
+        {
+            model: 'academicYearId',
+            required: false,
+            path: 'academicYearId',
+        },
     ],
     getStudent: [
         {
@@ -175,4 +180,38 @@ module.exports = {
             path: 'reason',
         },
     ],
+    importStudents: [
+        {
+            model: 'schoolId',
+            required: false,
+            path: 'schoolId',
+        },
+        {
+            model: 'classroomId',
+            required: false,
+            path: 'classroomId',
+        },
+    ],
+    exportStudents: [
+        {
+            model: 'exportFormat',
+            required: true,
+            path: 'format',
+        },
+        {
+            model: 'schoolId',
+            required: false,
+            path: 'schoolId',
+        },
+        {
+            model: 'classroomId',
+            required: false,
+            path: 'classroomId',
+        },
+        {
+            model: 'academicYearId',
+            required: false,
+            path: 'academicYearId',
+        },
+    ],
 }
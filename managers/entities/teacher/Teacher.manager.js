@@ -0,0 +1,413 @@
+const { badRequest, notFound, conflict, validationFailed } = require('../../_common/errors.helper');
+const { schoolRoleOf, getEffectiveSchoolId } = require('../../_common/schoolAccess.helper');
+const { containing } = require('../../_common/search.helper');
+
+/**
+ * Teacher Manager
+ *
+ * Handles CRUD operations for teachers (staff) and their classroom assignments.
+ * School admins can only manage teachers in their assigned school.
+ * Superadmins can manage teachers in any school.
+ */
+module.exports = class Teacher {
+
+    constructor({utils, cache, config, cortex, managers, validators, mongomodels }={}){
+        this.config              = config;
+        this.cortex              = cortex;
+        this.validators          = validators;
+        this.mongomodels         = mongomodels;
+        this.usersCollection     = "teachers";
+        this.httpExposed         = [
+            'createTeacher',
+            'get=getTeachers',
+            'get=getTeacher',
+            'updateTeacher',
+            'deleteTeacher',
+            'assignClassroom',
+            'unassignClassroom'
+        ];
+        const teacherSchool      = { model: 'teacher', id: 'teacherId' };
+        const message            = 'Access denied. You can only access teachers in your assigned school.';
+        this.policies            = {
+            createTeacher:     { roles: ['school_admin'], school: 'schoolId', message },
+            getTeachers:       { roles: ['school_admin'], school: 'schoolId', message },
+            getTeacher:        { roles: ['school_admin'], school: teacherSchool, message },
+            updateTeacher:     { roles: ['school_admin'], school: teacherSchool, message },
+            deleteTeacher:     { roles: ['school_admin'], school: teacherSchool, message },
+            assignClassroom:   { roles: ['school_admin'], school: teacherSchool, message },
+            unassignClassroom: { roles: ['school_admin'], school: teacherSchool, message },
+        };
+    }
+
+    /**
+     * Check that a user account can be linked to a teacher. The user needs
+     * the teacher role in the teacher's school, and has one teacher per
+     * school they teach in.
+     * @param {string} userId - User ID to link
+     * @param {string} schoolId - School of the teacher
+     * @param {string} [teacherId] - Teacher being updated, if any
+     * @returns {Object|null} Error object if the account can't be linked, null otherwise
+     */
+    async _checkLinkableUser(userId, schoolId, teacherId) {
+        const user = await this.mongomodels.user.findById(userId);
+        if (!user) {
+            return notFound('User not found');
+        }
+        const role = schoolRoleOf({ role: user.role, schoolId: user.schoolId, memberships: user.memberships }, schoolId);
+        if (!role) {
+            return badRequest('Linked user does not belong to the teacher\'s school');
+        }
+        if (role !== 'teacher') {
+            return badRequest('Linked user must have the teacher role');
+        }
+
+        const linkedTeacher = await this.mongomodels.teacher.findOne({
+            userId,
+            schoolId,
+            ...(teacherId ? { _id: { $ne: teacherId } } : {})
+        });
+        if (linkedTeacher) {
+            return conflict('This user is already linked to another teacher');
+        }
+        return null;
+    }
+
+    /**
+     * Create a new teacher
+     * @param {Object} params - Teacher data
+     * @param {string} [params.schoolId] - School ID (auto-assigned for school_admin)
+     * @param {string} params.firstName - First name (required)
+     * @param {string} params.lastName - Last name (required)
+     * @param {string} params.email - Email address (required)
+     * @param {string} [params.phone] - Phone number
+     * @param {string} [params.userId] - Login account with the teacher role
+     * @param {string[]} [params.subjects] - Subjects the teacher teaches
+     * @param {Object} params.__longToken - Decoded token from middleware
+     */
+    async createTeacher({ schoolId, firstName, lastName, email, phone, userId, subjects, __longToken }){
+        // Get effective school ID
+        const effectiveSchoolId = getEffectiveSchoolId(__longToken, schoolId);
+
+        // Superadmin must specify schoolId
+        if (!effectiveSchoolId) {
+            return badRequest('School ID is required for superadmin');
+        }
+
+        // Validate input
+        let result = await this.validators.teacher.createTeacher({ firstName, lastName, email, phone, userId, subjects });
+        if(result) return validationFailed(result);
+
+        // Verify school exists
+        const school = await this.mongomodels.school.findById(effectiveSchoolId);
+        if (!school) {
+            return notFound('School not found');
+        }
+        if (!school.isActive) {
+            return conflict('Cannot add teacher to an inactive school');
+        }
+
+        // Check for duplicate email
+        const existingTeacher = await this.mongomodels.teacher.findOne({ email, schoolId: effectiveSchoolId });
+        if (existingTeacher) {
+            return conflict('A teacher with this email already exists');
+        }
+
+        if (userId) {
+            const linkError = await this._checkLinkableUser(userId, effectiveSchoolId);
+            if (linkError) return linkError;
+        }
+
+        const createdTeacher = await this.mongomodels.teacher.create({
+            schoolId: effectiveSchoolId,
+            firstName,
+            lastName,
+            email,
+            phone,
+            userId,
+            subjects: subjects || [],
+            createdBy: __longToken.userId
+        });
+
+        return {
+            teacher: createdTeacher.toJSON()
+        };
+    }
+
+    /**
+     * Get all teachers with pagination and filters
+     * @param {Object} params - Query parameters
+     * @param {string} [params.schoolId] - Filter by school ID
+     * @param {string} [params.classroomId] - Filter by assigned classroom
+     * @param {number} [params.page=1] - Page number
+     * @param {number} [params.limit=10] - Items per page
+     * @param {string} [params.search] - Search term for name or email
+     * @param {boolean} [params.isActive] - Filter by active status
+     * @param {Object} params.__longToken - Decoded token from middleware
+     */
+    async getTeachers({ schoolId, classroomId, page = 1, limit = 10, search, isActive, __longToken }){
+        // Get effective school ID
+        const effectiveSchoolId = getEffectiveSchoolId(__longToken, schoolId);
+
+        // Build query
+        const query = {};
+        if (effectiveSchoolId) {
+            query.schoolId = effectiveSchoolId;
+        }
+
+        if (classroomId) {
+            query['assignments.classroomId'] = classroomId;
+        }
+
+        if (typeof isActive !== 'undefined') {
+            query.isActive = isActive === 'true' || isActive === true;
+        }
+
+        if (search) {
+            query.$or = [
+                { firstName: containing(search) },
+                { lastName: containing(search) },
+                { email: containing(search) }
+            ];
+        }
+
+        // Parse pagination
+        const pageNum = Math.max(1, parseInt(page) || 1);
+        const limitNum = Math.min(100, Math.max(1, parseInt(limit) || 10));
+        const skip = (pageNum - 1) * limitNum;
+
+        // Execute query with pagination
+        const [teachers, total] = await Promise.all([
+            this.mongomodels.teacher
+                .find(query)
+                .populate('schoolId', 'name')
+                .populate('assignments.classroomId', 'name grade section')
+                .sort({ createdAt: -1 })
+                .skip(skip)
+                .limit(limitNum)
+                .lean(),
+            this.mongomodels.teacher.countDocuments(query)
+        ]);
+
+        return {
+            teachers,
+            pagination: {
+                page: pageNum,
+                limit: limitNum,
+                total,
+                pages: Math.ceil(total / limitNum)
+            }
+        };
+    }
+
+    /**
+     * Get a single teacher by ID
+     * @param {Object} params - Request parameters
+     * @param {string} params.teacherId - Teacher ID
+     * @param {Object} params.__longToken - Decoded token from middleware
+     */
+    async getTeacher({ teacherId, __longToken }){
+        if (!teacherId) {
+            return badRequest('Teacher ID is required');
+        }
+
+        const teacher = await this.mongomodels.teacher
+            .findById(teacherId)
+            .populate('schoolId', 'name address')
+            .populate('userId', 'username email')
+            .populate('assignments.classroomId', 'name grade section academicYear');
+
+        if (!teacher) {
+            return notFound('Teacher not found');
+        }
+
+        return {
+            teacher: teacher.toJSON()
+        };
+    }
+
+    /**
+     * Update teacher details
+     * @param {Object} params - Update data
+     * @param {string} params.teacherId - Teacher ID (required)
+     * @param {string} [params.firstName] - First name
+     * @param {string} [params.lastName] - Last name
+     * @param {string} [params.email] - Email address
+     * @param {string} [params.phone] - Phone number
+     * @param {string} [params.userId] - Login account with the teacher role
+     * @param {string[]} [params.subjects] - Subjects the teacher teaches
+     * @param {boolean} [params.isActive] - Active status
+     * @param {Object} params.__longToken - Decoded token from middleware
+     */
+    async updateTeacher({ teacherId, firstName, lastName, email, phone, userId, subjects, isActive, __longToken }){
+        // Validate input
+        let result = await this.validators.teacher.updateTeacher({ teacherId, firstName, lastName, email, phone, userId, subjects, isActive });
+        if(result) return validationFailed(result);
+
+        const teacher = await this.mongomodels.teacher.findById(teacherId);
+
+        if (!teacher) {
+            return notFound('Teacher not found');
+        }
+
+        // Check for duplicate email
+        if (email && email.toLowerCase() !== teacher.email) {
+            const existingTeacher = await this.mongomodels.teacher.findOne({
+                _id: { $ne: teacherId },
+                schoolId: teacher.schoolId,
+                email
+            });
+            if (existingTeacher) {
+                return conflict('A teacher with this email already exists');
+            }
+        }
+
+        if (userId && (!teacher.userId || teacher.userId.toString() !== userId)) {
+            const linkError = await this._checkLinkableUser(userId, teacher.schoolId, teacherId);
+            if (linkError) return linkError;
+        }
+
+        // Update fields
+        if (firstName !== undefined) teacher.firstName = firstName;
+        if (lastName !== undefined) teacher.lastName = lastName;
+        if (email !== undefined) teacher.email = email;
+        if (phone !== undefined) teacher.phone = phone;
+        if (userId !== undefined) teacher.userId = userId;
+        if (subjects !== undefined) teacher.subjects = subjects;
+        if (isActive !== undefined) teacher.isActive = isActive;
+
+        await teacher.save();
+
+        return { teacher: teacher.toJSON() };
+    }
+
+    /**
+     * Soft delete a teacher and drop their classroom assignments
+     * @param {Object} params - Request parameters
+     * @param {string} params.teacherId - Teacher ID
+     * @param {Object} params.__longToken - Decoded token from middleware
+     */
+    async deleteTeacher({ teacherId, __longToken }){
+        if (!teacherId) {
+            return badRequest('Teacher ID is required');
+        }
+
+        const teacher = await this.mongomodels.teacher.findById(teacherId);
+
+        if (!teacher) {
+            return notFound('Teacher not found');
+        }
+
+        if (!teacher.isActive) {
+            return conflict('Teacher is already inactive');
+        }
+
+        // Soft delete
+        teacher.isActive = false;
+        teacher.assignments = [];
+        await teacher.save();
+
+        return {
+            message: 'Teacher deleted successfully',
+            teacher: teacher.toJSON()
+        };
+    }
+
+    /**
+     * Assign a teacher to a classroom as homeroom or subject teacher
+     * @param {Object} params - Assignment data
+     * @param {string} params.teacherId - Teacher ID (required)
+     * @param {string} params.classroomId - Classroom ID (required)
+     * @param {string} params.assignmentType - homeroom or subject (required)
+     * @param {string} [params.subject] - Subject taught (required for subject teachers)
+     * @param {Object} params.__longToken - Decoded token from middleware
+     */
+    async assignClassroom({ teacherId, classroomId, assignmentType, subject, __longToken }){
+        // Validate input
+        let result = await this.validators.teacher.assignClassroom({ teacherId, classroomId, assignmentType, subject });
+        if(result) return validationFailed(result);
+
+        if (assignmentType === 'subject' && !subject) {
+            return badRequest('Subject is required for subject teachers');
+        }
+
+        const teacher = await this.mongomodels.teacher.findById(teacherId);
+        if (!teacher) {
+            return notFound('Teacher not found');
+        }
+
+        if (!teacher.isActive) {
+            return conflict('Cannot assign an inactive teacher');
+        }
+
+        const classroom = await this.mongomodels.classroom.findById(classroomId);
+        if (!classroom) {
+            return notFound('Classroom not found');
+        }
+        if (!classroom.isActive) {
+            return conflict('Cannot assign a teacher to an inactive classroom');
+        }
+        if (classroom.schoolId.toString() !== teacher.schoolId.toString()) {
+            return badRequest('Classroom does not belong to the teacher\'s school');
+        }
+
+        const isSameAssignment = (a) => a.classroomId.toString() === classroomId.toString()
+            && a.type === assignmentType
+            && (assignmentType === 'homeroom' || a.subject.toLowerCase() === subject.toLowerCase());
+
+        if (teacher.assignments.some(isSameAssignment)) {
+            return conflict('Teacher already has this assignment');
+        }
+
+        // A classroom has a single homeroom teacher
+        if (assignmentType === 'homeroom') {
+            const homeroomTeacher = await this.mongomodels.teacher.findOne({
+                _id: { $ne: teacherId },
+                isActive: true,
+                assignments: { $elemMatch: { classroomId, type: 'homeroom' } }
+            });
+            if (homeroomTeacher) {
+                return conflict('This classroom already has a homeroom teacher', { teacherId: homeroomTeacher._id });
+            }
+        }
+
+        teacher.assignments.push({
+            classroomId,
+            type: assignmentType,
+            subject: assignmentType === 'subject' ? subject : undefined
+        });
+        await teacher.save();
+
+        return { teacher: teacher.toJSON() };
+    }
+
+    /**
+     * Remove a teacher's assignment(s) to a classroom
+     * @param {Object} params - Assignment data
+     * @param {string} params.teacherId - Teacher ID (required)
+     * @param {string} params.classroomId - Classroom ID (required)
+     * @param {string} [params.subject] - Only remove this subject assignment
+     * @param {Object} params.__longToken - Decoded token from middleware
+     */
+    async unassignClassroom({ teacherId, classroomId, subject, __longToken }){
+        // Validate input
+        let result = await this.validators.teacher.unassignClassroom({ teacherId, classroomId, subject });
+        if(result) return validationFailed(result);
+
+        const teacher = await this.mongomodels.teacher.findById(teacherId);
+        if (!teacher) {
+            return notFound('Teacher not found');
+        }
+
+        const remaining = teacher.assignments.filter(a => a.classroomId.toString() !== classroomId.toString()
+            || (subject && (a.type !== 'subject' || a.subject.toLowerCase() !== subject.toLowerCase())));
+
+        if (remaining.length === teacher.assignments.length) {
+            return notFound('Assignment not found');
+        }
+
+        teacher.assignments = remaining;
+        await teacher.save();
+
+        return { teacher: teacher.toJSON() };
+    }
+}
@@ -0,0 +1,102 @@
+const mongoose = require('mongoose');
+
+const assignmentSchema = new mongoose.Schema({
+    classroomId: {
+        type: mongoose.Schema.Types.ObjectId,
+        ref: 'Classroom',
+        required: [true, 'Classroom reference is required']
+    },
+    type: {
+        type: String,
+        enum: {
+            values: ['homeroom', 'subject'],
+            message: 'Assignment type must be either homeroom or subject'
+        },
+        required: [true, 'Assignment type is required']
+    },
+    subject: {
+        type: String,
+        trim: true,
+        maxlength: [100, 'Subject cannot exceed 100 characters'],
+        required: function() {
+            return this.type === 'subject';
+        }
+    },
+    assignedAt: {
+        type: Date,
+        default: Date.now
+    }
+}, { _id: true });
+
+const teacherSchema = new mongoose.Schema({
+    firstName: {
+        type: String,
+        required: [true, 'First name is required'],
+        trim: true,
+        minlength: [1, 'First name must be at least 1 character'],
+        maxlength: [100, 'First name cannot exceed 100 characters']
+    },
+    lastName: {
+        type: String,
+        required: [true, 'Last name is required'],
+        trim: true,
+        minlength: [1, 'Last name must be at least 1 character'],
+        maxlength: [100, 'Last name cannot exceed 100 characters']
+    },
+    email: {
+        type: String,
+        required: [true, 'Email is required'],
+        trim: true,
+        lowercase: true,
+        match: [/^\w+([.-]?\w+)*@\w+([.-]?\w+)*(\.\w{2,3})+$/, 'Please provide a valid email address']
+    },
+    phone: {
+        type: String,
+        trim: true,
+        match: [/^[\d\s\-\+\(\)]+$/, 'Please provide a valid phone number']
+    },
+    schoolId: {
+        type: mongoose.Schema.Types.ObjectId,
+        ref: 'School',
+        required: [true, 'School reference is required']
+    },
+    // Login account with the `teacher` role in the school, one teacher per school it teaches in
+    userId: {
+        type: mongoose.Schema.Types.ObjectId,
+        ref: 'User'
+    },
+    subjects: [{
+        type: String,
+        trim: true
+    }],
+    assignments: [assignmentSchema],
+    isActive: {
+        type: Boolean,
+        default: true
+    },
+    createdBy: {
+        type: mongoose.Schema.Types.ObjectId,
+        ref: 'User',
+        required: [true, 'Creator reference is required']
+    }
+}, {
+    timestamps: true
+});
+
+// Indexes for faster queries
+teacherSchema.index({ schoolId: 1 });
+teacherSchema.index({ email: 1, schoolId: 1 }, { unique: true });
+teacherSchema.index({ userId: 1, schoolId: 1 }, { unique: true, partialFilterExpression: { userId: { $exists: true } } });
+teacherSchema.index({ 'assignments.classroomId': 1 });
+teacherSchema.index({ isActive: 1 });
+
+// Virtual for full name
+teacherSchema.virtual('fullName').get(function() {
+    return `${this.firstName} ${this.lastName}`;
+});
+
+// Ensure virtuals are included in JSON output
+teacherSchema.set('toJSON', { virtuals: true });
+teacherSchema.set('toObject', { virtuals: true });
+
+module.exports = mongoose.model('Teacher', teacherSchema);
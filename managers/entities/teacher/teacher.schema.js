@@ -0,0 +1,155 @@
+/**
+ * Teacher Validation Schemas
+ * Defines validation rules for teacher-related operations
+ */
+module.exports = {
+    createTeacher: [
+        {
+            model: 'firstName',
+            required: true,
+            path: 'firstName',
+        },
+        {
+            model: 'lastName',
+            required: true,
+            path: 'lastName',
+        },
+        {
+            model: 'email',
+            required: true,
+            path: 'email',
+        },
+        {
+            model: 'phone',
+            required: false,
+            path: 'phone',
+        },
+        {
+            model: 'schoolId',
+            required: false,
+            path: 'schoolId',
+        },
+        {
+            model: 'userId',
+            required: false,
+            path: 'userId',
+        },
+        {
+            model: 'subjects',
+            required: false,
+            path: 'subjects',
+        },
+    ],
+    getTeachers: [
+        {
+            model: 'schoolId',
+            required: false,
+            path: 'schoolId',
+        },
+        {
+            model: 'classroomId',
+            required: false,
+            path: 'classroomId',
+        },
+        {
+            model: 'isActive',
+            required: false,
+            path: 'isActive',
+        },
+    ],
+    getTeacher: [
+        {
+            model: 'teacherId',
+            required: true,
+            path: 'teacherId',
+        },
+    ],
+    updateTeacher: [
+        {
+            model: 'teacherId',
+            required: true,
+            path: 'teacherId',
+        },
+        {
+            model: 'firstName',
+            required: false,
+            path: 'firstName',
+        },
+        {
+            model: 'lastName',
+            required: false,
+            path: 'lastName',
+        },
+        {
+            model: 'email',
+            required: false,
+            path: 'email',
+        },
+        {
+            model: 'phone',
+            required: false,
+            path: 'phone',
+        },
+        {
+            model: 'userId',
+            required: false,
+            path: 'userId',
+        },
+        {
+            model: 'subjects',
+            required: false,
+            path: 'subjects',
+        },
+        {
+            model: 'isActive',
+            required: false,
+            path: 'isActive',
+        },
+    ],
+    deleteTeacher: [
+        {
+            model: 'teacherId',
+            required: true,
+            path: 'teacherId',
+        },
+    ],
+    assignClassroom: [
+        {
+            model: 'teacherId',
+            required: true,
+            path: 'teacherId',
+        },
+        {
+            model: 'classroomId',
+            required: true,
+            path: 'classroomId',
+        },
+        {
+            model: 'assignmentType',
+            required: true,
+            path: 'assignmentType',
+        },
+        {
+            model: 'subject',
+            required: false,
+            path: 'subject',
+        },
+    ],
+    unassignClassroom: [
+        {
+            model: 'teacherId',
+            required: true,
+            path: 'teacherId',
+        },
+        {
+            model: 'classroomId',
+            required: true,
+            path: 'classroomId',
+        },
+        {
+            model: 'subject',
+            required: false,
+            path: 'subject',
+        },
+    ],
+}
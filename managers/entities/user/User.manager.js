@@ -1,3 +1,33 @@
+const { badRequest, unauthorized, forbidden, notFound, conflict, tooManyRequests, validationFailed } = require('../../_common/errors.helper');
+const { generateSecret, otpauthUrl, verifyTotp, generateRecoveryCodes, hashRecoveryCode } = require('../../_common/mfa.helper');
+
+/** used when config.security.lockout is not set */
+const DEFAULT_LOCKOUT = {
+    maxAttempts: 5,
+    ipMaxAttempts: 20,
+    lockMinutes: 1,
+    maxLockMinutes: 24 * 60,
+    windowMinutes: 60,
+};
+
+/** used when config.auth does not set them */
+const DEFAULT_TOKEN_TTLS = {
+    passwordResetTtlMinutes: 60,
+    emailVerificationTtlMinutes: 48 * 60,
+    invitationTtlMinutes: 7 * 24 * 60,
+};
+
+/** used when config.security.mfa is not set */
+const DEFAULT_MFA = {
+    requiredRoles: [],
+    issuer: 'School Management',
+    challengeTtlMinutes: 5,
+    recoveryCodes: 10,
+};
+
+/** MFA fields left out of user queries unless asked for */
+const MFA_SECRETS = '+mfa.secret +mfa.pendingSecret +mfa.recoveryCodes +mfa.lastUsedStep';
+
 module.exports = class User { 
 
     constructor({utils, cache, config, cortex, managers, validators, mongomodels }={}){
@@ -6,25 +36,64 @@ module.exports = class User {
         this.validators          = validators; 
         this.mongomodels         = mongomodels;
         this.tokenManager        = managers.token;
+        this.auditManager        = managers.audit;
+        this.mailManager         = managers.mail;
+        this.lockout             = { ...DEFAULT_LOCKOUT, ...((config && config.security && config.security.lockout) || {}) };
+        this.tokenTtls           = { ...DEFAULT_TOKEN_TTLS, ...((config && config.auth) || {}) };
+        this.mfa                 = { ...DEFAULT_MFA, ...((config && config.security && config.security.mfa) || {}) };
         this.usersCollection     = "users";
-        this.httpExposed         = ['createUser', 'login', 'get=getUserProfile', 'updateUser'];
+        /** accounts are never created over http: see bootstrapSuperadmin and inviteUser */
+        this.httpExposed         = [
+            'login', 'verifyMfa', 'get=getUserProfile', 'updateUser', 'logout', 'logoutAllDevices', 'unlockUser',
+            'get=getSessions', 'revokeSession',
+            'enrollMfa', 'confirmMfa', 'disableMfa', 'regenerateRecoveryCodes',
+            'requestPasswordReset', 'resetPassword', 'verifyEmail', 'resendVerification',
+            'inviteUser', 'acceptInvite', 'revokeInvitation',
+            'get=getUsers', 'get=getUser', 'updateUserRole', 'assignUserSchool', 'deactivateUser', 'reactivateUser',
+            'addUserMembership', 'removeUserMembership'
+        ];
+        const superadmin         = (message) => ({ roles: ['superadmin'], message });
+        const manageUsers        = superadmin('Access denied. Only superadmins can manage users.');
+        this.policies            = {
+            login: 'public', verifyMfa: 'public', requestPasswordReset: 'public', resetPassword: 'public',
+            verifyEmail: 'public', acceptInvite: 'public',
+            getUserProfile: 'authenticated', updateUser: 'authenticated', logout: 'authenticated',
+            logoutAllDevices: 'authenticated', resendVerification: 'authenticated',
+            getSessions: 'authenticated', revokeSession: 'authenticated',
+            enrollMfa: 'authenticated', confirmMfa: 'authenticated', disableMfa: 'authenticated',
+            regenerateRecoveryCodes: 'authenticated',
+            unlockUser: superadmin('Access denied. Only superadmins can unlock accounts.'),
+            inviteUser: superadmin('Access denied. Only superadmins can invite users.'),
+            revokeInvitation: superadmin('Access denied. Only superadmins can revoke invitations.'),
+            getUsers: manageUsers, getUser: manageUsers, updateUserRole: manageUsers,
+            assignUserSchool: manageUsers, deactivateUser: manageUsers, reactivateUser: manageUsers,
+            addUserMembership: manageUsers, removeUserMembership: manageUsers,
+        };
+        /** audit entries of these calls target the caller */
+        this.auditTargets        = {
+            updateUser: ({ __token }) => __token && __token.userId,
+            revokeSession: ({ __longToken }) => __longToken && __longToken.userId,
+        };
     }
 
     /**
-     * Register a new user
+     * Register a new user.
+     * Not exposed over HTTP: the first superadmin is created with
+     * bootstrapSuperadmin, school admins and teachers accept an invitation.
      * @param {Object} params - User registration data
      * @param {string} params.username - Username
      * @param {string} params.email - Email address
      * @param {string} params.password - Password
-     * @param {string} params.role - User role (superadmin or school_admin)
-     * @param {string} [params.schoolId] - School ID (required for school_admin)
+     * @param {string} params.role - User role (superadmin, school_admin or teacher)
+     * @param {string} [params.schoolId] - School ID (required for school_admin and teacher)
+     * @param {Object} [params.__device] - Device info from middleware
      */
-    async createUser({ username, email, password, role, schoolId }){
+    async createUser({ username, email, password, role, schoolId, __device }){
         const user = { username, email, password, role, schoolId };
 
         // Data validation
         let result = await this.validators.user.createUser(user);
-        if(result) return { errors: result };
+        if(result) return validationFailed(result);
 
         // Check if user already exists
         const existingUser = await this.mongomodels.user.findOne({
@@ -32,19 +101,22 @@ module.exports = class User {
         });
         
         if(existingUser) {
-            return { error: 'User with this email or username already exists' };
+            return conflict('User with this email or username already exists');
         }
 
-        // Validate school_admin has schoolId
+        // Validate school-scoped roles have schoolId
         if(role === 'school_admin' && !schoolId) {
-            return { error: 'School ID is required for school admin' };
+            return badRequest('School ID is required for school admin');
+        }
+        if(role === 'teacher' && !schoolId) {
+            return badRequest('School ID is required for teacher');
         }
 
         // Validate schoolId exists if provided
         if(schoolId) {
             const school = await this.mongomodels.school.findById(schoolId);
             if(!school) {
-                return { error: 'Invalid school ID' };
+                return badRequest('Invalid school ID');
             }
         }
         
@@ -54,20 +126,228 @@ module.exports = class User {
             email,
             password,
             role,
-            schoolId: role === 'school_admin' ? schoolId : undefined
+            schoolId: role !== 'superadmin' ? schoolId : undefined
         });
 
-        let longToken = this.tokenManager.genLongToken({
-            userId: createdUser._id,
-            userKey: createdUser.username,
-            role: createdUser.role,
-            schoolId: createdUser.schoolId
+        const { longToken, refreshToken } = await this.tokenManager.createSession({
+            user: createdUser,
+            device: __device
         });
+
+        await this._sendEmailVerification(createdUser);
         
         // Response
         return {
             user: createdUser.toJSON(), 
-            longToken 
+            longToken,
+            refreshToken
+        };
+    }
+
+    /**
+     * Create the first superadmin, used by the create-superadmin script.
+     * Refuses once any superadmin exists.
+     * @param {Object} params - User data
+     * @param {string} params.username - Username
+     * @param {string} params.email - Email address
+     * @param {string} params.password - Password
+     */
+    async bootstrapSuperadmin({ username, email, password }){
+        // Data validation
+        let result = await this.validators.user.createUser({ username, email, password, role: 'superadmin' });
+        if(result) return validationFailed(result);
+
+        const superadmin = await this.mongomodels.user.exists({ role: 'superadmin' });
+        if(superadmin) {
+            return conflict('A superadmin already exists');
+        }
+
+        const existingUser = await this.mongomodels.user.findOne({
+            $or: [{ email }, { username }]
+        });
+        if(existingUser) {
+            return conflict('User with this email or username already exists');
+        }
+
+        // Whoever runs the script owns the address
+        const createdUser = await this.mongomodels.user.create({
+            username,
+            email,
+            password,
+            role: 'superadmin',
+            emailVerified: true,
+            emailVerifiedAt: new Date()
+        });
+
+        return { user: createdUser.toJSON() };
+    }
+
+    /**
+     * Mail a new email verification token to a user
+     * @param {Object} user - User document
+     */
+    async _sendEmailVerification(user) {
+        const ttlMinutes = this.tokenTtls.emailVerificationTtlMinutes;
+        const token = await this.mongomodels.userToken.issue({ userId: user._id, type: 'email_verification', ttlMinutes });
+        await this.mailManager.sendEmailVerification({ user, token, ttlMinutes });
+    }
+
+    /**
+     * Throttle key of an account, by email so unknown emails lock too
+     * and lockouts do not reveal which accounts exist
+     * @param {string} email - Email address
+     * @returns {string} Throttle key
+     */
+    _accountKey(email) {
+        return `account:${String(email).trim().toLowerCase()}`;
+    }
+
+    /**
+     * Throttle key of the IP a login comes from. The address is `req.ip`,
+     * read by the device middleware, which only follows X-Forwarded-For
+     * from proxies trusted through TRUST_PROXY.
+     * @param {Object} [device] - Device info from middleware
+     * @returns {string|null} Throttle key, null when the IP is unknown
+     */
+    _ipKey(device) {
+        return device && device.ip && device.ip !== 'N/A' ? `ip:${device.ip}` : null;
+    }
+
+    /**
+     * Count a failed login against the account and the IP, auditing lockouts
+     * @param {Object} params
+     * @param {Object|null} params.user - User with the email, if any
+     * @param {string} params.accountKey - Throttle key of the account
+     * @param {string|null} params.ipKey - Throttle key of the IP
+     * @param {Object} [params.device] - Device info from middleware
+     */
+    async _failLogin({ user, accountKey, ipKey, device }) {
+        const accountLock = await this.mongomodels.loginThrottle.fail(accountKey, this.lockout);
+        if (accountLock) {
+            await this.auditManager.log({
+                action: 'user.lockout',
+                entityType: user ? 'user' : undefined,
+                entityId: user ? user._id : undefined,
+                changes: [{ field: 'lockedUntil', before: null, after: accountLock.lockedUntil }],
+                device
+            });
+        }
+
+        if (!ipKey) return;
+        const ipLock = await this.mongomodels.loginThrottle.fail(ipKey, {
+            ...this.lockout,
+            maxAttempts: this.lockout.ipMaxAttempts
+        });
+        if (ipLock) {
+            await this.auditManager.log({
+                action: 'user.ipLockout',
+                changes: [{ field: 'lockedUntil', before: null, after: ipLock.lockedUntil }],
+                device
+            });
+        }
+    }
+
+    /**
+     * Whether the role of a user requires two-factor authentication
+     * @param {Object} user - User document
+     * @returns {boolean}
+     */
+    _mfaRequired(user) {
+        return this.mfa.requiredRoles.includes(user.role);
+    }
+
+    /**
+     * Start an enrollment: keep a new secret until its first code is checked
+     * @param {Object} user - User document
+     * @returns {Promise<Object>} { secret, otpauthUrl }
+     */
+    async _startMfaEnrollment(user) {
+        const secret = generateSecret();
+        await this.mongomodels.user.updateOne({ _id: user._id }, { $set: { 'mfa.pendingSecret': secret } });
+        return {
+            secret,
+            otpauthUrl: otpauthUrl({ secret, account: user.email, issuer: this.mfa.issuer })
+        };
+    }
+
+    /**
+     * Turn two-factor authentication on with the pending secret
+     * @param {Object} user - User document, with its MFA secrets
+     * @param {number} step - Time step of the code that confirmed the secret
+     * @returns {Promise<string[]>} Recovery codes, only shown now
+     */
+    async _enableMfa(user, step) {
+        const recoveryCodes = generateRecoveryCodes(this.mfa.recoveryCodes);
+        await this.mongomodels.user.updateOne({ _id: user._id }, {
+            $set: {
+                'mfa.enabled': true,
+                'mfa.enabledAt': new Date(),
+                'mfa.secret': user.mfa.pendingSecret,
+                'mfa.recoveryCodes': recoveryCodes.map(hashRecoveryCode),
+                'mfa.lastUsedStep': step
+            },
+            $unset: { 'mfa.pendingSecret': 1 }
+        });
+        return recoveryCodes;
+    }
+
+    /**
+     * Check an authenticator or recovery code of a user with MFA enabled.
+     * Each code works once.
+     * @param {Object} user - User document, with its MFA secrets
+     * @param {string} code - Code typed by the user
+     * @returns {Promise<boolean>}
+     */
+    async _useMfaCode(user, code) {
+        const step = verifyTotp({ secret: user.mfa.secret, code });
+        if(step !== null) {
+            const used = await this.mongomodels.user.updateOne(
+                { _id: user._id, $or: [{ 'mfa.lastUsedStep': null }, { 'mfa.lastUsedStep': { $lt: step } }] },
+                { $set: { 'mfa.lastUsedStep': step } }
+            );
+            return used.modifiedCount === 1;
+        }
+
+        const hashed = hashRecoveryCode(code);
+        const used = await this.mongomodels.user.updateOne(
+            { _id: user._id, 'mfa.recoveryCodes': hashed },
+            { $pull: { 'mfa.recoveryCodes': hashed } }
+        );
+        return used.modifiedCount === 1;
+    }
+
+    /**
+     * Sign in a user whose password was checked: open a session, or hand
+     * out a challenge when a two-factor code is needed first. Users whose
+     * role requires MFA and who have not enrolled get a secret to enroll.
+     * @param {Object} user - User document
+     * @param {Object} [device] - Device info from middleware
+     * @returns {Promise<Object>} { user, longToken, refreshToken } or { mfaRequired, challengeToken, enrollment }
+     */
+    async _signIn(user, device) {
+        if(user.mfa.enabled || this._mfaRequired(user)) {
+            const challengeToken = await this.mongomodels.userToken.issue({
+                userId: user._id,
+                type: 'mfa_challenge',
+                ttlMinutes: this.mfa.challengeTtlMinutes
+            });
+            return {
+                mfaRequired: true,
+                challengeToken,
+                enrollment: user.mfa.enabled ? undefined : await this._startMfaEnrollment(user)
+            };
+        }
+
+        // Open a session: short lived long token with role and school info, plus its refresh token
+        const { longToken, refreshToken } = await this.tokenManager.createSession({
+            user,
+            device
+        });
+
+        return {
+            user: user.toJSON(),
+            longToken,
+            refreshToken
         };
     }
 
@@ -76,38 +356,104 @@ module.exports = class User {
      * @param {Object} params - Login credentials
      * @param {string} params.email - Email address
      * @param {string} params.password - Password
+     * @param {Object} [params.__device] - Device info from middleware
      */
-    async login({ email, password }){
+    async login({ email, password, __device }){
         // Validate input
         if(!email || !password) {
-            return { error: 'Email and password are required' };
+            return badRequest('Email and password are required');
+        }
+
+        // Refuse locked accounts and IPs before checking anything
+        const accountKey = this._accountKey(email);
+        const ipKey = this._ipKey(__device);
+        const lockedUntil = await this.mongomodels.loginThrottle.lockedUntil(ipKey ? [accountKey, ipKey] : [accountKey]);
+        if(lockedUntil) {
+            return tooManyRequests('Too many failed login attempts. Try again later.', {
+                retryAfter: Math.ceil((lockedUntil - Date.now()) / 1000)
+            });
         }
 
         // Find user by email
         const user = await this.mongomodels.user.findOne({ email });
-        
-        if(!user) {
-            return { error: 'Invalid email or password' };
-        }
 
         // Check password
-        const isPasswordValid = await user.comparePassword(password);
+        const isPasswordValid = user ? await user.comparePassword(password) : false;
         
         if(!isPasswordValid) {
-            return { error: 'Invalid email or password' };
+            await this._failLogin({ user, accountKey, ipKey, device: __device });
+            return unauthorized('Invalid email or password');
+        }
+
+        await this.mongomodels.loginThrottle.clear(accountKey);
+
+        if(!user.isActive) {
+            return forbidden('This account has been deactivated');
         }
 
-        // Generate long token with role and school info
-        const longToken = this.tokenManager.genLongToken({
-            userId: user._id,
-            userKey: user.username,
-            role: user.role,
-            schoolId: user.schoolId
+        return this._signIn(user, __device);
+    }
+
+    /**
+     * Finish a login waiting for its two-factor code.
+     * A recovery code can be used instead of an authenticator code. When the
+     * login started an enrollment, the code confirms it and the new recovery
+     * codes are returned once.
+     * @param {Object} params - Request parameters
+     * @param {string} params.challengeToken - Challenge returned by login (required)
+     * @param {string} params.code - Authenticator or recovery code (required)
+     * @param {Object} [params.__device] - Device info from middleware
+     */
+    async verifyMfa({ challengeToken, code, __device }){
+        // Validate input
+        let result = await this.validators.user.verifyMfa({ challengeToken, code });
+        if(result) return validationFailed(result);
+
+        const challenge = await this.mongomodels.userToken.findValid({ token: challengeToken, type: 'mfa_challenge' });
+        const user = challenge ? await this.mongomodels.user.findById(challenge.userId).select(MFA_SECRETS) : null;
+        if(!user) {
+            return unauthorized('Invalid or expired challenge');
+        }
+
+        // Wrong codes count as failed logins of the account
+        const accountKey = this._accountKey(user.email);
+        const ipKey = this._ipKey(__device);
+        const lockedUntil = await this.mongomodels.loginThrottle.lockedUntil(ipKey ? [accountKey, ipKey] : [accountKey]);
+        if(lockedUntil) {
+            return tooManyRequests('Too many failed login attempts. Try again later.', {
+                retryAfter: Math.ceil((lockedUntil - Date.now()) / 1000)
+            });
+        }
+
+        const enrolling = !user.mfa.enabled;
+        const step = enrolling && user.mfa.pendingSecret ? verifyTotp({ secret: user.mfa.pendingSecret, code }) : null;
+        const valid = enrolling ? step !== null : await this._useMfaCode(user, code);
+        if(!valid) {
+            await this._failLogin({ user, accountKey, ipKey, device: __device });
+            return unauthorized('Invalid code');
+        }
+
+        // A challenge is good for one login
+        if(!(await this.mongomodels.userToken.consume({ token: challengeToken, type: 'mfa_challenge' }))) {
+            return unauthorized('Invalid or expired challenge');
+        }
+        await this.mongomodels.loginThrottle.clear(accountKey);
+
+        if(!user.isActive) {
+            return forbidden('This account has been deactivated');
+        }
+
+        const recoveryCodes = enrolling ? await this._enableMfa(user, step) : undefined;
+        const { longToken, refreshToken } = await this.tokenManager.createSession({
+            user,
+            device: __device
         });
 
         return {
             user: user.toJSON(),
-            longToken
+            longToken,
+            refreshToken,
+            recoveryCodes
         };
     }
 
@@ -118,14 +464,15 @@ module.exports = class User {
      */
     async getUserProfile({ __token }){
         if(!__token || !__token.userId) {
-            return { error: 'Authentication required' };
+            return unauthorized('Authentication required');
         }
 
         const user = await this.mongomodels.user.findById(__token.userId)
-            .populate('schoolId', 'name address');
+            .populate('schoolId', 'name address')
+            .populate('memberships.schoolId', 'name');
         
         if(!user) {
-            return { error: 'User not found' };
+            return notFound('User not found');
         }
 
         return { user: user.toJSON() };
@@ -141,13 +488,13 @@ module.exports = class User {
      */
     async updateUser({ username, email, password, __token }){
         if(!__token || !__token.userId) {
-            return { error: 'Authentication required' };
+            return unauthorized('Authentication required');
         }
 
         const user = await this.mongomodels.user.findById(__token.userId);
         
         if(!user) {
-            return { error: 'User not found' };
+            return notFound('User not found');
         }
 
         // Check for duplicate username/email
@@ -161,17 +508,778 @@ module.exports = class User {
             });
             
             if(existingUser) {
-                return { error: 'Username or email already in use' };
+                return conflict('Username or email already in use');
             }
         }
 
         // Update fields
+        const emailChanged = !!email && String(email).toLowerCase() !== user.email;
         if(username) user.username = username;
-        if(email) user.email = email;
+        if(emailChanged) {
+            // A new address has to be verified again
+            user.email = email;
+            user.emailVerified = false;
+            user.emailVerifiedAt = undefined;
+        }
         if(password) user.password = password; // Will be hashed by pre-save hook
 
         await user.save();
 
+        if(emailChanged) {
+            await this._sendEmailVerification(user);
+        }
+
+        return { user: user.toJSON() };
+    }
+
+    /**
+     * Log out of the current session; its tokens stop working immediately
+     * @param {Object} params - Request parameters
+     * @param {Object} params.__longToken - Decoded token from middleware
+     */
+    async logout({ __longToken }){
+        if(!__longToken || !__longToken.sessionId) {
+            return unauthorized('Authentication required');
+        }
+
+        await this.tokenManager.revokeSession(__longToken.sessionId);
+
+        return { message: 'Logged out' };
+    }
+
+    /**
+     * Log out of every session of the current user
+     * @param {Object} params - Request parameters
+     * @param {Object} params.__longToken - Decoded token from middleware
+     */
+    async logoutAllDevices({ __longToken }){
+        if(!__longToken || !__longToken.userId) {
+            return unauthorized('Authentication required');
+        }
+
+        const sessions = await this.tokenManager.revokeUserSessions(__longToken.userId);
+
+        return { message: 'Logged out from all devices', sessions };
+    }
+
+    /**
+     * List the active sessions of the current user, one per signed-in device
+     * @param {Object} params - Request parameters
+     * @param {Object} params.__longToken - Decoded token from middleware
+     */
+    async getSessions({ __longToken }){
+        const sessions = await this.tokenManager.getUserSessions(__longToken.userId);
+
+        return {
+            sessions: sessions.map(session => ({
+                sessionId: session._id,
+                ip: session.ip,
+                userAgent: session.userAgent,
+                deviceId: session.deviceId,
+                createdAt: session.createdAt,
+                lastSeenAt: session.lastSeenAt,
+                lastSeenIp: session.lastSeenIp,
+                current: String(session._id) === __longToken.sessionId,
+            }))
+        };
+    }
+
+    /**
+     * Log one of the current user's devices out
+     * @param {Object} params - Request parameters
+     * @param {string} params.sessionId - Session ID, from getSessions (required)
+     * @param {Object} params.__longToken - Decoded token from middleware
+     */
+    async revokeSession({ sessionId, __longToken }){
+        // Validate input
+        let result = await this.validators.user.revokeSession({ sessionId });
+        if(result) return validationFailed(result);
+
+        const revoked = await this.tokenManager.revokeUserSession({ userId: __longToken.userId, sessionId });
+        if(!revoked) {
+            return notFound('No active session found');
+        }
+
+        return { message: 'Session revoked' };
+    }
+
+    /**
+     * Start enrolling the current user in two-factor authentication.
+     * Show `otpauthUrl` as a QR code, then confirm with confirmMfa.
+     * @param {Object} params - Request parameters
+     * @param {Object} params.__longToken - Decoded token from middleware
+     */
+    async enrollMfa({ __longToken }){
+        const user = await this.mongomodels.user.findById(__longToken.userId);
+        if(!user) {
+            return notFound('User not found');
+        }
+        if(user.mfa.enabled) {
+            return conflict('Two-factor authentication is already enabled');
+        }
+
+        return await this._startMfaEnrollment(user);
+    }
+
+    /**
+     * Confirm an enrollment with a first code from the authenticator app
+     * @param {Object} params - Request parameters
+     * @param {string} params.code - Authenticator code (required)
+     * @param {Object} params.__longToken - Decoded token from middleware
+     */
+    async confirmMfa({ code, __longToken }){
+        // Validate input
+        let result = await this.validators.user.confirmMfa({ code });
+        if(result) return validationFailed(result);
+
+        const user = await this.mongomodels.user.findById(__longToken.userId).select(MFA_SECRETS);
+        if(!user) {
+            return notFound('User not found');
+        }
+        if(user.mfa.enabled) {
+            return conflict('Two-factor authentication is already enabled');
+        }
+        if(!user.mfa.pendingSecret) {
+            return badRequest('No enrollment in progress. Start one with enrollMfa');
+        }
+        const step = verifyTotp({ secret: user.mfa.pendingSecret, code });
+        if(step === null) {
+            return unauthorized('Invalid code');
+        }
+
+        const recoveryCodes = await this._enableMfa(user, step);
+
+        return { message: 'Two-factor authentication enabled', recoveryCodes };
+    }
+
+    /**
+     * Turn two-factor authentication off, unless the user's role requires it
+     * @param {Object} params - Request parameters
+     * @param {string} params.code - Authenticator or recovery code (required)
+     * @param {Object} params.__longToken - Decoded token from middleware
+     */
+    async disableMfa({ code, __longToken }){
+        // Validate input
+        let result = await this.validators.user.disableMfa({ code });
+        if(result) return validationFailed(result);
+
+        const user = await this.mongomodels.user.findById(__longToken.userId).select(MFA_SECRETS);
+        if(!user) {
+            return notFound('User not found');
+        }
+        if(this._mfaRequired(user)) {
+            return forbidden('Two-factor authentication is required for your role');
+        }
+        if(!user.mfa.enabled) {
+            return badRequest('Two-factor authentication is not enabled');
+        }
+        if(!(await this._useMfaCode(user, code))) {
+            return unauthorized('Invalid code');
+        }
+
+        await this.mongomodels.user.updateOne({ _id: user._id }, { $set: { mfa: { enabled: false } } });
+
+        return { message: 'Two-factor authentication disabled' };
+    }
+
+    /**
+     * Replace the recovery codes of the current user
+     * @param {Object} params - Request parameters
+     * @param {string} params.code - Authenticator or recovery code (required)
+     * @param {Object} params.__longToken - Decoded token from middleware
+     */
+    async regenerateRecoveryCodes({ code, __longToken }){
+        // Validate input
+        let result = await this.validators.user.regenerateRecoveryCodes({ code });
+        if(result) return validationFailed(result);
+
+        const user = await this.mongomodels.user.findById(__longToken.userId).select(MFA_SECRETS);
+        if(!user) {
+            return notFound('User not found');
+        }
+        if(!user.mfa.enabled) {
+            return badRequest('Two-factor authentication is not enabled');
+        }
+        if(!(await this._useMfaCode(user, code))) {
+            return unauthorized('Invalid code');
+        }
+
+        const recoveryCodes = generateRecoveryCodes(this.mfa.recoveryCodes);
+        await this.mongomodels.user.updateOne({ _id: user._id }, {
+            $set: { 'mfa.recoveryCodes': recoveryCodes.map(hashRecoveryCode) }
+        });
+
+        return { recoveryCodes };
+    }
+
+    /**
+     * Lift the lockout of an account (superadmin only)
+     * @param {Object} params - Request parameters
+     * @param {string} params.userId - User ID (required)
+     * @param {Object} params.__longToken - Decoded token from middleware
+     */
+    async unlockUser({ userId, __longToken }){
+        // Validate input
+        let result = await this.validators.user.unlockUser({ userId });
+        if(result) return validationFailed(result);
+
+        const user = await this.mongomodels.user.findById(userId);
+        if(!user) {
+            return notFound('User not found');
+        }
+
+        const wasLocked = await this.mongomodels.loginThrottle.clear(this._accountKey(user.email));
+
+        return {
+            user: user.toJSON(),
+            message: wasLocked ? 'Account unlocked' : 'Account was not locked'
+        };
+    }
+
+    /**
+     * Mail a password reset token.
+     * The response is the same whether or not the email belongs to an account.
+     * @param {Object} params - Request parameters
+     * @param {string} params.email - Email address of the account
+     */
+    async requestPasswordReset({ email }){
+        // Validate input
+        let result = await this.validators.user.requestPasswordReset({ email });
+        if(result) return validationFailed(result);
+
+        const message = 'If an account exists for this email, a password reset link has been sent';
+
+        const user = await this.mongomodels.user.findOne({ email: email.toLowerCase() });
+        if(!user || !user.isActive) {
+            return { message };
+        }
+
+        const ttlMinutes = this.tokenTtls.passwordResetTtlMinutes;
+        const token = await this.mongomodels.userToken.issue({ userId: user._id, type: 'password_reset', ttlMinutes });
+        await this.mailManager.sendPasswordReset({ user, token, ttlMinutes });
+
+        return { message };
+    }
+
+    /**
+     * Choose a new password with a password reset token.
+     * Every session of the user is revoked.
+     * @param {Object} params - Request parameters
+     * @param {string} params.token - Token received by mail
+     * @param {string} params.password - New password
+     */
+    async resetPassword({ token, password }){
+        // Validate input
+        let result = await this.validators.user.resetPassword({ token, password });
+        if(result) return validationFailed(result);
+
+        const used = await this.mongomodels.userToken.consume({ token, type: 'password_reset' });
+        if(!used) {
+            return badRequest('Invalid or expired token');
+        }
+
+        const user = await this.mongomodels.user.findById(used.userId);
+        if(!user) {
+            return badRequest('Invalid or expired token');
+        }
+
+        user.password = password; // Will be hashed by pre-save hook
+        // The reset link reached the mailbox, so the address is verified
+        if(!user.emailVerified) {
+            user.emailVerified = true;
+            user.emailVerifiedAt = new Date();
+        }
+        await user.save();
+
+        await this.tokenManager.revokeUserSessions(user._id);
+        await this.mongomodels.loginThrottle.clear(this._accountKey(user.email));
+
+        return { message: 'Password has been reset' };
+    }
+
+    /**
+     * Confirm an email address with an email verification token
+     * @param {Object} params - Request parameters
+     * @param {string} params.token - Token received by mail
+     */
+    async verifyEmail({ token }){
+        // Validate input
+        let result = await this.validators.user.verifyEmail({ token });
+        if(result) return validationFailed(result);
+
+        const used = await this.mongomodels.userToken.consume({ token, type: 'email_verification' });
+        if(!used) {
+            return badRequest('Invalid or expired token');
+        }
+
+        const user = await this.mongomodels.user.findByIdAndUpdate(
+            used.userId,
+            { $set: { emailVerified: true, emailVerifiedAt: new Date() } },
+            { returnDocument: 'after' }
+        );
+        if(!user) {
+            return badRequest('Invalid or expired token');
+        }
+
+        return { user: user.toJSON() };
+    }
+
+    /**
+     * Mail a new email verification token to the current user
+     * @param {Object} params - Request parameters
+     * @param {Object} params.__longToken - Decoded token from middleware
+     */
+    async resendVerification({ __longToken }){
+        if(!__longToken || !__longToken.userId) {
+            return unauthorized('Authentication required');
+        }
+
+        const user = await this.mongomodels.user.findById(__longToken.userId);
+        if(!user) {
+            return notFound('User not found');
+        }
+        if(user.emailVerified) {
+            return conflict('Email is already verified');
+        }
+
+        await this._sendEmailVerification(user);
+
+        return { message: 'Verification email sent' };
+    }
+
+    /**
+     * Invite a school admin or teacher (superadmin only).
+     * The invitee receives a single-use link and joins with the role and
+     * school set here; earlier pending invitations of the email are revoked.
+     * @param {Object} params - Request parameters
+     * @param {string} params.email - Invitee email (required)
+     * @param {string} params.role - school_admin or teacher (required)
+     * @param {string} params.schoolId - School ID (required)
+     * @param {Object} params.__longToken - Decoded token from middleware
+     */
+    async inviteUser({ email, role, schoolId, __longToken }){
+        // Validate input
+        let result = await this.validators.user.inviteUser({ email, role, schoolId });
+        if(result) return validationFailed(result);
+
+        if(!['school_admin', 'teacher'].includes(role)) {
+            return badRequest('Only school admins and teachers can be invited');
+        }
+
+        const school = await this.mongomodels.school.findById(schoolId);
+        if(!school) {
+            return badRequest('Invalid school ID');
+        }
+
+        const existingUser = await this.mongomodels.user.findOne({ email: email.toLowerCase() });
+        if(existingUser) {
+            return conflict('User with this email already exists');
+        }
+
+        const ttlMinutes = this.tokenTtls.invitationTtlMinutes;
+        const { invitation, token } = await this.mongomodels.invitation.issue({
+            email,
+            role,
+            schoolId,
+            invitedBy: __longToken.userId,
+            ttlMinutes
+        });
+        await this.mailManager.sendInvitation({ email: invitation.email, token, role, school, ttlMinutes });
+
+        return {
+            invitation: {
+                _id: invitation._id,
+                email: invitation.email,
+                role: invitation.role,
+                schoolId: invitation.schoolId,
+                expiresAt: invitation.expiresAt
+            }
+        };
+    }
+
+    /**
+     * Create an account from an invitation and sign in
+     * @param {Object} params - Request parameters
+     * @param {string} params.token - Token received by mail (required)
+     * @param {string} params.username - Username (required)
+     * @param {string} params.password - Password (required)
+     * @param {Object} [params.__device] - Device info from middleware
+     */
+    async acceptInvite({ token, username, password, __device }){
+        // Validate input
+        let result = await this.validators.user.acceptInvite({ token, username, password });
+        if(result) return validationFailed(result);
+
+        const invitation = await this.mongomodels.invitation.findPending(token);
+        if(!invitation) {
+            return badRequest('Invalid or expired invitation');
+        }
+
+        const existingUser = await this.mongomodels.user.findOne({
+            $or: [{ email: invitation.email }, { username }]
+        });
+        if(existingUser) {
+            return conflict('User with this email or username already exists');
+        }
+
+        // Claim the invitation so it cannot be accepted twice
+        const accepted = await this.mongomodels.invitation.accept(invitation._id);
+        if(!accepted) {
+            return badRequest('Invalid or expired invitation');
+        }
+
+        let createdUser;
+        try {
+            // The invitation reached the mailbox, so the address is verified
+            createdUser = await this.mongomodels.user.create({
+                username,
+                email: accepted.email,
+                password,
+                role: accepted.role,
+                schoolId: accepted.schoolId,
+                emailVerified: true,
+                emailVerifiedAt: new Date()
+            });
+        } catch(err) {
+            await this.mongomodels.invitation.updateOne({ _id: accepted._id }, { $unset: { acceptedAt: 1 } });
+            throw err;
+        }
+
+        accepted.acceptedBy = createdUser._id;
+        await accepted.save();
+
+        return this._signIn(createdUser, __device);
+    }
+
+    /**
+     * Revoke a pending invitation (superadmin only)
+     * @param {Object} params - Request parameters
+     * @param {string} params.invitationId - Invitation ID (required)
+     * @param {Object} params.__longToken - Decoded token from middleware
+     */
+    async revokeInvitation({ invitationId, __longToken }){
+        // Validate input
+        let result = await this.validators.user.revokeInvitation({ invitationId });
+        if(result) return validationFailed(result);
+
+        const invitation = await this.mongomodels.invitation.revoke(invitationId);
+        if(!invitation) {
+            return notFound('No pending invitation found');
+        }
+
+        return { message: 'Invitation revoked' };
+    }
+
+    /**
+     * List users with pagination (superadmin only)
+     * @param {Object} params - Query parameters
+     * @param {number} [params.page=1] - Page number
+     * @param {number} [params.limit=10] - Items per page
+     * @param {string} [params.role] - Filter by role
+     * @param {string} [params.schoolId] - Filter by school membership
+     * @param {boolean} [params.isActive] - Filter by active status
+     * @param {Object} params.__longToken - Decoded token from middleware
+     */
+    async getUsers({ page = 1, limit = 10, role, schoolId, isActive, __longToken }){
+        // Query strings carry booleans as text
+        if(isActive === 'true' || isActive === 'false') isActive = isActive === 'true';
+
+        // Validate input
+        let result = await this.validators.user.getUsers({ role, schoolId, isActive });
+        if(result) return validationFailed(result);
+
+        const query = {};
+        if(role) query.role = role;
+        if(schoolId) query['memberships.schoolId'] = schoolId;
+        // Accounts created before deactivation existed have no isActive field
+        if(typeof isActive !== 'undefined') query.isActive = isActive ? { $ne: false } : false;
+
+        // Parse pagination
+        const pageNum = Math.max(1, parseInt(page) || 1);
+        const limitNum = Math.min(100, Math.max(1, parseInt(limit) || 10));
+        const skip = (pageNum - 1) * limitNum;
+
+        const [users, total] = await Promise.all([
+            this.mongomodels.user
+                .find(query)
+                .select('-password')
+                .populate('schoolId', 'name')
+                .sort({ createdAt: -1 })
+                .skip(skip)
+                .limit(limitNum)
+                .lean(),
+            this.mongomodels.user.countDocuments(query)
+        ]);
+
+        return {
+            users,
+            pagination: {
+                page: pageNum,
+                limit: limitNum,
+                total,
+                pages: Math.ceil(total / limitNum)
+            }
+        };
+    }
+
+    /**
+     * Get a user by ID (superadmin only)
+     * @param {Object} params - Query parameters
+     * @param {string} params.userId - User ID (required)
+     * @param {Object} params.__longToken - Decoded token from middleware
+     */
+    async getUser({ userId, __longToken }){
+        // Validate input
+        let result = await this.validators.user.getUser({ userId });
+        if(result) return validationFailed(result);
+
+        const user = await this.mongomodels.user.findById(userId)
+            .populate('schoolId', 'name address')
+            .populate('memberships.schoolId', 'name');
+        if(!user) {
+            return notFound('User not found');
+        }
+
+        return { user: user.toJSON() };
+    }
+
+    /**
+     * Load another user for an administrative change.
+     * Superadmins cannot change their own account this way, so the
+     * last superadmin cannot lock everyone out.
+     * @param {string} userId - User ID
+     * @param {Object} token - Decoded token of the caller
+     * @returns {Promise<Object>} { user } or an error object
+     */
+    async _findManagedUser(userId, token) {
+        if(String(userId) === String(token.userId)) {
+            return { error: badRequest('You cannot change your own account') };
+        }
+
+        const user = await this.mongomodels.user.findById(userId);
+        if(!user) {
+            return { error: notFound('User not found') };
+        }
+
+        return { user };
+    }
+
+    /**
+     * Check that a school exists
+     * @param {string} schoolId - School ID
+     * @returns {Promise<Object|null>} Error object if invalid, null if valid
+     */
+    async _checkSchool(schoolId) {
+        const school = await this.mongomodels.school.findById(schoolId);
+        return school ? null : badRequest('Invalid school ID');
+    }
+
+    /**
+     * Change the role of a user (superadmin only).
+     * School admins and teachers need a school: the given one, or the one
+     * the user already has. Tokens carry the role, so the user's sessions
+     * are revoked.
+     * @param {Object} params - Request parameters
+     * @param {string} params.userId - User ID (required)
+     * @param {string} params.role - New role (required)
+     * @param {string} [params.schoolId] - School ID for school admins and teachers
+     * @param {Object} params.__longToken - Decoded token from middleware
+     */
+    async updateUserRole({ userId, role, schoolId, __longToken }){
+        // Validate input
+        let result = await this.validators.user.updateUserRole({ userId, role, schoolId });
+        if(result) return validationFailed(result);
+
+        const { user, error } = await this._findManagedUser(userId, __longToken);
+        if(error) return error;
+
+        if(role === 'superadmin') {
+            user.schoolId = undefined;
+        } else {
+            const targetSchoolId = schoolId || user.schoolId;
+            if(!targetSchoolId) {
+                return badRequest(`School ID is required for ${role === 'teacher' ? 'teacher' : 'school admin'}`);
+            }
+            const schoolError = await this._checkSchool(targetSchoolId);
+            if(schoolError) return schoolError;
+            // The default membership moves with the school, as in assignUserSchool
+            user.memberships = user.memberships.filter(m =>
+                !(user.schoolId && m.schoolId.equals(user.schoolId)) && !m.schoolId.equals(targetSchoolId));
+            user.schoolId = targetSchoolId;
+        }
+        user.role = role;
+        await user.save();
+
+        await this.tokenManager.revokeUserSessions(user._id);
+
+        return { user: user.toJSON() };
+    }
+
+    /**
+     * Move a school admin or teacher to another school (superadmin only).
+     * The default membership moves; other memberships are kept.
+     * Tokens carry the school, so the user's sessions are revoked.
+     * @param {Object} params - Request parameters
+     * @param {string} params.userId - User ID (required)
+     * @param {string} params.schoolId - School ID (required)
+     * @param {Object} params.__longToken - Decoded token from middleware
+     */
+    async assignUserSchool({ userId, schoolId, __longToken }){
+        // Validate input
+        let result = await this.validators.user.assignUserSchool({ userId, schoolId });
+        if(result) return validationFailed(result);
+
+        const { user, error } = await this._findManagedUser(userId, __longToken);
+        if(error) return error;
+
+        if(user.role === 'superadmin') {
+            return badRequest('Superadmins are not assigned to a school');
+        }
+
+        const schoolError = await this._checkSchool(schoolId);
+        if(schoolError) return schoolError;
+
+        user.memberships = user.memberships.filter(m => !m.schoolId.equals(user.schoolId) && !m.schoolId.equals(schoolId));
+        user.schoolId = schoolId;
+        await user.save();
+
+        await this.tokenManager.revokeUserSessions(user._id);
+
+        return { user: user.toJSON() };
+    }
+
+    /**
+     * Deactivate a user (superadmin only).
+     * Every session of the user is revoked, so their tokens stop working
+     * immediately, and they cannot sign in until reactivated.
+     * @param {Object} params - Request parameters
+     * @param {string} params.userId - User ID (required)
+     * @param {Object} params.__longToken - Decoded token from middleware
+     */
+    async deactivateUser({ userId, __longToken }){
+        // Validate input
+        let result = await this.validators.user.deactivateUser({ userId });
+        if(result) return validationFailed(result);
+
+        const { user, error } = await this._findManagedUser(userId, __longToken);
+        if(error) return error;
+
+        if(!user.isActive) {
+            return conflict('User is already deactivated');
+        }
+
+        user.isActive = false;
+        user.deactivatedAt = new Date();
+        await user.save();
+
+        const sessions = await this.tokenManager.revokeUserSessions(user._id);
+
+        return { user: user.toJSON(), sessions };
+    }
+
+    /**
+     * Reactivate a deactivated user (superadmin only)
+     * @param {Object} params - Request parameters
+     * @param {string} params.userId - User ID (required)
+     * @param {Object} params.__longToken - Decoded token from middleware
+     */
+    async reactivateUser({ userId, __longToken }){
+        // Validate input
+        let result = await this.validators.user.reactivateUser({ userId });
+        if(result) return validationFailed(result);
+
+        const { user, error } = await this._findManagedUser(userId, __longToken);
+        if(error) return error;
+
+        if(user.isActive) {
+            return conflict('User is already active');
+        }
+
+        user.isActive = true;
+        user.deactivatedAt = undefined;
+        await user.save();
+
+        return { user: user.toJSON() };
+    }
+
+    /**
+     * Give a school admin or teacher a membership in another school,
+     * or change their role there (superadmin only).
+     * Tokens carry the memberships, so the user's sessions are revoked.
+     * @param {Object} params - Request parameters
+     * @param {string} params.userId - User ID (required)
+     * @param {string} params.schoolId - School ID (required)
+     * @param {string} params.role - school_admin or teacher (required)
+     * @param {Object} params.__longToken - Decoded token from middleware
+     */
+    async addUserMembership({ userId, schoolId, role, __longToken }){
+        // Validate input
+        let result = await this.validators.user.addUserMembership({ userId, schoolId, role });
+        if(result) return validationFailed(result);
+
+        if(!['school_admin', 'teacher'].includes(role)) {
+            return badRequest('Memberships are for school admins and teachers');
+        }
+
+        const { user, error } = await this._findManagedUser(userId, __longToken);
+        if(error) return error;
+
+        if(user.role === 'superadmin') {
+            return badRequest('Superadmins are not assigned to a school');
+        }
+
+        const schoolError = await this._checkSchool(schoolId);
+        if(schoolError) return schoolError;
+
+        if(user.schoolId.equals(schoolId)) {
+            // The default membership follows the user's role
+            user.role = role;
+        } else {
+            const membership = user.memberships.find(m => m.schoolId.equals(schoolId));
+            if(membership) membership.role = role;
+            else user.memberships.push({ schoolId, role });
+        }
+        await user.save();
+
+        await this.tokenManager.revokeUserSessions(user._id);
+
+        return { user: user.toJSON() };
+    }
+
+    /**
+     * Remove a user's membership in a school (superadmin only).
+     * Removing the default school makes the next membership the default;
+     * the last membership cannot be removed.
+     * @param {Object} params - Request parameters
+     * @param {string} params.userId - User ID (required)
+     * @param {string} params.schoolId - School ID (required)
+     * @param {Object} params.__longToken - Decoded token from middleware
+     */
+    async removeUserMembership({ userId, schoolId, __longToken }){
+        // Validate input
+        let result = await this.validators.user.removeUserMembership({ userId, schoolId });
+        if(result) return validationFailed(result);
+
+        const { user, error } = await this._findManagedUser(userId, __longToken);
+        if(error) return error;
+
+        const remaining = user.memberships.filter(m => !m.schoolId.equals(schoolId));
+        if(remaining.length === user.memberships.length) {
+            return notFound('User is not a member of this school');
+        }
+        if(!remaining.length) {
+            return badRequest('A school admin or teacher needs at least one school');
+        }
+
+        user.memberships = remaining;
+        if(user.schoolId.equals(schoolId)) {
+            user.schoolId = remaining[0].schoolId;
+            user.role = remaining[0].role;
+        }
+        await user.save();
+
+        await this.tokenManager.revokeUserSessions(user._id);
+
         return { user: user.toJSON() };
     }
 
@@ -0,0 +1,129 @@
+const mongoose = require('mongoose');
+const crypto = require('crypto');
+const { nanoid } = require('nanoid');
+
+/**
+ * Invitation to join as a school admin or teacher.
+ * The role and school are fixed by the superadmin who sends it; the
+ * invitee only chooses a username and password. Only a hash of the
+ * mailed token is stored.
+ */
+const invitationSchema = new mongoose.Schema({
+    email: {
+        type: String,
+        required: [true, 'Email is required'],
+        trim: true,
+        lowercase: true
+    },
+    role: {
+        type: String,
+        enum: {
+            values: ['school_admin', 'teacher'],
+            message: 'Role must be school_admin or teacher'
+        },
+        required: [true, 'Role is required']
+    },
+    schoolId: {
+        type: mongoose.Schema.Types.ObjectId,
+        ref: 'School',
+        required: [true, 'School reference is required']
+    },
+    tokenHash: {
+        type: String,
+        required: [true, 'Token hash is required'],
+        unique: true
+    },
+    expiresAt: {
+        type: Date,
+        required: [true, 'Expiry is required']
+    },
+    acceptedAt: {
+        type: Date
+    },
+    acceptedBy: {
+        type: mongoose.Schema.Types.ObjectId,
+        ref: 'User'
+    },
+    revokedAt: {
+        type: Date
+    },
+    invitedBy: {
+        type: mongoose.Schema.Types.ObjectId,
+        ref: 'User',
+        required: [true, 'Inviter reference is required']
+    }
+}, {
+    timestamps: true
+});
+
+invitationSchema.index({ email: 1, acceptedAt: 1, revokedAt: 1 });
+
+const hash = (token) => crypto.createHash('sha256').update(String(token)).digest('hex');
+
+/** Filter of the invitations that can still be accepted */
+const pending = () => ({ acceptedAt: null, revokedAt: null, expiresAt: { $gt: new Date() } });
+
+/**
+ * Invite an email, revoking its earlier pending invitations
+ * @param {Object} params
+ * @param {string} params.email - Invitee email
+ * @param {string} params.role - Role of the account to create
+ * @param {string} params.schoolId - School of the account to create
+ * @param {string} params.invitedBy - User ID of the superadmin
+ * @param {number} params.ttlMinutes - Minutes before the invitation expires
+ * @returns {Promise<Object>} { invitation, token }
+ */
+invitationSchema.statics.issue = async function({ email, role, schoolId, invitedBy, ttlMinutes }) {
+    await this.updateMany(
+        { email: email.toLowerCase(), ...pending() },
+        { $set: { revokedAt: new Date() } }
+    );
+
+    const token = nanoid(48);
+    const invitation = await this.create({
+        email,
+        role,
+        schoolId,
+        invitedBy,
+        tokenHash: hash(token),
+        expiresAt: new Date(Date.now() + ttlMinutes * 60 * 1000)
+    });
+    return { invitation, token };
+};
+
+/**
+ * Find the pending invitation of a token
+ * @param {string} token - Token received by mail
+ * @returns {Promise<Object|null>} Invitation
+ */
+invitationSchema.statics.findPending = async function(token) {
+    return this.findOne({ tokenHash: hash(token), ...pending() });
+};
+
+/**
+ * Accept a pending invitation. Only the first acceptance succeeds.
+ * @param {string} invitationId - Invitation ID
+ * @returns {Promise<Object|null>} The accepted invitation
+ */
+invitationSchema.statics.accept = async function(invitationId) {
+    return this.findOneAndUpdate(
+        { _id: invitationId, ...pending() },
+        { $set: { acceptedAt: new Date() } },
+        { returnDocument: 'after' }
+    );
+};
+
+/**
+ * Revoke a pending invitation
+ * @param {string} invitationId - Invitation ID
+ * @returns {Promise<Object|null>} The revoked invitation
+ */
+invitationSchema.statics.revoke = async function(invitationId) {
+    return this.findOneAndUpdate(
+        { _id: invitationId, ...pending() },
+        { $set: { revokedAt: new Date() } },
+        { returnDocument: 'after' }
+    );
+};
+
+module.exports = mongoose.model('Invitation', invitationSchema);
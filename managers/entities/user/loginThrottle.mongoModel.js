@@ -0,0 +1,98 @@
+const mongoose = require('mongoose');
+
+/**
+ * Failed login counter of an account (`account:<email>`) or an IP (`ip:<ip>`).
+ * Every `maxAttempts` failures lock the key, each lockout twice as long
+ * as the previous one.
+ */
+const loginThrottleSchema = new mongoose.Schema({
+    key: {
+        type: String,
+        required: [true, 'Key is required'],
+        unique: true
+    },
+    failures: {
+        type: Number,
+        default: 0
+    },
+    lockouts: {
+        type: Number,
+        default: 0
+    },
+    lockedUntil: {
+        type: Date
+    },
+    expiresAt: {
+        type: Date,
+        required: [true, 'Expiry is required']
+    }
+}, {
+    timestamps: true
+});
+
+// Counters are forgotten after a quiet period
+loginThrottleSchema.index({ expiresAt: 1 }, { expireAfterSeconds: 0 });
+
+/**
+ * Lock duration of the nth lockout
+ * @param {number} lockouts - Lockouts so far, including this one
+ * @param {Object} policy - { lockMinutes, maxLockMinutes }
+ * @returns {number} Milliseconds
+ */
+const backoff = (lockouts, { lockMinutes, maxLockMinutes }) => {
+    return Math.min(lockMinutes * Math.pow(2, lockouts - 1), maxLockMinutes) * 60 * 1000;
+};
+
+/**
+ * The latest lock among keys that is still running
+ * @param {string[]} keys - Throttle keys
+ * @returns {Promise<Date|null>} End of the lock
+ */
+loginThrottleSchema.statics.lockedUntil = async function(keys) {
+    const locked = await this.find({ key: { $in: keys }, lockedUntil: { $gt: new Date() } })
+        .sort({ lockedUntil: -1 })
+        .limit(1)
+        .lean();
+    return locked.length > 0 ? locked[0].lockedUntil : null;
+};
+
+/**
+ * Count a failed login against a key, locking it every `maxAttempts` failures
+ * @param {string} key - Throttle key
+ * @param {Object} policy - { maxAttempts, lockMinutes, maxLockMinutes, windowMinutes }
+ * @returns {Promise<Object|null>} The lockout ({ lockouts, lockedUntil }) if this failure caused one
+ */
+loginThrottleSchema.statics.fail = async function(key, policy) {
+    const now = Date.now();
+    const throttle = await this.findOneAndUpdate(
+        { key },
+        {
+            $inc: { failures: 1 },
+            $set: { expiresAt: new Date(now + (policy.windowMinutes + policy.maxLockMinutes) * 60 * 1000) }
+        },
+        { upsert: true, returnDocument: 'after', setDefaultsOnInsert: true }
+    );
+    if (throttle.failures < policy.maxAttempts) return null;
+
+    // Only the request that reached the threshold locks, concurrent failures see the reset counter
+    const lockouts = throttle.lockouts + 1;
+    const lockedUntil = new Date(now + backoff(lockouts, policy));
+    const locked = await this.findOneAndUpdate(
+        { key, failures: throttle.failures, lockouts: throttle.lockouts },
+        { $set: { failures: 0, lockouts, lockedUntil } },
+        { returnDocument: 'after' }
+    );
+    return locked ? { lockouts, lockedUntil } : null;
+};
+
+/**
+ * Forget the failures and lockouts of a key
+ * @param {string} key - Throttle key
+ * @returns {Promise<boolean>} Whether the key was locked
+ */
+loginThrottleSchema.statics.clear = async function(key) {
+    const throttle = await this.findOneAndDelete({ key });
+    return !!(throttle && throttle.lockedUntil && throttle.lockedUntil > new Date());
+};
+
+module.exports = mongoose.model('LoginThrottle', loginThrottleSchema);
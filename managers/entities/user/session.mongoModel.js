@@ -0,0 +1,56 @@
+const mongoose = require('mongoose');
+
+/**
+ * A login session, one per signed-in device. Access tokens carry its id
+ * and are rejected once it is revoked; its refresh token is stored hashed
+ * and rotated on use.
+ */
+const sessionSchema = new mongoose.Schema({
+    userId: {
+        type: mongoose.Schema.Types.ObjectId,
+        ref: 'User',
+        required: [true, 'User reference is required']
+    },
+    refreshTokenHash: {
+        type: String,
+        required: [true, 'Refresh token hash is required']
+    },
+    expiresAt: {
+        type: Date,
+        required: [true, 'Expiry is required']
+    },
+    revokedAt: {
+        type: Date
+    },
+    /** last refresh */
+    lastUsedAt: {
+        type: Date
+    },
+    /** last request made with the session's tokens */
+    lastSeenAt: {
+        type: Date
+    },
+    lastSeenIp: {
+        type: String
+    },
+    /** IP and user agent at login */
+    ip: {
+        type: String
+    },
+    userAgent: {
+        type: String
+    },
+    /** fingerprint of the login device, see TokenManager.deviceIdOf */
+    deviceId: {
+        type: String
+    }
+}, {
+    timestamps: true
+});
+
+// Logout from all devices
+sessionSchema.index({ userId: 1, revokedAt: 1 });
+// Expired sessions are removed by mongo
+sessionSchema.index({ expiresAt: 1 }, { expireAfterSeconds: 0 });
+
+module.exports = mongoose.model('Session', sessionSchema);
@@ -1,6 +1,55 @@
 const mongoose = require('mongoose');
 const bcrypt = require('bcrypt');
 
+const membershipSchema = new mongoose.Schema({
+    schoolId: {
+        type: mongoose.Schema.Types.ObjectId,
+        ref: 'School',
+        required: [true, 'School reference is required']
+    },
+    role: {
+        type: String,
+        enum: {
+            values: ['school_admin', 'teacher'],
+            message: 'Membership role must be school_admin or teacher'
+        },
+        required: [true, 'Membership role is required']
+    }
+}, { _id: false });
+
+/**
+ * Two-factor authentication. Secrets and recovery code hashes are only
+ * loaded when asked for (e.g. `.select('+mfa.secret')`).
+ */
+const mfaSchema = new mongoose.Schema({
+    enabled: {
+        type: Boolean,
+        default: false
+    },
+    enabledAt: {
+        type: Date
+    },
+    /** base32 TOTP secret */
+    secret: {
+        type: String,
+        select: false
+    },
+    /** secret of an enrollment waiting for its first code */
+    pendingSecret: {
+        type: String,
+        select: false
+    },
+    recoveryCodes: {
+        type: [String],
+        select: false
+    },
+    /** time step of the last accepted code, so a code works once */
+    lastUsedStep: {
+        type: Number,
+        select: false
+    }
+}, { _id: false });
+
 const userSchema = new mongoose.Schema({
     username: {
         type: String,
@@ -26,8 +75,8 @@ const userSchema = new mongoose.Schema({
     role: {
         type: String,
         enum: {
-            values: ['superadmin', 'school_admin'],
-            message: 'Role must be either superadmin or school_admin'
+            values: ['superadmin', 'school_admin', 'teacher'],
+            message: 'Role must be superadmin, school_admin or teacher'
         },
         required: [true, 'Role is required']
     },
@@ -35,8 +84,32 @@ const userSchema = new mongoose.Schema({
         type: mongoose.Schema.Types.ObjectId,
         ref: 'School',
         required: function() {
-            return this.role === 'school_admin';
+            return this.role === 'school_admin' || this.role === 'teacher';
         }
+    },
+    /**
+     * Schools the user works in, each with its own role.
+     * `schoolId` and `role` above are the default membership, used when a
+     * request does not select another school.
+     */
+    memberships: [membershipSchema],
+    emailVerified: {
+        type: Boolean,
+        default: false
+    },
+    emailVerifiedAt: {
+        type: Date
+    },
+    isActive: {
+        type: Boolean,
+        default: true
+    },
+    deactivatedAt: {
+        type: Date
+    },
+    mfa: {
+        type: mfaSchema,
+        default: () => ({})
     }
 }, {
     timestamps: true
@@ -44,6 +117,25 @@ const userSchema = new mongoose.Schema({
 
 // Index for faster queries
 userSchema.index({ role: 1 });
+userSchema.index({ schoolId: 1, role: 1 });
+userSchema.index({ 'memberships.schoolId': 1 });
+
+// Keep the default school in the memberships; superadmins have none
+userSchema.pre('validate', function() {
+    if (this.role === 'superadmin') {
+        this.schoolId = undefined;
+        this.memberships = [];
+        return;
+    }
+    if (!this.schoolId) return;
+
+    const membership = this.memberships.find(m => m.schoolId.equals(this.schoolId));
+    if (membership) {
+        membership.role = this.role;
+    } else {
+        this.memberships.push({ schoolId: this.schoolId, role: this.role });
+    }
+});
 
 // Hash password before saving
 userSchema.pre('save', async function() {
@@ -58,10 +150,13 @@ userSchema.methods.comparePassword = async function(candidatePassword) {
     return bcrypt.compare(candidatePassword, this.password);
 };
 
-// Remove password from JSON output
+// Remove password and MFA secrets from JSON output
 userSchema.methods.toJSON = function() {
     const user = this.toObject();
     delete user.password;
+    if (user.mfa) {
+        user.mfa = { enabled: user.mfa.enabled, enabledAt: user.mfa.enabledAt };
+    }
     return user;
 };
 
@@ -66,12 +66,210 @@ module.exports = {
             required: false,
             path: 'role',
         },
+        {
+            model: 'schoolId',
+            required: false,
+            path: 'schoolId',
+        },
         {
             model: 'isActive',
             required: false,
             path: 'isActive',
         },
     ],
+    getUser: [
+        {
+            model: 'userId',
+            required: true,
+            path: 'userId',
+        },
+    ],
+    updateUserRole: [
+        {
+            model: 'userId',
+            required: true,
+            path: 'userId',
+        },
+        {
+            model: 'role',
+            required: true,
+            path: 'role',
+        },
+        {
+            model: 'schoolId',
+            required: false,
+            path: 'schoolId',
+        },
+    ],
+    assignUserSchool: [
+        {
+            model: 'userId',
+            required: true,
+            path: 'userId',
+        },
+        {
+            model: 'schoolId',
+            required: true,
+            path: 'schoolId',
+        },
+    ],
+    deactivateUser: [
+        {
+            model: 'userId',
+            required: true,
+            path: 'userId',
+        },
+    ],
+    reactivateUser: [
+        {
+            model: 'userId',
+            required: true,
+            path: 'userId',
+        },
+    ],
+    addUserMembership: [
+        {
+            model: 'userId',
+            required: true,
+            path: 'userId',
+        },
+        {
+            model: 'schoolId',
+            required: true,
+            path: 'schoolId',
+        },
+        {
+            model: 'role',
+            required: true,
+            path: 'role',
+        },
+    ],
+    removeUserMembership: [
+        {
+            model: 'userId',
+            required: true,
+            path: 'userId',
+        },
+        {
+            model: 'schoolId',
+            required: true,
+            path: 'schoolId',
+        },
+    ],
+    requestPasswordReset: [
+        {
+            model: 'email',
+            required: true,
+            path: 'email',
+        },
+    ],
+    resetPassword: [
+        {
+            model: 'mailToken',
+            required: true,
+            path: 'token',
+        },
+        {
+            model: 'password',
+            required: true,
+            path: 'password',
+        },
+    ],
+    verifyEmail: [
+        {
+            model: 'mailToken',
+            required: true,
+            path: 'token',
+        },
+    ],
+    inviteUser: [
+        {
+            model: 'email',
+            required: true,
+            path: 'email',
+        },
+        {
+            model: 'role',
+            required: true,
+            path: 'role',
+        },
+        {
+            model: 'schoolId',
+            required: true,
+            path: 'schoolId',
+        },
+    ],
+    acceptInvite: [
+        {
+            model: 'mailToken',
+            required: true,
+            path: 'token',
+        },
+        {
+            model: 'username',
+            required: true,
+            path: 'username',
+        },
+        {
+            model: 'password',
+            required: true,
+            path: 'password',
+        },
+    ],
+    revokeSession: [
+        {
+            model: 'sessionId',
+            required: true,
+            path: 'sessionId',
+        },
+    ],
+    verifyMfa: [
+        {
+            model: 'challengeToken',
+            required: true,
+            path: 'challengeToken',
+        },
+        {
+            model: 'mfaCode',
+            required: true,
+            path: 'code',
+        },
+    ],
+    confirmMfa: [
+        {
+            model: 'mfaCode',
+            required: true,
+            path: 'code',
+        },
+    ],
+    disableMfa: [
+        {
+            model: 'mfaCode',
+            required: true,
+            path: 'code',
+        },
+    ],
+    regenerateRecoveryCodes: [
+        {
+            model: 'mfaCode',
+            required: true,
+            path: 'code',
+        },
+    ],
+    revokeInvitation: [
+        {
+            model: 'invitationId',
+            required: true,
+            path: 'invitationId',
+        },
+    ],
+    unlockUser: [
+        {
+            model: 'userId',
+            required: true,
+            path: 'userId',
+        },
+    ],
     deleteUser: [
         {
             model: 'id',
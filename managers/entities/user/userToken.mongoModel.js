@@ -0,0 +1,93 @@
+const mongoose = require('mongoose');
+const crypto = require('crypto');
+const { nanoid } = require('nanoid');
+
+/**
+ * Single-use tokens mailed to a user (password reset, email verification),
+ * or handed out by a login waiting for its two-factor code (mfa_challenge).
+ * Only a hash of the token is stored.
+ */
+const userTokenSchema = new mongoose.Schema({
+    userId: {
+        type: mongoose.Schema.Types.ObjectId,
+        ref: 'User',
+        required: [true, 'User reference is required']
+    },
+    type: {
+        type: String,
+        enum: {
+            values: ['password_reset', 'email_verification', 'mfa_challenge'],
+            message: 'Type must be password_reset, email_verification or mfa_challenge'
+        },
+        required: [true, 'Type is required']
+    },
+    tokenHash: {
+        type: String,
+        required: [true, 'Token hash is required'],
+        unique: true
+    },
+    expiresAt: {
+        type: Date,
+        required: [true, 'Expiry is required']
+    },
+    usedAt: {
+        type: Date
+    }
+}, {
+    timestamps: true
+});
+
+userTokenSchema.index({ userId: 1, type: 1, usedAt: 1 });
+// Expired tokens are removed by mongo
+userTokenSchema.index({ expiresAt: 1 }, { expireAfterSeconds: 0 });
+
+const hash = (token) => crypto.createHash('sha256').update(String(token)).digest('hex');
+
+/**
+ * Issue a token, discarding the user's unused tokens of the same type
+ * @param {Object} params
+ * @param {string} params.userId - User ID
+ * @param {string} params.type - Token type
+ * @param {number} params.ttlMinutes - Minutes before the token expires
+ * @returns {Promise<string>} The token, to be handed to the user
+ */
+userTokenSchema.statics.issue = async function({ userId, type, ttlMinutes }) {
+    await this.deleteMany({ userId, type, usedAt: null });
+
+    const token = nanoid(48);
+    await this.create({
+        userId,
+        type,
+        tokenHash: hash(token),
+        expiresAt: new Date(Date.now() + ttlMinutes * 60 * 1000)
+    });
+    return token;
+};
+
+/**
+ * Find an unused, unexpired token without using it
+ * @param {Object} params
+ * @param {string} params.token - Token received by the user
+ * @param {string} params.type - Expected token type
+ * @returns {Promise<Object|null>} The token
+ */
+userTokenSchema.statics.findValid = async function({ token, type }) {
+    return this.findOne({ tokenHash: hash(token), type, usedAt: null, expiresAt: { $gt: new Date() } });
+};
+
+/**
+ * Use a token. Only the first use of an unexpired token succeeds.
+ * @param {Object} params
+ * @param {string} params.token - Token received by mail
+ * @param {string} params.type - Expected token type
+ * @returns {Promise<Object|null>} The used token
+ */
+userTokenSchema.statics.consume = async function({ token, type }) {
+    return this.findOneAndUpdate(
+        { tokenHash: hash(token), type, usedAt: null, expiresAt: { $gt: new Date() } },
+        { $set: { usedAt: new Date() } },
+        { returnDocument: 'after' }
+    );
+};
+
+module.exports = mongoose.model('UserToken', userTokenSchema);
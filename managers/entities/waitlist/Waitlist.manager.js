@@ -0,0 +1,232 @@
+const { notFound, validationFailed } = require('../../_common/errors.helper');
+
+/**
+ * Waitlist Manager
+ *
+ * Keeps a first-come first-served waitlist per classroom.
+ * Students are put on it by the student endpoints (with `waitlist: true`)
+ * when the classroom is full, and promoted as soon as a seat frees up.
+ * School admins can only see waitlists in their assigned school.
+ */
+module.exports = class Waitlist {
+
+    constructor({utils, cache, config, cortex, managers, validators, mongomodels }={}){
+        this.config              = config;
+        this.cortex              = cortex;
+        this.validators          = validators;
+        this.mongomodels         = mongomodels;
+        this.usersCollection     = "waitlists";
+        this.httpExposed         = [
+            'get=getWaitlist',
+            'get=getWaitlistPosition',
+            'leaveWaitlist'
+        ];
+        const studentSchool      = { model: 'student', id: 'studentId' };
+        const message            = 'Access denied. You can only access waitlists in your assigned school.';
+        this.policies            = {
+            getWaitlist:         { roles: ['school_admin'], school: { model: 'classroom', id: 'classroomId' }, message },
+            getWaitlistPosition: { roles: ['school_admin'], school: studentSchool, message },
+            leaveWaitlist:       { roles: ['school_admin'], school: studentSchool, message },
+        };
+    }
+
+    /**
+     * Position of a waiting entry in its classroom's queue (1-based)
+     * @param {Object} entry - Waiting entry
+     * @returns {Promise<number>} Position
+     */
+    async _position(entry) {
+        const ahead = await this.mongomodels.waitlist.countDocuments({
+            classroomId: entry.classroomId,
+            status: 'waiting',
+            $or: [
+                { createdAt: { $lt: entry.createdAt } },
+                { createdAt: entry.createdAt, _id: { $lt: entry._id } }
+            ]
+        });
+        return ahead + 1;
+    }
+
+    /**
+     * Put a student on a classroom's waitlist, leaving any other waitlist
+     * @param {Object} params
+     * @param {Object} params.student - Student document
+     * @param {Object} params.classroom - Classroom document
+     * @param {string} params.createdBy - User ID
+     * @returns {Promise<Object>} { classroomId, position }
+     */
+    async enqueue({ student, classroom, createdBy }) {
+        await this.cancel({ studentId: student._id });
+
+        const entry = await this.mongomodels.waitlist.create({
+            schoolId: classroom.schoolId,
+            classroomId: classroom._id,
+            studentId: student._id,
+            createdBy
+        });
+
+        return {
+            classroomId: classroom._id,
+            position: await this._position(entry)
+        };
+    }
+
+    /**
+     * Cancel waiting entries, e.g. of an unenrolled student or a deleted classroom
+     * @param {Object} filter - { studentId } and/or { classroomId }
+     */
+    async cancel(filter) {
+        await this.mongomodels.waitlist.updateMany(
+            { ...filter, status: 'waiting' },
+            { $set: { status: 'cancelled' } }
+        );
+    }
+
+    /**
+     * Fill the free seats of a classroom from its waitlist.
+     * A promoted student leaves their previous classroom, whose waitlist
+     * is promoted in turn.
+     * @param {string} classroomId - Classroom that may have free seats
+     * @returns {Promise<Object[]>} Promotions ({ studentId, classroomId, fromClassroomId })
+     */
+    async promote(classroomId) {
+        const promoted = [];
+        const pending = [classroomId.toString()];
+
+        while (pending.length > 0) {
+            const classroom = await this.mongomodels.classroom.findById(pending.shift());
+            if (!classroom) continue;
+
+            // Each promotion takes a seat through the classroom counter, like any enrollment
+            while (await this.mongomodels.classroom.reserveSeats(classroom._id)) {
+                // Claim the head of the queue so concurrent promotions never take the same entry
+                const entry = await this.mongomodels.waitlist.findOneAndUpdate(
+                    { classroomId: classroom._id, status: 'waiting' },
+                    { $set: { status: 'promoted', promotedAt: new Date() } },
+                    { sort: { createdAt: 1, _id: 1 }, returnDocument: 'after' }
+                );
+                if (!entry) {
+                    await this.mongomodels.classroom.releaseSeats(classroom._id);
+                    break;
+                }
+
+                const student = await this.mongomodels.student.findById(entry.studentId);
+                if (!student || !student.isActive || student.schoolId.toString() !== classroom.schoolId.toString()) {
+                    entry.status = 'cancelled';
+                    await entry.save();
+                    await this.mongomodels.classroom.releaseSeats(classroom._id);
+                    continue;
+                }
+
+                const fromClassroomId = student.classroomId || null;
+                student.classroomId = classroom._id;
+                if (classroom.academicYearId) {
+                    student.academicYearId = classroom.academicYearId;
+                }
+                try {
+                    await student.save();
+                } catch (err) {
+                    await this.mongomodels.classroom.releaseSeats(classroom._id);
+                    throw err;
+                }
+
+                promoted.push({ studentId: student._id, classroomId: classroom._id, fromClassroomId });
+                if (fromClassroomId) {
+                    await this.mongomodels.classroom.releaseSeats(fromClassroomId);
+                    pending.push(fromClassroomId.toString());
+                }
+            }
+        }
+
+        return promoted;
+    }
+
+    /**
+     * Get the waitlist of a classroom in queue order
+     * @param {Object} params - Query parameters
+     * @param {string} params.classroomId - Classroom ID (required)
+     * @param {Object} params.__longToken - Decoded token from middleware
+     */
+    async getWaitlist({ classroomId, __longToken }){
+        // Validate input
+        let result = await this.validators.waitlist.getWaitlist({ classroomId });
+        if(result) return validationFailed(result);
+
+        const classroom = await this.mongomodels.classroom.findById(classroomId);
+        if (!classroom) {
+            return notFound('Classroom not found');
+        }
+
+        const entries = await this.mongomodels.waitlist
+            .find({ classroomId, status: 'waiting' })
+            .populate('studentId', 'firstName lastName email')
+            .sort({ createdAt: 1, _id: 1 })
+            .lean();
+
+        return {
+            classroom: {
+                _id: classroom._id,
+                name: classroom.name,
+                capacity: classroom.capacity
+            },
+            waitlist: entries.map((entry, index) => ({
+                position: index + 1,
+                student: entry.studentId,
+                waitingSince: entry.createdAt
+            }))
+        };
+    }
+
+    /**
+     * Get the waitlist position of a student
+     * @param {Object} params - Query parameters
+     * @param {string} params.studentId - Student ID (required)
+     * @param {Object} params.__longToken - Decoded token from middleware
+     */
+    async getWaitlistPosition({ studentId, __longToken }){
+        // Validate input
+        let result = await this.validators.waitlist.getWaitlistPosition({ studentId });
+        if(result) return validationFailed(result);
+
+        const entry = await this.mongomodels.waitlist.findOne({ studentId, status: 'waiting' });
+        if (!entry) {
+            return notFound('Student is not on a waitlist');
+        }
+
+        const total = await this.mongomodels.waitlist.countDocuments({
+            classroomId: entry.classroomId,
+            status: 'waiting'
+        });
+
+        return {
+            waitlist: {
+                classroomId: entry.classroomId,
+                position: await this._position(entry),
+                total,
+                waitingSince: entry.createdAt
+            }
+        };
+    }
+
+    /**
+     * Take a student off their waitlist
+     * @param {Object} params - Request parameters
+     * @param {string} params.studentId - Student ID (required)
+     * @param {Object} params.__longToken - Decoded token from middleware
+     */
+    async leaveWaitlist({ studentId, __longToken }){
+        // Validate input
+        let result = await this.validators.waitlist.leaveWaitlist({ studentId });
+        if(result) return validationFailed(result);
+
+        const entry = await this.mongomodels.waitlist.findOne({ studentId, status: 'waiting' });
+        if (!entry) {
+            return notFound('Student is not on a waitlist');
+        }
+
+        entry.status = 'cancelled';
+        await entry.save();
+
+        return { message: 'Student removed from the waitlist' };
+    }
+}
@@ -0,0 +1,44 @@
+const mongoose = require('mongoose');
+
+const waitlistSchema = new mongoose.Schema({
+    schoolId: {
+        type: mongoose.Schema.Types.ObjectId,
+        ref: 'School',
+        required: [true, 'School reference is required']
+    },
+    classroomId: {
+        type: mongoose.Schema.Types.ObjectId,
+        ref: 'Classroom',
+        required: [true, 'Classroom reference is required']
+    },
+    studentId: {
+        type: mongoose.Schema.Types.ObjectId,
+        ref: 'Student',
+        required: [true, 'Student reference is required']
+    },
+    status: {
+        type: String,
+        enum: {
+            values: ['waiting', 'promoted', 'cancelled'],
+            message: 'Status must be waiting, promoted, or cancelled'
+        },
+        default: 'waiting'
+    },
+    promotedAt: {
+        type: Date
+    },
+    createdBy: {
+        type: mongoose.Schema.Types.ObjectId,
+        ref: 'User',
+        required: [true, 'Creator reference is required']
+    }
+}, {
+    timestamps: true
+});
+
+// A student waits for a single classroom at a time
+waitlistSchema.index({ studentId: 1 }, { unique: true, partialFilterExpression: { status: 'waiting' } });
+// Queue order
+waitlistSchema.index({ classroomId: 1, status: 1, createdAt: 1 });
+
+module.exports = mongoose.model('Waitlist', waitlistSchema);
@@ -0,0 +1,27 @@
+/**
+ * Waitlist Validation Schemas
+ * Defines validation rules for waitlist-related operations
+ */
+module.exports = {
+    getWaitlist: [
+        {
+            model: 'classroomId',
+            required: true,
+            path: 'classroomId',
+        },
+    ],
+    getWaitlistPosition: [
+        {
+            model: 'studentId',
+            required: true,
+            path: 'studentId',
+        },
+    ],
+    leaveWaitlist: [
+        {
+            model: 'studentId',
+            required: true,
+            path: 'studentId',
+        },
+    ],
+}
@@ -2,12 +2,15 @@ const http              = require('http');
 const express           = require('express');
 const cors              = require('cors');
 const { swaggerUi, specs } = require('../docs/swagger.config');
+const { createRateLimiters, trustProxyOf } = require('../_common/rateLimit.helper');
 const app               = express();
 
 module.exports = class UserServer {
-    constructor({config, managers}){
+    constructor({config, cache, managers}){
         this.config        = config;
         this.userApi       = managers.userApi;
+        this.tokenManager  = managers.token;
+        this.rateLimiters  = createRateLimiters({ config, cache, managers });
     }
     
     /** for injecting middlewares */
@@ -17,9 +20,12 @@ module.exports = class UserServer {
 
     /** server configs */
     run(){
+        /** req.ip is the client's address only behind the proxies trusted here */
+        app.set('trust proxy', trustProxyOf(this.config.dotEnv.TRUST_PROXY));
         app.use(cors({origin: '*'}));
         app.use(express.json());
         app.use(express.urlencoded({ extended: true}));
+        app.use(express.text({ type: 'text/csv', limit: '5mb' }));
         app.use('/static', express.static('public'));
 
         /** Swagger API Documentation */
@@ -45,14 +51,24 @@ module.exports = class UserServer {
             });
         });
 
-        /** an error handler */
+        /** public keys of the token signing keys, for services verifying our tokens */
+        app.get('/.well-known/jwks.json', (req, res) => {
+            res.setHeader('Cache-Control', 'public, max-age=300');
+            res.json(this.tokenManager.getJwks());
+        });
+
+        /** per-IP and per-user limits, stricter on login */
+        app.use(['/api/user/login', '/api/user/verifyMfa'], this.rateLimiters.login);
+        app.use('/api', this.rateLimiters.ip, this.rateLimiters.user);
+
+        /** a single middleware to handle all */
+        app.all('/api/:moduleName/:fnName', this.userApi.mw);
+
+        /** an error handler, last so it also catches limiter store failures */
         app.use((err, req, res, next) => {
             console.error(err.stack)
             res.status(500).send('Something broke!')
         });
-        
-        /** a single middleware to handle all */
-        app.all('/api/:moduleName/:fnName', this.userApi.mw);
 
         let server = http.createServer(app);
         server.listen(this.config.dotEnv.USER_PORT, () => {
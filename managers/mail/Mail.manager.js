@@ -0,0 +1,115 @@
+const path = require('path');
+
+/**
+ * Mail transports, picked with MAIL_TRANSPORT.
+ * A transport is an object with `send({ from, to, subject, text, html })`.
+ */
+const TRANSPORTS = {
+    smtp: require('./transports/smtp.transport'),
+    file: require('./transports/file.transport'),
+    console: require('./transports/console.transport'),
+};
+
+module.exports = class MailManager {
+
+    /**
+     * @param {Object} params
+     * @param {Object} params.config - Config with mail settings in dotEnv
+     * @param {Object} [params.transport] - Transport to use instead of the configured one
+     */
+    constructor({ config, transport }){
+        const env            = config.dotEnv || {};
+        this.from            = env.MAIL_FROM || 'no-reply@localhost';
+        this.appUrl          = env.APP_URL || `http://localhost:${env.USER_PORT || 5111}`;
+        this.transport       = transport || this._createTransport(env);
+    }
+
+    _createTransport(env){
+        const production = env.ENV === 'production';
+        const name = env.MAIL_TRANSPORT || (production ? null : 'console');
+        /** the console and file transports keep reset and invitation tokens in plain sight */
+        if(production && name !== 'smtp') throw Error('production needs MAIL_TRANSPORT=smtp');
+        if(!TRANSPORTS[name]) throw Error(`unknown mail transport ${name}`);
+
+        return TRANSPORTS[name]({
+            host: env.SMTP_HOST,
+            port: Number(env.SMTP_PORT) || 587,
+            secure: env.SMTP_SECURE === 'true',
+            user: env.SMTP_USER,
+            pass: env.SMTP_PASS,
+            dir: env.MAIL_DIR || path.join(process.cwd(), 'tmp', 'mail'),
+        });
+    }
+
+    /**
+     * Send a message. Failures are logged and reported, never thrown,
+     * so a mail outage does not fail the call that sends it.
+     * @param {Object} message - { to, subject, text, html }
+     * @returns {Promise<boolean>} Whether the message was handed to the transport
+     */
+    async send(message){
+        try {
+            await this.transport.send({ from: this.from, ...message });
+            return true;
+        } catch(err){
+            console.log(`failed to send mail "${message.subject}" with ${this.transport.name}`, err);
+            return false;
+        }
+    }
+
+    /**
+     * @param {Object} params
+     * @param {Object} params.user - User document
+     * @param {string} params.token - Password reset token
+     * @param {number} params.ttlMinutes - Minutes before the token expires
+     */
+    sendPasswordReset({ user, token, ttlMinutes }){
+        const link = `${this.appUrl}/reset-password?token=${encodeURIComponent(token)}`;
+        return this.send({
+            to: user.email,
+            subject: 'Reset your password',
+            text: `Hi ${user.username},\n\nUse this link to choose a new password: ${link}\n` +
+                `Or call user.resetPassword with the token: ${token}\n\n` +
+                `It expires in ${ttlMinutes} minutes and can be used once. ` +
+                `If you did not ask for a password reset, ignore this email.`,
+        });
+    }
+
+    /**
+     * @param {Object} params
+     * @param {Object} params.user - User document
+     * @param {string} params.token - Email verification token
+     * @param {number} params.ttlMinutes - Minutes before the token expires
+     */
+    sendEmailVerification({ user, token, ttlMinutes }){
+        const link = `${this.appUrl}/verify-email?token=${encodeURIComponent(token)}`;
+        return this.send({
+            to: user.email,
+            subject: 'Verify your email address',
+            text: `Hi ${user.username},\n\nConfirm your email address with this link: ${link}\n` +
+                `Or call user.verifyEmail with the token: ${token}\n\n` +
+                `It expires in ${Math.round(ttlMinutes / 60)} hours.`,
+        });
+    }
+
+    /**
+     * @param {Object} params
+     * @param {string} params.email - Invitee email
+     * @param {string} params.token - Invitation token
+     * @param {string} params.role - Role of the account to create
+     * @param {Object} params.school - School document
+     * @param {number} params.ttlMinutes - Minutes before the invitation expires
+     */
+    sendInvitation({ email, token, role, school, ttlMinutes }){
+        const link = `${this.appUrl}/accept-invite?token=${encodeURIComponent(token)}`;
+        const as = role === 'school_admin' ? 'a school administrator' : 'a teacher';
+        return this.send({
+            to: email,
+            subject: `You are invited to join ${school.name}`,
+            text: `Hello,\n\nYou are invited to join ${school.name} as ${as}. ` +
+                `Choose a username and password with this link: ${link}\n` +
+                `Or call user.acceptInvite with the token: ${token}\n\n` +
+                `The invitation expires in ${Math.round(ttlMinutes / (24 * 60))} days and can be used once.`,
+        });
+    }
+}
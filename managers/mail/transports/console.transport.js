@@ -0,0 +1,13 @@
+/**
+ * Console transport
+ * Prints messages, tokens in them included, instead of sending them.
+ * The default in development, refused in production
+ */
+module.exports = () => {
+    return {
+        name: 'console',
+        send: async ({ from, to, subject, text }) => {
+            console.log(`--- mail from ${from} to ${to}: ${subject}\n${text}\n---`);
+        },
+    };
+};
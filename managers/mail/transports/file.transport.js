@@ -0,0 +1,25 @@
+const fs = require('fs');
+const path = require('path');
+
+/**
+ * File transport
+ * Writes each message as a JSON file instead of sending it,
+ * for local development and tests
+ * @param {Object} params
+ * @param {string} params.dir - Directory the messages are written to
+ */
+module.exports = ({ dir }) => {
+    let sequence = 0;
+
+    return {
+        name: 'file',
+        dir,
+        send: async (message) => {
+            await fs.promises.mkdir(dir, { recursive: true });
+            sequence += 1;
+            // Names sort in sending order
+            const file = path.join(dir, `${Date.now()}-${process.pid}-${String(sequence).padStart(6, '0')}.json`);
+            await fs.promises.writeFile(file, JSON.stringify({ ...message, sentAt: new Date() }, null, 2));
+        },
+    };
+};
@@ -0,0 +1,27 @@
+const nodemailer = require('nodemailer');
+
+/**
+ * SMTP transport
+ * Delivers messages through an SMTP server
+ * @param {Object} params
+ * @param {string} params.host - SMTP host
+ * @param {number} params.port - SMTP port
+ * @param {boolean} params.secure - Use TLS from the start (port 465)
+ * @param {string} [params.user] - SMTP username
+ * @param {string} [params.pass] - SMTP password
+ */
+module.exports = ({ host, port, secure, user, pass }) => {
+    const transporter = nodemailer.createTransport({
+        host,
+        port,
+        secure,
+        auth: user ? { user, pass } : undefined,
+    });
+
+    return {
+        name: 'smtp',
+        send: async ({ from, to, subject, text, html }) => {
+            await transporter.sendMail({ from, to, subject, text, html });
+        },
+    };
+};
@@ -1,14 +1,21 @@
+const { getErrorCode } = require('../_common/errors.helper');
+
 module.exports = class ResponseDispatcher {
     constructor(){
         this.key = "responseDispatcher";
     }
-    dispatch(res, {ok, data, code, errors, message, msg}){
+    dispatch(res, {ok, data, code, errorCode, errors, message, msg, details}){
         let statusCode = code? code: (ok==true)?200:400;
-        return res.status(statusCode).send({
+        let body = {
             ok: ok || false,
             data: data || {},
             errors: errors || [],
             message: msg || message ||'',
-        });
+        };
+        /** failures always carry a machine-readable code */
+        if(!body.ok) body.errorCode = errorCode || getErrorCode(statusCode);
+        /** what the failure was about, e.g. the IDs that were refused */
+        if(!body.ok && details && Object.keys(details).length) body.details = details;
+        return res.status(statusCode).send(body);
     }
-}
\ No newline at end of file
+}
@@ -58,7 +58,7 @@ module.exports = class SharkFin {
   }
 
   addDirectAccess({ userId, nodeId, action }) {
-    this.oyster.call('update_relations', {
+    return this.oyster.call('update_relations', {
       _id: `user:${userId}`,
       set: {
         _members: [`node:${nodeId}~${this.actions[action]}:!`],
@@ -67,7 +67,7 @@ module.exports = class SharkFin {
   }
 
   removeDirectAccess({ userId, nodeId }) {
-    this.oyster.call('update_relations', {
+    return this.oyster.call('update_relations', {
       _id: `user:${userId}`,
       remove: {
         _members: [`node:${nodeId}`],
@@ -75,6 +75,23 @@ module.exports = class SharkFin {
     })
   }
 
+  /** nodes a user was granted access to directly, with their ranks */
+  async getDirectAccess({ userId }) {
+    const nodes = await this.oyster.call('nav_relation', {
+      relation: '_members',
+      label: 'node',
+      _id: `user:${userId}`,
+      withScores: true,
+    });
+    if (!nodes || nodes.error) return [];
+    return Object.keys(nodes).map(node => ({ nodeId: node.split(':')[1], rank: Number(nodes[node]) }));
+  }
+
+  /** name of the action a rank stands for */
+  getActionName({ rank }) {
+    return Object.keys(this.actions).find(action => this.actions[action] == rank);
+  }
+
   async getDirectAccessRank({ userId, nodeId }) {
     const nodes = await this.oyster.call('relation_score', {
       relation: '_members',
@@ -146,7 +163,7 @@ module.exports = class SharkFin {
     return this.layers;
   }
 
-  async isGranted({ layer, variant, userId, nodeId, action, isOwner, childLayer }) {
+  async isGranted({ layer, variant, userId, nodeId, action, isOwner, role, childLayer }) {
     let inqueryActionRank = this._getActionRank({ action, ceil: true });
 
     let curentNodeId = null;
@@ -172,6 +189,11 @@ module.exports = class SharkFin {
       //   if (isGranted) return true;
       // }
     }
+    /*********************************ROLE CAN********************************/
+    if(role && layerConfig.roleCan && layerConfig.roleCan[role]) {
+      const layerRoleActionRank = this._getActionRank({ action: layerConfig.roleCan[role] });
+      if (layerRoleActionRank >= inqueryActionRank) return true;
+    }
     /*******************************WILD ACCESS*******************************/
     const wild = this.getWildAccess({ userId, layer });
     if(wild != 0 && wild >= inqueryActionRank) return true;
@@ -203,14 +225,13 @@ module.exports = class SharkFin {
     /*******************************INHERITANCE*******************************/
     /** check if is granted by inheritance by parent layers **/
     const isGranted = await this._checkInheritance({ 
-      layerConfig, layer, nodeId, variant, userId, action, isOwner });
+      layerConfig, layer, nodeId, variant, userId, action, isOwner, role });
     if(isGranted) return true;
     return false;
   }
 
-  async _checkInheritance({ layerConfig, layer, nodeId, variant, userId, action, isOwner }) {
+  async _checkInheritance({ layerConfig, layer, nodeId, variant, userId, action, isOwner, role }) {
     if (layerConfig.inherit) {
-      console.log(`~ lets inherit`)
       /** if the layer allows inhertance **/
       let parentLayer = this._getParentLayerPath({ layer });
       let parentId = null;
@@ -224,6 +245,7 @@ module.exports = class SharkFin {
           userId,
           action,
           isOwner,
+          role,
           childLayer: layer
         });
         if (isGranted) return true;
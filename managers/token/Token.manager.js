@@ -1,81 +1,293 @@
-const jwt        = require('jsonwebtoken');
+const mongoose   = require('mongoose');
+const crypto     = require('crypto');
 const { nanoid } = require('nanoid');
 const md5        = require('md5');
+const { unauthorized } = require('../_common/errors.helper');
+const { withActiveSchool } = require('../_common/schoolAccess.helper');
+const { Keyring }  = require('../_common/keyring.helper');
 
+/** how often the last seen time of a session is written, at most */
+const SEEN_INTERVAL_MS = 60 * 1000;
 
 module.exports = class TokenManager {
 
-    constructor({config}){
+    constructor({config, mongomodels}){
+        const auth               = config.auth || {};
         this.config              = config;
-        this.longTokenExpiresIn  = '3y';
-        this.shortTokenExpiresIn = '1y';
+        this.mongomodels         = mongomodels;
+        this.longTokenExpiresIn  = auth.accessTokenExpiresIn || '15m';
+        this.shortTokenExpiresIn = auth.accessTokenExpiresIn || '15m';
+        this.refreshTokenTtlDays = auth.refreshTokenTtlDays || 30;
+        /** signing keys per token type, see keyring.helper */
+        this.keyrings            = {
+            long:  Keyring.fromEnv(config.dotEnv, 'LONG_TOKEN'),
+            short: Keyring.fromEnv(config.dotEnv, 'SHORT_TOKEN'),
+        };
 
-        this.httpExposed         = ['v1_createShortToken'];
+        this.httpExposed         = ['v1_createShortToken', 'v1_refreshToken'];
+        this.policies            = { v1_createShortToken: 'authenticated', v1_refreshToken: 'public' };
     }
 
     /** 
      * short token are issue from long token 
-     * short tokens are issued for 72 hours 
      * short tokens are connected to user-agent
      * short token are used on the soft logout 
      * short tokens are used for account switch 
      * short token represents a device. 
      * long token represents a single user. 
      *  
-     * long token contains immutable data and long lived
-     * master key must exists on any device to create short tokens
+     * both are short lived access tokens bound to a login session (sessionId),
+     * they stop working as soon as the session is revoked.
+     * short tokens only work from the device they were issued to (deviceId)
+     * a new long token is obtained with the session's refresh token
+     *
+     * role and schoolId are the default school membership, memberships
+     * lists every school the user works in (see selectSchool)
      */
-    genLongToken({userId, userKey, role, schoolId}){
-        return jwt.sign(
+    genLongToken({userId, userKey, role, schoolId, memberships, sessionId}){
+        return this.keyrings.long.sign(
             { 
                 userKey, 
                 userId,
                 role,
                 schoolId: schoolId || null,
+                memberships: memberships || [],
+                sessionId,
             }, 
-            this.config.dotEnv.LONG_TOKEN_SECRET, 
             {expiresIn: this.longTokenExpiresIn
         })
     }
 
-    genShortToken({userId, userKey, sessionId, deviceId, role, schoolId}){
-        return jwt.sign(
-            { userKey, userId, sessionId, deviceId, role, schoolId: schoolId || null }, 
-            this.config.dotEnv.SHORT_TOKEN_SECRET, 
+    genShortToken({userId, userKey, sessionId, deviceId, role, schoolId, memberships}){
+        return this.keyrings.short.sign(
+            { userKey, userId, sessionId, deviceId, role, schoolId: schoolId || null, memberships: memberships || [] }, 
             {expiresIn: this.shortTokenExpiresIn
         })
     }
 
-    _verifyToken({token, secret}){
+    _verifyToken({token, keyring}){
         let decoded = null;
         try {
-            decoded = jwt.verify(token, secret);
+            decoded = keyring.verify(token);
         } catch(err) { console.log(err); }
         return decoded;
     }
 
     verifyLongToken({token}){
-        return this._verifyToken({token, secret: this.config.dotEnv.LONG_TOKEN_SECRET,})
+        return this._verifyToken({token, keyring: this.keyrings.long,})
     }
     verifyShortToken({token}){
-        return this._verifyToken({token, secret: this.config.dotEnv.SHORT_TOKEN_SECRET,})
+        return this._verifyToken({token, keyring: this.keyrings.short,})
     }
 
+    /** verify a token that may be either long or short, without logging failures */
+    verifyAnyToken({token}){
+        for(const keyring of [this.keyrings.long, this.keyrings.short]){
+            try {
+                return keyring.verify(token);
+            } catch(err) { /** try the next keyring */ }
+        }
+        return null;
+    }
 
-    /** generate shortId based on a longId */
-    v1_createShortToken({__longToken, __device}){
+    /**
+     * Public keys that verify our tokens, served as /.well-known/jwks.json.
+     * Empty while tokens are signed with shared secrets (HS256).
+     * @returns {Object} JWK Set
+     */
+    getJwks(){
+        return { keys: [...this.keyrings.long.jwks(), ...this.keyrings.short.jwks()] };
+    }
+
+    /**
+     * Act in the school a request selects (X-School-Id header) instead of
+     * the default one: schoolId and role become those of that membership
+     * @param {Object} decoded - Decoded long or short token
+     * @param {string} [schoolId] - Selected school ID
+     * @returns {Object|null} Scoped token, null if the user is not a member of the school
+     */
+    selectSchool(decoded, schoolId){
+        return withActiveSchool(decoded, schoolId);
+    }
+
+    /**
+     * Fingerprint of the device a request comes from, from its user agent.
+     * The IP is left out: it changes whenever a device switches networks.
+     * @param {Object} device - Result of the __device middleware
+     * @returns {string} Device ID
+     */
+    deviceIdOf(device){
+        const agent = device && device.agent;
+        return md5(agent ? (agent.source || String(agent)) : String(device || ''));
+    }
+
+    _hash(secret){
+        return crypto.createHash('sha256').update(secret).digest('hex');
+    }
+
+    _issue({user, session, secret}){
+        return {
+            longToken: this.genLongToken({
+                userId: user._id,
+                userKey: user.username,
+                role: user.role,
+                schoolId: user.schoolId,
+                memberships: (user.memberships || []).map(m => ({ schoolId: m.schoolId.toString(), role: m.role })),
+                sessionId: session._id.toString(),
+            }),
+            /** the session id lets the refresh token be looked up without scanning hashes */
+            refreshToken: `${session._id}.${secret}`,
+        };
+    }
+
+    /**
+     * Open a login session for a user
+     * @param {Object} params
+     * @param {Object} params.user - User document
+     * @param {Object} [params.device] - Result of the __device middleware
+     * @returns {Promise<Object>} { longToken, refreshToken }
+     */
+    async createSession({user, device}){
+        const secret = nanoid(48);
+        const agent = device && device.agent;
+        const session = await this.mongomodels.session.create({
+            userId: user._id,
+            refreshTokenHash: this._hash(secret),
+            expiresAt: new Date(Date.now() + this.refreshTokenTtlDays * 24 * 60 * 60 * 1000),
+            ip: device ? device.ip : undefined,
+            userAgent: agent ? (agent.source || String(agent)) : undefined,
+            deviceId: device ? this.deviceIdOf(device) : undefined,
+        });
+        return this._issue({user, session, secret});
+    }
+
+    /**
+     * Revoke a single session (logout)
+     * @param {string} sessionId - Session ID
+     */
+    async revokeSession(sessionId){
+        await this.mongomodels.session.updateOne(
+            { _id: sessionId, revokedAt: null },
+            { $set: { revokedAt: new Date() } }
+        );
+    }
 
+    /**
+     * Active sessions of a user, most recently seen first
+     * @param {string} userId - User ID
+     * @returns {Promise<Object[]>} Sessions, without their refresh token hash
+     */
+    async getUserSessions(userId){
+        return this.mongomodels.session
+            .find({ userId, revokedAt: null, expiresAt: { $gt: new Date() } })
+            .select('-refreshTokenHash')
+            .sort({ lastSeenAt: -1, createdAt: -1 })
+            .lean();
+    }
+
+    /**
+     * Revoke one session of a user (logout of one device)
+     * @param {Object} params
+     * @param {string} params.userId - User ID
+     * @param {string} params.sessionId - Session ID
+     * @returns {Promise<boolean>} Whether an active session of the user was revoked
+     */
+    async revokeUserSession({userId, sessionId}){
+        if(!mongoose.isValidObjectId(sessionId)) return false;
+        const result = await this.mongomodels.session.updateOne(
+            { _id: sessionId, userId, revokedAt: null },
+            { $set: { revokedAt: new Date() } }
+        );
+        return result.modifiedCount === 1;
+    }
+
+    /**
+     * Revoke every session of a user (logout from all devices)
+     * @param {string} userId - User ID
+     * @returns {Promise<number>} Number of sessions revoked
+     */
+    async revokeUserSessions(userId){
+        const result = await this.mongomodels.session.updateMany(
+            { userId, revokedAt: null },
+            { $set: { revokedAt: new Date() } }
+        );
+        return result.modifiedCount;
+    }
+
+    /**
+     * Whether a decoded access token can no longer be used.
+     * Tokens issued before sessions existed carry no sessionId and are rejected.
+     * When the request's device is given, the session records it was seen.
+     * @param {Object} decoded - Decoded long or short token
+     * @param {Object} [device] - Result of the __device middleware
+     * @returns {Promise<boolean>}
+     */
+    async isRevoked(decoded, device){
+        if(!decoded || !decoded.sessionId || !mongoose.isValidObjectId(decoded.sessionId)) return true;
+        const session = await this.mongomodels.session.findById(decoded.sessionId).select('revokedAt expiresAt lastSeenAt').lean();
+        const revoked = !session || !!session.revokedAt || session.expiresAt <= new Date();
+        if(!revoked && device && !(session.lastSeenAt > new Date(Date.now() - SEEN_INTERVAL_MS))){
+            await this.mongomodels.session.updateOne(
+                { _id: session._id },
+                { $set: { lastSeenAt: new Date(), lastSeenIp: device.ip } }
+            );
+        }
+        return revoked;
+    }
+
+    /**
+     * Exchange a refresh token for a new long token and refresh token.
+     * Refresh tokens are single use: presenting an already rotated one
+     * means it leaked, and the whole session is revoked.
+     * @param {Object} params
+     * @param {string} params.refreshToken - Refresh token from login or the last refresh
+     */
+    async v1_refreshToken({refreshToken}){
+        const [sessionId, secret] = typeof refreshToken === 'string' ? refreshToken.split('.') : [];
+        if(!secret || !mongoose.isValidObjectId(sessionId)){
+            return unauthorized('Invalid refresh token');
+        }
+
+        const session = await this.mongomodels.session.findById(sessionId);
+        if(!session || session.revokedAt || session.expiresAt <= new Date()){
+            return unauthorized('Invalid refresh token');
+        }
+
+        const nextSecret = nanoid(48);
+        /** rotate only if the presented token is still the current one, so it can be used once */
+        const rotated = await this.mongomodels.session.findOneAndUpdate(
+            { _id: session._id, refreshTokenHash: this._hash(secret), revokedAt: null },
+            { $set: { refreshTokenHash: this._hash(nextSecret), lastUsedAt: new Date() } },
+            { returnDocument: 'after' }
+        );
+        if(!rotated){
+            await this.revokeSession(session._id);
+            return unauthorized('Invalid refresh token');
+        }
+
+        const user = await this.mongomodels.user.findById(session.userId);
+        if(!user){
+            await this.revokeSession(session._id);
+            return unauthorized('Invalid refresh token');
+        }
+
+        return this._issue({user, session: rotated, secret: nextSecret});
+    }
+
+
+    /** generate shortId based on a longId, bound to the requesting device */
+    v1_createShortToken({__longToken, __device}){
 
         let decoded = __longToken;
-        console.log(decoded);
         
         let shortToken = this.genShortToken({
             userId: decoded.userId, 
             userKey: decoded.userKey,
-            sessionId: nanoid(),
-            deviceId: md5(__device),
+            sessionId: decoded.sessionId,
+            deviceId: this.deviceIdOf(__device),
             role: decoded.role,
             schoolId: decoded.schoolId,
+            memberships: decoded.memberships,
         });
 
         return { shortToken };
@@ -0,0 +1,19 @@
+module.exports = ({ meta, config, managers }) =>{
+    return async ({req, res, next})=>{
+        if(!req.headers['x-api-key']){
+            console.log('api key required but not found')
+            return managers.responseDispatcher.dispatch(res, {ok: false, code:401, errors: 'unauthorized'});
+        }
+        let decoded = null;
+        try {
+            decoded = await managers.apiKey.verifyKey({key: req.headers['x-api-key']});
+        } catch(err){
+            console.log('failed to verify api key', err);
+        }
+        if(!decoded){
+            console.log('api key unknown, expired or revoked')
+            return managers.responseDispatcher.dispatch(res, {ok: false, code:401, errors: 'unauthorized'});
+        }
+        next(decoded);
+    }
+}
@@ -1,15 +1,15 @@
-const useragent         = require('useragent');
-const requestIp         = require('request-ip');
-
-module.exports = ({ meta, config, managers }) =>{
-    return ({req, res, next})=>{
-        let ip = 'N/A';
-        let agent = 'N/A';
-        ip = requestIp.getClientIp(req) || ip;
-        agent = useragent.lookup(req.headers['user-agent']) || agent;
-        const device = {
-            ip, agent
-        }
-        next(device);
-    }
+const useragent         = require('useragent');
+
+module.exports = ({ meta, config, managers }) =>{
+    return ({req, res, next})=>{
+        let ip = 'N/A';
+        let agent = 'N/A';
+        /** not request-ip: it believes client-set headers, req.ip only trusted proxies */
+        ip = req.ip || ip;
+        agent = useragent.lookup(req.headers['user-agent']) || agent;
+        const device = {
+            ip, agent
+        }
+        next(device);
+    }
 }
\ No newline at end of file
@@ -1,20 +1,38 @@
-module.exports = ({ meta, config, managers }) =>{
-    return ({req, res, next})=>{
-        if(!req.headers.token){
-            console.log('token required but not found')
-            return managers.responseDispatcher.dispatch(res, {ok: false, code:401, errors: 'unauthorized'});
-        }
-        let decoded = null;
-        try {
-            decoded = managers.token.verifyLongToken({token: req.headers.token});
-            if(!decoded){
-                console.log('failed to decode-1')
-                return managers.responseDispatcher.dispatch(res, {ok: false, code:401, errors: 'unauthorized'});
-            };
-        } catch(err){
-            console.log('failed to decode-2')
-            return managers.responseDispatcher.dispatch(res, {ok: false, code:401, errors: 'unauthorized'});
-        }
-        next(decoded);
-    }
+module.exports = ({ meta, config, managers }) =>{
+    return async ({req, res, results, next})=>{
+        if(!req.headers.token){
+            console.log('token required but not found')
+            return managers.responseDispatcher.dispatch(res, {ok: false, code:401, errors: 'unauthorized'});
+        }
+        let decoded = null;
+        try {
+            decoded = managers.token.verifyLongToken({token: req.headers.token});
+            if(!decoded){
+                console.log('failed to decode-1')
+                return managers.responseDispatcher.dispatch(res, {ok: false, code:401, errors: 'unauthorized'});
+            };
+        } catch(err){
+            console.log('failed to decode-2')
+            return managers.responseDispatcher.dispatch(res, {ok: false, code:401, errors: 'unauthorized'});
+        }
+        /** the revocation check reads the session store, which may fail */
+        let revoked = true;
+        try {
+            revoked = await managers.token.isRevoked(decoded, results.__device);
+        } catch(err){
+            console.log('failed to check token revocation', err);
+            return managers.responseDispatcher.dispatch(res, {ok: false, code:500, errors: 'internal error'});
+        }
+        if(revoked){
+            console.log('token revoked')
+            return managers.responseDispatcher.dispatch(res, {ok: false, code:401, errors: 'unauthorized'});
+        }
+        /** act in the school selected for this request, if any */
+        decoded = managers.token.selectSchool(decoded, req.headers['x-school-id']);
+        if(!decoded){
+            console.log('not a member of the selected school')
+            return managers.responseDispatcher.dispatch(res, {ok: false, code:403, errors: 'forbidden'});
+        }
+        next(decoded);
+    }
 }
\ No newline at end of file
@@ -0,0 +1,11 @@
+/**
+ * Raw Body Middleware
+ *
+ * Exposes a text body (e.g. `Content-Type: text/csv`) to the method,
+ * as text bodies can't be spread into the method params.
+ */
+module.exports = ({ meta, config, managers }) =>{
+    return ({req, res, next})=>{
+        next(typeof req.body === 'string' ? req.body : null);
+    }
+}
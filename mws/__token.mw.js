@@ -1,5 +1,5 @@
 module.exports = ({ meta, config, managers }) =>{
-    return ({req, res, next})=>{
+    return async ({req, res, results, next})=>{
         if(!req.headers.token){
             console.log('token required but not found')
             return managers.responseDispatcher.dispatch(res, {ok: false, code:401, errors: 'unauthorized'});
@@ -16,6 +16,29 @@ module.exports = ({ meta, config, managers }) =>{
             return managers.responseDispatcher.dispatch(res, {ok: false, code:401, errors: 'unauthorized'});
         }
     
+        /** the revocation check reads the session store, which may fail */
+        let revoked = true;
+        try {
+            revoked = await managers.token.isRevoked(decoded, results.__device);
+        } catch(err){
+            console.log('failed to check token revocation', err);
+            return managers.responseDispatcher.dispatch(res, {ok: false, code:500, errors: 'internal error'});
+        }
+        if(revoked){
+            console.log('token revoked')
+            return managers.responseDispatcher.dispatch(res, {ok: false, code:401, errors: 'unauthorized'});
+        }
+        /** short tokens only work from the device they were issued to */
+        if(decoded.deviceId !== managers.token.deviceIdOf(results.__device)){
+            console.log('short token used from another device')
+            return managers.responseDispatcher.dispatch(res, {ok: false, code:401, errors: 'unauthorized'});
+        }
+        /** act in the school selected for this request, if any */
+        decoded = managers.token.selectSchool(decoded, req.headers['x-school-id']);
+        if(!decoded){
+            console.log('not a member of the selected school')
+            return managers.responseDispatcher.dispatch(res, {ok: false, code:403, errors: 'forbidden'});
+        }
         next(decoded);
     }
 }
\ No newline at end of file
@@ -0,0 +1,58 @@
+/**
+ * Create the first superadmin.
+ *
+ * Usage:
+ *   npm run create-superadmin -- --username admin --email admin@school.com --password 'secret123'
+ *
+ * Values can also come from SUPERADMIN_USERNAME, SUPERADMIN_EMAIL and
+ * SUPERADMIN_PASSWORD, e.g. to seed a fresh deployment. Refuses once a
+ * superadmin exists; every other account is created by invitation.
+ */
+const mongoose              = require('mongoose');
+const config                = require('../config/index.config.js');
+const MongoLoader           = require('../loaders/MongoLoader');
+const ValidatorsLoader      = require('../loaders/ValidatorsLoader');
+const UserManager           = require('../managers/entities/user/User.manager');
+
+/** read `--name value` from the command line, falling back to the environment */
+const arg = (name, envName) => {
+    const index = process.argv.indexOf(`--${name}`);
+    return index !== -1 ? process.argv[index + 1] : process.env[envName];
+};
+
+const run = async () => {
+    const params = {
+        username: arg('username', 'SUPERADMIN_USERNAME'),
+        email: arg('email', 'SUPERADMIN_EMAIL'),
+        password: arg('password', 'SUPERADMIN_PASSWORD'),
+    };
+
+    await mongoose.connect(config.dotEnv.MONGO_URI);
+
+    const userManager = new UserManager({
+        config,
+        managers: {},
+        mongomodels: new MongoLoader({ schemaExtension: 'mongoModel.js' }).load(),
+        validators: new ValidatorsLoader({
+            models: require('../managers/_common/schema.models'),
+            customValidators: require('../managers/_common/schema.validators'),
+        }).load(),
+    });
+
+    const result = await userManager.bootstrapSuperadmin(params);
+    await mongoose.disconnect();
+
+    if (result.errors || result.error) {
+        console.error(result.error || result.errors.map(e => e.message).join('\n'));
+        return 1;
+    }
+    console.log(`superadmin ${result.user.username} <${result.user.email}> created`);
+    return 0;
+};
+
+run()
+    .then(code => process.exit(code))
+    .catch(err => {
+        console.error(err);
+        process.exit(1);
+    });
@@ -1,48 +1,47 @@
+/**
+ * Permission tree of the school domain, checked with SharkFin.
+ * A node id is the path of record ids down the tree
+ * (`<schoolId>.<classroomId>.<studentId>`); students without a
+ * classroom sit under the `unplaced` classroom of their school.
+ *
+ * Layer settings (per variant, `_default` when none is given):
+ * - roleCan   rank granted by the role held in the school
+ * - ownerCan  rank granted to owners (teachers assigned to a classroom)
+ * - inherit   fall back to the parent node
+ */
 const layers = {
 
-    board: {
-
-        /** all board are public by default */
-        _default: { anyoneCan: 'read', ownerCan: 'audit' },
-        _public:  { anyoneCan: 'create', ownerCan: 'audit' },
-        _private: { anyoneCan: 'none' },
-        _store:   { anyoneCan: 'read', noOneCan: 'create' },
-
-        post: {
-
-            _default: { inherit: true }, 
-            _public:  { inherit: true },
-            _private: { inherit: true },
-            
-            comment: {
-                _default: { inherit: true }, 
-                reply: {
-                    _default: {inherit: true},
-                    vote: {
-                        _default: {anyoneCan: 'create'},
-                    },
-                },
-                vote: {
-                    _default: {anyoneCan: 'create'},
-                },
-            },
-            vote: {
-                _default: {anyoneCan: 'create'},
+    school: {
+
+        _default: { roleCan: { school_admin: 'config' } },
+
+        classroom: {
+
+            _default: { inherit: true, ownerCan: 'read' },
+
+            student: {
+                _default: { inherit: true },
             },
-            sticker: {
-                _default: {inherit: true},
-            }
-        }
-    }
+        },
+    },
 }
 
+/**
+ * each action ranks above and grants the ones before it
+ * read   - view records
+ * audit  - inspect records, read-only
+ * write  - also create and update records
+ * delete - also delete records
+ * config - also manage who has access to the node
+ */
 const actions = {
     blocked: -1,
     none: 1,
     read: 2,
-    create: 3,
-    audit: 4,
-    config: 5
+    audit: 3,
+    write: 4,
+    delete: 5,
+    config: 6
 }
 
 
@@ -1,6 +1,2 @@
-module.exports = [
-    {userId: '00boardman00',    action:'config', layer: 'board'},
-    {userId: '00postman00',    action:'config', layer: 'board.post'},
-    {userId: '00commentman00', action:'config', layer: 'board.post.comment'},
-    {userId: '00replyman00',   action:'config', layer: 'board.post.comment.reply'}
-]
\ No newline at end of file
+/** users granted an action on a whole layer, whatever the node */
+module.exports = []
\ No newline at end of file
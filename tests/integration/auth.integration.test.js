@@ -2,7 +2,7 @@
  * Authentication Integration Tests
  * 
  * Tests the full authentication flow through the API including:
- * - User registration (createUser)
+ * - User provisioning (invitations)
  * - User login
  * - Profile retrieval
  * - Profile update
@@ -14,7 +14,8 @@ const {
     teardownIntegrationTests,
     clearAllCollections,
     createSuperadminAndLogin,
-    createSchoolAdminAndLogin,
+    inviteAndAccept,
+    getMailedToken,
     createTestSchool,
 } = require('./setup.integration');
 
@@ -37,7 +38,7 @@ describe('Authentication API', () => {
     });
 
     describe('POST /api/user/createUser', () => {
-        it('should create a superadmin user successfully', async () => {
+        it('should not be exposed over the API', async () => {
             const res = await request(app)
                 .post('/api/user/createUser')
                 .send({
@@ -47,132 +48,100 @@ describe('Authentication API', () => {
                     role: 'superadmin'
                 });
 
-            expect(res.body.ok).not.toBe(false);
-            expect(res.body.user).toBeDefined();
-            expect(res.body.user.username).toBe('superadmin');
-            expect(res.body.user.email).toBe('superadmin@test.com');
-            expect(res.body.user.role).toBe('superadmin');
-            expect(res.body.user.password).toBeUndefined();
-            expect(res.body.longToken).toBeDefined();
+            expect(res.status).toBe(404);
         });
+    });
 
-        it('should create a school_admin user with valid schoolId', async () => {
-            // First create a superadmin and a school
-            const { token: superToken } = await createSuperadminAndLogin(request, app);
-            const school = await createTestSchool(request, app, superToken);
+    describe('POST /api/user/inviteUser', () => {
+        let superToken;
+        let school;
 
-            const res = await request(app)
-                .post('/api/user/createUser')
-                .send({
-                    username: 'schooladmin',
-                    email: 'schooladmin@test.com',
-                    password: 'password123',
-                    role: 'school_admin',
-                    schoolId: school._id
-                });
+        beforeEach(async () => {
+            ({ token: superToken } = await createSuperadminAndLogin(request, app));
+            school = await createTestSchool(request, app, superToken);
+        });
 
-            expect(res.body.ok).not.toBe(false);
-            expect(res.body.user).toBeDefined();
-            expect(res.body.user.role).toBe('school_admin');
-            expect(res.body.user.schoolId.toString()).toBe(school._id.toString());
+        it('should create a school_admin from an accepted invitation', async () => {
+            const { user, token } = await inviteAndAccept(request, app, superToken, {
+                username: 'schooladmin',
+                email: 'schooladmin@test.com',
+                role: 'school_admin',
+                schoolId: school._id
+            });
+
+            expect(user).toBeDefined();
+            expect(user.role).toBe('school_admin');
+            expect(user.schoolId.toString()).toBe(school._id.toString());
+            expect(user.password).toBeUndefined();
+            expect(token).toBeDefined();
         });
 
-        it('should fail when creating school_admin without schoolId', async () => {
+        it('should fail without a superadmin token', async () => {
             const res = await request(app)
-                .post('/api/user/createUser')
-                .send({
-                    username: 'schooladmin',
-                    email: 'schooladmin@test.com',
-                    password: 'password123',
-                    role: 'school_admin'
-                });
+                .post('/api/user/inviteUser')
+                .send({ email: 'teacher@test.com', role: 'teacher', schoolId: school._id });
 
-            expect(res.body.error).toBe('School ID is required for school admin');
+            expect(res.body.error).toBeDefined();
         });
 
-        it('should fail when creating school_admin with invalid schoolId', async () => {
+        it('should fail when inviting a superadmin', async () => {
             const res = await request(app)
-                .post('/api/user/createUser')
-                .send({
-                    username: 'schooladmin',
-                    email: 'schooladmin@test.com',
-                    password: 'password123',
-                    role: 'school_admin',
-                    schoolId: '507f1f77bcf86cd799439011'
-                });
+                .post('/api/user/inviteUser')
+                .set('Authorization', `Bearer ${superToken}`)
+                .send({ email: 'other@test.com', role: 'superadmin', schoolId: school._id });
 
-            expect(res.body.error).toBe('Invalid school ID');
+            expect(res.body.ok).toBe(false);
         });
 
-        it('should fail when username already exists', async () => {
-            // Create first user
-            await request(app)
-                .post('/api/user/createUser')
-                .send({
-                    username: 'testuser',
-                    email: 'user1@test.com',
-                    password: 'password123',
-                    role: 'superadmin'
-                });
-
-            // Try to create another user with same username
+        it('should fail with invalid schoolId', async () => {
             const res = await request(app)
-                .post('/api/user/createUser')
-                .send({
-                    username: 'testuser',
-                    email: 'user2@test.com',
-                    password: 'password123',
-                    role: 'superadmin'
-                });
+                .post('/api/user/inviteUser')
+                .set('Authorization', `Bearer ${superToken}`)
+                .send({ email: 'teacher@test.com', role: 'teacher', schoolId: '507f1f77bcf86cd799439011' });
 
-            expect(res.body.error).toBe('User with this email or username already exists');
+            expect(res.body.error).toBe('Invalid school ID');
         });
 
-        it('should fail when email already exists', async () => {
-            // Create first user
-            await request(app)
-                .post('/api/user/createUser')
-                .send({
-                    username: 'user1',
-                    email: 'same@test.com',
-                    password: 'password123',
-                    role: 'superadmin'
-                });
-
-            // Try to create another user with same email
+        it('should fail when email already belongs to a user', async () => {
             const res = await request(app)
-                .post('/api/user/createUser')
-                .send({
-                    username: 'user2',
-                    email: 'same@test.com',
-                    password: 'password123',
-                    role: 'superadmin'
-                });
+                .post('/api/user/inviteUser')
+                .set('Authorization', `Bearer ${superToken}`)
+                .send({ email: 'superadmin@test.com', role: 'teacher', schoolId: school._id });
 
-            expect(res.body.error).toBe('User with this email or username already exists');
+            expect(res.body.error).toBe('User with this email already exists');
         });
 
-        it('should fail with invalid email format', async () => {
+        it('should not accept an invitation twice', async () => {
+            await inviteAndAccept(request, app, superToken, {
+                username: 'teacher',
+                email: 'teacher@test.com',
+                role: 'teacher',
+                schoolId: school._id
+            });
+
             const res = await request(app)
-                .post('/api/user/createUser')
+                .post('/api/user/acceptInvite')
                 .send({
-                    username: 'testuser',
-                    email: 'invalid-email',
-                    password: 'password123',
-                    role: 'superadmin'
+                    token: await getMailedToken('teacher@test.com'),
+                    username: 'teacher2',
+                    password: 'password123'
                 });
 
-            expect(res.body.errors).toBeDefined();
+            expect(res.body.error).toBe('Invalid or expired invitation');
         });
 
         it('should fail with short password', async () => {
+            await request(app)
+                .post('/api/user/inviteUser')
+                .set('Authorization', `Bearer ${superToken}`)
+                .send({ email: 'teacher@test.com', role: 'teacher', schoolId: school._id });
+
             const res = await request(app)
-                .post('/api/user/createUser')
+                .post('/api/user/acceptInvite')
                 .send({
-                    username: 'testuser',
-                    email: 'test@test.com',
-                    password: '123',
-                    role: 'superadmin'
+                    token: await getMailedToken('teacher@test.com'),
+                    username: 'teacher',
+                    password: '123'
                 });
 
             expect(res.body.errors).toBeDefined();
@@ -182,14 +151,11 @@ describe('Authentication API', () => {
     describe('POST /api/user/login', () => {
         beforeEach(async () => {
             // Create a user for login tests
-            await request(app)
-                .post('/api/user/createUser')
-                .send({
-                    username: 'loginuser',
-                    email: 'login@test.com',
-                    password: 'password123',
-                    role: 'superadmin'
-                });
+            await managers.user.bootstrapSuperadmin({
+                username: 'loginuser',
+                email: 'login@test.com',
+                password: 'password123'
+            });
         });
 
         it('should login successfully with valid credentials', async () => {
@@ -338,14 +304,13 @@ describe('Authentication API', () => {
 
         it('should fail when updating to existing username', async () => {
             // Create another user
-            await request(app)
-                .post('/api/user/createUser')
-                .send({
-                    username: 'existinguser',
-                    email: 'existing@test.com',
-                    password: 'password123',
-                    role: 'superadmin'
-                });
+            const school = await createTestSchool(request, app, token);
+            await inviteAndAccept(request, app, token, {
+                username: 'existinguser',
+                email: 'existing@test.com',
+                role: 'teacher',
+                schoolId: school._id
+            });
 
             // Try to update to existing username
             const res = await request(app)
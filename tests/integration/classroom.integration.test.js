@@ -16,6 +16,7 @@ const {
     teardownIntegrationTests,
     clearAllCollections,
     createSuperadminAndLogin,
+    createSchoolAdminAndLogin,
     createTestSchool,
     createTestClassroom,
 } = require('./setup.integration');
@@ -48,16 +49,8 @@ describe('Classroom API', () => {
         school = await createTestSchool(request, app, superadminToken);
         
         // Create school admin
-        const schoolAdminRes = await request(app)
-            .post('/api/user/createUser')
-            .send({
-                username: 'schooladmin',
-                email: 'schooladmin@test.com',
-                password: 'password123',
-                role: 'school_admin',
-                schoolId: school._id
-            });
-        schoolAdminToken = schoolAdminRes.body.longToken;
+        const schoolAdminResult = await createSchoolAdminAndLogin(request, app, superadminToken, school._id);
+        schoolAdminToken = schoolAdminResult.token;
     });
 
     describe('POST /api/classroom/createClassroom', () => {
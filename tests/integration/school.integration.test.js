@@ -117,17 +117,7 @@ describe('School API', () => {
             const school = await createTestSchool(request, app, superadminToken);
             
             // Create school admin
-            const createRes = await request(app)
-                .post('/api/user/createUser')
-                .send({
-                    username: 'schooladmin',
-                    email: 'schooladmin@test.com',
-                    password: 'password123',
-                    role: 'school_admin',
-                    schoolId: school._id
-                });
-
-            const schoolAdminToken = createRes.body.longToken;
+            const { token: schoolAdminToken } = await createSchoolAdminAndLogin(request, app, superadminToken, school._id);
 
             // Try to create school as school admin
             const res = await request(app)
@@ -9,6 +9,13 @@ const { MongoMemoryServer } = require('mongodb-memory-server');
 const mongoose = require('mongoose');
 const express = require('express');
 const cors = require('cors');
+const fs = require('fs');
+const os = require('os');
+const path = require('path');
+const { createMockOyster } = require('../setup');
+
+// Mail is written here by the file transport
+const mailDir = path.join(os.tmpdir(), `school-management-api-test-mail-${process.pid}`);
 
 let mongoServer;
 let app;
@@ -40,6 +47,8 @@ const setupIntegrationTests = async () => {
             CACHE_PREFIX: 'test_cache',
             CORTEX_PREFIX: 'test_cortex',
             OYSTER_PREFIX: 'test_oyster',
+            MAIL_TRANSPORT: 'file',
+            MAIL_DIR: mailDir,
         }
     };
 
@@ -57,8 +66,9 @@ const setupIntegrationTests = async () => {
         AsyncEmitToOneOf: () => Promise.resolve({}),
     };
 
-    // Create stub for oyster
+    // Create stub for oyster, keeping SharkFin grants in memory
     const oyster = {
+        ...createMockOyster(),
         set: async () => true,
         get: async () => null,
         del: async () => true,
@@ -102,6 +112,7 @@ const teardownIntegrationTests = async () => {
     if (mongoServer) {
         await mongoServer.stop();
     }
+    await fs.promises.rm(mailDir, { recursive: true, force: true });
 };
 
 /**
@@ -114,47 +125,77 @@ const clearAllCollections = async () => {
     }
 };
 
+/**
+ * Token mailed to an address, read from the file transport
+ */
+const getMailedToken = async (to) => {
+    const files = (await fs.promises.readdir(mailDir)).sort().reverse();
+    for (const file of files) {
+        const message = JSON.parse(await fs.promises.readFile(path.join(mailDir, file), 'utf8'));
+        if (message.to === to) return message.text.match(/with the token: (\S+)/)[1];
+    }
+    return null;
+};
+
 /**
  * Helper to create a superadmin user and get token
+ * (the first superadmin is seeded, as by the create-superadmin script)
  */
 const createSuperadminAndLogin = async (request, appInstance) => {
-    // Create superadmin
-    const createRes = await request(appInstance)
-        .post('/api/user/createUser')
+    await managers.user.bootstrapSuperadmin({
+        username: 'superadmin',
+        email: 'superadmin@test.com',
+        password: 'password123'
+    });
+
+    const loginRes = await request(appInstance)
+        .post('/api/user/login')
         .send({
-            username: 'superadmin',
             email: 'superadmin@test.com',
-            password: 'password123',
-            role: 'superadmin'
+            password: 'password123'
         });
 
     return {
-        user: createRes.body.user,
-        token: createRes.body.longToken
+        user: loginRes.body.user,
+        token: loginRes.body.longToken
     };
 };
 
 /**
- * Helper to create a school admin user (requires school first)
+ * Helper to invite a user as superadmin and accept the invitation
  */
-const createSchoolAdminAndLogin = async (request, appInstance, token, schoolId) => {
-    const createRes = await request(appInstance)
-        .post('/api/user/createUser')
+const inviteAndAccept = async (request, appInstance, token, { username, email, role, schoolId }) => {
+    await request(appInstance)
+        .post('/api/user/inviteUser')
         .set('Authorization', `Bearer ${token}`)
+        .send({ email, role, schoolId });
+
+    const acceptRes = await request(appInstance)
+        .post('/api/user/acceptInvite')
         .send({
-            username: 'schooladmin',
-            email: 'schooladmin@test.com',
-            password: 'password123',
-            role: 'school_admin',
-            schoolId
+            token: await getMailedToken(email),
+            username,
+            password: 'password123'
         });
 
     return {
-        user: createRes.body.user,
-        token: createRes.body.longToken
+        user: acceptRes.body.user,
+        token: acceptRes.body.longToken
     };
 };
 
+/**
+ * Helper to create a school admin user (requires school first)
+ */
+const createSchoolAdminAndLogin = async (request, appInstance, token, schoolId) => {
+    return inviteAndAccept(request, appInstance, token, {
+        username: 'schooladmin',
+        email: 'schooladmin@test.com',
+        role: 'school_admin',
+        schoolId
+    });
+};
+
 /**
  * Helper to create a test school
  */
@@ -230,6 +271,8 @@ module.exports = {
     clearAllCollections,
     createSuperadminAndLogin,
     createSchoolAdminAndLogin,
+    inviteAndAccept,
+    getMailedToken,
     createTestSchool,
     createTestClassroom,
     createTestStudent,
@@ -17,6 +17,7 @@ const {
     teardownIntegrationTests,
     clearAllCollections,
     createSuperadminAndLogin,
+    createSchoolAdminAndLogin,
     createTestSchool,
     createTestClassroom,
     createTestStudent,
@@ -54,16 +55,8 @@ describe('Student API', () => {
         classroom = await createTestClassroom(request, app, superadminToken, school._id);
         
         // Create school admin
-        const schoolAdminRes = await request(app)
-            .post('/api/user/createUser')
-            .send({
-                username: 'schooladmin',
-                email: 'schooladmin@test.com',
-                password: 'password123',
-                role: 'school_admin',
-                schoolId: school._id
-            });
-        schoolAdminToken = schoolAdminRes.body.longToken;
+        const schoolAdminResult = await createSchoolAdminAndLogin(request, app, superadminToken, school._id);
+        schoolAdminToken = schoolAdminResult.token;
     });
 
     describe('POST /api/student/createStudent', () => {
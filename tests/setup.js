@@ -7,6 +7,14 @@
 
 const { MongoMemoryServer } = require('mongodb-memory-server');
 const mongoose = require('mongoose');
+const { PassThrough } = require('stream');
+const fs = require('fs');
+const os = require('os');
+const path = require('path');
+const { authorize } = require('../managers/_common/policy.helper');
+
+// Mail sent by managers under test is written here by the file transport
+const mailDir = path.join(os.tmpdir(), `school-management-api-mail-${process.pid}`);
 
 let mongoServer;
 
@@ -33,6 +41,7 @@ const closeDatabase = async () => {
     if (mongoServer) {
         await mongoServer.stop();
     }
+    await fs.promises.rm(mailDir, { recursive: true, force: true });
 };
 
 /**
@@ -46,6 +55,43 @@ const clearDatabase = async () => {
     }
 };
 
+/**
+ * In-memory stand-in for the oyster relations SharkFin keeps direct grants in
+ */
+const createMockOyster = () => {
+    const relations = new Map();
+    const relation = (id, label) => {
+        const key = `${id}:${label}`;
+        if (!relations.has(key)) relations.set(key, new Map());
+        return relations.get(key);
+    };
+    const labelOf = (item) => item.split(':')[0];
+
+    return {
+        call: async (fnName, args) => {
+            switch (fnName) {
+                case 'update_relations':
+                    ((args.set && args.set._members) || []).forEach(item => {
+                        const [key, scores] = item.split('~');
+                        relation(args._id, labelOf(key)).set(key, Number(scores.split(':')[0]));
+                    });
+                    ((args.remove && args.remove._members) || []).forEach(key => {
+                        relation(args._id, labelOf(key)).delete(key);
+                    });
+                    return { op: {} };
+                case 'relation_score': {
+                    const items = relation(args._id, labelOf(args.items[0]));
+                    return Object.fromEntries(args.items.map(item => [item, items.has(item) ? items.get(item) : null]));
+                }
+                case 'nav_relation':
+                    return Object.fromEntries(relation(args._id, args.label));
+                default:
+                    return {};
+            }
+        },
+    };
+};
+
 /**
  * Create mock managers and validators for unit testing
  */
@@ -55,6 +101,19 @@ const createMockDependencies = () => {
         school: require('../managers/entities/school/school.mongoModel'),
         classroom: require('../managers/entities/classroom/classroom.mongoModel'),
         student: require('../managers/entities/student/student.mongoModel'),
+        academicYear: require('../managers/entities/academic_year/academicYear.mongoModel'),
+        attendance: require('../managers/entities/attendance/attendance.mongoModel'),
+        teacher: require('../managers/entities/teacher/teacher.mongoModel'),
+        subject: require('../managers/entities/gradebook/subject.mongoModel'),
+        assessment: require('../managers/entities/gradebook/assessment.mongoModel'),
+        score: require('../managers/entities/gradebook/score.mongoModel'),
+        waitlist: require('../managers/entities/waitlist/waitlist.mongoModel'),
+        audit: require('../managers/entities/audit/audit.mongoModel'),
+        session: require('../managers/entities/user/session.mongoModel'),
+        loginThrottle: require('../managers/entities/user/loginThrottle.mongoModel'),
+        userToken: require('../managers/entities/user/userToken.mongoModel'),
+        invitation: require('../managers/entities/user/invitation.mongoModel'),
+        apiKey: require('../managers/entities/api_key/apiKey.mongoModel'),
     };
 
     // Create real validators using the validator loader
@@ -74,19 +133,42 @@ const createMockDependencies = () => {
             }
             return null;
         }),
+        createSession: jest.fn(async ({ user }) => ({
+            longToken: `mock_long_token_${user._id}`,
+            refreshToken: `mock_refresh_token_${user._id}`,
+        })),
+        revokeSession: jest.fn(async () => {}),
+        revokeUserSessions: jest.fn(async () => 1),
     };
 
     const managers = {
         token: tokenManager,
     };
 
+    // Student and classroom managers hand freed seats to the real waitlist
+    const WaitlistManager = require('../managers/entities/waitlist/Waitlist.manager');
+    managers.waitlist = new WaitlistManager({ mongomodels, validators, managers });
+    // User lockouts are written to the real audit log
+    const AuditManager = require('../managers/entities/audit/Audit.manager');
+    managers.audit = new AuditManager({ mongomodels, validators, managers });
+
     const config = {
         dotEnv: {
             LONG_TOKEN_SECRET: 'test-long-secret',
             SHORT_TOKEN_SECRET: 'test-short-secret',
+            MAIL_TRANSPORT: 'file',
+            MAIL_DIR: mailDir,
         },
     };
 
+    const MailManager = require('../managers/mail/Mail.manager');
+    managers.mail = new MailManager({ config });
+
+    // Permissions are checked by the real SharkFin, with grants kept in memory
+    const SharkFin = require('../managers/shark_fin/SharkFin.manager');
+    const { layers, actions } = require('../static_arch/main.system');
+    managers.shark = new SharkFin({ config, layers, actions, managers, utils: require('../libs/utils'), oyster: createMockOyster() });
+
     return {
         mongomodels,
         validators,
@@ -152,7 +234,39 @@ const createTestStudent = async (studentModel, schoolId, createdBy, overrides =
         isActive: true,
         createdBy,
     };
-    return await studentModel.create({ ...defaultData, ...overrides });
+    const student = await studentModel.create({ ...defaultData, ...overrides });
+    // Keep the classroom's seat counter in line, as the student endpoints do
+    if (student.classroomId && student.isActive) {
+        await mongoose.model('Classroom').updateOne({ _id: student.classroomId }, { $inc: { enrolledCount: 1 } });
+    }
+    return student;
+};
+
+const createTestAcademicYear = async (academicYearModel, schoolId, createdBy, overrides = {}) => {
+    const defaultData = {
+        name: '2024-2025',
+        schoolId,
+        startDate: new Date('2024-09-01'),
+        endDate: new Date('2025-06-30'),
+        terms: [],
+        isCurrent: false,
+        isActive: true,
+        createdBy,
+    };
+    return await academicYearModel.create({ ...defaultData, ...overrides });
+};
+
+const createTestTeacher = async (teacherModel, schoolId, createdBy, overrides = {}) => {
+    const defaultData = {
+        firstName: 'Mary',
+        lastName: 'Teacher',
+        email: `teacher_${Date.now()}@test.com`,
+        schoolId,
+        subjects: ['Mathematics'],
+        isActive: true,
+        createdBy,
+    };
+    return await teacherModel.create({ ...defaultData, ...overrides });
 };
 
 /**
@@ -172,15 +286,89 @@ const createSchoolAdminToken = (userId = new mongoose.Types.ObjectId(), schoolId
     schoolId: schoolId?.toString() || new mongoose.Types.ObjectId().toString(),
 });
 
+const createTeacherToken = (userId = new mongoose.Types.ObjectId(), schoolId) => ({
+    userId: userId.toString(),
+    userKey: 'teacher',
+    role: 'teacher',
+    schoolId: schoolId?.toString() || new mongoose.Types.ObjectId().toString(),
+});
+
+/**
+ * Wrap a manager so its exposed methods check their policies first,
+ * as the ApiHandler does for HTTP calls
+ * @param {Object} manager - Manager instance
+ * @param {Object} mongomodels - Mongo models
+ * @returns {Object} Manager whose policed methods are authorized before running
+ */
+const withPolicies = (manager, mongomodels) => new Proxy(manager, {
+    get(target, prop) {
+        const value = target[prop];
+        if (typeof value !== 'function' || !target.policies || !target.policies[prop]) return value;
+        return async (data = {}) => {
+            const denied = await authorize({
+                policy: target.policies[prop],
+                token: data.__longToken || data.__shortToken || data.__token,
+                data,
+                mongomodels,
+            });
+            return denied || value.call(target, data);
+        };
+    },
+});
+
+/**
+ * Create a writable response for streaming endpoints.
+ * Everything written ends up in res.body.
+ */
+const createMockResponse = () => {
+    const res = new PassThrough();
+    res.body = '';
+    res.headers = {};
+    res.statusCode = null;
+    res.on('data', chunk => { res.body += chunk; });
+    res.status = (code) => { res.statusCode = code; return res; };
+    res.setHeader = (name, value) => { res.headers[name.toLowerCase()] = value; };
+    return res;
+};
+
+/**
+ * Latest mail sent to an address by the file transport
+ * @param {string} to - Recipient
+ * @returns {Promise<Object|null>} Message ({ from, to, subject, text })
+ */
+const getLastMail = async (to) => {
+    const files = fs.existsSync(mailDir) ? (await fs.promises.readdir(mailDir)).sort().reverse() : [];
+    for (const file of files) {
+        const message = JSON.parse(await fs.promises.readFile(path.join(mailDir, file), 'utf8'));
+        if (message.to === to) return message;
+    }
+    return null;
+};
+
+/**
+ * Token mailed in a message, as sent by the mail manager
+ * @param {Object} message - Message from getLastMail
+ * @returns {string} Token
+ */
+const getMailToken = (message) => message.text.match(/with the token: (\S+)/)[1];
+
 module.exports = {
     connect,
     closeDatabase,
     clearDatabase,
     createMockDependencies,
+    createMockOyster,
     createTestSchool,
     createTestUser,
     createTestClassroom,
     createTestStudent,
+    createTestAcademicYear,
+    createTestTeacher,
     createSuperadminToken,
     createSchoolAdminToken,
+    createTeacherToken,
+    withPolicies,
+    createMockResponse,
+    getLastMail,
+    getMailToken,
 };
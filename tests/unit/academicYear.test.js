@@ -0,0 +1,304 @@
+/**
+ * Academic Year Manager Unit Tests
+ *
+ * Tests for AcademicYear.manager.js including:
+ * - Academic year creation with terms
+ * - Current year flag
+ * - Academic year deletion (soft delete)
+ * - Roll over into the next year with student promotion
+ */
+
+const mongoose = require('mongoose');
+const {
+    connect,
+    closeDatabase,
+    clearDatabase,
+    createMockDependencies,
+    createTestSchool,
+    createTestClassroom,
+    createTestStudent,
+    createTestAcademicYear,
+    createSuperadminToken,
+    createSchoolAdminToken,
+    withPolicies,
+} = require('../setup');
+
+const AcademicYearManager = require('../../managers/entities/academic_year/AcademicYear.manager');
+
+describe('AcademicYear Manager', () => {
+    let academicYearManager;
+    let deps;
+    let superadminToken;
+    let testSchool;
+
+    beforeAll(async () => {
+        await connect();
+        deps = createMockDependencies();
+        academicYearManager = withPolicies(new AcademicYearManager(deps), deps.mongomodels);
+        superadminToken = createSuperadminToken();
+    });
+
+    afterAll(async () => {
+        await closeDatabase();
+    });
+
+    beforeEach(async () => {
+        await clearDatabase();
+        testSchool = await createTestSchool(deps.mongomodels.school);
+    });
+
+    describe('createAcademicYear', () => {
+        it('should create an academic year with terms', async () => {
+            const result = await academicYearManager.createAcademicYear({
+                schoolId: testSchool._id.toString(),
+                name: '2024-2025',
+                startDate: '2024-09-01',
+                endDate: '2025-06-30',
+                terms: [
+                    { name: 'Fall', startDate: '2024-09-01', endDate: '2024-12-20' },
+                    { name: 'Spring', startDate: '2025-01-06', endDate: '2025-06-30' },
+                ],
+                isCurrent: true,
+                __longToken: superadminToken,
+            });
+
+            expect(result.error).toBeUndefined();
+            expect(result.academicYear.name).toBe('2024-2025');
+            expect(result.academicYear.terms).toHaveLength(2);
+            expect(result.academicYear.isCurrent).toBe(true);
+        });
+
+        it('should fail with overlapping terms', async () => {
+            const result = await academicYearManager.createAcademicYear({
+                schoolId: testSchool._id.toString(),
+                name: '2024-2025',
+                startDate: '2024-09-01',
+                endDate: '2025-06-30',
+                terms: [
+                    { name: 'Fall', startDate: '2024-09-01', endDate: '2025-01-20' },
+                    { name: 'Spring', startDate: '2025-01-06', endDate: '2025-06-30' },
+                ],
+                __longToken: superadminToken,
+            });
+
+            expect(result.error).toBe('Term Spring overlaps with term Fall');
+            expect(result.code).toBe(400);
+        });
+
+        it('should fail with duplicate academic year', async () => {
+            await createTestAcademicYear(deps.mongomodels.academicYear, testSchool._id, new mongoose.Types.ObjectId());
+
+            const result = await academicYearManager.createAcademicYear({
+                schoolId: testSchool._id.toString(),
+                name: '2024-2025',
+                startDate: '2024-09-01',
+                endDate: '2025-06-30',
+                __longToken: superadminToken,
+            });
+
+            expect(result.error).toBe('This academic year already exists in this school');
+            expect(result.code).toBe(409);
+        });
+
+        it('should fail when school_admin creates a year in a different school', async () => {
+            const otherSchool = await createTestSchool(deps.mongomodels.school, { name: 'Other School' });
+            const schoolAdminToken = createSchoolAdminToken(new mongoose.Types.ObjectId(), testSchool._id);
+
+            const result = await academicYearManager.createAcademicYear({
+                schoolId: otherSchool._id.toString(),
+                name: '2024-2025',
+                startDate: '2024-09-01',
+                endDate: '2025-06-30',
+                __longToken: schoolAdminToken,
+            });
+
+            expect(result.code).toBe(403);
+        });
+    });
+
+    describe('setCurrentAcademicYear', () => {
+        it('should keep a single current year per school', async () => {
+            const createdBy = new mongoose.Types.ObjectId();
+            const first = await createTestAcademicYear(deps.mongomodels.academicYear, testSchool._id, createdBy, { isCurrent: true });
+            const second = await createTestAcademicYear(deps.mongomodels.academicYear, testSchool._id, createdBy, {
+                name: '2025-2026',
+                startDate: new Date('2025-09-01'),
+                endDate: new Date('2026-06-30'),
+            });
+
+            const result = await academicYearManager.setCurrentAcademicYear({
+                academicYearId: second._id.toString(),
+                __longToken: superadminToken,
+            });
+
+            expect(result.error).toBeUndefined();
+            const reloaded = await deps.mongomodels.academicYear.findById(first._id);
+            expect(reloaded.isCurrent).toBe(false);
+            expect(result.academicYear.isCurrent).toBe(true);
+        });
+    });
+
+    describe('deleteAcademicYear', () => {
+        it('should not delete the current academic year', async () => {
+            const year = await createTestAcademicYear(deps.mongomodels.academicYear, testSchool._id, new mongoose.Types.ObjectId(), { isCurrent: true });
+
+            const result = await academicYearManager.deleteAcademicYear({
+                academicYearId: year._id.toString(),
+                __longToken: superadminToken,
+            });
+
+            expect(result.errorCode).toBe('CONFLICT');
+        });
+    });
+
+    describe('rollOverAcademicYear', () => {
+        let fromYear;
+        let toYear;
+        let createdBy;
+
+        beforeEach(async () => {
+            createdBy = new mongoose.Types.ObjectId();
+            fromYear = await createTestAcademicYear(deps.mongomodels.academicYear, testSchool._id, createdBy, { isCurrent: true });
+            toYear = await createTestAcademicYear(deps.mongomodels.academicYear, testSchool._id, createdBy, {
+                name: '2025-2026',
+                startDate: new Date('2025-09-01'),
+                endDate: new Date('2026-06-30'),
+            });
+        });
+
+        it('should clone classrooms and promote students by grade', async () => {
+            const grade9 = await createTestClassroom(deps.mongomodels.classroom, testSchool._id, createdBy, {
+                name: 'Grade 9A', grade: '9', academicYearId: fromYear._id,
+            });
+            await createTestClassroom(deps.mongomodels.classroom, testSchool._id, createdBy, {
+                name: 'Grade 10A', grade: '10', academicYearId: fromYear._id,
+            });
+            const student = await createTestStudent(deps.mongomodels.student, testSchool._id, createdBy, {
+                classroomId: grade9._id,
+                academicYearId: fromYear._id,
+            });
+
+            const result = await academicYearManager.rollOverAcademicYear({
+                fromAcademicYearId: fromYear._id.toString(),
+                toAcademicYearId: toYear._id.toString(),
+                __longToken: superadminToken,
+            });
+
+            expect(result.error).toBeUndefined();
+            expect(result.rollOver.classroomsCloned).toBe(2);
+            expect(result.rollOver.studentsPromoted).toBe(1);
+            expect(result.academicYear.isCurrent).toBe(true);
+
+            const promoted = await deps.mongomodels.student.findById(student._id).populate('classroomId');
+            expect(promoted.classroomId.grade).toBe('10');
+            expect(promoted.classroomId.academicYear).toBe('2025-2026');
+            expect(promoted.academicYearId.toString()).toBe(toYear._id.toString());
+        });
+
+        it('should graduate students of the last grade', async () => {
+            const grade12 = await createTestClassroom(deps.mongomodels.classroom, testSchool._id, createdBy, {
+                name: 'Grade 12A', grade: '12', academicYearId: fromYear._id,
+            });
+            const student = await createTestStudent(deps.mongomodels.student, testSchool._id, createdBy, {
+                classroomId: grade12._id,
+            });
+
+            const result = await academicYearManager.rollOverAcademicYear({
+                fromAcademicYearId: fromYear._id.toString(),
+                toAcademicYearId: toYear._id.toString(),
+                __longToken: superadminToken,
+            });
+
+            expect(result.rollOver.studentsGraduated).toBe(1);
+            const graduated = await deps.mongomodels.student.findById(student._id);
+            expect(graduated.classroomId).toBeNull();
+        });
+
+        it('should take seats through the classroom counter and cancel old waitlists', async () => {
+            const grade9 = await createTestClassroom(deps.mongomodels.classroom, testSchool._id, createdBy, {
+                name: 'Grade 9A', grade: '9', academicYearId: fromYear._id,
+            });
+            const grade10 = await createTestClassroom(deps.mongomodels.classroom, testSchool._id, createdBy, {
+                name: 'Grade 10A', grade: '10', capacity: 1, academicYear: '2025-2026', academicYearId: toYear._id,
+            });
+            for (const email of ['first@test.com', 'second@test.com']) {
+                await createTestStudent(deps.mongomodels.student, testSchool._id, createdBy, {
+                    email, classroomId: grade9._id,
+                });
+            }
+            const waiting = await createTestStudent(deps.mongomodels.student, testSchool._id, createdBy, {
+                email: 'waiting@test.com',
+            });
+            await deps.mongomodels.waitlist.create({
+                schoolId: testSchool._id, classroomId: grade9._id, studentId: waiting._id, createdBy,
+            });
+
+            const result = await academicYearManager.rollOverAcademicYear({
+                fromAcademicYearId: fromYear._id.toString(),
+                toAcademicYearId: toYear._id.toString(),
+                __longToken: superadminToken,
+            });
+
+            expect(result.rollOver.studentsPromoted).toBe(1);
+            expect(result.rollOver.studentsUnplaced).toHaveLength(1);
+            expect((await deps.mongomodels.classroom.findById(grade10._id)).enrolledCount).toBe(1);
+            expect((await deps.mongomodels.classroom.findById(grade9._id)).enrolledCount).toBe(0);
+            const entry = await deps.mongomodels.waitlist.findOne({ studentId: waiting._id });
+            expect(entry.status).toBe('cancelled');
+        });
+
+        it('should skip names taken by inactive classrooms of the target year', async () => {
+            const grade9 = await createTestClassroom(deps.mongomodels.classroom, testSchool._id, createdBy, {
+                name: 'Grade 9A', grade: '9', academicYearId: fromYear._id,
+            });
+            await createTestClassroom(deps.mongomodels.classroom, testSchool._id, createdBy, {
+                name: 'Grade 10A', grade: '10', academicYearId: fromYear._id,
+            });
+            await createTestClassroom(deps.mongomodels.classroom, testSchool._id, createdBy, {
+                name: 'Grade 10A', grade: '10', academicYear: '2025-2026', academicYearId: toYear._id, isActive: false,
+            });
+            const student = await createTestStudent(deps.mongomodels.student, testSchool._id, createdBy, {
+                classroomId: grade9._id,
+            });
+
+            const result = await academicYearManager.rollOverAcademicYear({
+                fromAcademicYearId: fromYear._id.toString(),
+                toAcademicYearId: toYear._id.toString(),
+                __longToken: superadminToken,
+            });
+
+            expect(result.error).toBeUndefined();
+            expect(result.rollOver.classroomsCloned).toBe(1);
+            const promoted = await deps.mongomodels.student.findById(student._id);
+            expect(promoted.academicYearId.toString()).toBe(toYear._id.toString());
+        });
+
+        it('should answer a conflict when a clone collides with a new classroom', async () => {
+            await createTestClassroom(deps.mongomodels.classroom, testSchool._id, createdBy, {
+                name: 'Grade 9A', grade: '9', academicYearId: fromYear._id,
+            });
+            const insertMany = jest.spyOn(deps.mongomodels.classroom, 'insertMany')
+                .mockRejectedValueOnce(Object.assign(new Error('E11000 duplicate key error'), { code: 11000 }));
+
+            const result = await academicYearManager.rollOverAcademicYear({
+                fromAcademicYearId: fromYear._id.toString(),
+                toAcademicYearId: toYear._id.toString(),
+                __longToken: superadminToken,
+            });
+            insertMany.mockRestore();
+
+            expect(result.code).toBe(409);
+            expect(result.errorCode).toBe('CONFLICT');
+        });
+
+        it('should fail when rolling over into an earlier year', async () => {
+            const result = await academicYearManager.rollOverAcademicYear({
+                fromAcademicYearId: toYear._id.toString(),
+                toAcademicYearId: fromYear._id.toString(),
+                __longToken: superadminToken,
+            });
+
+            expect(result.error).toBe('Target academic year must start after the source academic year');
+        });
+    });
+});
@@ -0,0 +1,326 @@
+/**
+ * Access Manager Unit Tests
+ *
+ * Tests for Access.manager.js including:
+ * - Granting and revoking direct access on schools, classrooms and students
+ * - Who may manage grants (config access to the node)
+ * - Grants applied by the classroom and student managers
+ * - Listing grants
+ */
+
+const mongoose = require('mongoose');
+const {
+    connect,
+    closeDatabase,
+    clearDatabase,
+    createMockDependencies,
+    createTestSchool,
+    createTestUser,
+    createTestClassroom,
+    createTestStudent,
+    createSuperadminToken,
+    createSchoolAdminToken,
+    createTeacherToken,
+    withPolicies,
+} = require('../setup');
+
+const AccessManager = require('../../managers/entities/access/Access.manager');
+const ClassroomManager = require('../../managers/entities/classroom/Classroom.manager');
+const StudentManager = require('../../managers/entities/student/Student.manager');
+
+describe('Access Manager', () => {
+    let accessManager;
+    let classroomManager;
+    let studentManager;
+    let deps;
+    let testSchool;
+    let otherSchool;
+    let classroom;
+    let student;
+    let grantee;
+    let granteeToken;
+    let schoolAdminToken;
+
+    beforeAll(async () => {
+        await connect();
+        deps = createMockDependencies();
+        accessManager = withPolicies(new AccessManager(deps), deps.mongomodels);
+        classroomManager = withPolicies(new ClassroomManager(deps), deps.mongomodels);
+        studentManager = withPolicies(new StudentManager(deps), deps.mongomodels);
+    });
+
+    afterAll(async () => {
+        await closeDatabase();
+    });
+
+    beforeEach(async () => {
+        await clearDatabase();
+        const createdBy = new mongoose.Types.ObjectId();
+        testSchool = await createTestSchool(deps.mongomodels.school);
+        otherSchool = await createTestSchool(deps.mongomodels.school, { name: 'Other School', email: 'other@test.com' });
+        classroom = await createTestClassroom(deps.mongomodels.classroom, testSchool._id, createdBy);
+        student = await createTestStudent(deps.mongomodels.student, testSchool._id, createdBy, { classroomId: classroom._id });
+
+        // A teacher of another school, to be given access to one classroom
+        grantee = await createTestUser(deps.mongomodels.user, {
+            username: 'grantee',
+            email: 'grantee@test.com',
+            role: 'teacher',
+            schoolId: otherSchool._id,
+        });
+        granteeToken = createTeacherToken(grantee._id, otherSchool._id);
+        schoolAdminToken = createSchoolAdminToken(new mongoose.Types.ObjectId(), testSchool._id);
+    });
+
+    describe('grantAccess', () => {
+        it('should let a school admin grant access to a classroom of their school', async () => {
+            const result = await accessManager.grantAccess({
+                userId: grantee._id.toString(),
+                classroomId: classroom._id.toString(),
+                action: 'audit',
+                __longToken: schoolAdminToken,
+            });
+
+            expect(result.error).toBeUndefined();
+            expect(result.grant).toMatchObject({
+                layer: 'school.classroom',
+                nodeId: `${testSchool._id}.${classroom._id}`,
+                action: 'audit',
+            });
+        });
+
+        it('should apply the grant to the classroom and its students', async () => {
+            const before = await classroomManager.getClassroom({
+                classroomId: classroom._id.toString(),
+                __longToken: granteeToken,
+            });
+            expect(before.code).toBe(403);
+
+            await accessManager.grantAccess({
+                userId: grantee._id.toString(),
+                classroomId: classroom._id.toString(),
+                action: 'write',
+                __longToken: schoolAdminToken,
+            });
+
+            const read = await classroomManager.getClassroom({
+                classroomId: classroom._id.toString(),
+                __longToken: granteeToken,
+            });
+            expect(read.error).toBeUndefined();
+
+            const updated = await studentManager.updateStudent({
+                studentId: student._id.toString(),
+                firstName: 'Granted',
+                __longToken: granteeToken,
+            });
+            expect(updated.student.firstName).toBe('Granted');
+
+            // write does not include deleting
+            const deleted = await studentManager.deleteStudent({
+                studentId: student._id.toString(),
+                __longToken: granteeToken,
+            });
+            expect(deleted.code).toBe(403);
+        });
+
+        it('should let audit access read but not change a classroom or its students', async () => {
+            await accessManager.grantAccess({
+                userId: grantee._id.toString(),
+                classroomId: classroom._id.toString(),
+                action: 'audit',
+                __longToken: schoolAdminToken,
+            });
+
+            const read = await studentManager.getStudent({
+                studentId: student._id.toString(),
+                __longToken: granteeToken,
+            });
+            expect(read.error).toBeUndefined();
+
+            const updated = await studentManager.updateStudent({
+                studentId: student._id.toString(),
+                firstName: 'Audited',
+                __longToken: granteeToken,
+            });
+            expect(updated.code).toBe(403);
+
+            const deletedStudent = await studentManager.deleteStudent({
+                studentId: student._id.toString(),
+                __longToken: granteeToken,
+            });
+            expect(deletedStudent.code).toBe(403);
+
+            const deletedClassroom = await classroomManager.deleteClassroom({
+                classroomId: classroom._id.toString(),
+                __longToken: granteeToken,
+            });
+            expect(deletedClassroom.code).toBe(403);
+        });
+
+        it('should let delete access remove a student', async () => {
+            await accessManager.grantAccess({
+                userId: grantee._id.toString(),
+                classroomId: classroom._id.toString(),
+                action: 'delete',
+                __longToken: schoolAdminToken,
+            });
+
+            const result = await studentManager.deleteStudent({
+                studentId: student._id.toString(),
+                __longToken: granteeToken,
+            });
+            expect(result.error).toBeUndefined();
+        });
+
+        it('should block a school admin from a classroom', async () => {
+            const admin = await createTestUser(deps.mongomodels.user, {
+                username: 'blockedadmin',
+                email: 'blockedadmin@test.com',
+                role: 'school_admin',
+                schoolId: testSchool._id,
+            });
+
+            await accessManager.grantAccess({
+                userId: admin._id.toString(),
+                classroomId: classroom._id.toString(),
+                action: 'blocked',
+                __longToken: createSuperadminToken(),
+            });
+
+            const result = await classroomManager.getClassroom({
+                classroomId: classroom._id.toString(),
+                __longToken: createSchoolAdminToken(admin._id, testSchool._id),
+            });
+            expect(result.code).toBe(403);
+        });
+
+        it('should deny a school admin of another school', async () => {
+            const result = await accessManager.grantAccess({
+                userId: grantee._id.toString(),
+                classroomId: classroom._id.toString(),
+                action: 'read',
+                __longToken: createSchoolAdminToken(new mongoose.Types.ObjectId(), otherSchool._id),
+            });
+
+            expect(result.code).toBe(403);
+        });
+
+        it('should not let audit access manage grants', async () => {
+            await accessManager.grantAccess({
+                userId: grantee._id.toString(),
+                classroomId: classroom._id.toString(),
+                action: 'audit',
+                __longToken: schoolAdminToken,
+            });
+
+            const result = await accessManager.grantAccess({
+                userId: new mongoose.Types.ObjectId().toString(),
+                studentId: student._id.toString(),
+                action: 'read',
+                __longToken: granteeToken,
+            });
+
+            expect(result.code).toBe(403);
+        });
+
+        it('should require exactly one node', async () => {
+            const result = await accessManager.grantAccess({
+                userId: grantee._id.toString(),
+                schoolId: testSchool._id.toString(),
+                classroomId: classroom._id.toString(),
+                action: 'read',
+                __longToken: schoolAdminToken,
+            });
+
+            expect(result.code).toBe(400);
+        });
+
+        it('should reject unknown actions', async () => {
+            const result = await accessManager.grantAccess({
+                userId: grantee._id.toString(),
+                classroomId: classroom._id.toString(),
+                action: 'everything',
+                __longToken: schoolAdminToken,
+            });
+
+            expect(result.errors).toBeDefined();
+        });
+
+        it('should fail for an unknown user', async () => {
+            const result = await accessManager.grantAccess({
+                userId: new mongoose.Types.ObjectId().toString(),
+                classroomId: classroom._id.toString(),
+                action: 'read',
+                __longToken: schoolAdminToken,
+            });
+
+            expect(result.code).toBe(404);
+        });
+
+        it('should fail without authentication', async () => {
+            const result = await accessManager.grantAccess({
+                userId: grantee._id.toString(),
+                classroomId: classroom._id.toString(),
+                action: 'read',
+            });
+
+            expect(result.code).toBe(401);
+        });
+    });
+
+    describe('revokeAccess', () => {
+        it('should remove a grant', async () => {
+            const grant = {
+                userId: grantee._id.toString(),
+                studentId: student._id.toString(),
+                __longToken: schoolAdminToken,
+            };
+            await accessManager.grantAccess({ ...grant, action: 'read' });
+
+            const result = await accessManager.revokeAccess(grant);
+            expect(result.message).toBe('Access revoked');
+
+            const read = await studentManager.getStudent({
+                studentId: student._id.toString(),
+                __longToken: granteeToken,
+            });
+            expect(read.code).toBe(403);
+        });
+    });
+
+    describe('getGrants', () => {
+        it('should list the grants of the caller', async () => {
+            await accessManager.grantAccess({
+                userId: grantee._id.toString(),
+                classroomId: classroom._id.toString(),
+                action: 'read',
+                __longToken: schoolAdminToken,
+            });
+
+            const result = await accessManager.getGrants({ __longToken: granteeToken });
+
+            expect(result.grants).toEqual([{
+                name: 'Test Classroom',
+                layer: 'school.classroom',
+                nodeId: `${testSchool._id}.${classroom._id}`,
+                action: 'read',
+            }]);
+        });
+
+        it('should only list other users for superadmins', async () => {
+            const result = await accessManager.getGrants({
+                userId: grantee._id.toString(),
+                __longToken: schoolAdminToken,
+            });
+
+            expect(result.code).toBe(403);
+
+            const allowed = await accessManager.getGrants({
+                userId: grantee._id.toString(),
+                __longToken: createSuperadminToken(),
+            });
+            expect(allowed.grants).toBeDefined();
+        });
+    });
+});
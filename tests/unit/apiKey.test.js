@@ -0,0 +1,196 @@
+/**
+ * ApiKey Manager Unit Tests
+ *
+ * Tests for ApiKey.manager.js including:
+ * - Minting keys scoped to a school and operations
+ * - Which operations a key may be scoped to
+ * - Verifying keys, last-used tracking, expiry and revocation
+ * - Listing keys without their hashes
+ */
+
+const mongoose = require('mongoose');
+const {
+    connect,
+    closeDatabase,
+    clearDatabase,
+    createMockDependencies,
+    createTestSchool,
+    createSuperadminToken,
+    createSchoolAdminToken,
+    withPolicies,
+} = require('../setup');
+
+const ApiKeyManager = require('../../managers/entities/api_key/ApiKey.manager');
+const SchoolManager = require('../../managers/entities/school/School.manager');
+const StudentManager = require('../../managers/entities/student/Student.manager');
+const UserManager = require('../../managers/entities/user/User.manager');
+
+describe('ApiKey Manager', () => {
+    let apiKeyManager;
+    let deps;
+    let testSchool;
+    let superadminToken;
+
+    beforeAll(async () => {
+        await connect();
+        deps = createMockDependencies();
+        // Scopes are checked against the other managers
+        deps.managers.school = new SchoolManager(deps);
+        deps.managers.student = new StudentManager(deps);
+        deps.managers.user = new UserManager(deps);
+        deps.managers.apiKey = new ApiKeyManager(deps);
+        apiKeyManager = withPolicies(deps.managers.apiKey, deps.mongomodels);
+    });
+
+    afterAll(async () => {
+        await closeDatabase();
+    });
+
+    beforeEach(async () => {
+        await clearDatabase();
+        testSchool = await createTestSchool(deps.mongomodels.school);
+        superadminToken = createSuperadminToken();
+    });
+
+    const mint = (overrides = {}) => apiKeyManager.createApiKey({
+        name: 'SIS sync',
+        schoolId: testSchool._id.toString(),
+        scopes: ['student.createStudent', 'student.updateStudent'],
+        __longToken: superadminToken,
+        ...overrides,
+    });
+
+    describe('createApiKey', () => {
+        it('should return the key once and store only its hash', async () => {
+            const result = await mint();
+
+            expect(result.error).toBeUndefined();
+            expect(result.key).toMatch(/^sk_/);
+            expect(result.apiKey.prefix).toBe(result.key.slice(0, 11));
+            expect(result.apiKey.keyHash).toBeUndefined();
+            expect(result.apiKey.scopes).toEqual(['student.createStudent', 'student.updateStudent']);
+
+            const stored = await deps.mongomodels.apiKey.findById(result.apiKey._id).lean();
+            expect(stored.keyHash).toBeDefined();
+            expect(stored.keyHash).not.toBe(result.key);
+        });
+
+        it('should default the expiry from the config', async () => {
+            const result = await mint();
+
+            const days = (new Date(result.apiKey.expiresAt) - Date.now()) / (24 * 60 * 60 * 1000);
+            expect(Math.round(days)).toBe(365);
+        });
+
+        it('should reject operations a key cannot be scoped to', async () => {
+            const result = await mint({
+                scopes: ['student.createStudent', 'school.createSchool', 'user.logoutAllDevices', 'student.unknown', 'apiKey.createApiKey'],
+            });
+
+            expect(result.code).toBe(400);
+            expect(result.error).toBe('Invalid scopes: school.createSchool, user.logoutAllDevices, student.unknown, apiKey.createApiKey');
+        });
+
+        it('should require at least one scope', async () => {
+            const result = await mint({ scopes: [] });
+
+            expect(result.code).toBe(400);
+        });
+
+        it('should reject an expiry in the past', async () => {
+            const result = await mint({ expiresAt: '2001-01-01' });
+
+            expect(result.code).toBe(400);
+        });
+
+        it('should fail for an unknown school', async () => {
+            const result = await mint({ schoolId: new mongoose.Types.ObjectId().toString() });
+
+            expect(result.code).toBe(404);
+        });
+
+        it('should only let superadmins mint keys', async () => {
+            const result = await mint({
+                __longToken: createSchoolAdminToken(new mongoose.Types.ObjectId(), testSchool._id),
+            });
+
+            expect(result.code).toBe(403);
+            expect(result.error).toBe('Access denied. Only superadmins can manage API keys.');
+        });
+    });
+
+    describe('verifyKey', () => {
+        it('should act as a school admin of the key school, limited to its scopes', async () => {
+            const { apiKey, key } = await mint();
+
+            const decoded = await deps.managers.apiKey.verifyKey({ key });
+
+            expect(decoded).toMatchObject({
+                apiKeyId: apiKey._id.toString(),
+                role: 'school_admin',
+                schoolId: testSchool._id.toString(),
+                memberships: [{ schoolId: testSchool._id.toString(), role: 'school_admin' }],
+                scopes: ['student.createStudent', 'student.updateStudent'],
+            });
+        });
+
+        it('should record when the key was last used', async () => {
+            const { apiKey, key } = await mint();
+            expect(apiKey.lastUsedAt).toBeUndefined();
+
+            await deps.managers.apiKey.verifyKey({ key });
+
+            const stored = await deps.mongomodels.apiKey.findById(apiKey._id).lean();
+            expect(stored.lastUsedAt).toBeInstanceOf(Date);
+        });
+
+        it('should refuse unknown and expired keys', async () => {
+            const { apiKey, key } = await mint();
+            expect(await deps.managers.apiKey.verifyKey({ key: `${key}x` })).toBeNull();
+
+            await deps.mongomodels.apiKey.updateOne({ _id: apiKey._id }, { expiresAt: new Date(Date.now() - 1000) });
+            expect(await deps.managers.apiKey.verifyKey({ key })).toBeNull();
+        });
+    });
+
+    describe('revokeApiKey', () => {
+        it('should stop the key from working', async () => {
+            const { apiKey, key } = await mint();
+
+            const result = await apiKeyManager.revokeApiKey({
+                apiKeyId: apiKey._id.toString(),
+                __longToken: superadminToken,
+            });
+
+            expect(result.message).toBe('API key revoked');
+            expect(await deps.managers.apiKey.verifyKey({ key })).toBeNull();
+        });
+
+        it('should fail for a key already revoked', async () => {
+            const { apiKey } = await mint();
+            const params = { apiKeyId: apiKey._id.toString(), __longToken: superadminToken };
+            await apiKeyManager.revokeApiKey(params);
+
+            const result = await apiKeyManager.revokeApiKey(params);
+
+            expect(result.code).toBe(404);
+        });
+    });
+
+    describe('getApiKeys', () => {
+        it('should list keys of a school without their hashes', async () => {
+            await mint();
+            const otherSchool = await createTestSchool(deps.mongomodels.school, { name: 'Other School', email: 'other@test.com' });
+            await mint({ schoolId: otherSchool._id.toString() });
+
+            const result = await apiKeyManager.getApiKeys({
+                schoolId: testSchool._id.toString(),
+                __longToken: superadminToken,
+            });
+
+            expect(result.apiKeys).toHaveLength(1);
+            expect(result.apiKeys[0].keyHash).toBeUndefined();
+            expect(result.apiKeys[0].schoolId.name).toBe('Test School');
+        });
+    });
+});
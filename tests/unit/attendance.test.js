@@ -0,0 +1,225 @@
+/**
+ * Attendance Manager Unit Tests
+ *
+ * Tests for Attendance.manager.js including:
+ * - Marking attendance for a classroom
+ * - Student attendance history
+ * - Per-classroom attendance rates
+ * - Authorization checks
+ */
+
+const mongoose = require('mongoose');
+const {
+    connect,
+    closeDatabase,
+    clearDatabase,
+    createMockDependencies,
+    createTestSchool,
+    createTestClassroom,
+    createTestStudent,
+    createSuperadminToken,
+    createSchoolAdminToken,
+    withPolicies,
+} = require('../setup');
+
+const AttendanceManager = require('../../managers/entities/attendance/Attendance.manager');
+
+describe('Attendance Manager', () => {
+    let attendanceManager;
+    let deps;
+    let superadminToken;
+    let testSchool;
+    let testClassroom;
+    let alice;
+    let bob;
+
+    beforeAll(async () => {
+        await connect();
+        deps = createMockDependencies();
+        attendanceManager = withPolicies(new AttendanceManager(deps), deps.mongomodels);
+        superadminToken = createSuperadminToken();
+    });
+
+    afterAll(async () => {
+        await closeDatabase();
+    });
+
+    beforeEach(async () => {
+        await clearDatabase();
+        const createdBy = new mongoose.Types.ObjectId();
+        testSchool = await createTestSchool(deps.mongomodels.school);
+        testClassroom = await createTestClassroom(deps.mongomodels.classroom, testSchool._id, createdBy);
+        alice = await createTestStudent(deps.mongomodels.student, testSchool._id, createdBy, {
+            firstName: 'Alice', email: 'alice@test.com', classroomId: testClassroom._id,
+        });
+        bob = await createTestStudent(deps.mongomodels.student, testSchool._id, createdBy, {
+            firstName: 'Bob', email: 'bob@test.com', classroomId: testClassroom._id,
+        });
+    });
+
+    describe('markAttendance', () => {
+        it('should mark attendance for the whole classroom', async () => {
+            const result = await attendanceManager.markAttendance({
+                classroomId: testClassroom._id.toString(),
+                date: '2024-10-01',
+                records: [
+                    { studentId: alice._id.toString(), status: 'present' },
+                    { studentId: bob._id.toString(), status: 'late', note: 'Bus delay' },
+                ],
+                __longToken: superadminToken,
+            });
+
+            expect(result.error).toBeUndefined();
+            expect(result.marked).toBe(2);
+            expect(result.summary.present).toBe(1);
+            expect(result.summary.late).toBe(1);
+            expect(result.summary.attendanceRate).toBe(100);
+        });
+
+        it('should overwrite attendance already marked on the same date', async () => {
+            const params = {
+                classroomId: testClassroom._id.toString(),
+                date: '2024-10-01',
+                records: [{ studentId: alice._id.toString(), status: 'absent' }],
+                __longToken: superadminToken,
+            };
+            await attendanceManager.markAttendance(params);
+            await attendanceManager.markAttendance({
+                ...params,
+                records: [{ studentId: alice._id.toString(), status: 'excused' }],
+            });
+
+            const records = await deps.mongomodels.attendance.find({ studentId: alice._id });
+            expect(records).toHaveLength(1);
+            expect(records[0].status).toBe('excused');
+        });
+
+        it('should fill unlisted students with the default status', async () => {
+            const result = await attendanceManager.markAttendance({
+                classroomId: testClassroom._id.toString(),
+                date: '2024-10-01',
+                records: [{ studentId: bob._id.toString(), status: 'absent' }],
+                defaultStatus: 'present',
+                __longToken: superadminToken,
+            });
+
+            expect(result.marked).toBe(2);
+            expect(result.unmarked).toBe(0);
+            expect(result.summary.present).toBe(1);
+            expect(result.summary.absent).toBe(1);
+        });
+
+        it('should fail for students outside the classroom', async () => {
+            const outsider = await createTestStudent(deps.mongomodels.student, testSchool._id, new mongoose.Types.ObjectId(), {
+                email: 'outsider@test.com',
+            });
+
+            const result = await attendanceManager.markAttendance({
+                classroomId: testClassroom._id.toString(),
+                date: '2024-10-01',
+                records: [{ studentId: outsider._id.toString(), status: 'present' }],
+                __longToken: superadminToken,
+            });
+
+            expect(result.code).toBe(400);
+            expect(result.invalidStudentIds).toEqual([outsider._id.toString()]);
+        });
+
+        it('should fail with an invalid status', async () => {
+            const result = await attendanceManager.markAttendance({
+                classroomId: testClassroom._id.toString(),
+                date: '2024-10-01',
+                records: [{ studentId: alice._id.toString(), status: 'asleep' }],
+                __longToken: superadminToken,
+            });
+
+            expect(result.code).toBe(422);
+        });
+
+        it('should fail for a future date', async () => {
+            const nextYear = new Date().getUTCFullYear() + 1;
+
+            const result = await attendanceManager.markAttendance({
+                classroomId: testClassroom._id.toString(),
+                date: `${nextYear}-01-01`,
+                records: [{ studentId: alice._id.toString(), status: 'present' }],
+                __longToken: superadminToken,
+            });
+
+            expect(result.error).toBe('Cannot mark attendance for a future date');
+        });
+
+        it('should fail when school_admin marks attendance in a different school', async () => {
+            const schoolAdminToken = createSchoolAdminToken(new mongoose.Types.ObjectId(), new mongoose.Types.ObjectId());
+
+            const result = await attendanceManager.markAttendance({
+                classroomId: testClassroom._id.toString(),
+                date: '2024-10-01',
+                records: [{ studentId: alice._id.toString(), status: 'present' }],
+                __longToken: schoolAdminToken,
+            });
+
+            expect(result.errorCode).toBe('FORBIDDEN');
+        });
+    });
+
+    describe('getStudentAttendance', () => {
+        it('should return the history within the range', async () => {
+            for (const [date, status] of [['2024-10-01', 'present'], ['2024-10-02', 'absent'], ['2024-10-10', 'present']]) {
+                await attendanceManager.markAttendance({
+                    classroomId: testClassroom._id.toString(),
+                    date,
+                    records: [{ studentId: alice._id.toString(), status }],
+                    __longToken: superadminToken,
+                });
+            }
+
+            const result = await attendanceManager.getStudentAttendance({
+                studentId: alice._id.toString(),
+                from: '2024-10-01',
+                to: '2024-10-02',
+                __longToken: superadminToken,
+            });
+
+            expect(result.error).toBeUndefined();
+            expect(result.attendance).toHaveLength(2);
+            expect(result.summary.attendanceRate).toBe(50);
+        });
+    });
+
+    describe('getAttendanceRates', () => {
+        it('should return per-classroom rates for a school admin', async () => {
+            const schoolAdminToken = createSchoolAdminToken(new mongoose.Types.ObjectId(), testSchool._id);
+            await attendanceManager.markAttendance({
+                classroomId: testClassroom._id.toString(),
+                date: '2024-10-01',
+                records: [
+                    { studentId: alice._id.toString(), status: 'present' },
+                    { studentId: bob._id.toString(), status: 'absent' },
+                ],
+                __longToken: schoolAdminToken,
+            });
+
+            const result = await attendanceManager.getAttendanceRates({
+                from: '2024-10-01',
+                to: '2024-10-31',
+                __longToken: schoolAdminToken,
+            });
+
+            expect(result.error).toBeUndefined();
+            expect(result.classrooms).toHaveLength(1);
+            expect(result.classrooms[0].total).toBe(2);
+            expect(result.classrooms[0].attendanceRate).toBe(50);
+        });
+
+        it('should require a school ID for superadmin', async () => {
+            const result = await attendanceManager.getAttendanceRates({
+                from: '2024-10-01',
+                to: '2024-10-31',
+                __longToken: superadminToken,
+            });
+
+            expect(result.error).toBe('School ID is required for superadmin');
+        });
+    });
+});
@@ -0,0 +1,190 @@
+/**
+ * Audit Manager Unit Tests
+ *
+ * Tests for Audit.manager.js including:
+ * - Recording mutating calls with before/after changes
+ * - Redaction of passwords
+ * - Querying the audit log (superadmin only)
+ */
+
+const mongoose = require('mongoose');
+const {
+    connect,
+    closeDatabase,
+    clearDatabase,
+    createMockDependencies,
+    createTestSchool,
+    createTestUser,
+    createSuperadminToken,
+    createSchoolAdminToken,
+    withPolicies,
+} = require('../setup');
+
+const AuditManager = require('../../managers/entities/audit/Audit.manager');
+
+describe('Audit Manager', () => {
+    let auditManager;
+    let deps;
+    let superadminToken;
+    let device;
+
+    beforeAll(async () => {
+        await connect();
+        deps = createMockDependencies();
+        auditManager = withPolicies(new AuditManager(deps), deps.mongomodels);
+        superadminToken = createSuperadminToken();
+        device = { ip: '10.0.0.1', agent: { source: 'jest-agent' } };
+    });
+
+    afterAll(async () => {
+        await closeDatabase();
+    });
+
+    beforeEach(async () => {
+        await clearDatabase();
+    });
+
+    /** Simulates the ApiHandler around a mutating call */
+    const audited = async ({ moduleName, fnName, data, token = superadminToken }, call) => {
+        const context = await auditManager.begin({ moduleName, fnName, data });
+        const result = await call();
+        await auditManager.record(context, { result, token, device });
+        return result;
+    };
+
+    describe('record', () => {
+        it('should record the changed fields of an update', async () => {
+            const school = await createTestSchool(deps.mongomodels.school);
+
+            await audited({
+                moduleName: 'school',
+                fnName: 'updateSchool',
+                data: { schoolId: school._id.toString() },
+            }, async () => {
+                const updated = await deps.mongomodels.school.findByIdAndUpdate(
+                    school._id, { name: 'Renamed School' }, { returnDocument: 'after' }
+                );
+                return { school: updated };
+            });
+
+            const entry = await deps.mongomodels.audit.findOne({ action: 'school.updateSchool' });
+            expect(entry.ok).toBe(true);
+            expect(entry.entityType).toBe('school');
+            expect(entry.entityId.toString()).toBe(school._id.toString());
+            expect(entry.actor.role).toBe('superadmin');
+            expect(entry.actor.userId.toString()).toBe(superadminToken.userId.toString());
+            expect(entry.ip).toBe('10.0.0.1');
+            expect(entry.userAgent).toBe('jest-agent');
+            expect(entry.changes).toEqual([{ field: 'name', before: 'Test School', after: 'Renamed School' }]);
+        });
+
+        it('should take the target of a create from its result', async () => {
+            let created;
+            await audited({ moduleName: 'school', fnName: 'createSchool', data: {} }, async () => {
+                created = await createTestSchool(deps.mongomodels.school, { name: 'New School' });
+                return { school: created };
+            });
+
+            const entry = await deps.mongomodels.audit.findOne({ action: 'school.createSchool' });
+            expect(entry.entityId.toString()).toBe(created._id.toString());
+            expect(entry.changes.find(c => c.field === 'name')).toEqual({ field: 'name', before: undefined, after: 'New School' });
+        });
+
+        it('should never record passwords', async () => {
+            let user;
+            await audited({
+                moduleName: 'user',
+                fnName: 'createUser',
+                data: { password: 'secret123' },
+            }, async () => {
+                user = await createTestUser(deps.mongomodels.user);
+                return { user };
+            });
+
+            const entry = await deps.mongomodels.audit.findOne({ action: 'user.createUser' }).lean();
+            expect(entry.changes.map(c => c.field)).toContain('username');
+            expect(entry.changes.map(c => c.field)).not.toContain('password');
+            expect(JSON.stringify(entry)).not.toContain(user.password);
+        });
+
+        it('should record failed calls without changes', async () => {
+            const school = await createTestSchool(deps.mongomodels.school);
+
+            await audited({
+                moduleName: 'school',
+                fnName: 'deleteSchool',
+                data: { schoolId: school._id.toString() },
+                token: createSchoolAdminToken(new mongoose.Types.ObjectId(), school._id),
+            }, async () => ({ error: 'Access denied', code: 403 }));
+
+            const entry = await deps.mongomodels.audit.findOne({ action: 'school.deleteSchool' });
+            expect(entry.ok).toBe(false);
+            expect(entry.code).toBe(403);
+            expect(entry.changes).toHaveLength(0);
+        });
+    });
+
+    describe('getAuditLogs', () => {
+        let school;
+        let otherActor;
+
+        beforeEach(async () => {
+            school = await createTestSchool(deps.mongomodels.school);
+            otherActor = createSchoolAdminToken(new mongoose.Types.ObjectId(), school._id);
+
+            await audited({ moduleName: 'school', fnName: 'updateSchool', data: { schoolId: school._id.toString() } },
+                async () => ({ school }));
+            await audited({ moduleName: 'classroom', fnName: 'createClassroom', data: {}, token: otherActor },
+                async () => ({ error: 'Validation failed', errors: [] }));
+        });
+
+        it('should deny non-superadmins', async () => {
+            const result = await auditManager.getAuditLogs({ __longToken: otherActor });
+
+            expect(result.code).toBe(403);
+        });
+
+        it('should return all entries newest first', async () => {
+            const result = await auditManager.getAuditLogs({ __longToken: superadminToken });
+
+            expect(result.logs).toHaveLength(2);
+            expect(result.logs[0].action).toBe('classroom.createClassroom');
+            expect(result.pagination.total).toBe(2);
+        });
+
+        it('should filter by actor', async () => {
+            const result = await auditManager.getAuditLogs({
+                actorId: otherActor.userId.toString(),
+                __longToken: superadminToken,
+            });
+
+            expect(result.logs).toHaveLength(1);
+            expect(result.logs[0].action).toBe('classroom.createClassroom');
+        });
+
+        it('should filter by entity', async () => {
+            const result = await auditManager.getAuditLogs({
+                entityType: 'school',
+                entityId: school._id.toString(),
+                __longToken: superadminToken,
+            });
+
+            expect(result.logs).toHaveLength(1);
+            expect(result.logs[0].action).toBe('school.updateSchool');
+        });
+
+        it('should filter by date range', async () => {
+            const future = new Date(Date.now() + 60 * 1000).toISOString();
+
+            const result = await auditManager.getAuditLogs({ from: future, __longToken: superadminToken });
+
+            expect(result.logs).toHaveLength(0);
+        });
+
+        it('should reject an invalid date range', async () => {
+            const result = await auditManager.getAuditLogs({ from: 'not-a-date', __longToken: superadminToken });
+
+            expect(result.code).toBe(400);
+        });
+    });
+});
@@ -3,9 +3,9 @@
  * 
  * Tests for Classroom.manager.js including:
  * - Classroom creation
- * - Classroom listing with filters
+ * - Classroom listing with filters, sorting and cursor pagination
  * - Classroom retrieval by ID
- * - Classroom update
+ * - Classroom update, deactivation included
  * - Classroom deletion (soft delete)
  */
 
@@ -17,8 +17,10 @@ const {
     createMockDependencies,
     createTestSchool,
     createTestClassroom,
+    createTestStudent,
     createSuperadminToken,
     createSchoolAdminToken,
+    withPolicies,
 } = require('../setup');
 
 const ClassroomManager = require('../../managers/entities/classroom/Classroom.manager');
@@ -32,7 +34,7 @@ describe('Classroom Manager', () => {
     beforeAll(async () => {
         await connect();
         deps = createMockDependencies();
-        classroomManager = new ClassroomManager(deps);
+        classroomManager = withPolicies(new ClassroomManager(deps), deps.mongomodels);
         superadminToken = createSuperadminToken();
     });
 
@@ -94,6 +96,47 @@ describe('Classroom Manager', () => {
             expect(result.code).toBe(403);
         });
 
+        it('should let an admin of several schools create a classroom in any of them', async () => {
+            const otherSchool = await createTestSchool(deps.mongomodels.school, { name: 'Other School' });
+            const schoolAdminToken = {
+                ...createSchoolAdminToken(new mongoose.Types.ObjectId(), testSchool._id),
+                memberships: [
+                    { schoolId: testSchool._id.toString(), role: 'school_admin' },
+                    { schoolId: otherSchool._id.toString(), role: 'school_admin' },
+                ],
+            };
+
+            const result = await classroomManager.createClassroom({
+                schoolId: otherSchool._id.toString(),
+                name: 'Class E',
+                capacity: 20,
+                __longToken: schoolAdminToken,
+            });
+
+            expect(result.error).toBeUndefined();
+            expect(result.classroom.schoolId.toString()).toBe(otherSchool._id.toString());
+        });
+
+        it('should not let a teacher membership grant admin access', async () => {
+            const otherSchool = await createTestSchool(deps.mongomodels.school, { name: 'Other School' });
+            const schoolAdminToken = {
+                ...createSchoolAdminToken(new mongoose.Types.ObjectId(), testSchool._id),
+                memberships: [
+                    { schoolId: testSchool._id.toString(), role: 'school_admin' },
+                    { schoolId: otherSchool._id.toString(), role: 'teacher' },
+                ],
+            };
+
+            const result = await classroomManager.createClassroom({
+                schoolId: otherSchool._id.toString(),
+                name: 'Class F',
+                capacity: 20,
+                __longToken: schoolAdminToken,
+            });
+
+            expect(result.code).toBe(403);
+        });
+
         it('should fail when superadmin does not specify schoolId', async () => {
             const result = await classroomManager.createClassroom({
                 name: 'Class D',
@@ -152,6 +195,7 @@ describe('Classroom Manager', () => {
             });
 
             expect(result.error).toBe('School not found');
+            expect(result.code).toBe(404);
         });
 
         it('should fail with validation errors for invalid capacity', async () => {
@@ -245,6 +289,51 @@ describe('Classroom Manager', () => {
             expect(result.classrooms.length).toBeGreaterThan(0);
             expect(result.classrooms.every(c => c.name.includes('Classroom 1'))).toBe(true);
         });
+
+        describe('sorting and cursors', () => {
+            const list = (params) => classroomManager.getClassrooms({
+                schoolId: testSchool._id.toString(),
+                sortBy: 'grade',
+                sortOrder: 'asc',
+                limit: 4,
+                __longToken: superadminToken,
+                ...params,
+            });
+
+            it('should walk classrooms sharing a grade by cursor without repeats', async () => {
+                const pages = [await list({})];
+                while (pages[pages.length - 1].pagination.nextCursor) {
+                    pages.push(await list({ after: pages[pages.length - 1].pagination.nextCursor }));
+                }
+
+                const walked = pages.flatMap(page => page.classrooms);
+                expect(pages).toHaveLength(4);
+                expect(walked.map(c => c.grade)).toEqual([...walked.map(c => c.grade)].sort());
+                expect(new Set(walked.map(c => c._id.toString())).size).toBe(15);
+
+                const back = await list({ before: pages[2].pagination.prevCursor });
+                expect(back.classrooms.map(c => c._id.toString())).toEqual(pages[1].classrooms.map(c => c._id.toString()));
+            });
+
+            it('should continue from a page in cursor mode', async () => {
+                const byName = { sortBy: 'name', sortOrder: 'desc' };
+                const second = await list({ ...byName, page: 2 });
+                const third = await list({ ...byName, page: 3 });
+
+                const next = await list({ ...byName, after: second.pagination.nextCursor });
+
+                expect(next.classrooms.map(c => c.name)).toEqual(third.classrooms.map(c => c.name));
+            });
+
+            it('should reject unknown sort fields and orders', async () => {
+                const unknownField = await list({ sortBy: 'section' });
+                expect(unknownField.code).toBe(400);
+                expect(unknownField.error).toBe('sortBy must be one of: createdAt, name, grade, capacity');
+
+                const unknownOrder = await list({ sortOrder: 'up' });
+                expect(unknownOrder.code).toBe(400);
+            });
+        });
     });
 
     describe('getClassroom', () => {
@@ -371,6 +460,42 @@ describe('Classroom Manager', () => {
 
             expect(result.error).toBe('Classroom not found');
         });
+
+        it('should cancel the waitlist of a deactivated classroom', async () => {
+            const createdBy = new mongoose.Types.ObjectId();
+            const waiting = await createTestStudent(deps.mongomodels.student, testSchool._id, createdBy);
+            await deps.mongomodels.waitlist.create({
+                schoolId: testSchool._id, classroomId: testClassroom._id, studentId: waiting._id, createdBy,
+            });
+
+            const result = await classroomManager.updateClassroom({
+                classroomId: testClassroom._id.toString(),
+                isActive: false,
+                __longToken: superadminToken,
+            });
+
+            expect(result.error).toBeUndefined();
+            expect(result.classroom.isActive).toBe(false);
+            const entry = await deps.mongomodels.waitlist.findOne({ studentId: waiting._id });
+            expect(entry.status).toBe('cancelled');
+        });
+
+        it('should not deactivate a classroom with active students', async () => {
+            await createTestStudent(deps.mongomodels.student, testSchool._id, new mongoose.Types.ObjectId(), {
+                classroomId: testClassroom._id,
+            });
+
+            const result = await classroomManager.updateClassroom({
+                classroomId: testClassroom._id.toString(),
+                isActive: false,
+                __longToken: superadminToken,
+            });
+
+            expect(result.code).toBe(409);
+            expect(result.activeStudents).toBe(1);
+            const classroom = await deps.mongomodels.classroom.findById(testClassroom._id);
+            expect(classroom.isActive).toBe(true);
+        });
     });
 
     describe('deleteClassroom', () => {
@@ -0,0 +1,233 @@
+/**
+ * Gradebook Manager Unit Tests
+ *
+ * Tests for Gradebook.manager.js including:
+ * - Subjects and assessments
+ * - Bulk score entry
+ * - Weighted term averages
+ * - Report cards
+ */
+
+const mongoose = require('mongoose');
+const {
+    connect,
+    closeDatabase,
+    clearDatabase,
+    createMockDependencies,
+    createTestSchool,
+    createTestClassroom,
+    createTestStudent,
+    createTestAcademicYear,
+    createSuperadminToken,
+    createSchoolAdminToken,
+    withPolicies,
+} = require('../setup');
+
+const GradebookManager = require('../../managers/entities/gradebook/Gradebook.manager');
+
+describe('Gradebook Manager', () => {
+    let gradebookManager;
+    let deps;
+    let superadminToken;
+    let testSchool;
+    let testClassroom;
+    let student;
+
+    beforeAll(async () => {
+        await connect();
+        deps = createMockDependencies();
+        gradebookManager = withPolicies(new GradebookManager(deps), deps.mongomodels);
+        superadminToken = createSuperadminToken();
+    });
+
+    afterAll(async () => {
+        await closeDatabase();
+    });
+
+    beforeEach(async () => {
+        await clearDatabase();
+        const createdBy = new mongoose.Types.ObjectId();
+        testSchool = await createTestSchool(deps.mongomodels.school);
+        testClassroom = await createTestClassroom(deps.mongomodels.classroom, testSchool._id, createdBy);
+        student = await createTestStudent(deps.mongomodels.student, testSchool._id, createdBy, {
+            classroomId: testClassroom._id,
+        });
+    });
+
+    const createSubject = async (name = 'Mathematics') => {
+        const result = await gradebookManager.createSubject({
+            classroomId: testClassroom._id.toString(),
+            name,
+            __longToken: superadminToken,
+        });
+        return result.subject;
+    };
+
+    const createAssessment = async (subject, overrides = {}) => {
+        const result = await gradebookManager.createAssessment({
+            subjectId: subject._id.toString(),
+            name: 'Midterm',
+            type: 'exam',
+            maxScore: 100,
+            weight: 50,
+            __longToken: superadminToken,
+            ...overrides,
+        });
+        return result.assessment;
+    };
+
+    describe('createSubject', () => {
+        it('should fail with duplicate subject in a classroom', async () => {
+            await createSubject();
+
+            const result = await gradebookManager.createSubject({
+                classroomId: testClassroom._id.toString(),
+                name: 'Mathematics',
+                __longToken: superadminToken,
+            });
+
+            expect(result.code).toBe(409);
+        });
+
+        it('should fail when school_admin adds a subject in a different school', async () => {
+            const schoolAdminToken = createSchoolAdminToken(new mongoose.Types.ObjectId(), new mongoose.Types.ObjectId());
+
+            const result = await gradebookManager.createSubject({
+                classroomId: testClassroom._id.toString(),
+                name: 'Mathematics',
+                __longToken: schoolAdminToken,
+            });
+
+            expect(result.errorCode).toBe('FORBIDDEN');
+        });
+    });
+
+    describe('createAssessment', () => {
+        it('should reject a term outside the classroom\'s academic year', async () => {
+            const year = await createTestAcademicYear(deps.mongomodels.academicYear, testSchool._id, new mongoose.Types.ObjectId(), {
+                terms: [{ name: 'Fall', startDate: new Date('2024-09-01'), endDate: new Date('2024-12-20') }],
+            });
+            testClassroom.academicYearId = year._id;
+            await testClassroom.save();
+            const subject = await createSubject();
+
+            const result = await gradebookManager.createAssessment({
+                subjectId: subject._id.toString(),
+                name: 'Midterm',
+                type: 'exam',
+                maxScore: 100,
+                weight: 50,
+                term: 'Summer',
+                __longToken: superadminToken,
+            });
+
+            expect(result.error).toBe('Term Summer is not part of academic year 2024-2025');
+        });
+
+        it('should infer the term from the date', async () => {
+            const year = await createTestAcademicYear(deps.mongomodels.academicYear, testSchool._id, new mongoose.Types.ObjectId(), {
+                terms: [{ name: 'Fall', startDate: new Date('2024-09-01'), endDate: new Date('2024-12-20') }],
+            });
+            testClassroom.academicYearId = year._id;
+            await testClassroom.save();
+            const subject = await createSubject();
+
+            const assessment = await createAssessment(subject, { date: '2024-10-15' });
+
+            expect(assessment.term).toBe('Fall');
+        });
+    });
+
+    describe('enterScores', () => {
+        it('should enter scores in bulk and overwrite existing ones', async () => {
+            const subject = await createSubject();
+            const assessment = await createAssessment(subject);
+
+            await gradebookManager.enterScores({
+                assessmentId: assessment._id.toString(),
+                scores: [{ studentId: student._id.toString(), score: 60 }],
+                __longToken: superadminToken,
+            });
+            const result = await gradebookManager.enterScores({
+                assessmentId: assessment._id.toString(),
+                scores: [{ studentId: student._id.toString(), score: 75, remarks: 'Regraded' }],
+                __longToken: superadminToken,
+            });
+
+            expect(result.graded).toBe(1);
+            const scores = await deps.mongomodels.score.find({ studentId: student._id });
+            expect(scores).toHaveLength(1);
+            expect(scores[0].score).toBe(75);
+        });
+
+        it('should reject scores above the max score', async () => {
+            const subject = await createSubject();
+            const assessment = await createAssessment(subject);
+
+            const result = await gradebookManager.enterScores({
+                assessmentId: assessment._id.toString(),
+                scores: [{ studentId: student._id.toString(), score: 120 }],
+                __longToken: superadminToken,
+            });
+
+            expect(result.code).toBe(400);
+            expect(result.invalidScores).toHaveLength(1);
+        });
+    });
+
+    describe('averages and report card', () => {
+        beforeEach(async () => {
+            const math = await createSubject('Mathematics');
+            const science = await createSubject('Science');
+            const exam = await createAssessment(math, { name: 'Final', weight: 60 });
+            const quiz = await createAssessment(math, { name: 'Quiz 1', type: 'quiz', maxScore: 20, weight: 40 });
+            const lab = await createAssessment(science, { name: 'Lab', type: 'assignment', weight: 100 });
+
+            for (const [assessment, score] of [[exam, 80], [quiz, 10], [lab, 90]]) {
+                await gradebookManager.enterScores({
+                    assessmentId: assessment._id.toString(),
+                    scores: [{ studentId: student._id.toString(), score }],
+                    __longToken: superadminToken,
+                });
+            }
+        });
+
+        it('should compute weighted averages per subject', async () => {
+            const result = await gradebookManager.getTermAverages({
+                classroomId: testClassroom._id.toString(),
+                __longToken: superadminToken,
+            });
+
+            expect(result.error).toBeUndefined();
+            const [entry] = result.averages;
+            const math = entry.subjects.find(s => s.name === 'Mathematics');
+            // 0.8 * 60 + 0.5 * 40 = 68
+            expect(math.average).toBe(68);
+            expect(entry.average).toBe(79);
+        });
+
+        it('should build the report card of a student', async () => {
+            const result = await gradebookManager.getReportCard({
+                studentId: student._id.toString(),
+                __longToken: superadminToken,
+            });
+
+            expect(result.error).toBeUndefined();
+            expect(result.reportCard.student.firstName).toBe('John');
+            expect(result.reportCard.subjects).toHaveLength(2);
+            expect(result.reportCard.subjects[0].assessments).toHaveLength(2);
+            expect(result.reportCard.average).toBe(79);
+        });
+
+        it('should deny the report card to a school_admin of another school', async () => {
+            const schoolAdminToken = createSchoolAdminToken(new mongoose.Types.ObjectId(), new mongoose.Types.ObjectId());
+
+            const result = await gradebookManager.getReportCard({
+                studentId: student._id.toString(),
+                __longToken: schoolAdminToken,
+            });
+
+            expect(result.code).toBe(403);
+        });
+    });
+});
@@ -0,0 +1,149 @@
+/**
+ * Keyring Helper Unit Tests
+ *
+ * Tests for keyring.helper.js including:
+ * - Key IDs in token headers
+ * - Secret rotation and tokens signed before key IDs
+ * - RS256 and EdDSA signing, switching from secrets to key pairs
+ * - Published JWKS
+ */
+
+const crypto = require('crypto');
+const jwt = require('jsonwebtoken');
+const { Keyring } = require('../../managers/_common/keyring.helper');
+
+const pemPair = (type, options) => {
+    const { privateKey, publicKey } = crypto.generateKeyPairSync(type, {
+        ...options,
+        privateKeyEncoding: { type: 'pkcs8', format: 'pem' },
+        publicKeyEncoding: { type: 'spki', format: 'pem' },
+    });
+    return { privateKey, publicKey };
+};
+
+describe('Keyring Helper', () => {
+    const rsa = pemPair('rsa', { modulusLength: 2048 });
+    const ed25519 = pemPair('ed25519');
+
+    describe('secrets', () => {
+        it('should name the signing key in the token header', () => {
+            const keyring = new Keyring({ secret: 'current-secret' });
+
+            const token = keyring.sign({ userId: 'u1' }, { expiresIn: '15m' });
+
+            const { header } = jwt.decode(token, { complete: true });
+            expect(header.alg).toBe('HS256');
+            expect(header.kid).toBe(keyring.current.kid);
+            expect(keyring.verify(token).userId).toBe('u1');
+        });
+
+        it('should keep accepting tokens of a rotated secret until it is dropped', () => {
+            const token = new Keyring({ secret: 'old-secret' }).sign({ userId: 'u1' });
+
+            const rotated = new Keyring({ secret: 'new-secret', previousSecrets: ['old-secret'] });
+            expect(rotated.verify(token).userId).toBe('u1');
+            expect(jwt.decode(rotated.sign({ userId: 'u1' }), { complete: true }).header.kid).toBe(rotated.current.kid);
+
+            const dropped = new Keyring({ secret: 'new-secret' });
+            expect(() => dropped.verify(token)).toThrow('unknown signing key');
+        });
+
+        it('should accept tokens signed before key IDs were used', () => {
+            const legacy = jwt.sign({ userId: 'u1' }, 'old-secret');
+
+            const keyring = new Keyring({ secret: 'new-secret', previousSecrets: ['old-secret'] });
+
+            expect(keyring.verify(legacy).userId).toBe('u1');
+            expect(() => new Keyring({ secret: 'new-secret' }).verify(legacy)).toThrow('invalid signature');
+        });
+
+        it('should refuse expired tokens', () => {
+            const keyring = new Keyring({ secret: 'current-secret' });
+
+            const token = keyring.sign({ userId: 'u1', exp: Math.floor(Date.now() / 1000) - 10 });
+
+            expect(() => keyring.verify(token)).toThrow('jwt expired');
+        });
+
+        it('should require a signing key', () => {
+            expect(() => new Keyring({})).toThrow('missing HS256 signing key');
+            expect(() => new Keyring({ algorithm: 'RS256', secret: 'current-secret' })).toThrow('missing RS256 signing key');
+            expect(() => new Keyring({ algorithm: 'none', secret: 'current-secret' })).toThrow('unsupported token algorithm none');
+        });
+    });
+
+    describe('key pairs', () => {
+        it.each([
+            ['RS256', rsa],
+            ['EdDSA', ed25519],
+        ])('should sign and verify with %s', (algorithm, pair) => {
+            const keyring = new Keyring({ algorithm, privateKey: pair.privateKey });
+
+            const token = keyring.sign({ userId: 'u1' }, { expiresIn: '15m' });
+
+            const { header, payload } = jwt.decode(token, { complete: true });
+            expect(header.alg).toBe(algorithm);
+            expect(payload.exp - payload.iat).toBe(15 * 60);
+            expect(keyring.verify(token).userId).toBe('u1');
+
+            const verifier = new Keyring({ secret: 'unused', previousPublicKeys: [pair.publicKey] });
+            expect(verifier.verify(token).userId).toBe('u1');
+        });
+
+        it('should refuse tampered and expired EdDSA tokens', () => {
+            const keyring = new Keyring({ algorithm: 'EdDSA', privateKey: ed25519.privateKey });
+            const [header, , signature] = keyring.sign({ role: 'teacher' }).split('.');
+            const forged = Buffer.from(JSON.stringify({ role: 'superadmin' })).toString('base64url');
+
+            expect(() => keyring.verify(`${header}.${forged}.${signature}`)).toThrow('invalid signature');
+            expect(() => keyring.verify(keyring.sign({ exp: Math.floor(Date.now() / 1000) - 10 }))).toThrow('jwt expired');
+        });
+
+        it('should keep accepting secret-signed tokens after switching to a key pair', () => {
+            const token = new Keyring({ secret: 'current-secret' }).sign({ userId: 'u1' });
+
+            const keyring = new Keyring({ algorithm: 'RS256', privateKey: rsa.privateKey, secret: 'current-secret' });
+
+            expect(keyring.verify(token).userId).toBe('u1');
+            expect(jwt.decode(keyring.sign({ userId: 'u1' }), { complete: true }).header.alg).toBe('RS256');
+        });
+
+        it('should refuse a token whose algorithm does not match its key', () => {
+            const keyring = new Keyring({ algorithm: 'RS256', privateKey: rsa.privateKey });
+            /** the public key used as an HMAC secret, the classic algorithm confusion */
+            const forged = jwt.sign({ role: 'superadmin' }, keyring.current.verifyingKey, { keyid: keyring.current.kid });
+
+            expect(() => keyring.verify(forged)).toThrow('invalid algorithm');
+        });
+
+        it('should read PEM keys with escaped newlines from the environment', () => {
+            const keyring = Keyring.fromEnv({
+                TOKEN_ALGORITHM: 'EdDSA',
+                LONG_TOKEN_PRIVATE_KEY: ed25519.privateKey.replace(/\n/g, '\\n'),
+                LONG_TOKEN_PREVIOUS_PUBLIC_KEYS: rsa.publicKey,
+                LONG_TOKEN_PREVIOUS_SECRETS: 'old-one, old-two',
+            }, 'LONG_TOKEN');
+
+            expect(keyring.current.alg).toBe('EdDSA');
+            expect(keyring.keys.map(key => key.alg)).toEqual(['HS256', 'HS256', 'EdDSA', 'RS256']);
+        });
+    });
+
+    describe('jwks', () => {
+        it('should publish public keys only', () => {
+            const keyring = new Keyring({
+                algorithm: 'EdDSA',
+                privateKey: ed25519.privateKey,
+                previousPublicKeys: [rsa.publicKey],
+                secret: 'current-secret',
+            });
+
+            const keys = keyring.jwks();
+
+            expect(keys.map(key => key.alg)).toEqual(['EdDSA', 'RS256']);
+            expect(keys[0]).toMatchObject({ kty: 'OKP', crv: 'Ed25519', use: 'sig', kid: keyring.current.kid });
+            expect(keys[0].d).toBeUndefined();
+            expect(JSON.stringify(keys)).not.toContain('current-secret');
+        });
+    });
+});
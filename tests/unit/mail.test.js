@@ -0,0 +1,92 @@
+/**
+ * Mail Manager Unit Tests
+ *
+ * Tests for Mail.manager.js and its transports including:
+ * - Transport selection from config, smtp only in production
+ * - File transport output
+ * - Delivery failures never thrown
+ */
+
+const fs = require('fs');
+const os = require('os');
+const path = require('path');
+
+const MailManager = require('../../managers/mail/Mail.manager');
+
+describe('Mail Manager', () => {
+    let dir;
+
+    beforeEach(async () => {
+        dir = await fs.promises.mkdtemp(path.join(os.tmpdir(), 'mail-test-'));
+    });
+
+    afterEach(async () => {
+        await fs.promises.rm(dir, { recursive: true, force: true });
+    });
+
+    it('should write messages to the file transport directory', async () => {
+        const mail = new MailManager({
+            config: { dotEnv: { MAIL_TRANSPORT: 'file', MAIL_DIR: dir, MAIL_FROM: 'school@test.com' } },
+        });
+
+        const sent = await mail.send({ to: 'admin@test.com', subject: 'Hello', text: 'Body' });
+
+        const files = await fs.promises.readdir(dir);
+        const message = JSON.parse(await fs.promises.readFile(path.join(dir, files[0]), 'utf8'));
+        expect(sent).toBe(true);
+        expect(files).toHaveLength(1);
+        expect(message).toMatchObject({ from: 'school@test.com', to: 'admin@test.com', subject: 'Hello', text: 'Body' });
+    });
+
+    it('should use the console transport by default', () => {
+        const mail = new MailManager({ config: { dotEnv: {} } });
+
+        expect(mail.transport.name).toBe('console');
+    });
+
+    it('should refuse to start without smtp in production', () => {
+        expect(() => new MailManager({ config: { dotEnv: { ENV: 'production' } } })).toThrow('production needs MAIL_TRANSPORT=smtp');
+        expect(() => new MailManager({
+            config: { dotEnv: { ENV: 'production', MAIL_TRANSPORT: 'console' } },
+        })).toThrow('production needs MAIL_TRANSPORT=smtp');
+
+        const mail = new MailManager({
+            config: { dotEnv: { ENV: 'production', MAIL_TRANSPORT: 'smtp', SMTP_HOST: 'smtp.test.com' } },
+        });
+        expect(mail.transport.name).toBe('smtp');
+    });
+
+    it('should build the smtp transport from config', () => {
+        const mail = new MailManager({
+            config: { dotEnv: { MAIL_TRANSPORT: 'smtp', SMTP_HOST: 'smtp.test.com', SMTP_PORT: '2525' } },
+        });
+
+        expect(mail.transport.name).toBe('smtp');
+    });
+
+    it('should reject an unknown transport', () => {
+        expect(() => new MailManager({ config: { dotEnv: { MAIL_TRANSPORT: 'pigeon' } } })).toThrow('unknown mail transport pigeon');
+    });
+
+    it('should report delivery failures instead of throwing', async () => {
+        const transport = { name: 'broken', send: jest.fn(async () => { throw new Error('connection refused'); }) };
+        const mail = new MailManager({ config: { dotEnv: {} }, transport });
+        jest.spyOn(console, 'log').mockImplementation(() => {});
+
+        const sent = await mail.send({ to: 'admin@test.com', subject: 'Hello', text: 'Body' });
+
+        expect(sent).toBe(false);
+        console.log.mockRestore();
+    });
+
+    it('should link to the app in password reset messages', async () => {
+        const transport = { name: 'memory', send: jest.fn(async () => {}) };
+        const mail = new MailManager({ config: { dotEnv: { APP_URL: 'https://school.test' } }, transport });
+
+        await mail.sendPasswordReset({ user: { username: 'admin', email: 'admin@test.com' }, token: 'abc', ttlMinutes: 60 });
+
+        const message = transport.send.mock.calls[0][0];
+        expect(message.to).toBe('admin@test.com');
+        expect(message.text).toContain('https://school.test/reset-password?token=abc');
+    });
+});
@@ -0,0 +1,86 @@
+/**
+ * MFA Helper Unit Tests
+ *
+ * Tests for mfa.helper.js including:
+ * - Base32 secrets
+ * - TOTP codes (RFC 6238 test vectors) and clock drift
+ * - Provisioning URIs
+ * - Recovery codes
+ */
+
+const {
+    base32Encode,
+    base32Decode,
+    generateSecret,
+    otpauthUrl,
+    totp,
+    verifyTotp,
+    generateRecoveryCodes,
+    hashRecoveryCode,
+} = require('../../managers/_common/mfa.helper');
+
+describe('MFA Helper', () => {
+    // The RFC 6238 SHA1 secret, "12345678901234567890"
+    const secret = base32Encode(Buffer.from('12345678901234567890'));
+
+    describe('base32', () => {
+        it('should round-trip bytes', () => {
+            expect(secret).toBe('GEZDGNBVGY3TQOJQGEZDGNBVGY3TQOJQ');
+            expect(base32Decode(secret.toLowerCase()).toString()).toBe('12345678901234567890');
+        });
+
+        it('should generate 160-bit secrets', () => {
+            expect(base32Decode(generateSecret())).toHaveLength(20);
+        });
+    });
+
+    describe('totp', () => {
+        it.each([
+            [59, '287082'],
+            [1111111109, '081804'],
+            [1234567890, '005924'],
+            [20000000000, '353130'],
+        ])('should match the RFC 6238 code at %i', (seconds, code) => {
+            expect(totp({ secret, at: seconds * 1000 })).toBe(code);
+        });
+
+        it('should accept codes of the neighbouring steps only', () => {
+            const at = 1111111109 * 1000;
+
+            expect(verifyTotp({ secret, code: '081804', at: at + 30 * 1000 })).toBe(37037036);
+            expect(verifyTotp({ secret, code: '081804', at: at + 90 * 1000 })).toBeNull();
+        });
+
+        it('should refuse malformed codes', () => {
+            expect(verifyTotp({ secret, code: 'abcdef' })).toBeNull();
+            expect(verifyTotp({ secret, code: '12345' })).toBeNull();
+            expect(verifyTotp({ secret })).toBeNull();
+        });
+    });
+
+    describe('otpauthUrl', () => {
+        it('should build a provisioning URI for authenticator apps', () => {
+            const url = new URL(otpauthUrl({ secret, account: 'admin@test.com', issuer: 'School Management' }));
+
+            expect(url.protocol).toBe('otpauth:');
+            expect(url.host).toBe('totp');
+            expect(decodeURIComponent(url.pathname)).toBe('/School Management:admin@test.com');
+            expect(url.searchParams.get('secret')).toBe(secret);
+            expect(url.searchParams.get('issuer')).toBe('School Management');
+        });
+    });
+
+    describe('recovery codes', () => {
+        it('should generate distinct formatted codes', () => {
+            const codes = generateRecoveryCodes(10);
+
+            expect(codes).toHaveLength(10);
+            expect(new Set(codes).size).toBe(10);
+            codes.forEach(code => expect(code).toMatch(/^[a-z2-9]{5}-[a-z2-9]{5}$/));
+        });
+
+        it('should hash codes regardless of case and dash', () => {
+            expect(hashRecoveryCode('ABCDE-fghjk')).toBe(hashRecoveryCode('abcdefghjk'));
+        });
+    });
+});
@@ -0,0 +1,164 @@
+/**
+ * Policy Helper Unit Tests
+ *
+ * Tests for policy.helper.js including:
+ * - Public and authenticated policies
+ * - Role policies without a school
+ * - School resolved from params, documents and lists of sources
+ * - Missing policies refused by the ApiHandler
+ * - API keys limited to their scopes
+ */
+
+const mongoose = require('mongoose');
+const { authorize } = require('../../managers/_common/policy.helper');
+const ApiHandler = require('../../managers/api/Api.manager');
+
+/**
+ * Mongo model stand-in answering findById(...).select(...).lean()
+ */
+const createMockModel = (docs) => ({
+    findById: (id) => ({
+        select: () => ({ lean: async () => docs[id] || null }),
+    }),
+});
+
+describe('Policy Helper', () => {
+    const schoolId = new mongoose.Types.ObjectId().toString();
+    const otherSchoolId = new mongoose.Types.ObjectId().toString();
+    const classroomId = new mongoose.Types.ObjectId().toString();
+    const mongomodels = {
+        classroom: createMockModel({ [classroomId]: { schoolId } }),
+    };
+
+    const superadmin = { userId: 'u1', role: 'superadmin', schoolId: null };
+    const schoolAdmin = { userId: 'u2', role: 'school_admin', schoolId };
+    const teacher = { userId: 'u3', role: 'teacher', schoolId };
+    const otherAdmin = { userId: 'u4', role: 'school_admin', schoolId: otherSchoolId };
+
+    describe('public and authenticated', () => {
+        it('should let anyone call a public method', async () => {
+            expect(await authorize({ policy: 'public', data: {}, mongomodels })).toBeNull();
+        });
+
+        it('should require a token for authenticated methods', async () => {
+            const result = await authorize({ policy: 'authenticated', data: {}, mongomodels });
+
+            expect(result.code).toBe(401);
+            expect(await authorize({ policy: 'authenticated', token: teacher, data: {}, mongomodels })).toBeNull();
+        });
+    });
+
+    describe('roles', () => {
+        const policy = { roles: ['superadmin'], message: 'Access denied. Only superadmins can manage schools.' };
+
+        it('should allow superadmins', async () => {
+            expect(await authorize({ policy, token: superadmin, data: {}, mongomodels })).toBeNull();
+        });
+
+        it('should deny other roles with the policy message', async () => {
+            const result = await authorize({ policy, token: schoolAdmin, data: {}, mongomodels });
+
+            expect(result.code).toBe(403);
+            expect(result.error).toBe('Access denied. Only superadmins can manage schools.');
+        });
+    });
+
+    describe('school from a param', () => {
+        const policy = { roles: ['school_admin'], school: 'schoolId' };
+
+        it('should allow a member of the requested school', async () => {
+            expect(await authorize({ policy, token: schoolAdmin, data: { schoolId }, mongomodels })).toBeNull();
+        });
+
+        it('should default to the active school', async () => {
+            expect(await authorize({ policy, token: schoolAdmin, data: {}, mongomodels })).toBeNull();
+        });
+
+        it('should deny an admin of another school', async () => {
+            const result = await authorize({ policy, token: otherAdmin, data: { schoolId }, mongomodels });
+
+            expect(result.code).toBe(403);
+            expect(result.error).toBe('Access denied. You can only access your assigned school.');
+        });
+
+        it('should deny a role the policy does not allow', async () => {
+            const result = await authorize({ policy, token: teacher, data: { schoolId }, mongomodels });
+
+            expect(result.code).toBe(403);
+            expect(result.error).toBe('Access denied.');
+        });
+
+        it('should read the query string of exports', async () => {
+            const result = await authorize({ policy, token: otherAdmin, data: { __query: { schoolId } }, mongomodels });
+
+            expect(result.code).toBe(403);
+        });
+    });
+
+    describe('school from a document', () => {
+        const policy = { roles: ['school_admin', 'teacher'], school: { model: 'classroom', id: 'classroomId' } };
+
+        it('should allow members of the document school', async () => {
+            expect(await authorize({ policy, token: teacher, data: { classroomId }, mongomodels })).toBeNull();
+        });
+
+        it('should deny members of another school', async () => {
+            const result = await authorize({ policy, token: otherAdmin, data: { classroomId }, mongomodels });
+
+            expect(result.code).toBe(403);
+        });
+
+        it('should leave unknown documents to the manager', async () => {
+            const missing = new mongoose.Types.ObjectId().toString();
+
+            expect(await authorize({ policy, token: otherAdmin, data: { classroomId: missing }, mongomodels })).toBeNull();
+            expect(await authorize({ policy, token: otherAdmin, data: { classroomId: 'invalid' }, mongomodels })).toBeNull();
+        });
+    });
+
+    describe('school from a list of sources', () => {
+        const policy = { roles: ['school_admin'], school: [{ model: 'classroom', id: 'classroomId' }, 'schoolId'] };
+
+        it('should use the first source that was sent', async () => {
+            const result = await authorize({ policy, token: otherAdmin, data: { classroomId }, mongomodels });
+
+            expect(result.code).toBe(403);
+        });
+
+        it('should fall back to the last source', async () => {
+            expect(await authorize({ policy, token: otherAdmin, data: {}, mongomodels })).toBeNull();
+        });
+    });
+
+    describe('ApiHandler', () => {
+        it('should refuse exposed methods without a policy', () => {
+            const managers = {
+                mwsExec: {},
+                widget: { httpExposed: ['getWidget'], policies: {}, getWidget() {} },
+            };
+
+            expect(() => new ApiHandler({ managers, mwsRepo: {}, prop: 'httpExposed' }))
+                .toThrow('Missing policy for widget.getWidget');
+        });
+
+        it('should limit API keys to their scopes', async () => {
+            const managers = {
+                mwsExec: {},
+                widget: {
+                    httpExposed: ['getWidget', 'deleteWidget'],
+                    policies: { getWidget: 'authenticated', deleteWidget: 'authenticated' },
+                    getWidget() {},
+                    deleteWidget() {},
+                },
+            };
+            const handler = new ApiHandler({ managers, mongomodels, cortex: { sub() {} }, mwsRepo: {}, prop: 'httpExposed' });
+            const token = { ...schoolAdmin, apiKeyId: 'k1', scopes: ['widget.getWidget'] };
+
+            expect(await handler._authorize({ moduleName: 'widget', fnName: 'getWidget', token, data: {} })).toBeNull();
+
+            const denied = await handler._authorize({ moduleName: 'widget', fnName: 'deleteWidget', token, data: {} });
+            expect(denied.code).toBe(403);
+            expect(denied.error).toBe('This API key is not allowed to call widget.deleteWidget');
+        });
+    });
+});
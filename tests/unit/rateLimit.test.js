@@ -0,0 +1,140 @@
+/**
+ * Rate Limit Helper Unit Tests
+ *
+ * Tests for rateLimit.helper.js including:
+ * - Per-IP limit with RateLimit-* headers
+ * - Stricter login limit
+ * - Per-user limit keyed on the token
+ * - 429 through the ResponseDispatcher
+ * - Client addresses behind trusted proxies, also for the device middleware
+ */
+
+const express = require('express');
+const request = require('supertest');
+const { createRateLimiters, trustProxyOf } = require('../../managers/_common/rateLimit.helper');
+const ResponseDispatcher = require('../../managers/response_dispatcher/ResponseDispatcher.manager');
+const TokenManager = require('../../managers/token/Token.manager');
+const deviceMw = require('../../mws/__device.mw');
+
+/**
+ * In-memory stand-in for the cache's redis counters
+ */
+const createMockCache = () => {
+    const counters = new Map();
+    return {
+        counters,
+        key: {
+            incr: jest.fn(async ({ key, ttl }) => {
+                const count = (counters.get(key) || 0) + 1;
+                counters.set(key, count);
+                return { count, ttl };
+            }),
+            decr: jest.fn(async ({ key }) => counters.set(key, counters.get(key) - 1)),
+            delete: jest.fn(async ({ key }) => counters.delete(key)),
+        },
+    };
+};
+
+describe('Rate Limit Helper', () => {
+    let app;
+    let cache;
+    let tokenManager;
+
+    beforeEach(() => {
+        cache = createMockCache();
+        tokenManager = new TokenManager({
+            config: { dotEnv: { LONG_TOKEN_SECRET: 'test-long-secret', SHORT_TOKEN_SECRET: 'test-short-secret' } },
+        });
+        const limiters = createRateLimiters({
+            config: { rateLimiting: { windowMs: 60 * 1000, max: 3, loginMax: 1 } },
+            cache,
+            managers: { token: tokenManager, responseDispatcher: new ResponseDispatcher() },
+        });
+
+        app = express();
+        app.use('/api/user/login', limiters.login);
+        app.use('/api', limiters.ip, limiters.user);
+        app.all('/api/:moduleName/:fnName', (req, res) => res.send({ ok: true }));
+    });
+
+    it('should send RateLimit headers', async () => {
+        const res = await request(app).get('/api/school/getSchools');
+
+        expect(res.status).toBe(200);
+        expect(res.headers['ratelimit-limit']).toBe('3');
+        expect(res.headers['ratelimit-remaining']).toBe('2');
+        expect(res.headers['ratelimit-reset']).toBeDefined();
+    });
+
+    it('should answer 429 through the response dispatcher once the IP limit is reached', async () => {
+        for (let i = 0; i < 3; i++) {
+            await request(app).get('/api/school/getSchools');
+        }
+
+        const res = await request(app).get('/api/school/getSchools');
+
+        expect(res.status).toBe(429);
+        expect(res.body.ok).toBe(false);
+        expect(res.body.errorCode).toBe('RATE_LIMITED');
+    });
+
+    it('should apply the stricter login limit', async () => {
+        await request(app).post('/api/user/login');
+
+        const res = await request(app).post('/api/user/login');
+
+        expect(res.status).toBe(429);
+    });
+
+    it('should count authenticated calls per user', async () => {
+        const token = tokenManager.genLongToken({ userId: 'user-1', role: 'superadmin', sessionId: 'session-1' });
+
+        await request(app).get('/api/school/getSchools').set('token', token);
+
+        expect(cache.counters.get('rl:user:user-1')).toBe(1);
+    });
+
+    it('should not count forged tokens per user', async () => {
+        await request(app).get('/api/school/getSchools').set('token', 'forged');
+
+        expect([...cache.counters.keys()].some(key => key.startsWith('rl:user:'))).toBe(false);
+    });
+
+    it('should ignore X-Forwarded-For unless a proxy is trusted', async () => {
+        await request(app).get('/api/school/getSchools').set('X-Forwarded-For', '203.0.113.1');
+        await request(app).get('/api/school/getSchools').set('X-Forwarded-For', '203.0.113.2');
+
+        expect([...cache.counters.keys()].filter(key => key.startsWith('rl:ip:'))).toHaveLength(1);
+    });
+
+    it('should count clients behind a trusted proxy apart', async () => {
+        app.set('trust proxy', trustProxyOf('1'));
+
+        await request(app).get('/api/school/getSchools').set('X-Forwarded-For', '203.0.113.1');
+        await request(app).get('/api/school/getSchools').set('X-Forwarded-For', '203.0.113.2');
+
+        expect(cache.counters.get('rl:ip:203.0.113.1')).toBe(1);
+        expect(cache.counters.get('rl:ip:203.0.113.2')).toBe(1);
+    });
+
+    it('should give the device middleware the address the limiters count', async () => {
+        const device = deviceMw({});
+        const deviceApp = express();
+        deviceApp.get('/device', (req, res) => device({ req, res, next: (d) => res.send({ ip: d.ip }) }));
+
+        const spoofed = await request(deviceApp).get('/device').set('X-Forwarded-For', '203.0.113.1').set('X-Client-IP', '203.0.113.2');
+        deviceApp.set('trust proxy', trustProxyOf('1'));
+        const forwarded = await request(deviceApp).get('/device').set('X-Forwarded-For', '203.0.113.1');
+
+        expect(spoofed.body.ip).not.toMatch(/^203\.0\.113/);
+        expect(forwarded.body.ip).toBe('203.0.113.1');
+    });
+
+    it('should read the trust proxy setting', () => {
+        expect(trustProxyOf(undefined)).toBe(false);
+        expect(trustProxyOf('false')).toBe(false);
+        expect(trustProxyOf('true')).toBe(true);
+        expect(trustProxyOf('2')).toBe(2);
+        expect(trustProxyOf('loopback, 10.0.0.0/8')).toBe('loopback, 10.0.0.0/8');
+    });
+});
@@ -0,0 +1,161 @@
+/**
+ * Response Dispatcher Unit Tests
+ *
+ * Tests for ResponseDispatcher.manager.js and the typed errors helper including:
+ * - Status code mapping
+ * - Machine-readable errorCode on failures
+ * - Typed error builders
+ * - Error details reaching the response body
+ */
+
+const ResponseDispatcher = require('../../managers/response_dispatcher/ResponseDispatcher.manager');
+const ApiHandler = require('../../managers/api/Api.manager');
+const VirtualStack = require('../../managers/virtual_stack/VirtualStack.manager');
+const errors = require('../../managers/_common/errors.helper');
+
+/**
+ * Minimal express response stub
+ */
+const createMockResponse = () => {
+    const res = {};
+    res.status = jest.fn((code) => {
+        res.statusCode = code;
+        return res;
+    });
+    res.send = jest.fn((body) => {
+        res.body = body;
+        return res;
+    });
+    return res;
+};
+
+describe('Response Dispatcher', () => {
+    let dispatcher;
+
+    beforeEach(() => {
+        dispatcher = new ResponseDispatcher();
+    });
+
+    describe('dispatch', () => {
+        it('should send 200 without errorCode on success', () => {
+            const res = createMockResponse();
+            dispatcher.dispatch(res, { ok: true, data: { id: 1 } });
+
+            expect(res.statusCode).toBe(200);
+            expect(res.body.ok).toBe(true);
+            expect(res.body.data).toEqual({ id: 1 });
+            expect(res.body.errorCode).toBeUndefined();
+        });
+
+        it('should default failures to 400 BAD_REQUEST', () => {
+            const res = createMockResponse();
+            dispatcher.dispatch(res, { ok: false, message: 'Something is wrong' });
+
+            expect(res.statusCode).toBe(400);
+            expect(res.body.errorCode).toBe('BAD_REQUEST');
+            expect(res.body.message).toBe('Something is wrong');
+        });
+
+        it('should honor the status code and derive the errorCode', () => {
+            const res = createMockResponse();
+            dispatcher.dispatch(res, { ok: false, code: 401, errors: 'unauthorized' });
+
+            expect(res.statusCode).toBe(401);
+            expect(res.body.errorCode).toBe('UNAUTHORIZED');
+        });
+
+        it('should keep an explicit errorCode', () => {
+            const res = createMockResponse();
+            dispatcher.dispatch(res, { ok: false, code: 409, errorCode: 'CLASSROOM_FULL', message: 'full' });
+
+            expect(res.statusCode).toBe(409);
+            expect(res.body.errorCode).toBe('CLASSROOM_FULL');
+        });
+
+        it('should send the details of a failure', () => {
+            const res = createMockResponse();
+            dispatcher.dispatch(res, { ok: false, code: 409, message: 'Cannot delete', details: { activeStudents: 3 } });
+
+            expect(res.body.details).toEqual({ activeStudents: 3 });
+        });
+
+        it('should leave details out when there are none', () => {
+            const res = createMockResponse();
+            dispatcher.dispatch(res, { ok: false, code: 404, message: 'not found', details: {} });
+
+            expect(res.body.details).toBeUndefined();
+        });
+    });
+
+    describe('api handler', () => {
+        /** runs one call through the handler and resolves with the response */
+        const call = (result) => new Promise((resolve) => {
+            const managers = {
+                responseDispatcher: dispatcher,
+                mwsExec: new VirtualStack({ mwsRepo: { __device: ({ next }) => next({}) }, preStack: ['__device'] }),
+                attendance: {
+                    httpExposed: ['markAttendance'],
+                    policies: { markAttendance: 'public' },
+                    markAttendance: async ({ studentIds }) => result,
+                },
+            };
+            const handler = new ApiHandler({ config: {}, cortex: { sub: () => {} }, managers, mwsRepo: {}, prop: 'httpExposed' });
+            const res = createMockResponse();
+            res.set = jest.fn();
+            res.send = jest.fn((body) => resolve({ statusCode: res.statusCode, body }));
+
+            handler.mw({ method: 'POST', params: { moduleName: 'attendance', fnName: 'markAttendance' }, headers: {}, body: {} }, res);
+        });
+
+        it('should pass the details of a typed error to the response body', async () => {
+            const { statusCode, body } = await call(
+                errors.badRequest('Some students are not enrolled in this classroom', { invalidStudentIds: ['s1', 's2'] })
+            );
+
+            expect(statusCode).toBe(400);
+            expect(body.message).toBe('Some students are not enrolled in this classroom');
+            expect(body.details).toEqual({ invalidStudentIds: ['s1', 's2'] });
+        });
+
+        it('should not add details to plain errors', async () => {
+            const { body } = await call(errors.notFound('Classroom not found'));
+
+            expect(body.errorCode).toBe('NOT_FOUND');
+            expect(body.details).toBeUndefined();
+        });
+    });
+
+    describe('errors helper', () => {
+        it('should build typed errors with code and errorCode', () => {
+            expect(errors.notFound('School not found')).toEqual({
+                error: 'School not found',
+                code: 404,
+                errorCode: 'NOT_FOUND',
+            });
+            expect(errors.conflict('exists').code).toBe(409);
+            expect(errors.forbidden('denied').errorCode).toBe('FORBIDDEN');
+            expect(errors.unauthorized('login').code).toBe(401);
+            expect(errors.badRequest('bad').code).toBe(400);
+        });
+
+        it('should keep extra details on the error result', () => {
+            const result = errors.conflict('Cannot delete', { activeStudents: 3 });
+
+            expect(result.activeStudents).toBe(3);
+            expect(result.error).toBe('Cannot delete');
+        });
+
+        it('should build validation failures as 422', () => {
+            const result = errors.validationFailed([{ label: 'name', message: 'required' }]);
+
+            expect(result.code).toBe(422);
+            expect(result.errorCode).toBe('VALIDATION_FAILED');
+            expect(result.errors).toHaveLength(1);
+        });
+
+        it('should map unknown status codes to a generic errorCode', () => {
+            expect(errors.getErrorCode(418)).toBe('BAD_REQUEST');
+            expect(errors.getErrorCode(503)).toBe('INTERNAL_ERROR');
+        });
+    });
+});
@@ -3,7 +3,7 @@
  * 
  * Tests for School.manager.js including:
  * - School creation (superadmin only)
- * - School listing with pagination
+ * - School listing with pagination, sorting and cursors
  * - School retrieval by ID
  * - School update
  * - School deletion (soft delete)
@@ -18,6 +18,7 @@ const {
     createTestSchool,
     createSuperadminToken,
     createSchoolAdminToken,
+    withPolicies,
 } = require('../setup');
 
 const SchoolManager = require('../../managers/entities/school/School.manager');
@@ -30,7 +31,7 @@ describe('School Manager', () => {
     beforeAll(async () => {
         await connect();
         deps = createMockDependencies();
-        schoolManager = new SchoolManager(deps);
+        schoolManager = withPolicies(new SchoolManager(deps), deps.mongomodels);
         superadminToken = createSuperadminToken();
     });
 
@@ -72,6 +73,7 @@ describe('School Manager', () => {
 
             expect(result.error).toBe('Access denied. Only superadmins can manage schools.');
             expect(result.code).toBe(403);
+            expect(result.errorCode).toBe('FORBIDDEN');
         });
 
         it('should fail with duplicate school name', async () => {
@@ -86,6 +88,7 @@ describe('School Manager', () => {
             });
 
             expect(result.error).toBe('A school with this name already exists');
+            expect(result.errorCode).toBe('CONFLICT');
         });
 
         it('should fail with duplicate school name (case insensitive)', async () => {
@@ -118,6 +121,7 @@ describe('School Manager', () => {
             });
 
             expect(result.errors).toBeDefined();
+            expect(result.code).toBe(422);
         });
     });
 
@@ -189,6 +193,56 @@ describe('School Manager', () => {
 
             expect(result.error).toBe('Access denied. Only superadmins can manage schools.');
         });
+
+        describe('sorting and cursors', () => {
+            const list = (params) => schoolManager.getSchools({
+                sortBy: 'establishedYear',
+                sortOrder: 'asc',
+                limit: 4,
+                __longToken: superadminToken,
+                ...params,
+            });
+
+            beforeEach(async () => {
+                // Five schools have a year, the others none
+                for (let i = 1; i <= 5; i++) {
+                    await deps.mongomodels.school.updateOne({ name: `School ${i}` }, { establishedYear: 2000 + i });
+                }
+            });
+
+            it('should walk schools by cursor, those without a year first', async () => {
+                const pages = [await list({})];
+                while (pages[pages.length - 1].pagination.nextCursor) {
+                    pages.push(await list({ after: pages[pages.length - 1].pagination.nextCursor }));
+                }
+
+                const walked = pages.flatMap(page => page.schools);
+                expect(new Set(walked.map(s => s._id.toString())).size).toBe(15);
+                expect(walked.slice(0, 10).every(s => s.establishedYear == null)).toBe(true);
+                expect(walked.slice(10).map(s => s.establishedYear)).toEqual([2001, 2002, 2003, 2004, 2005]);
+            });
+
+            it('should walk back across schools without a year', async () => {
+                const first = await list({ sortOrder: 'desc' });
+                const second = await list({ sortOrder: 'desc', after: first.pagination.nextCursor });
+                const third = await list({ sortOrder: 'desc', after: second.pagination.nextCursor });
+
+                const back = await list({ sortOrder: 'desc', before: third.pagination.prevCursor });
+
+                expect(first.schools.map(s => s.establishedYear)).toEqual([2005, 2004, 2003, 2002]);
+                expect(back.schools.map(s => s._id.toString())).toEqual(second.schools.map(s => s._id.toString()));
+            });
+
+            it('should reject unknown sort fields and cursors of another sort', async () => {
+                const unknown = await list({ sortBy: 'address' });
+                expect(unknown.code).toBe(400);
+                expect(unknown.error).toBe('sortBy must be one of: createdAt, name, establishedYear');
+
+                const { pagination } = await list({});
+                const mismatched = await list({ sortBy: 'name', after: pagination.nextCursor });
+                expect(mismatched.error).toBe('Invalid cursor');
+            });
+        });
     });
 
     describe('getSchool', () => {
@@ -216,6 +270,7 @@ describe('School Manager', () => {
             });
 
             expect(result.error).toBe('School not found');
+            expect(result.code).toBe(404);
         });
 
         it('should fail without authentication', async () => {
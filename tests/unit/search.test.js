@@ -0,0 +1,147 @@
+/**
+ * Search Manager Unit Tests
+ *
+ * Tests for Search.manager.js and search.helper.js including:
+ * - Ranked matches across students, classrooms and schools
+ * - Partially typed words
+ * - School and classroom scoping of results
+ * - Search terms matched literally
+ */
+
+const mongoose = require('mongoose');
+const {
+    connect,
+    closeDatabase,
+    clearDatabase,
+    createMockDependencies,
+    createTestSchool,
+    createTestClassroom,
+    createTestStudent,
+    createTestTeacher,
+    createSuperadminToken,
+    createSchoolAdminToken,
+    createTeacherToken,
+    withPolicies,
+} = require('../setup');
+
+const SearchManager = require('../../managers/entities/search/Search.manager');
+const { escapeRegex, equalIgnoringCase } = require('../../managers/_common/search.helper');
+
+describe('Search Manager', () => {
+    let searchManager;
+    let deps;
+    let testSchool;
+    let otherSchool;
+    let classroom;
+    const createdBy = new mongoose.Types.ObjectId();
+
+    beforeAll(async () => {
+        await connect();
+        deps = createMockDependencies();
+        // $text queries need the text indexes built
+        await Promise.all(['school', 'classroom', 'student'].map(name => deps.mongomodels[name].init()));
+        searchManager = withPolicies(new SearchManager(deps), deps.mongomodels);
+    });
+
+    afterAll(async () => {
+        await closeDatabase();
+    });
+
+    beforeEach(async () => {
+        await clearDatabase();
+        testSchool = await createTestSchool(deps.mongomodels.school, { name: 'Johnson Academy' });
+        otherSchool = await createTestSchool(deps.mongomodels.school, { name: 'Other School', email: 'other@test.com' });
+        classroom = await createTestClassroom(deps.mongomodels.classroom, testSchool._id, createdBy, { name: 'Johnson Hall' });
+        await createTestStudent(deps.mongomodels.student, testSchool._id, createdBy, {
+            firstName: 'Alice', lastName: 'Johnson', email: 'alice@test.com', classroomId: classroom._id,
+        });
+        await createTestStudent(deps.mongomodels.student, testSchool._id, createdBy, {
+            firstName: 'Bob', lastName: 'Wilson', email: 'bob@test.com', guardianName: 'Carol Johnson',
+        });
+        await createTestStudent(deps.mongomodels.student, otherSchool._id, createdBy, {
+            firstName: 'Dan', lastName: 'Johnson', email: 'dan@test.com',
+        });
+    });
+
+    const titles = (result) => result.results.map(r => `${r.type}:${r.title}`);
+
+    describe('query', () => {
+        it('should rank matches across types, strongest fields first', async () => {
+            const result = await searchManager.query({ q: 'johnson', __longToken: createSuperadminToken() });
+
+            expect(result.error).toBeUndefined();
+            expect(titles(result)).toEqual(expect.arrayContaining([
+                'student:Alice Johnson', 'student:Dan Johnson', 'classroom:Johnson Hall', 'school:Johnson Academy', 'student:Bob Wilson',
+            ]));
+            // Bob only matches through his guardian
+            expect(titles(result).pop()).toBe('student:Bob Wilson');
+        });
+
+        it('should match partially typed words', async () => {
+            const result = await searchManager.query({ q: 'ali joh', types: ['students'], __longToken: createSuperadminToken() });
+
+            expect(titles(result)).toEqual(['student:Alice Johnson']);
+            expect(result.results[0].score).toBeGreaterThan(0);
+        });
+
+        it('should limit school admins to their school', async () => {
+            const result = await searchManager.query({
+                q: 'johnson',
+                __longToken: createSchoolAdminToken(new mongoose.Types.ObjectId(), testSchool._id),
+            });
+
+            expect(titles(result)).not.toContain('student:Dan Johnson');
+            expect(titles(result)).not.toContain('school:Other School');
+            expect(result.results.every(r => r.schoolId.toString() === testSchool._id.toString())).toBe(true);
+        });
+
+        it('should limit teachers to the classrooms they are assigned to', async () => {
+            const userId = new mongoose.Types.ObjectId();
+            await createTestTeacher(deps.mongomodels.teacher, testSchool._id, createdBy, {
+                userId,
+                assignments: [{ classroomId: classroom._id, type: 'homeroom' }],
+            });
+
+            const result = await searchManager.query({
+                q: 'johnson',
+                types: ['students', 'classrooms'],
+                __longToken: createTeacherToken(userId, testSchool._id),
+            });
+
+            expect(titles(result).sort()).toEqual(['classroom:Johnson Hall', 'student:Alice Johnson']);
+        });
+
+        it('should refuse another school', async () => {
+            const result = await searchManager.query({
+                q: 'johnson',
+                schoolId: otherSchool._id.toString(),
+                __longToken: createSchoolAdminToken(new mongoose.Types.ObjectId(), testSchool._id),
+            });
+
+            expect(result.code).toBe(403);
+        });
+
+        it('should match regex characters literally', async () => {
+            const result = await searchManager.query({ q: '.* (a+)+$', __longToken: createSuperadminToken() });
+
+            expect(result.error).toBeUndefined();
+            expect(result.results).toEqual([]);
+        });
+
+        it('should reject unknown types and short queries', async () => {
+            const unknown = await searchManager.query({ q: 'johnson', types: ['teachers'], __longToken: createSuperadminToken() });
+            expect(unknown.code).toBe(400);
+            expect(unknown.error).toBe('Unknown types: teachers');
+
+            const short = await searchManager.query({ q: 'j', __longToken: createSuperadminToken() });
+            expect(short.code).toBe(422);
+        });
+    });
+
+    describe('search helper', () => {
+        it('should escape regex metacharacters', () => {
+            expect(escapeRegex('a.b*c(d)[e]^$|?+{}\\')).toBe('a\\.b\\*c\\(d\\)\\[e\\]\\^\\$\\|\\?\\+\\{\\}\\\\');
+            expect(new RegExp(equalIgnoringCase('Grade 1 (A)').$regex, 'i').test('grade 1 (a)')).toBe(true);
+        });
+    });
+});
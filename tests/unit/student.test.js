@@ -3,11 +3,14 @@
  * 
  * Tests for Student.manager.js including:
  * - Student creation/enrollment
- * - Student listing with filters
+ * - Student listing with filters, sorting and cursor pagination
  * - Student retrieval by ID
  * - Student update
  * - Student deletion (soft delete)
  * - Student transfer
+ * - Bulk CSV import
+ * - CSV/NDJSON export
+ * - Capacity under concurrent enrollments
  */
 
 const mongoose = require('mongoose');
@@ -21,6 +24,8 @@ const {
     createTestStudent,
     createSuperadminToken,
     createSchoolAdminToken,
+    createMockResponse,
+    withPolicies,
 } = require('../setup');
 
 const StudentManager = require('../../managers/entities/student/Student.manager');
@@ -35,7 +40,7 @@ describe('Student Manager', () => {
     beforeAll(async () => {
         await connect();
         deps = createMockDependencies();
-        studentManager = new StudentManager(deps);
+        studentManager = withPolicies(new StudentManager(deps), deps.mongomodels);
         superadminToken = createSuperadminToken();
     });
 
@@ -152,6 +157,61 @@ describe('Student Manager', () => {
             expect(result.students.length).toBe(1);
             expect(result.students[0].firstName).toBe('Alice');
         });
+
+        describe('sorting and cursors', () => {
+            const list = (params) => studentManager.getStudents({
+                schoolId: testSchool._id.toString(),
+                sortBy: 'lastName',
+                sortOrder: 'asc',
+                limit: 2,
+                __longToken: superadminToken,
+                ...params,
+            });
+
+            beforeEach(async () => {
+                for (const lastName of ['Adams', 'Young', 'Johnson']) {
+                    await createTestStudent(
+                        deps.mongomodels.student,
+                        testSchool._id,
+                        new mongoose.Types.ObjectId(),
+                        { firstName: 'Sam', lastName, email: `sam.${lastName.toLowerCase()}@test.com` }
+                    );
+                }
+            });
+
+            it('should sort by the requested field', async () => {
+                const result = await list({ limit: 10, sortOrder: 'desc' });
+
+                expect(result.students.map(s => s.lastName)).toEqual(['Young', 'Wilson', 'Johnson', 'Johnson', 'Adams']);
+                expect(result.pagination).toMatchObject({ page: 1, total: 5, sortBy: 'lastName', sortOrder: 'desc' });
+            });
+
+            it('should walk the list forwards and backwards by cursor', async () => {
+                const first = await list({});
+                expect(first.pagination.prevCursor).toBeNull();
+
+                const second = await list({ after: first.pagination.nextCursor });
+                const third = await list({ after: second.pagination.nextCursor });
+
+                const walked = [...first.students, ...second.students, ...third.students];
+                expect(walked.map(s => s.lastName)).toEqual(['Adams', 'Johnson', 'Johnson', 'Wilson', 'Young']);
+                expect(new Set(walked.map(s => s._id.toString())).size).toBe(5);
+                expect(third.pagination.nextCursor).toBeNull();
+
+                const back = await list({ before: third.pagination.prevCursor });
+                expect(back.students.map(s => s._id.toString())).toEqual(second.students.map(s => s._id.toString()));
+            });
+
+            it('should reject unknown sort fields and cursors of another sort', async () => {
+                const unknown = await list({ sortBy: 'guardianPhone' });
+                expect(unknown.code).toBe(400);
+
+                const { pagination } = await list({});
+                const mismatched = await list({ sortOrder: 'desc', after: pagination.nextCursor });
+                expect(mismatched.code).toBe(400);
+                expect(mismatched.error).toBe('Invalid cursor');
+            });
+        });
     });
 
     describe('getStudent', () => {
@@ -183,6 +243,7 @@ describe('Student Manager', () => {
             });
 
             expect(result.error).toBe('Student not found');
+            expect(result.errorCode).toBe('NOT_FOUND');
         });
     });
 
@@ -253,4 +314,250 @@ describe('Student Manager', () => {
             expect(result.error).toBe('Student not found');
         });
     });
+
+    describe('importStudents', () => {
+        const header = 'firstName,lastName,email,gender,classroomId';
+
+        it('should validate without importing on dry run', async () => {
+            const result = await studentManager.importStudents({
+                schoolId: testSchool._id.toString(),
+                csv: `${header}\nJane,Doe,jane@test.com,Female,${testClassroom._id}\n`,
+                dryRun: true,
+                __longToken: superadminToken,
+            });
+
+            expect(result.error).toBeUndefined();
+            expect(result.valid).toBe(1);
+            expect(result.rowErrors).toHaveLength(0);
+            expect(await deps.mongomodels.student.countDocuments()).toBe(0);
+        });
+
+        it('should import every row', async () => {
+            const result = await studentManager.importStudents({
+                schoolId: testSchool._id.toString(),
+                csv: `${header}\nJane,Doe,jane@test.com,female,${testClassroom._id}\nJim,Doe,,male,\n`,
+                __longToken: superadminToken,
+            });
+
+            expect(result.error).toBeUndefined();
+            expect(result.imported).toBe(2);
+            const jane = await deps.mongomodels.student.findOne({ email: 'jane@test.com' });
+            expect(jane.classroomId.toString()).toBe(testClassroom._id.toString());
+        });
+
+        it('should report row errors and import nothing', async () => {
+            await createTestStudent(deps.mongomodels.student, testSchool._id, new mongoose.Types.ObjectId(), {
+                email: 'taken@test.com',
+            });
+
+            const result = await studentManager.importStudents({
+                schoolId: testSchool._id.toString(),
+                csv: `${header}\nJane,Doe,jane@test.com,,\n,Doe,jim@test.com,,\nTom,Doe,taken@test.com,,\nAnn,Doe,jane@test.com,,\n`,
+                __longToken: superadminToken,
+            });
+
+            expect(result.code).toBe(422);
+            expect(result.errors.map(e => e.row)).toEqual([3, 4, 5]);
+            expect(await deps.mongomodels.student.countDocuments()).toBe(1);
+        });
+
+        it('should check classroom capacity across all rows', async () => {
+            const smallClassroom = await createTestClassroom(deps.mongomodels.classroom, testSchool._id, new mongoose.Types.ObjectId(), {
+                name: 'Small',
+                capacity: 1,
+            });
+
+            const result = await studentManager.importStudents({
+                schoolId: testSchool._id.toString(),
+                classroomId: smallClassroom._id.toString(),
+                csv: 'firstName,lastName\nJane,Doe\nJim,Doe\n',
+                dryRun: true,
+                __longToken: superadminToken,
+            });
+
+            expect(result.invalid).toBe(1);
+            expect(result.rowErrors[0]).toMatchObject({ row: 3, field: 'classroomId' });
+        });
+
+        it('should fail when school_admin imports into a different school', async () => {
+            const schoolAdminToken = createSchoolAdminToken(new mongoose.Types.ObjectId(), new mongoose.Types.ObjectId());
+
+            const result = await studentManager.importStudents({
+                schoolId: testSchool._id.toString(),
+                csv: 'firstName,lastName\nJane,Doe\n',
+                __longToken: schoolAdminToken,
+            });
+
+            expect(result.code).toBe(403);
+        });
+    });
+
+    describe('exportStudents', () => {
+        beforeEach(async () => {
+            const createdBy = new mongoose.Types.ObjectId();
+            await createTestStudent(deps.mongomodels.student, testSchool._id, createdBy, {
+                email: 'jane@test.com', firstName: 'Jane', classroomId: testClassroom._id,
+            });
+            await createTestStudent(deps.mongomodels.student, testSchool._id, createdBy, {
+                email: 'jim@test.com', firstName: 'Jim, Jr.',
+            });
+        });
+
+        it('should stream the filtered students as CSV', async () => {
+            const res = createMockResponse();
+
+            const result = await studentManager.exportStudents({
+                __query: { classroomId: testClassroom._id.toString() },
+                __longToken: superadminToken,
+                res,
+            });
+
+            expect(result.selfHandleResponse).toBe(true);
+            expect(res.headers['content-type']).toMatch('text/csv');
+            const lines = res.body.trim().split('\r\n');
+            expect(lines).toHaveLength(2);
+            expect(lines[0]).toMatch(/^id,firstName,lastName,email/);
+            expect(lines[1]).toContain('jane@test.com');
+        });
+
+        it('should stream the students as NDJSON', async () => {
+            const res = createMockResponse();
+
+            await studentManager.exportStudents({
+                format: 'ndjson',
+                __query: {},
+                __longToken: superadminToken,
+                res,
+            });
+
+            const rows = res.body.trim().split('\n').map(line => JSON.parse(line));
+            expect(rows).toHaveLength(2);
+            expect(rows.map(r => r.firstName)).toContain('Jim, Jr.');
+        });
+
+        it('should reject unknown formats', async () => {
+            const result = await studentManager.exportStudents({
+                format: 'xml',
+                __query: {},
+                __longToken: superadminToken,
+                res: createMockResponse(),
+            });
+
+            expect(result.code).toBe(422);
+        });
+
+        it('should limit school admins to their own school', async () => {
+            const schoolAdminToken = createSchoolAdminToken(new mongoose.Types.ObjectId(), new mongoose.Types.ObjectId());
+            const res = createMockResponse();
+
+            await studentManager.exportStudents({
+                schoolId: testSchool._id.toString(),
+                __query: {},
+                __longToken: schoolAdminToken,
+                res,
+            });
+
+            // Header row only
+            expect(res.body.trim().split('\r\n')).toHaveLength(1);
+        });
+    });
+
+    describe('capacity under concurrency', () => {
+        let smallClassroom;
+
+        beforeEach(async () => {
+            smallClassroom = await createTestClassroom(deps.mongomodels.classroom, testSchool._id, new mongoose.Types.ObjectId(), {
+                name: 'Small', capacity: 3,
+            });
+        });
+
+        const seatedCount = () => deps.mongomodels.student.countDocuments({ classroomId: smallClassroom._id, isActive: true });
+
+        it('should never overfill a classroom with concurrent createStudent calls', async () => {
+            const results = await Promise.all(Array.from({ length: 10 }, (_, i) => studentManager.createStudent({
+                schoolId: testSchool._id.toString(),
+                classroomId: smallClassroom._id.toString(),
+                firstName: 'Student',
+                lastName: `${i}`,
+                email: `concurrent${i}@test.com`,
+                __longToken: superadminToken,
+            })));
+
+            expect(results.filter(r => r.student)).toHaveLength(3);
+            expect(results.filter(r => r.error === 'Classroom is at full capacity')).toHaveLength(7);
+            expect(await seatedCount()).toBe(3);
+            const classroom = await deps.mongomodels.classroom.findById(smallClassroom._id);
+            expect(classroom.enrolledCount).toBe(3);
+        });
+
+        it('should never overfill a classroom with concurrent moves and transfers', async () => {
+            const createdBy = new mongoose.Types.ObjectId();
+            const students = [];
+            for (let i = 0; i < 6; i++) {
+                students.push(await createTestStudent(deps.mongomodels.student, testSchool._id, createdBy, {
+                    email: `mover${i}@test.com`, classroomId: testClassroom._id,
+                }));
+            }
+
+            const results = await Promise.all(students.map((student, i) => (i % 2 === 0
+                ? studentManager.updateStudent({
+                    studentId: student._id.toString(),
+                    classroomId: smallClassroom._id.toString(),
+                    __longToken: superadminToken,
+                })
+                : studentManager.transferStudent({
+                    studentId: student._id.toString(),
+                    toClassroomId: smallClassroom._id.toString(),
+                    __longToken: superadminToken,
+                })
+            )));
+
+            expect(results.filter(r => !r.error)).toHaveLength(3);
+            expect(await seatedCount()).toBe(3);
+            const [small, source] = await Promise.all([
+                deps.mongomodels.classroom.findById(smallClassroom._id),
+                deps.mongomodels.classroom.findById(testClassroom._id),
+            ]);
+            expect(small.enrolledCount).toBe(3);
+            expect(source.enrolledCount).toBe(3);
+        });
+
+        it('should give seats back on unenrollment', async () => {
+            const student = await createTestStudent(deps.mongomodels.student, testSchool._id, new mongoose.Types.ObjectId(), {
+                classroomId: smallClassroom._id,
+            });
+
+            await Promise.all([
+                studentManager.deleteStudent({ studentId: student._id.toString(), __longToken: superadminToken }),
+                studentManager.deleteStudent({ studentId: student._id.toString(), __longToken: superadminToken }),
+            ]);
+
+            const classroom = await deps.mongomodels.classroom.findById(smallClassroom._id);
+            expect(classroom.enrolledCount).toBe(0);
+        });
+
+        it('should count classrooms created before the seat counter', async () => {
+            for (let i = 0; i < 3; i++) {
+                await createTestStudent(deps.mongomodels.student, testSchool._id, new mongoose.Types.ObjectId(), {
+                    email: `legacy${i}@test.com`, classroomId: smallClassroom._id,
+                });
+            }
+            await deps.mongomodels.classroom.collection.updateOne(
+                { _id: smallClassroom._id },
+                { $unset: { enrolledCount: '' } }
+            );
+
+            const result = await studentManager.createStudent({
+                schoolId: testSchool._id.toString(),
+                classroomId: smallClassroom._id.toString(),
+                firstName: 'Late',
+                lastName: 'Comer',
+                __longToken: superadminToken,
+            });
+
+            expect(result.error).toBe('Classroom is at full capacity');
+            const classroom = await deps.mongomodels.classroom.findById(smallClassroom._id);
+            expect(classroom.enrolledCount).toBe(3);
+        });
+    });
 });
@@ -0,0 +1,335 @@
+/**
+ * Teacher Manager Unit Tests
+ *
+ * Tests for Teacher.manager.js including:
+ * - Teacher creation and linking to a teacher user
+ * - Classroom assignments (homeroom and subject)
+ * - Teacher role read access to classrooms and students
+ */
+
+const mongoose = require('mongoose');
+const {
+    connect,
+    closeDatabase,
+    clearDatabase,
+    createMockDependencies,
+    createTestSchool,
+    createTestUser,
+    createTestClassroom,
+    createTestStudent,
+    createTestTeacher,
+    createSuperadminToken,
+    createSchoolAdminToken,
+    createTeacherToken,
+    withPolicies,
+} = require('../setup');
+
+const TeacherManager = require('../../managers/entities/teacher/Teacher.manager');
+const ClassroomManager = require('../../managers/entities/classroom/Classroom.manager');
+const StudentManager = require('../../managers/entities/student/Student.manager');
+
+describe('Teacher Manager', () => {
+    let teacherManager;
+    let deps;
+    let superadminToken;
+    let testSchool;
+    let createdBy;
+
+    beforeAll(async () => {
+        await connect();
+        deps = createMockDependencies();
+        teacherManager = withPolicies(new TeacherManager(deps), deps.mongomodels);
+        superadminToken = createSuperadminToken();
+    });
+
+    afterAll(async () => {
+        await closeDatabase();
+    });
+
+    beforeEach(async () => {
+        await clearDatabase();
+        createdBy = new mongoose.Types.ObjectId();
+        testSchool = await createTestSchool(deps.mongomodels.school);
+    });
+
+    describe('createTeacher', () => {
+        it('should create a teacher in the school admin\'s school', async () => {
+            const schoolAdminToken = createSchoolAdminToken(createdBy, testSchool._id);
+
+            const result = await teacherManager.createTeacher({
+                firstName: 'Mary',
+                lastName: 'Smith',
+                email: 'mary.smith@test.com',
+                subjects: ['Mathematics', 'Physics'],
+                __longToken: schoolAdminToken,
+            });
+
+            expect(result.error).toBeUndefined();
+            expect(result.teacher.schoolId.toString()).toBe(testSchool._id.toString());
+            expect(result.teacher.subjects).toEqual(['Mathematics', 'Physics']);
+        });
+
+        it('should link a user with the teacher role', async () => {
+            const user = await createTestUser(deps.mongomodels.user, {
+                username: 'mteacher',
+                email: 'mteacher@test.com',
+                role: 'teacher',
+                schoolId: testSchool._id,
+            });
+
+            const result = await teacherManager.createTeacher({
+                schoolId: testSchool._id.toString(),
+                firstName: 'Mary',
+                lastName: 'Smith',
+                email: 'mary.smith@test.com',
+                userId: user._id.toString(),
+                __longToken: superadminToken,
+            });
+
+            expect(result.error).toBeUndefined();
+            expect(result.teacher.userId.toString()).toBe(user._id.toString());
+        });
+
+        it('should fail to link a user without the teacher role', async () => {
+            const user = await createTestUser(deps.mongomodels.user, {
+                role: 'school_admin',
+                schoolId: testSchool._id,
+            });
+
+            const result = await teacherManager.createTeacher({
+                schoolId: testSchool._id.toString(),
+                firstName: 'Mary',
+                lastName: 'Smith',
+                email: 'mary.smith@test.com',
+                userId: user._id.toString(),
+                __longToken: superadminToken,
+            });
+
+            expect(result.error).toBe('Linked user must have the teacher role');
+        });
+
+        it('should fail with duplicate email', async () => {
+            await createTestTeacher(deps.mongomodels.teacher, testSchool._id, createdBy, { email: 'mary.smith@test.com' });
+
+            const result = await teacherManager.createTeacher({
+                schoolId: testSchool._id.toString(),
+                firstName: 'Mary',
+                lastName: 'Smith',
+                email: 'mary.smith@test.com',
+                __longToken: superadminToken,
+            });
+
+            expect(result.code).toBe(409);
+        });
+
+        it('should link a user teaching in two schools once per school', async () => {
+            const otherSchool = await createTestSchool(deps.mongomodels.school, { name: 'Other School', email: 'other@test.com' });
+            const user = await createTestUser(deps.mongomodels.user, {
+                username: 'mteacher',
+                email: 'mteacher@test.com',
+                role: 'teacher',
+                schoolId: testSchool._id,
+                memberships: [{ schoolId: otherSchool._id, role: 'teacher' }],
+            });
+            const teacherOf = (school) => teacherManager.createTeacher({
+                schoolId: school._id.toString(),
+                firstName: 'Mary',
+                lastName: 'Smith',
+                email: 'mary.smith@test.com',
+                userId: user._id.toString(),
+                __longToken: superadminToken,
+            });
+
+            expect((await teacherOf(testSchool)).error).toBeUndefined();
+            const result = await teacherOf(otherSchool);
+
+            expect(result.error).toBeUndefined();
+            expect(result.teacher.schoolId.toString()).toBe(otherSchool._id.toString());
+            expect((await teacherOf(otherSchool)).code).toBe(409);
+        });
+
+        it('should fail to link a user with another role in the teacher\'s school', async () => {
+            const otherSchool = await createTestSchool(deps.mongomodels.school, { name: 'Other School', email: 'other@test.com' });
+            const user = await createTestUser(deps.mongomodels.user, {
+                role: 'teacher',
+                schoolId: testSchool._id,
+                memberships: [{ schoolId: otherSchool._id, role: 'school_admin' }],
+            });
+
+            const result = await teacherManager.createTeacher({
+                schoolId: otherSchool._id.toString(),
+                firstName: 'Mary',
+                lastName: 'Smith',
+                email: 'mary.smith@test.com',
+                userId: user._id.toString(),
+                __longToken: superadminToken,
+            });
+
+            expect(result.error).toBe('Linked user must have the teacher role');
+        });
+    });
+
+    describe('assignClassroom', () => {
+        let teacher;
+        let classroom;
+
+        beforeEach(async () => {
+            teacher = await createTestTeacher(deps.mongomodels.teacher, testSchool._id, createdBy);
+            classroom = await createTestClassroom(deps.mongomodels.classroom, testSchool._id, createdBy);
+        });
+
+        it('should assign a subject teacher', async () => {
+            const result = await teacherManager.assignClassroom({
+                teacherId: teacher._id.toString(),
+                classroomId: classroom._id.toString(),
+                assignmentType: 'subject',
+                subject: 'Mathematics',
+                __longToken: superadminToken,
+            });
+
+            expect(result.error).toBeUndefined();
+            expect(result.teacher.assignments).toHaveLength(1);
+            expect(result.teacher.assignments[0].subject).toBe('Mathematics');
+        });
+
+        it('should require a subject for subject teachers', async () => {
+            const result = await teacherManager.assignClassroom({
+                teacherId: teacher._id.toString(),
+                classroomId: classroom._id.toString(),
+                assignmentType: 'subject',
+                __longToken: superadminToken,
+            });
+
+            expect(result.error).toBe('Subject is required for subject teachers');
+        });
+
+        it('should allow a single homeroom teacher per classroom', async () => {
+            const other = await createTestTeacher(deps.mongomodels.teacher, testSchool._id, createdBy, { email: 'other@test.com' });
+            await teacherManager.assignClassroom({
+                teacherId: other._id.toString(),
+                classroomId: classroom._id.toString(),
+                assignmentType: 'homeroom',
+                __longToken: superadminToken,
+            });
+
+            const result = await teacherManager.assignClassroom({
+                teacherId: teacher._id.toString(),
+                classroomId: classroom._id.toString(),
+                assignmentType: 'homeroom',
+                __longToken: superadminToken,
+            });
+
+            expect(result.errorCode).toBe('CONFLICT');
+        });
+
+        it('should fail for a classroom in another school', async () => {
+            const otherSchool = await createTestSchool(deps.mongomodels.school, { name: 'Other School' });
+            const otherClassroom = await createTestClassroom(deps.mongomodels.classroom, otherSchool._id, createdBy);
+
+            const result = await teacherManager.assignClassroom({
+                teacherId: teacher._id.toString(),
+                classroomId: otherClassroom._id.toString(),
+                assignmentType: 'homeroom',
+                __longToken: superadminToken,
+            });
+
+            expect(result.error).toBe('Classroom does not belong to the teacher\'s school');
+        });
+    });
+
+    describe('teacher role access', () => {
+        let teacherToken;
+        let assigned;
+        let unassigned;
+        let assignedStudent;
+        let unassignedStudent;
+        let classroomManager;
+        let studentManager;
+
+        beforeEach(async () => {
+            classroomManager = withPolicies(new ClassroomManager(deps), deps.mongomodels);
+            studentManager = withPolicies(new StudentManager(deps), deps.mongomodels);
+
+            const userId = new mongoose.Types.ObjectId();
+            teacherToken = createTeacherToken(userId, testSchool._id);
+            assigned = await createTestClassroom(deps.mongomodels.classroom, testSchool._id, createdBy, { name: 'Assigned' });
+            unassigned = await createTestClassroom(deps.mongomodels.classroom, testSchool._id, createdBy, { name: 'Unassigned' });
+            await createTestTeacher(deps.mongomodels.teacher, testSchool._id, createdBy, {
+                userId,
+                assignments: [{ classroomId: assigned._id, type: 'homeroom' }],
+            });
+            assignedStudent = await createTestStudent(deps.mongomodels.student, testSchool._id, createdBy, {
+                email: 'assigned@test.com', classroomId: assigned._id,
+            });
+            unassignedStudent = await createTestStudent(deps.mongomodels.student, testSchool._id, createdBy, {
+                email: 'unassigned@test.com', classroomId: unassigned._id,
+            });
+        });
+
+        it('should only list assigned classrooms', async () => {
+            const result = await classroomManager.getClassrooms({ __longToken: teacherToken });
+
+            expect(result.classrooms).toHaveLength(1);
+            expect(result.classrooms[0].name).toBe('Assigned');
+        });
+
+        it('should deny access to an unassigned classroom', async () => {
+            const result = await classroomManager.getClassroom({
+                classroomId: unassigned._id.toString(),
+                __longToken: teacherToken,
+            });
+
+            expect(result.code).toBe(403);
+        });
+
+        it('should only list students of assigned classrooms', async () => {
+            const result = await studentManager.getStudents({ __longToken: teacherToken });
+
+            expect(result.students).toHaveLength(1);
+            expect(result.students[0]._id.toString()).toBe(assignedStudent._id.toString());
+        });
+
+        it('should deny access to a student of an unassigned classroom', async () => {
+            const result = await studentManager.getStudent({
+                studentId: unassignedStudent._id.toString(),
+                __longToken: teacherToken,
+            });
+
+            expect(result.errorCode).toBe('FORBIDDEN');
+        });
+
+        it('should not let teachers modify classrooms', async () => {
+            const result = await classroomManager.updateClassroom({
+                classroomId: assigned._id.toString(),
+                name: 'Renamed',
+                __longToken: teacherToken,
+            });
+
+            expect(result.code).toBe(403);
+        });
+
+        it('should use the teacher of the active school', async () => {
+            const otherSchool = await createTestSchool(deps.mongomodels.school, { name: 'Other School', email: 'other@test.com' });
+            const otherClassroom = await createTestClassroom(deps.mongomodels.classroom, otherSchool._id, createdBy, { name: 'Other' });
+            await createTestTeacher(deps.mongomodels.teacher, otherSchool._id, createdBy, {
+                userId: teacherToken.userId,
+                email: 'mary.other@test.com',
+                assignments: [{ classroomId: otherClassroom._id, type: 'homeroom' }],
+            });
+            const memberships = [
+                { schoolId: testSchool._id.toString(), role: 'teacher' },
+                { schoolId: otherSchool._id.toString(), role: 'teacher' },
+            ];
+
+            const inOtherSchool = await classroomManager.getClassrooms({
+                __longToken: { ...teacherToken, schoolId: otherSchool._id.toString(), memberships },
+            });
+            const inTestSchool = await classroomManager.getClassrooms({
+                __longToken: { ...teacherToken, memberships },
+            });
+
+            expect(inOtherSchool.classrooms.map(c => c.name)).toEqual(['Other']);
+            expect(inTestSchool.classrooms.map(c => c.name)).toEqual(['Assigned']);
+        });
+    });
+});
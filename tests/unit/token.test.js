@@ -0,0 +1,229 @@
+/**
+ * Token Manager Unit Tests
+ *
+ * Tests for Token.manager.js including:
+ * - Sessions and refresh token rotation
+ * - Refresh token reuse detection
+ * - Revocation (logout, logout from all devices)
+ * - Devices: short tokens bound to a device, last seen sessions
+ * - School memberships and the active school
+ */
+
+const {
+    connect,
+    closeDatabase,
+    clearDatabase,
+    createMockDependencies,
+    createTestSchool,
+    createTestUser,
+} = require('../setup');
+
+const TokenManager = require('../../managers/token/Token.manager');
+
+describe('Token Manager', () => {
+    let tokenManager;
+    let deps;
+    let user;
+
+    beforeAll(async () => {
+        await connect();
+        deps = createMockDependencies();
+        tokenManager = new TokenManager(deps);
+    });
+
+    afterAll(async () => {
+        await closeDatabase();
+    });
+
+    beforeEach(async () => {
+        await clearDatabase();
+        user = await createTestUser(deps.mongomodels.user);
+    });
+
+    describe('createSession', () => {
+        it('should issue a long token bound to a new session', async () => {
+            const { longToken, refreshToken } = await tokenManager.createSession({
+                user,
+                device: { ip: '10.0.0.1', agent: { source: 'jest-agent' } },
+            });
+
+            const decoded = tokenManager.verifyLongToken({ token: longToken });
+            expect(decoded.userId).toBe(user._id.toString());
+            expect(refreshToken.startsWith(`${decoded.sessionId}.`)).toBe(true);
+            expect(await tokenManager.isRevoked(decoded)).toBe(false);
+
+            const session = await deps.mongomodels.session.findById(decoded.sessionId);
+            expect(session.ip).toBe('10.0.0.1');
+            expect(session.refreshTokenHash).not.toContain(refreshToken.split('.')[1]);
+        });
+
+        it('should reject tokens without a session', async () => {
+            const legacy = tokenManager.verifyLongToken({
+                token: tokenManager.genLongToken({ userId: user._id, role: user.role }),
+            });
+
+            expect(await tokenManager.isRevoked(legacy)).toBe(true);
+        });
+    });
+
+    describe('v1_refreshToken', () => {
+        it('should rotate the refresh token', async () => {
+            const first = await tokenManager.createSession({ user });
+
+            const second = await tokenManager.v1_refreshToken({ refreshToken: first.refreshToken });
+
+            expect(second.error).toBeUndefined();
+            expect(second.longToken).toBeDefined();
+            expect(second.refreshToken).not.toBe(first.refreshToken);
+            const third = await tokenManager.v1_refreshToken({ refreshToken: second.refreshToken });
+            expect(third.error).toBeUndefined();
+        });
+
+        it('should revoke the session when a rotated refresh token is reused', async () => {
+            const first = await tokenManager.createSession({ user });
+            const second = await tokenManager.v1_refreshToken({ refreshToken: first.refreshToken });
+
+            const reused = await tokenManager.v1_refreshToken({ refreshToken: first.refreshToken });
+
+            expect(reused.code).toBe(401);
+            const decoded = tokenManager.verifyLongToken({ token: second.longToken });
+            expect(await tokenManager.isRevoked(decoded)).toBe(true);
+            const afterTheft = await tokenManager.v1_refreshToken({ refreshToken: second.refreshToken });
+            expect(afterTheft.code).toBe(401);
+        });
+
+        it('should reject a malformed refresh token', async () => {
+            const result = await tokenManager.v1_refreshToken({ refreshToken: 'garbage' });
+
+            expect(result.code).toBe(401);
+        });
+    });
+
+    describe('revocation', () => {
+        it('should revoke a single session on logout', async () => {
+            const phone = await tokenManager.createSession({ user });
+            const laptop = await tokenManager.createSession({ user });
+            const phoneToken = tokenManager.verifyLongToken({ token: phone.longToken });
+            const laptopToken = tokenManager.verifyLongToken({ token: laptop.longToken });
+
+            await tokenManager.revokeSession(phoneToken.sessionId);
+
+            expect(await tokenManager.isRevoked(phoneToken)).toBe(true);
+            expect(await tokenManager.isRevoked(laptopToken)).toBe(false);
+            const refreshed = await tokenManager.v1_refreshToken({ refreshToken: phone.refreshToken });
+            expect(refreshed.code).toBe(401);
+        });
+
+        it('should revoke every session of a user', async () => {
+            const phone = await tokenManager.createSession({ user });
+            const laptop = await tokenManager.createSession({ user });
+
+            const count = await tokenManager.revokeUserSessions(user._id);
+
+            expect(count).toBe(2);
+            for (const { longToken } of [phone, laptop]) {
+                const decoded = tokenManager.verifyLongToken({ token: longToken });
+                expect(await tokenManager.isRevoked(decoded)).toBe(true);
+            }
+        });
+
+        it('should carry the session into short tokens', async () => {
+            const { longToken } = await tokenManager.createSession({ user });
+            const decoded = tokenManager.verifyLongToken({ token: longToken });
+
+            const { shortToken } = tokenManager.v1_createShortToken({ __longToken: decoded, __device: 'device' });
+
+            const short = tokenManager.verifyShortToken({ token: shortToken });
+            expect(short.sessionId).toBe(decoded.sessionId);
+            await tokenManager.revokeSession(decoded.sessionId);
+            expect(await tokenManager.isRevoked(short)).toBe(true);
+        });
+    });
+
+    describe('devices', () => {
+        const phone = { ip: '10.0.0.1', agent: { source: 'Mozilla/5.0 (iPhone)' } };
+        const laptop = { ip: '10.0.0.2', agent: { source: 'Mozilla/5.0 (X11; Linux x86_64)' } };
+
+        it('should bind short tokens to the fingerprint of the requesting device', async () => {
+            const { longToken } = await tokenManager.createSession({ user, device: phone });
+            const decoded = tokenManager.verifyLongToken({ token: longToken });
+
+            const { shortToken } = tokenManager.v1_createShortToken({ __longToken: decoded, __device: phone });
+
+            const short = tokenManager.verifyShortToken({ token: shortToken });
+            expect(short.deviceId).toBe(tokenManager.deviceIdOf(phone));
+            expect(short.deviceId).toBe(tokenManager.deviceIdOf({ ...phone, ip: '10.9.9.9' }));
+            expect(short.deviceId).not.toBe(tokenManager.deviceIdOf(laptop));
+        });
+
+        it('should record when and from where a session was last seen', async () => {
+            const { longToken } = await tokenManager.createSession({ user, device: phone });
+            const decoded = tokenManager.verifyLongToken({ token: longToken });
+
+            expect(await tokenManager.isRevoked(decoded, { ...phone, ip: '10.0.0.9' })).toBe(false);
+
+            const session = await deps.mongomodels.session.findById(decoded.sessionId);
+            expect(session.lastSeenAt).toBeInstanceOf(Date);
+            expect(session.lastSeenIp).toBe('10.0.0.9');
+            expect(session.deviceId).toBe(tokenManager.deviceIdOf(phone));
+        });
+
+        it('should list and revoke the sessions of a user', async () => {
+            const first = await tokenManager.createSession({ user, device: phone });
+            await tokenManager.createSession({ user, device: laptop });
+            const other = await createTestUser(deps.mongomodels.user, { username: 'other', email: 'other@test.com' });
+            await tokenManager.createSession({ user: other, device: laptop });
+
+            const sessions = await tokenManager.getUserSessions(user._id);
+            expect(sessions).toHaveLength(2);
+            expect(sessions[0].refreshTokenHash).toBeUndefined();
+
+            const { sessionId } = tokenManager.verifyLongToken({ token: first.longToken });
+            expect(await tokenManager.revokeUserSession({ userId: other._id, sessionId })).toBe(false);
+            expect(await tokenManager.revokeUserSession({ userId: user._id, sessionId })).toBe(true);
+            expect(await tokenManager.getUserSessions(user._id)).toHaveLength(1);
+        });
+    });
+
+    describe('school memberships', () => {
+        let schoolA;
+        let schoolB;
+        let decoded;
+
+        beforeEach(async () => {
+            schoolA = await createTestSchool(deps.mongomodels.school);
+            schoolB = await createTestSchool(deps.mongomodels.school, { name: 'Other School' });
+            const admin = await createTestUser(deps.mongomodels.user, {
+                username: 'districtadmin',
+                email: 'district@test.com',
+                role: 'school_admin',
+                schoolId: schoolA._id,
+                memberships: [{ schoolId: schoolB._id, role: 'teacher' }],
+            });
+            const { longToken } = await tokenManager.createSession({ user: admin });
+            decoded = tokenManager.verifyLongToken({ token: longToken });
+        });
+
+        it('should carry every membership, defaulting to the user\'s school', () => {
+            expect(decoded.role).toBe('school_admin');
+            expect(decoded.schoolId).toBe(schoolA._id.toString());
+            expect(decoded.memberships).toEqual(expect.arrayContaining([
+                { schoolId: schoolA._id.toString(), role: 'school_admin' },
+                { schoolId: schoolB._id.toString(), role: 'teacher' },
+            ]));
+        });
+
+        it('should act with the role held in the selected school', () => {
+            const scoped = tokenManager.selectSchool(decoded, schoolB._id.toString());
+
+            expect(scoped.schoolId).toBe(schoolB._id.toString());
+            expect(scoped.role).toBe('teacher');
+        });
+
+        it('should refuse a school the user is not a member of', async () => {
+            const other = await createTestSchool(deps.mongomodels.school, { name: 'Third School' });
+
+            expect(tokenManager.selectSchool(decoded, other._id.toString())).toBeNull();
+        });
+    });
+});
@@ -6,6 +6,13 @@
  * - User login
  * - Profile retrieval
  * - Profile update
+ * - Logout
+ * - Account lockout
+ * - Password reset and email verification
+ * - Superadmin bootstrap and invitations
+ * - User administration
+ * - Two-factor authentication
+ * - Active sessions
  */
 
 const {
@@ -14,9 +21,18 @@ const {
     clearDatabase,
     createMockDependencies,
     createTestSchool,
+    createTestUser,
+    createSuperadminToken,
+    createSchoolAdminToken,
+    getLastMail,
+    getMailToken,
+    withPolicies,
 } = require('../setup');
 
 const UserManager = require('../../managers/entities/user/User.manager');
+const TokenManager = require('../../managers/token/Token.manager');
+const { totp } = require('../../managers/_common/mfa.helper');
+const { withActiveSchool } = require('../../managers/_common/schoolAccess.helper');
 
 describe('User Manager', () => {
     let userManager;
@@ -25,7 +41,7 @@ describe('User Manager', () => {
     beforeAll(async () => {
         await connect();
         deps = createMockDependencies();
-        userManager = new UserManager(deps);
+        userManager = withPolicies(new UserManager(deps), deps.mongomodels);
     });
 
     afterAll(async () => {
@@ -178,6 +194,7 @@ describe('User Manager', () => {
             expect(result.user).toBeDefined();
             expect(result.user.email).toBe('login@test.com');
             expect(result.longToken).toBeDefined();
+            expect(result.refreshToken).toBeDefined();
         });
 
         it('should fail with invalid email', async () => {
@@ -298,4 +315,753 @@ describe('User Manager', () => {
             expect(result.error).toBe('Authentication required');
         });
     });
+
+    describe('logout', () => {
+        it('should revoke the current session', async () => {
+            const sessionId = '507f1f77bcf86cd799439011';
+
+            const result = await userManager.logout({
+                __longToken: { userId: '507f1f77bcf86cd799439012', sessionId },
+            });
+
+            expect(result.error).toBeUndefined();
+            expect(deps.managers.token.revokeSession).toHaveBeenCalledWith(sessionId);
+        });
+
+        it('should revoke every session of the user', async () => {
+            const userId = '507f1f77bcf86cd799439012';
+
+            const result = await userManager.logoutAllDevices({
+                __longToken: { userId, sessionId: '507f1f77bcf86cd799439011' },
+            });
+
+            expect(result.error).toBeUndefined();
+            expect(deps.managers.token.revokeUserSessions).toHaveBeenCalledWith(userId);
+        });
+
+        it('should fail without authentication', async () => {
+            const result = await userManager.logout({});
+
+            expect(result.error).toBe('Authentication required');
+        });
+    });
+
+    describe('lockout', () => {
+        let user;
+        const device = { ip: '10.0.0.1', agent: { source: 'jest-agent' } };
+
+        const failLogins = async (count, email = 'locked@test.com', ip = device.ip) => {
+            for (let i = 0; i < count; i++) {
+                await userManager.login({ email, password: 'wrongpassword', __device: { ...device, ip } });
+            }
+        };
+
+        beforeEach(async () => {
+            const created = await userManager.createUser({
+                username: 'lockeduser',
+                email: 'locked@test.com',
+                password: 'password123',
+                role: 'superadmin',
+            });
+            user = created.user;
+        });
+
+        it('should lock the account after too many failures', async () => {
+            await failLogins(5);
+
+            const result = await userManager.login({ email: 'locked@test.com', password: 'password123', __device: device });
+
+            expect(result.code).toBe(429);
+            expect(result.retryAfter).toBeGreaterThan(0);
+        });
+
+        it('should lock the account from any IP', async () => {
+            await failLogins(5);
+
+            const result = await userManager.login({
+                email: 'locked@test.com',
+                password: 'password123',
+                __device: { ...device, ip: '10.0.0.2' },
+            });
+
+            expect(result.code).toBe(429);
+        });
+
+        it('should double the lock on every following lockout', async () => {
+            await failLogins(5);
+            const first = await deps.mongomodels.loginThrottle.findOne({ key: 'account:locked@test.com' });
+            await deps.mongomodels.loginThrottle.updateOne({ _id: first._id }, { lockedUntil: new Date(Date.now() - 1000) });
+
+            await failLogins(5, 'locked@test.com', '10.0.0.3');
+
+            const second = await deps.mongomodels.loginThrottle.findOne({ key: 'account:locked@test.com' });
+            expect(second.lockouts).toBe(2);
+            expect(second.lockedUntil - Date.now()).toBeGreaterThan(60 * 1000);
+        });
+
+        it('should lock an IP trying many accounts', async () => {
+            for (let i = 0; i < 20; i++) {
+                await failLogins(1, `unknown${i}@test.com`);
+            }
+
+            const result = await userManager.login({ email: 'locked@test.com', password: 'password123', __device: device });
+
+            expect(result.code).toBe(429);
+        });
+
+        it('should reset the failures on a successful login', async () => {
+            await failLogins(4);
+            await userManager.login({ email: 'locked@test.com', password: 'password123', __device: device });
+            await failLogins(4);
+
+            const result = await userManager.login({ email: 'locked@test.com', password: 'password123', __device: device });
+
+            expect(result.error).toBeUndefined();
+        });
+
+        it('should audit lockouts', async () => {
+            await failLogins(5);
+
+            const entry = await deps.mongomodels.audit.findOne({ action: 'user.lockout' });
+            expect(entry.entityId.toString()).toBe(user._id.toString());
+            expect(entry.ip).toBe('10.0.0.1');
+        });
+
+        it('should let a superadmin unlock an account', async () => {
+            await failLogins(5);
+
+            const unlocked = await userManager.unlockUser({
+                userId: user._id.toString(),
+                __longToken: createSuperadminToken(),
+            });
+            const result = await userManager.login({
+                email: 'locked@test.com',
+                password: 'password123',
+                __device: { ...device, ip: '10.0.0.2' },
+            });
+
+            expect(unlocked.message).toBe('Account unlocked');
+            expect(result.error).toBeUndefined();
+        });
+
+        it('should not let a school_admin unlock an account', async () => {
+            const result = await userManager.unlockUser({
+                userId: user._id.toString(),
+                __longToken: createSchoolAdminToken(),
+            });
+
+            expect(result.code).toBe(403);
+        });
+    });
+
+    describe('password reset', () => {
+        let user;
+
+        beforeEach(async () => {
+            const created = await userManager.createUser({
+                username: 'forgetful',
+                email: 'forgetful@test.com',
+                password: 'password123',
+                role: 'superadmin',
+            });
+            user = created.user;
+        });
+
+        const requestToken = async () => {
+            await userManager.requestPasswordReset({ email: 'forgetful@test.com' });
+            const mail = await getLastMail('forgetful@test.com');
+            expect(mail.subject).toBe('Reset your password');
+            return getMailToken(mail);
+        };
+
+        it('should reset the password with the mailed token', async () => {
+            const token = await requestToken();
+
+            const result = await userManager.resetPassword({ token, password: 'newpassword123' });
+            const login = await userManager.login({ email: 'forgetful@test.com', password: 'newpassword123' });
+
+            expect(result.error).toBeUndefined();
+            expect(login.error).toBeUndefined();
+            expect(deps.managers.token.revokeUserSessions).toHaveBeenCalledWith(user._id);
+        });
+
+        it('should accept a token only once', async () => {
+            const token = await requestToken();
+            await userManager.resetPassword({ token, password: 'newpassword123' });
+
+            const result = await userManager.resetPassword({ token, password: 'otherpassword123' });
+
+            expect(result.code).toBe(400);
+        });
+
+        it('should reject an expired token', async () => {
+            const token = await requestToken();
+            await deps.mongomodels.userToken.updateMany({}, { expiresAt: new Date(Date.now() - 1000) });
+
+            const result = await userManager.resetPassword({ token, password: 'newpassword123' });
+
+            expect(result.code).toBe(400);
+        });
+
+        it('should only keep the latest token', async () => {
+            const first = await requestToken();
+            await requestToken();
+
+            const result = await userManager.resetPassword({ token: first, password: 'newpassword123' });
+
+            expect(result.code).toBe(400);
+        });
+
+        it('should answer the same for unknown emails', async () => {
+            const known = await userManager.requestPasswordReset({ email: 'forgetful@test.com' });
+            const unknown = await userManager.requestPasswordReset({ email: 'nobody@test.com' });
+
+            expect(unknown).toEqual(known);
+            expect(await getLastMail('nobody@test.com')).toBeNull();
+        });
+    });
+
+    describe('email verification', () => {
+        let user;
+
+        beforeEach(async () => {
+            const created = await userManager.createUser({
+                username: 'newcomer',
+                email: 'newcomer@test.com',
+                password: 'password123',
+                role: 'superadmin',
+            });
+            user = created.user;
+        });
+
+        it('should mail a verification token to new accounts', async () => {
+            const mail = await getLastMail('newcomer@test.com');
+
+            expect(user.emailVerified).toBe(false);
+            expect(mail.subject).toBe('Verify your email address');
+        });
+
+        it('should verify the email with the mailed token', async () => {
+            const token = getMailToken(await getLastMail('newcomer@test.com'));
+
+            const result = await userManager.verifyEmail({ token });
+
+            expect(result.user.emailVerified).toBe(true);
+            expect(result.user.emailVerifiedAt).toBeDefined();
+        });
+
+        it('should require verifying a changed email again', async () => {
+            await userManager.verifyEmail({ token: getMailToken(await getLastMail('newcomer@test.com')) });
+
+            const result = await userManager.updateUser({
+                email: 'moved@test.com',
+                __token: { userId: user._id.toString() },
+            });
+
+            expect(result.user.emailVerified).toBe(false);
+            expect((await getLastMail('moved@test.com')).subject).toBe('Verify your email address');
+        });
+
+        it('should resend the verification email', async () => {
+            const first = getMailToken(await getLastMail('newcomer@test.com'));
+
+            await userManager.resendVerification({ __longToken: { userId: user._id.toString() } });
+            const second = getMailToken(await getLastMail('newcomer@test.com'));
+
+            expect(second).not.toBe(first);
+            expect((await userManager.verifyEmail({ token: first })).code).toBe(400);
+            expect((await userManager.verifyEmail({ token: second })).error).toBeUndefined();
+        });
+    });
+
+    describe('provisioning', () => {
+        it('should not expose createUser over HTTP', () => {
+            expect(userManager.httpExposed).not.toContain('createUser');
+        });
+
+        it('should bootstrap the first superadmin only', async () => {
+            const first = await userManager.bootstrapSuperadmin({
+                username: 'rootadmin',
+                email: 'root@test.com',
+                password: 'password123',
+            });
+            const second = await userManager.bootstrapSuperadmin({
+                username: 'otheradmin',
+                email: 'other@test.com',
+                password: 'password123',
+            });
+
+            expect(first.user.role).toBe('superadmin');
+            expect(first.user.emailVerified).toBe(true);
+            expect(second.code).toBe(409);
+        });
+    });
+
+    describe('invitations', () => {
+        let school;
+        let superadminToken;
+
+        beforeEach(async () => {
+            school = await createTestSchool(deps.mongomodels.school);
+            superadminToken = createSuperadminToken();
+        });
+
+        const invite = (overrides = {}) => userManager.inviteUser({
+            email: 'invitee@test.com',
+            role: 'school_admin',
+            schoolId: school._id.toString(),
+            __longToken: superadminToken,
+            ...overrides,
+        });
+
+        const mailedToken = async () => getMailToken(await getLastMail('invitee@test.com'));
+
+        it('should create the invited account with the role and school of the invitation', async () => {
+            await invite();
+
+            const result = await userManager.acceptInvite({
+                token: await mailedToken(),
+                username: 'invitee',
+                password: 'password123',
+                role: 'superadmin',
+                schoolId: '507f1f77bcf86cd799439011',
+            });
+
+            expect(result.error).toBeUndefined();
+            expect(result.user.role).toBe('school_admin');
+            expect(result.user.schoolId.toString()).toBe(school._id.toString());
+            expect(result.user.email).toBe('invitee@test.com');
+            expect(result.user.emailVerified).toBe(true);
+            expect(result.longToken).toBeDefined();
+        });
+
+        it('should accept an invitation only once', async () => {
+            await invite();
+            const token = await mailedToken();
+            await userManager.acceptInvite({ token, username: 'invitee', password: 'password123' });
+
+            const result = await userManager.acceptInvite({ token, username: 'invitee2', password: 'password123' });
+
+            expect(result.code).toBe(400);
+        });
+
+        it('should reject an expired invitation', async () => {
+            await invite();
+            await deps.mongomodels.invitation.updateMany({}, { expiresAt: new Date(Date.now() - 1000) });
+
+            const result = await userManager.acceptInvite({
+                token: await mailedToken(),
+                username: 'invitee',
+                password: 'password123',
+            });
+
+            expect(result.code).toBe(400);
+        });
+
+        it('should reject a revoked invitation', async () => {
+            const { invitation } = await invite();
+            await userManager.revokeInvitation({ invitationId: invitation._id.toString(), __longToken: superadminToken });
+
+            const result = await userManager.acceptInvite({
+                token: await mailedToken(),
+                username: 'invitee',
+                password: 'password123',
+            });
+
+            expect(result.code).toBe(400);
+        });
+
+        it('should only let superadmins invite', async () => {
+            const result = await invite({ __longToken: createSchoolAdminToken(undefined, school._id) });
+
+            expect(result.code).toBe(403);
+        });
+
+        it('should not invite superadmins', async () => {
+            const result = await invite({ role: 'superadmin' });
+
+            expect(result.code).toBe(400);
+        });
+
+        it('should not invite an existing user', async () => {
+            await createTestUser(deps.mongomodels.user, { email: 'invitee@test.com' });
+
+            const result = await invite();
+
+            expect(result.code).toBe(409);
+        });
+    });
+
+    describe('user administration', () => {
+        let school;
+        let teacher;
+        let superadminToken;
+
+        beforeEach(async () => {
+            school = await createTestSchool(deps.mongomodels.school);
+            teacher = await createTestUser(deps.mongomodels.user, {
+                username: 'teacher',
+                email: 'teacher@test.com',
+                role: 'teacher',
+                schoolId: school._id,
+            });
+            superadminToken = createSuperadminToken();
+            deps.managers.token.revokeUserSessions.mockClear();
+        });
+
+        it('should list users filtered by role, school and status', async () => {
+            await createTestUser(deps.mongomodels.user);
+
+            const result = await userManager.getUsers({
+                role: 'teacher',
+                schoolId: school._id.toString(),
+                isActive: 'true',
+                __longToken: superadminToken,
+            });
+
+            expect(result.users).toHaveLength(1);
+            expect(result.users[0].username).toBe('teacher');
+            expect(result.users[0].password).toBeUndefined();
+            expect(result.pagination.total).toBe(1);
+        });
+
+        it('should only let superadmins list users', async () => {
+            const result = await userManager.getUsers({ __longToken: createSchoolAdminToken(undefined, school._id) });
+
+            expect(result.code).toBe(403);
+        });
+
+        it('should get a user by ID', async () => {
+            const result = await userManager.getUser({ userId: teacher._id.toString(), __longToken: superadminToken });
+
+            expect(result.user.email).toBe('teacher@test.com');
+            expect(result.user.password).toBeUndefined();
+        });
+
+        it('should change the role of a user and revoke their sessions', async () => {
+            const result = await userManager.updateUserRole({
+                userId: teacher._id.toString(),
+                role: 'school_admin',
+                __longToken: superadminToken,
+            });
+
+            expect(result.user.role).toBe('school_admin');
+            expect(result.user.schoolId.toString()).toBe(school._id.toString());
+            expect(deps.managers.token.revokeUserSessions).toHaveBeenCalledWith(teacher._id);
+        });
+
+        it('should drop the old school when a role change moves the user', async () => {
+            const admin = await createTestUser(deps.mongomodels.user, {
+                username: 'admin',
+                email: 'admin@test.com',
+                role: 'school_admin',
+                schoolId: school._id,
+            });
+            const otherSchool = await createTestSchool(deps.mongomodels.school, { name: 'Other School' });
+
+            const result = await userManager.updateUserRole({
+                userId: admin._id.toString(),
+                role: 'teacher',
+                schoolId: otherSchool._id.toString(),
+                __longToken: superadminToken,
+            });
+
+            expect(result.user.memberships).toHaveLength(1);
+            expect(result.user.memberships[0].schoolId.toString()).toBe(otherSchool._id.toString());
+            expect(result.user.memberships[0].role).toBe('teacher');
+
+            const token = {
+                userId: admin._id.toString(),
+                role: result.user.role,
+                schoolId: result.user.schoolId.toString(),
+                memberships: result.user.memberships.map(m => ({ schoolId: m.schoolId.toString(), role: m.role })),
+            };
+            expect(withActiveSchool(token, school._id.toString())).toBeNull();
+            expect(withActiveSchool(token, otherSchool._id.toString()).role).toBe('teacher');
+        });
+
+        it('should not let superadmins change their own role', async () => {
+            const admin = await createTestUser(deps.mongomodels.user);
+
+            const result = await userManager.updateUserRole({
+                userId: admin._id.toString(),
+                role: 'teacher',
+                schoolId: school._id.toString(),
+                __longToken: createSuperadminToken(admin._id),
+            });
+
+            expect(result.code).toBe(400);
+        });
+
+        it('should assign a user to another school', async () => {
+            const otherSchool = await createTestSchool(deps.mongomodels.school, { name: 'Other School' });
+
+            const result = await userManager.assignUserSchool({
+                userId: teacher._id.toString(),
+                schoolId: otherSchool._id.toString(),
+                __longToken: superadminToken,
+            });
+
+            expect(result.user.schoolId.toString()).toBe(otherSchool._id.toString());
+            expect(deps.managers.token.revokeUserSessions).toHaveBeenCalledWith(teacher._id);
+        });
+
+        it('should reject an unknown school', async () => {
+            const result = await userManager.assignUserSchool({
+                userId: teacher._id.toString(),
+                schoolId: '507f1f77bcf86cd799439011',
+                __longToken: superadminToken,
+            });
+
+            expect(result.error).toBe('Invalid school ID');
+        });
+
+        it('should deactivate a user, revoke their sessions and refuse their logins', async () => {
+            const result = await userManager.deactivateUser({ userId: teacher._id.toString(), __longToken: superadminToken });
+
+            expect(result.user.isActive).toBe(false);
+            expect(result.user.deactivatedAt).toBeDefined();
+            expect(deps.managers.token.revokeUserSessions).toHaveBeenCalledWith(teacher._id);
+
+            const login = await userManager.login({ email: 'teacher@test.com', password: 'password123' });
+            expect(login.code).toBe(403);
+        });
+
+        it('should reactivate a deactivated user', async () => {
+            await userManager.deactivateUser({ userId: teacher._id.toString(), __longToken: superadminToken });
+
+            const result = await userManager.reactivateUser({ userId: teacher._id.toString(), __longToken: superadminToken });
+
+            expect(result.user.isActive).toBe(true);
+            const login = await userManager.login({ email: 'teacher@test.com', password: 'password123' });
+            expect(login.longToken).toBeDefined();
+        });
+
+        it('should not reactivate an active user', async () => {
+            const result = await userManager.reactivateUser({ userId: teacher._id.toString(), __longToken: superadminToken });
+
+            expect(result.code).toBe(409);
+        });
+
+        it('should add a membership in another school and revoke sessions', async () => {
+            const otherSchool = await createTestSchool(deps.mongomodels.school, { name: 'Other School' });
+
+            const result = await userManager.addUserMembership({
+                userId: teacher._id.toString(),
+                schoolId: otherSchool._id.toString(),
+                role: 'school_admin',
+                __longToken: superadminToken,
+            });
+
+            expect(result.user.memberships).toHaveLength(2);
+            expect(result.user.memberships.find(m => m.schoolId.equals(otherSchool._id)).role).toBe('school_admin');
+            expect(result.user.schoolId.toString()).toBe(school._id.toString());
+            expect(deps.managers.token.revokeUserSessions).toHaveBeenCalledWith(teacher._id);
+        });
+
+        it('should make the next membership the default when removing the default school', async () => {
+            const otherSchool = await createTestSchool(deps.mongomodels.school, { name: 'Other School' });
+            await userManager.addUserMembership({
+                userId: teacher._id.toString(),
+                schoolId: otherSchool._id.toString(),
+                role: 'school_admin',
+                __longToken: superadminToken,
+            });
+
+            const result = await userManager.removeUserMembership({
+                userId: teacher._id.toString(),
+                schoolId: school._id.toString(),
+                __longToken: superadminToken,
+            });
+
+            expect(result.user.memberships).toHaveLength(1);
+            expect(result.user.schoolId.toString()).toBe(otherSchool._id.toString());
+            expect(result.user.role).toBe('school_admin');
+        });
+
+        it('should not remove the last membership', async () => {
+            const result = await userManager.removeUserMembership({
+                userId: teacher._id.toString(),
+                schoolId: school._id.toString(),
+                __longToken: superadminToken,
+            });
+
+            expect(result.code).toBe(400);
+        });
+    });
+
+    describe('two-factor authentication', () => {
+        let user;
+        let token;
+
+        /** enroll the test user and return its secret and recovery codes */
+        const enroll = async () => {
+            const { secret } = await userManager.enrollMfa({ __longToken: token });
+            const { recoveryCodes } = await userManager.confirmMfa({ code: totp({ secret }), __longToken: token });
+            return { secret, recoveryCodes };
+        };
+
+        /** a code of the next time step, so it was not used yet */
+        const nextCode = (secret) => totp({ secret, at: Date.now() + 30 * 1000 });
+
+        beforeEach(async () => {
+            user = await createTestUser(deps.mongomodels.user, { email: 'mfa@test.com' });
+            token = createSuperadminToken(user._id);
+        });
+
+        it('should enroll with a provisioning URI and a first code', async () => {
+            const enrollment = await userManager.enrollMfa({ __longToken: token });
+
+            expect(enrollment.secret).toMatch(/^[A-Z2-7]+$/);
+            expect(enrollment.otpauthUrl).toMatch(/^otpauth:\/\/totp\/School%20Management%3Amfa%40test\.com\?secret=/);
+
+            const wrong = await userManager.confirmMfa({ code: '000000', __longToken: token });
+            expect(wrong.code).toBe(401);
+
+            const result = await userManager.confirmMfa({ code: totp({ secret: enrollment.secret }), __longToken: token });
+            expect(result.recoveryCodes).toHaveLength(10);
+
+            const stored = await deps.mongomodels.user.findById(user._id);
+            expect(stored.mfa.enabled).toBe(true);
+            expect(stored.mfa.secret).toBeUndefined();
+            expect(stored.toJSON().mfa).toEqual({ enabled: true, enabledAt: expect.any(Date) });
+        });
+
+        it('should return a challenge instead of tokens once enrolled', async () => {
+            const { secret } = await enroll();
+
+            const challenge = await userManager.login({ email: 'mfa@test.com', password: 'password123' });
+            expect(challenge.mfaRequired).toBe(true);
+            expect(challenge.longToken).toBeUndefined();
+            expect(challenge.enrollment).toBeUndefined();
+
+            const result = await userManager.verifyMfa({ challengeToken: challenge.challengeToken, code: nextCode(secret) });
+            expect(result.longToken).toBeDefined();
+            expect(result.user.email).toBe('mfa@test.com');
+
+            // a challenge is good for one login
+            const again = await userManager.verifyMfa({ challengeToken: challenge.challengeToken, code: nextCode(secret) });
+            expect(again.code).toBe(401);
+        });
+
+        it('should accept each recovery code once', async () => {
+            const { recoveryCodes } = await enroll();
+
+            const first = await userManager.login({ email: 'mfa@test.com', password: 'password123' });
+            const result = await userManager.verifyMfa({ challengeToken: first.challengeToken, code: recoveryCodes[0].toUpperCase() });
+            expect(result.longToken).toBeDefined();
+
+            const second = await userManager.login({ email: 'mfa@test.com', password: 'password123' });
+            const reused = await userManager.verifyMfa({ challengeToken: second.challengeToken, code: recoveryCodes[0] });
+            expect(reused.code).toBe(401);
+        });
+
+        it('should count wrong codes as failed logins', async () => {
+            await enroll();
+            const challenge = await userManager.login({ email: 'mfa@test.com', password: 'password123' });
+
+            for (let i = 0; i < 5; i++) {
+                await userManager.verifyMfa({ challengeToken: challenge.challengeToken, code: '000000' });
+            }
+
+            const result = await userManager.login({ email: 'mfa@test.com', password: 'password123' });
+            expect(result.code).toBe(429);
+        });
+
+        it('should enroll users of a required role at login', async () => {
+            const required = withPolicies(new UserManager({
+                ...deps,
+                config: { ...deps.config, security: { mfa: { requiredRoles: ['superadmin'] } } },
+            }), deps.mongomodels);
+
+            const challenge = await required.login({ email: 'mfa@test.com', password: 'password123' });
+            expect(challenge.mfaRequired).toBe(true);
+            expect(challenge.enrollment.otpauthUrl).toMatch(/^otpauth:/);
+
+            const result = await required.verifyMfa({
+                challengeToken: challenge.challengeToken,
+                code: totp({ secret: challenge.enrollment.secret }),
+            });
+            expect(result.longToken).toBeDefined();
+            expect(result.recoveryCodes).toHaveLength(10);
+
+            const disabled = await required.disableMfa({ code: result.recoveryCodes[0], __longToken: token });
+            expect(disabled.code).toBe(403);
+        });
+
+        it('should disable with a valid code', async () => {
+            const { secret } = await enroll();
+
+            const result = await userManager.disableMfa({ code: nextCode(secret), __longToken: token });
+            expect(result.message).toBe('Two-factor authentication disabled');
+
+            const login = await userManager.login({ email: 'mfa@test.com', password: 'password123' });
+            expect(login.longToken).toBeDefined();
+        });
+
+        it('should replace the recovery codes', async () => {
+            const { secret, recoveryCodes } = await enroll();
+
+            const result = await userManager.regenerateRecoveryCodes({ code: nextCode(secret), __longToken: token });
+            expect(result.recoveryCodes).toHaveLength(10);
+
+            const challenge = await userManager.login({ email: 'mfa@test.com', password: 'password123' });
+            const old = await userManager.verifyMfa({ challengeToken: challenge.challengeToken, code: recoveryCodes[1] });
+            expect(old.code).toBe(401);
+        });
+    });
+
+    describe('sessions', () => {
+        let sessionManager;
+        let tokenManager;
+        let user;
+
+        const signIn = async (agent) => {
+            const { longToken } = await tokenManager.createSession({ user, device: { ip: '10.0.0.1', agent: { source: agent } } });
+            return tokenManager.verifyLongToken({ token: longToken });
+        };
+
+        beforeEach(async () => {
+            // Sessions are kept by the real token manager
+            tokenManager = new TokenManager(deps);
+            sessionManager = withPolicies(new UserManager({
+                ...deps,
+                managers: { ...deps.managers, token: tokenManager },
+            }), deps.mongomodels);
+            user = await createTestUser(deps.mongomodels.user);
+        });
+
+        it('should list the active sessions of the caller', async () => {
+            const phone = await signIn('phone-agent');
+            await signIn('laptop-agent');
+
+            const result = await sessionManager.getSessions({ __longToken: phone });
+
+            expect(result.sessions).toHaveLength(2);
+            const current = result.sessions.find(session => session.current);
+            expect(current.userAgent).toBe('phone-agent');
+            expect(current.ip).toBe('10.0.0.1');
+        });
+
+        it('should log one device out', async () => {
+            const phone = await signIn('phone-agent');
+            const laptop = await signIn('laptop-agent');
+
+            const result = await sessionManager.revokeSession({ sessionId: laptop.sessionId, __longToken: phone });
+
+            expect(result.message).toBe('Session revoked');
+            expect(await tokenManager.isRevoked(laptop)).toBe(true);
+            expect(await tokenManager.isRevoked(phone)).toBe(false);
+        });
+
+        it('should not revoke sessions of other users', async () => {
+            const phone = await signIn('phone-agent');
+            const other = createSuperadminToken();
+
+            const result = await sessionManager.revokeSession({ sessionId: phone.sessionId, __longToken: other });
+
+            expect(result.code).toBe(404);
+            expect(await tokenManager.isRevoked(phone)).toBe(false);
+        });
+    });
 });
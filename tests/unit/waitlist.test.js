@@ -0,0 +1,236 @@
+/**
+ * Waitlist Manager Unit Tests
+ *
+ * Tests for Waitlist.manager.js including:
+ * - Joining a waitlist when a classroom is full
+ * - Queue positions
+ * - Promotion when seats free up (unenroll, transfer, capacity increase)
+ */
+
+const mongoose = require('mongoose');
+const {
+    connect,
+    closeDatabase,
+    clearDatabase,
+    createMockDependencies,
+    createTestSchool,
+    createTestClassroom,
+    createTestStudent,
+    createSuperadminToken,
+    createSchoolAdminToken,
+    withPolicies,
+} = require('../setup');
+
+const WaitlistManager = require('../../managers/entities/waitlist/Waitlist.manager');
+const StudentManager = require('../../managers/entities/student/Student.manager');
+const ClassroomManager = require('../../managers/entities/classroom/Classroom.manager');
+
+describe('Waitlist Manager', () => {
+    let waitlistManager;
+    let studentManager;
+    let classroomManager;
+    let deps;
+    let superadminToken;
+    let testSchool;
+    let fullClassroom;
+    let seated;
+    let createdBy;
+
+    beforeAll(async () => {
+        await connect();
+        deps = createMockDependencies();
+        waitlistManager = withPolicies(new WaitlistManager(deps), deps.mongomodels);
+        studentManager = withPolicies(new StudentManager(deps), deps.mongomodels);
+        classroomManager = withPolicies(new ClassroomManager(deps), deps.mongomodels);
+        superadminToken = createSuperadminToken();
+    });
+
+    afterAll(async () => {
+        await closeDatabase();
+    });
+
+    beforeEach(async () => {
+        await clearDatabase();
+        createdBy = new mongoose.Types.ObjectId();
+        testSchool = await createTestSchool(deps.mongomodels.school);
+        fullClassroom = await createTestClassroom(deps.mongomodels.classroom, testSchool._id, createdBy, { capacity: 1 });
+        seated = await createTestStudent(deps.mongomodels.student, testSchool._id, createdBy, {
+            email: 'seated@test.com',
+            classroomId: fullClassroom._id,
+        });
+    });
+
+    const enrollWaitlisted = (email) => studentManager.createStudent({
+        schoolId: testSchool._id.toString(),
+        classroomId: fullClassroom._id.toString(),
+        firstName: 'Wait',
+        lastName: 'Listed',
+        email,
+        waitlist: true,
+        __longToken: superadminToken,
+    });
+
+    describe('joining', () => {
+        it('should enroll in the school and queue for a full classroom', async () => {
+            const first = await enrollWaitlisted('first@test.com');
+            const second = await enrollWaitlisted('second@test.com');
+
+            expect(first.error).toBeUndefined();
+            expect(first.student.classroomId).toBeUndefined();
+            expect(first.waitlist.position).toBe(1);
+            expect(second.waitlist.position).toBe(2);
+        });
+
+        it('should report the position of a student', async () => {
+            await enrollWaitlisted('first@test.com');
+            const { student } = await enrollWaitlisted('second@test.com');
+
+            const result = await waitlistManager.getWaitlistPosition({
+                studentId: student._id.toString(),
+                __longToken: superadminToken,
+            });
+
+            expect(result.waitlist.position).toBe(2);
+            expect(result.waitlist.total).toBe(2);
+        });
+
+        it('should list the waitlist in queue order', async () => {
+            await enrollWaitlisted('first@test.com');
+            await enrollWaitlisted('second@test.com');
+
+            const result = await waitlistManager.getWaitlist({
+                classroomId: fullClassroom._id.toString(),
+                __longToken: superadminToken,
+            });
+
+            expect(result.waitlist.map(e => e.student.email)).toEqual(['first@test.com', 'second@test.com']);
+        });
+
+        it('should deny the waitlist to a school_admin of another school', async () => {
+            const schoolAdminToken = createSchoolAdminToken(new mongoose.Types.ObjectId(), new mongoose.Types.ObjectId());
+
+            const result = await waitlistManager.getWaitlist({
+                classroomId: fullClassroom._id.toString(),
+                __longToken: schoolAdminToken,
+            });
+
+            expect(result.code).toBe(403);
+        });
+
+        it('should take a student off the waitlist', async () => {
+            const { student } = await enrollWaitlisted('first@test.com');
+
+            await waitlistManager.leaveWaitlist({ studentId: student._id.toString(), __longToken: superadminToken });
+            const result = await waitlistManager.getWaitlistPosition({
+                studentId: student._id.toString(),
+                __longToken: superadminToken,
+            });
+
+            expect(result.code).toBe(404);
+        });
+    });
+
+    describe('promotion', () => {
+        it('should promote the head of the queue when a student is unenrolled', async () => {
+            const { student: first } = await enrollWaitlisted('first@test.com');
+            await enrollWaitlisted('second@test.com');
+
+            const result = await studentManager.deleteStudent({
+                studentId: seated._id.toString(),
+                __longToken: superadminToken,
+            });
+
+            expect(result.promoted).toHaveLength(1);
+            expect(result.promoted[0].studentId.toString()).toBe(first._id.toString());
+            const promoted = await deps.mongomodels.student.findById(first._id);
+            expect(promoted.classroomId.toString()).toBe(fullClassroom._id.toString());
+        });
+
+        it('should promote when a student transfers out', async () => {
+            const { student: first } = await enrollWaitlisted('first@test.com');
+            const otherClassroom = await createTestClassroom(deps.mongomodels.classroom, testSchool._id, createdBy, { name: 'Other' });
+
+            const result = await studentManager.transferStudent({
+                studentId: seated._id.toString(),
+                toClassroomId: otherClassroom._id.toString(),
+                __longToken: superadminToken,
+            });
+
+            expect(result.promoted[0].studentId.toString()).toBe(first._id.toString());
+        });
+
+        it('should promote as many students as the capacity increase allows', async () => {
+            await enrollWaitlisted('first@test.com');
+            await enrollWaitlisted('second@test.com');
+            await enrollWaitlisted('third@test.com');
+
+            const result = await classroomManager.updateClassroom({
+                classroomId: fullClassroom._id.toString(),
+                capacity: 3,
+                __longToken: superadminToken,
+            });
+
+            expect(result.promoted).toHaveLength(2);
+            const position = await waitlistManager.getWaitlist({
+                classroomId: fullClassroom._id.toString(),
+                __longToken: superadminToken,
+            });
+            expect(position.waitlist).toHaveLength(1);
+            expect(position.waitlist[0].student.email).toBe('third@test.com');
+        });
+
+        it('should keep the current seat while waiting and promote into the freed one', async () => {
+            const otherClassroom = await createTestClassroom(deps.mongomodels.classroom, testSchool._id, createdBy, {
+                name: 'Other', capacity: 1,
+            });
+            const mover = await createTestStudent(deps.mongomodels.student, testSchool._id, createdBy, {
+                email: 'mover@test.com', classroomId: otherClassroom._id,
+            });
+            // Waits for the other classroom's freed seat
+            const { student: waiting } = await studentManager.createStudent({
+                schoolId: testSchool._id.toString(),
+                classroomId: otherClassroom._id.toString(),
+                firstName: 'Wait',
+                lastName: 'Listed',
+                waitlist: true,
+                __longToken: superadminToken,
+            });
+
+            const queued = await studentManager.updateStudent({
+                studentId: mover._id.toString(),
+                classroomId: fullClassroom._id.toString(),
+                waitlist: true,
+                __longToken: superadminToken,
+            });
+            expect(queued.student.classroomId.toString()).toBe(otherClassroom._id.toString());
+
+            await studentManager.deleteStudent({ studentId: seated._id.toString(), __longToken: superadminToken });
+
+            const moved = await deps.mongomodels.student.findById(mover._id);
+            const promoted = await deps.mongomodels.student.findById(waiting._id);
+            expect(moved.classroomId.toString()).toBe(fullClassroom._id.toString());
+            expect(promoted.classroomId.toString()).toBe(otherClassroom._id.toString());
+        });
+
+        it('should queue a student without a classroom and promote them into the freed seat', async () => {
+            const unplaced = await createTestStudent(deps.mongomodels.student, testSchool._id, createdBy, {
+                email: 'unplaced@test.com',
+            });
+
+            const queued = await studentManager.updateStudent({
+                studentId: unplaced._id.toString(),
+                classroomId: fullClassroom._id.toString(),
+                waitlist: true,
+                __longToken: superadminToken,
+            });
+            expect(queued.code).toBeUndefined();
+            expect(queued.waitlist.position).toBe(1);
+            expect(queued.student.classroomId).toBeFalsy();
+
+            await studentManager.deleteStudent({ studentId: seated._id.toString(), __longToken: superadminToken });
+
+            const moved = await deps.mongomodels.student.findById(unplaced._id);
+            expect(moved.classroomId.toString()).toBe(fullClassroom._id.toString());
+        });
+    });
+});